@@ -1,73 +1,117 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { S3Client, ListBucketsCommand, ListObjectsV2Command, CreateBucketCommand, DeleteBucketCommand, GetObjectCommand, PutObjectCommand, DeleteObjectsCommand, CopyObjectCommand } from "@aws-sdk/client-s3";
-import { Upload } from "@aws-sdk/lib-storage";
-import { HardDrive, Folder, File, Plus, Upload as UploadIcon, Download, Trash2, X, ChevronsRight, Loader2, Power, AlertTriangle, CheckCircle, Info, Beaker, Save, Server, Trash, Search, RefreshCw, Pencil, Eye, Copy, MoreVertical } from 'lucide-react';
-import { getPreviewType, getPublicUrl, encodeCopySource } from './utils/fileUtils';
+import { ListBucketsCommand, ListObjectsV2Command, CreateBucketCommand, DeleteBucketCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { HardDrive, Folder, File, Plus, Upload as UploadIcon, Download, Trash2, X, ChevronsRight, Loader2, Power, AlertTriangle, CheckCircle, Info, Beaker, Save, Server, Trash, Search, RefreshCw, Pencil, Eye, Copy, MoreVertical, Share2, ArrowRightLeft, ClipboardCopy, ClipboardPaste, Scissors, History, RotateCcw, SlidersHorizontal, FolderUp, ScanSearch, Settings, CalendarClock, Lock, KeyRound, ListChecks, Calculator, BarChart3, Keyboard, LayoutGrid, List, Inbox } from 'lucide-react';
+import { getPreviewType, getPublicUrl } from './utils/fileUtils';
+import { validateBucketName, buildCreateBucketInput } from './utils/bucketUtils';
+import { formatBytes } from './utils/formatUtils';
+import { getRowId, shortVersionId } from './utils/versionUtils';
+import { filesFromInput, isOsFileDrag, collectDroppedFiles } from './utils/uploadUtils';
+import { getParentPrefix } from './utils/searchUtils';
+import { hasAnonymousAccess, isObjectAnonymouslyReadable } from './utils/policyUtils';
+import { diagnoseConnectionError } from './utils/connectionDiagnostics';
+import { listAllKeys, listAllVersions, deleteKeyBatch, deleteVersionBatch } from './utils/s3Utils';
+import { validatePasteTarget } from './utils/clipboardUtils';
+import { isTrashKey } from './utils/trashUtils';
+import { sortObjects, getTableWidth, getGridColumnCount, GRID_ROW_HEIGHT } from './utils/objectTableUtils';
+import { DEFAULT_CONNECTION_OPTIONS, SECRET_FIELDS, withConnectionDefaults, getMissingSecret, createS3Client } from './utils/connectionUtils';
 import { useFilePreview } from './hooks/useFilePreview';
+import { useLocalStorage } from './hooks/useLocalStorage';
+import { useVirtualRows } from './hooks/useVirtualRows';
+import { useShareLinks } from './hooks/useShareLinks';
+import { useUploadLinks } from './hooks/useUploadLinks';
+import { useObjectVersions } from './hooks/useObjectVersions';
+import { useObjectProperties } from './hooks/useObjectProperties';
+import { useUploadQueue, ACTIVE_UPLOAD_STATUSES } from './hooks/useUploadQueue';
+import { useDownloads } from './hooks/useDownloads';
+import { useRecursiveSearch } from './hooks/useRecursiveSearch';
+import { useBucketPolicies } from './hooks/useBucketPolicies';
+import { useBucketLifecycle } from './hooks/useBucketLifecycle';
+import { useBucketCors } from './hooks/useBucketCors';
+import { useConnectionVault } from './hooks/useConnectionVault';
+import { useConnectionSessions } from './hooks/useConnectionSessions';
+import { useCrossConnectionTransfer } from './hooks/useCrossConnectionTransfer';
+import { useObjectClipboard } from './hooks/useObjectClipboard';
+import { useMoveJobs } from './hooks/useMoveJobs';
+import { useRecycleBin } from './hooks/useRecycleBin';
+import { useJobs } from './hooks/useJobs';
+import { useActivityLog } from './hooks/useActivityLog';
+import { useObjectTableView } from './hooks/useObjectTableView';
+import { useStorageUsage } from './hooks/useStorageUsage';
+import { useTableKeyboard } from './hooks/useTableKeyboard';
+import { useThumbnails, hasThumbnail } from './hooks/useThumbnails';
+import { usePreviewNavigation } from './hooks/usePreviewNavigation';
+import { useShortcutKeys } from './hooks/useShortcutKeys';
 import FilePreviewModal from './components/FilePreviewModal';
+import Modal from './components/Modal';
+import ShareLinkModal from './components/ShareLinkModal';
+import UploadLinkModal from './components/UploadLinkModal';
+import VersionsPanel from './components/VersionsPanel';
+import PropertiesPanel from './components/PropertiesPanel';
+import UploadQueuePanel from './components/UploadQueuePanel';
+import UploadConflictModal from './components/UploadConflictModal';
+import SearchPanel from './components/SearchPanel';
+import BucketSettingsModal from './components/BucketSettingsModal';
+import VaultUnlockForm from './components/VaultUnlockForm';
+import ChangePassphraseModal from './components/ChangePassphraseModal';
+import AdvancedConnectionOptions from './components/AdvancedConnectionOptions';
+import ConnectionTabs from './components/ConnectionTabs';
+import TransferModal from './components/TransferModal';
+import JobsPanel from './components/JobsPanel';
+import TrashModal from './components/TrashModal';
+import ObjectTableHeader from './components/ObjectTableHeader';
+import ObjectGrid from './components/ObjectGrid';
+import StorageUsageModal from './components/StorageUsageModal';
+import KeyboardShortcutsModal from './components/KeyboardShortcutsModal';
 
-// --- Custom Hooks ---
+// Long enough to reach the Undo button after a delete
+const UNDO_ALERT_DURATION = 10000;
 
-// Hook to sync state with localStorage
-function useLocalStorage(key, initialValue) {
-    const [storedValue, setStoredValue] = useState(() => {
-        try {
-            const item = window.localStorage.getItem(key);
-            return item ? JSON.parse(item) : initialValue;
-        } catch (error) {
-            console.error(error);
-            return initialValue;
-        }
-    });
+// Fixed row height is what makes virtualization cheap: row positions are computed, never measured
+const OBJECT_ROW_HEIGHT = 57;
+// The sticky table header covers this much of the list when a row is scrolled into view
+const OBJECT_TABLE_HEADER_HEIGHT = 48;
 
-    const setValue = (value) => {
-        try {
-            const valueToStore = value instanceof Function ? value(storedValue) : value;
-            setStoredValue(valueToStore);
-            window.localStorage.setItem(key, JSON.stringify(valueToStore));
-        } catch (error) {
-            console.error(error);
-        }
-    };
-
-    return [storedValue, setValue];
-}
+// --- Custom Hooks ---
 
 const useAlert = () => {    
     const [alertData, setAlertData] = useState(null);
-    const showAlert = useCallback((message, type = 'info', duration = 5000) => {
+    /** `action` adds a button to the toast, e.g. { label: 'Undo', onClick } */
+    const showAlert = useCallback((message, type = 'info', duration = 5000, action = null) => {
         const id = Date.now();
-        setAlertData({ id, message, type });
+        setAlertData({ id, message, type, action });
         setTimeout(() => setAlertData(current => (current && current.id === id ? null : current)), duration);
     }, []);
     const hideAlert = useCallback(() => setAlertData(null), []);
     return { alertData, showAlert, hideAlert };
 };
 
-// --- Helper Components ---
+// Every location carries the connection, so each tab keeps its own bucket and prefix in the URL
+const buildLocationParams = (conn, bucket, prefix) => ({
+    ...(conn ? { conn } : {}),
+    ...(bucket ? { bucket } : {}),
+    ...(bucket && prefix ? { prefix } : {}),
+});
 
-const formatBytes = (bytes, decimals = 2) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const dm = decimals < 0 ? 0 : decimals;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
-};
+// Sort params describe the table view and carry over while browsing the same bucket; the search does not
+const VIEW_PARAMS = ['sort', 'folders', 'view'];
 
-const Alert = ({ message, type, onDismiss }) => {
+// --- Helper Components ---
+
+const Alert = ({ message, type, action, onDismiss }) => {
     const baseClasses = "fixed top-5 right-5 max-w-sm w-full p-4 rounded-lg shadow-lg flex items-center space-x-3 z-50";
     const typeClasses = {
         success: 'bg-green-100 border border-green-400 text-green-800 dark:bg-green-900/50 dark:border-green-700 dark:text-green-200',
         error: 'bg-red-100 border border-red-400 text-red-800 dark:bg-red-900/50 dark:border-red-700 dark:text-red-200',
         info: 'bg-blue-100 border border-blue-400 text-blue-800 dark:bg-blue-900/50 dark:border-blue-700 dark:text-blue-200',
+        warning: 'bg-amber-100 border border-amber-400 text-amber-800 dark:bg-amber-900/50 dark:border-amber-700 dark:text-amber-200',
     };
     const Icon = useMemo(() => {
         switch (type) {
             case 'success': return <CheckCircle className="h-5 w-5 text-green-600" />;
             case 'error': return <AlertTriangle className="h-5 w-5 text-red-600" />;
             case 'info': return <Info className="h-5 w-5 text-blue-600" />;
+            case 'warning': return <AlertTriangle className="h-5 w-5 text-amber-600" />;
             default: return null;
         }
     }, [type]);
@@ -76,26 +120,12 @@ const Alert = ({ message, type, onDismiss }) => {
         <div className={`${baseClasses} ${typeClasses[type]}`}>
             <div className="flex-shrink-0">{Icon}</div>
             <div className="flex-1 text-sm font-medium">{message}</div>
+            {action && <button onClick={() => { action.onClick(); onDismiss(); }} className="px-2 py-1 rounded-md text-sm font-semibold underline hover:bg-black/10 flex-shrink-0">{action.label}</button>}
             <button onClick={onDismiss} className="p-1 rounded-full hover:bg-black/10"><X className="h-4 w-4" /></button>
         </div>
     );
 };
 
-const Modal = ({ isOpen, onClose, title, children }) => {
-    if (!isOpen) return null;
-    return (
-        <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
-            <div className="bg-slate-800 rounded-xl shadow-2xl w-full max-w-md border border-slate-700">
-                <div className="flex items-center justify-between p-4 border-b border-slate-700">
-                    <h3 className="text-lg font-semibold text-slate-100">{title}</h3>
-                    <button onClick={onClose} className="text-slate-400 hover:text-white p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
-                </div>
-                <div className="p-6">{children}</div>
-            </div>
-        </div>
-    );
-};
-
 const ContextMenu = ({ isOpen, onClose, items }) => {
     const ref = useRef(null);
     useEffect(() => {
@@ -125,72 +155,89 @@ const ContextMenu = ({ isOpen, onClose, items }) => {
 
 // --- Main Application Components ---
 
-const ConnectionManager = ({ onConnect, isConnecting, showAlert }) => {
+/**
+ * @param {{ onConnect: Function, onCancel: (() => void)|null, isConnecting: boolean, showAlert: Function, vault: ReturnType<typeof useConnectionVault> }} props
+ */
+const ConnectionManager = ({ onConnect, onCancel, isConnecting, showAlert, vault }) => {
     const [endpoint, setEndpoint] = useState('http://127.0.0.1:9000');
     const [publicEndpoint, setPublicEndpoint] = useState('');
     const [accessKey, setAccessKey] = useState('minioadmin');
     const [secretKey, setSecretKey] = useState('minioadmin');
     const [showSecret, setShowSecret] = useState(false);
+    const [options, setOptions] = useState(DEFAULT_CONNECTION_OPTIONS);
     const [saveConnection, setSaveConnection] = useState(false);
     const [connectionName, setConnectionName] = useState('');
-    const [savedConnections, setSavedConnections] = useLocalStorage('minio-connections', []);
+    const [saveSecret, setSaveSecret] = useState(true);
+    const [secretPromptConnection, setSecretPromptConnection] = useState(null);
+    const [promptedSecret, setPromptedSecret] = useState('');
+    const [isChangePassphraseOpen, setIsChangePassphraseOpen] = useState(false);
+    const { vaultStatus, savedConnections, saveConnections } = vault;
     const [isTesting, setIsTesting] = useState(false);
-    const [testResult, setTestResult] = useState({ message: '', type: '' });
+    const [testResult, setTestResult] = useState({ message: '', type: '', details: '', fixes: [] });
     
     const handleTestConnection = async () => {
         setIsTesting(true);
-        setTestResult({ message: '', type: '' });
+        setTestResult({ message: '', type: '', details: '', fixes: [] });
         try {
-            const client = new S3Client({
-                endpoint: endpoint,
-                region: 'us-east-1',
-                credentials: { accessKeyId: accessKey, secretAccessKey: secretKey },
-                forcePathStyle: true,
-            });
+            const client = createS3Client({ ...options, endpoint, accessKey, secretKey });
             await client.send(new ListBucketsCommand({}));
-            setTestResult({ message: 'Success! Connection is working.', type: 'success' });
+            setTestResult({ message: 'Success! Connection is working.', type: 'success', details: '', fixes: [] });
         } catch (error) {
-            let errorMessage = `Error: ${error.name}. `;
-            if (error.name === 'NetworkError') {
-                 errorMessage += 'This could be a CORS issue. Please check your Minio server\'s CORS configuration.';
-            } else {
-                 errorMessage += 'Check your credentials and endpoint URL.';
-            }
-            setTestResult({ message: errorMessage, type: 'error' });
+            const { title, explanation, fixes } = await diagnoseConnectionError(error, endpoint);
+            setTestResult({ message: title, type: 'error', details: explanation, fixes });
         } finally {
             setIsTesting(false);
         }
     };
 
-    const handleQuickConnect = (conn) => {
-        const connectionDetails = { endpoint: conn.endpoint, publicEndpoint: conn.publicEndpoint, accessKey: conn.accessKey, secretKey: conn.secretKey };
-        onConnect(connectionDetails, false);
+    // Connections saved without their secret (secret key or LDAP password) ask for it first
+    const handleQuickConnect = (conn, promptedValue) => {
+        const missingSecret = getMissingSecret(conn);
+        if (missingSecret && !promptedValue) {
+            setPromptedSecret('');
+            setSecretPromptConnection(conn);
+            return;
+        }
+        const connectionDetails = withConnectionDefaults(conn);
+        onConnect(missingSecret ? { ...connectionDetails, [missingSecret]: promptedValue } : connectionDetails, false);
     };
 
-    const handleDeleteConnection = (id) => {
-        setSavedConnections(savedConnections.filter(c => c.id !== id));
-        showAlert('Connection deleted.', 'info');
+    const handleDeleteConnection = async (id) => {
+        try {
+            await saveConnections(savedConnections.filter(c => c.id !== id));
+            showAlert('Connection deleted.', 'info');
+        } catch (err) {
+            showAlert('Could not delete the connection: the vault is locked.', 'error');
+        }
     };
     
     const handleLoadConnection = (conn) => {
         setEndpoint(conn.endpoint);
         setPublicEndpoint(conn.publicEndpoint || '');
         setAccessKey(conn.accessKey);
-        setSecretKey(conn.secretKey);
+        setSecretKey(conn.secretKey || '');
+        const { region, forcePathStyle, sessionToken, authMode, roleArn, roleSessionName, durationSeconds, stsEndpoint, ldapUsername, ldapPassword } = withConnectionDefaults(conn);
+        setOptions({ region, forcePathStyle, sessionToken, authMode, roleArn, roleSessionName, durationSeconds, stsEndpoint, ldapUsername, ldapPassword });
+        setSaveSecret(!getMissingSecret(conn));
         setConnectionName(conn.name);
         setSaveConnection(true);
     };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        const connectionDetails = { endpoint, publicEndpoint: publicEndpoint || endpoint, accessKey, secretKey };
+        const connectionDetails = { endpoint, publicEndpoint: publicEndpoint || endpoint, accessKey, secretKey, ...options };
         
         if (saveConnection && !connectionName.trim()) {
             showAlert('Please enter a name for the connection to save it.', 'error');
             return;
         }
+        if (saveConnection && vaultStatus !== 'unlocked') {
+            showAlert('Create or unlock the vault to save connections.', 'error');
+            return;
+        }
         
-        const saveConfig = saveConnection ? { name: connectionName, ...connectionDetails } : null;
+        const withoutSecrets = Object.fromEntries(SECRET_FIELDS.map(field => [field, '']));
+        const saveConfig = saveConnection ? { name: connectionName, ...connectionDetails, ...(saveSecret ? {} : withoutSecrets) } : null;
 
         onConnect(connectionDetails, saveConfig);
     };
@@ -201,9 +248,24 @@ const ConnectionManager = ({ onConnect, isConnecting, showAlert }) => {
                 <div className="lg:w-1/3 w-full bg-slate-800 rounded-2xl shadow-2xl p-6 border border-slate-700 flex flex-col">
                     <div className="flex items-center gap-3 mb-4">
                          <Server className="h-6 w-6 text-sky-400"/>
-                        <h2 className="text-xl font-bold text-slate-100">Saved Connections</h2>
+                        <h2 className="text-xl font-bold text-slate-100 flex-1">Saved Connections</h2>
+                        {vaultStatus === 'unlocked' && (
+                            <>
+                                <button onClick={() => setIsChangePassphraseOpen(true)} title="Change master passphrase" className="p-2 text-slate-500 hover:text-white rounded-full hover:bg-slate-700"><KeyRound size={16}/></button>
+                                <button onClick={vault.lockVault} title="Lock saved connections" className="p-2 text-slate-500 hover:text-white rounded-full hover:bg-slate-700"><Lock size={16}/></button>
+                            </>
+                        )}
                     </div>
-                    {savedConnections.length === 0 ? (
+                    {vaultStatus !== 'unlocked' ? (
+                        <VaultUnlockForm
+                            mode={vaultStatus}
+                            legacyConnectionCount={vault.legacyConnectionCount}
+                            onCreate={vault.createVault}
+                            onUnlock={vault.unlockVault}
+                            onReset={vault.resetVault}
+                            showAlert={showAlert}
+                        />
+                    ) : savedConnections.length === 0 ? (
                         <p className="text-slate-400 text-sm text-center py-8">No saved connections yet.</p>
                     ) : (
                         <ul className="space-y-2 max-h-96 overflow-y-auto">
@@ -211,7 +273,7 @@ const ConnectionManager = ({ onConnect, isConnecting, showAlert }) => {
                                 <li key={conn.id} className="bg-slate-900 p-3 rounded-md flex items-center justify-between gap-2">
                                     <div className="truncate cursor-pointer" onClick={() => handleLoadConnection(conn)}>
                                         <p className="font-semibold text-slate-200 truncate">{conn.name}</p>
-                                        <p className="text-xs text-slate-400 truncate">{conn.endpoint}</p>
+                                        <p className="text-xs text-slate-400 truncate">{conn.endpoint}{getMissingSecret(conn) && ' · secret not saved'}</p>
                                     </div>
                                     <div className="flex items-center flex-shrink-0">
                                         <button onClick={() => handleDeleteConnection(conn.id)} className="p-2 text-slate-500 hover:text-red-400 rounded-full hover:bg-slate-700"><Trash size={16}/></button>
@@ -228,6 +290,7 @@ const ConnectionManager = ({ onConnect, isConnecting, showAlert }) => {
                         <HardDrive className="mx-auto h-12 w-12 text-sky-400" />
                         <h1 className="mt-4 text-2xl font-bold text-slate-100">Connect to Minio</h1>
                         <p className="mt-2 text-sm text-slate-400">Enter new or select a saved connection.</p>
+                        {onCancel && <button type="button" onClick={onCancel} className="mt-3 text-sm text-sky-400 hover:text-sky-300">Back to open connections</button>}
                     </div>
                     <form onSubmit={handleSubmit} className="space-y-4">
                         <div>
@@ -239,21 +302,32 @@ const ConnectionManager = ({ onConnect, isConnecting, showAlert }) => {
                             <input type="text" value={publicEndpoint} onChange={(e) => setPublicEndpoint(e.target.value)} placeholder="e.g., https://s3.develon.com" className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" />
                             <p className="text-xs text-slate-500 mt-1">Leave empty to use the endpoint URL</p>
                         </div>
-                        <div>
-                            <label className="text-sm font-medium text-slate-300 block mb-2">Access Key ID</label>
-                            <input type="text" value={accessKey} onChange={(e) => setAccessKey(e.target.value)} placeholder="Your access key" className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" required />
-                        </div>
-                        <div>
-                            <label className="text-sm font-medium text-slate-300 block mb-2">Secret Access Key</label>
-                            <div className="relative">
-                                <input type={showSecret ? "text" : "password"} value={secretKey} onChange={(e) => setSecretKey(e.target.value)} placeholder="Your secret key" className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" required />
-                                <button type="button" onClick={() => setShowSecret(!showSecret)} className="absolute inset-y-0 right-0 px-3 flex items-center text-slate-400 hover:text-slate-200">{showSecret ? 'Hide' : 'Show'}</button>
-                            </div>
-                        </div>
+                        {options.authMode !== 'ldap' && (
+                            <>
+                                <div>
+                                    <label className="text-sm font-medium text-slate-300 block mb-2">Access Key ID</label>
+                                    <input type="text" value={accessKey} onChange={(e) => setAccessKey(e.target.value)} placeholder="Your access key" className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" required />
+                                </div>
+                                <div>
+                                    <label className="text-sm font-medium text-slate-300 block mb-2">Secret Access Key</label>
+                                    <div className="relative">
+                                        <input type={showSecret ? "text" : "password"} value={secretKey} onChange={(e) => setSecretKey(e.target.value)} placeholder="Your secret key" className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" required />
+                                        <button type="button" onClick={() => setShowSecret(!showSecret)} className="absolute inset-y-0 right-0 px-3 flex items-center text-slate-400 hover:text-slate-200">{showSecret ? 'Hide' : 'Show'}</button>
+                                    </div>
+                                </div>
+                            </>
+                        )}
+                        <AdvancedConnectionOptions options={options} onChange={(field, value) => setOptions(prev => ({ ...prev, [field]: value }))} />
                         
                         {testResult.message && (
                             <div className={`p-3 rounded-md text-sm ${testResult.type === 'success' ? 'bg-green-500/20 text-green-300' : 'bg-red-500/20 text-red-300'}`}>
-                                {testResult.message}
+                                <p className={testResult.details ? 'font-semibold' : ''}>{testResult.message}</p>
+                                {testResult.details && <p className="mt-1">{testResult.details}</p>}
+                                {testResult.fixes.length > 0 && (
+                                    <ul className="mt-2 list-disc pl-5 space-y-1 text-xs">
+                                        {testResult.fixes.map((fix, i) => <li key={i}>{fix}</li>)}
+                                    </ul>
+                                )}
                             </div>
                         )}
 
@@ -266,6 +340,10 @@ const ConnectionManager = ({ onConnect, isConnecting, showAlert }) => {
                                 <div className="mt-3">
                                     <label className="text-sm font-medium text-slate-300 block mb-2">Connection Name</label>
                                     <input type="text" value={connectionName} onChange={(e) => setConnectionName(e.target.value)} placeholder="e.g., Local Minio Server" className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" required />
+                                    <div className="flex items-center mt-3">
+                                        <input id="save-secret" type="checkbox" checked={saveSecret} onChange={(e) => setSaveSecret(e.target.checked)} className="h-4 w-4 rounded border-slate-500 bg-slate-700 text-sky-600 focus:ring-sky-500"/>
+                                        <label htmlFor="save-secret" className="ml-2 block text-sm text-slate-300">Save secrets <span className="text-slate-500">(secret key, session token and LDAP password; otherwise you are asked when connecting)</span></label>
+                                    </div>
                                 </div>
                              )}
                         </div>
@@ -283,18 +361,40 @@ const ConnectionManager = ({ onConnect, isConnecting, showAlert }) => {
                     </form>
                 </div>
             </div>
+            <Modal isOpen={!!secretPromptConnection} onClose={() => setSecretPromptConnection(null)} title={`Connect to "${secretPromptConnection?.name}"`}>
+                <form onSubmit={(e) => { e.preventDefault(); const conn = secretPromptConnection; setSecretPromptConnection(null); handleQuickConnect(conn, promptedSecret); }} className="space-y-4">
+                    <div>
+                        <label className="text-sm font-medium text-slate-300 block mb-2">{secretPromptConnection?.authMode === 'ldap' ? 'LDAP Password' : 'Secret Access Key'}</label>
+                        <input type="password" autoFocus value={promptedSecret} onChange={(e) => setPromptedSecret(e.target.value)} placeholder={`Secret for ${secretPromptConnection?.authMode === 'ldap' ? secretPromptConnection.ldapUsername : secretPromptConnection?.accessKey}`} className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" required />
+                    </div>
+                    <div className="flex justify-end space-x-3">
+                        <button type="button" onClick={() => setSecretPromptConnection(null)} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-500 text-white font-semibold transition">Cancel</button>
+                        <button type="submit" className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition">Connect</button>
+                    </div>
+                </form>
+            </Modal>
+            <ChangePassphraseModal isOpen={isChangePassphraseOpen} onClose={() => setIsChangePassphraseOpen(false)} onChangePassphrase={vault.changePassphrase} showAlert={showAlert} />
         </div>
     );
 };
 
 function App() {
     const [searchParams, setSearchParams] = useSearchParams();
+    const activeSessionId = searchParams.get('conn');
     const selectedBucket = searchParams.get('bucket');
     const prefix = searchParams.get('prefix') ?? '';
 
+    const navigateTo = useCallback((bucket, newPrefix) => {
+        setSearchParams(prev => {
+            const next = new URLSearchParams(buildLocationParams(activeSessionId, bucket, newPrefix));
+            if (bucket && bucket === prev.get('bucket')) VIEW_PARAMS.forEach(name => prev.has(name) && next.set(name, prev.get(name)));
+            return next;
+        });
+    }, [activeSessionId, setSearchParams]);
+
     const setSelectedBucket = useCallback((bucket) => {
-        setSearchParams(bucket ? { bucket } : {});
-    }, [setSearchParams]);
+        navigateTo(bucket);
+    }, [navigateTo]);
 
     const setPrefix = useCallback((newPrefix) => {
         setSearchParams(prev => {
@@ -305,14 +405,37 @@ function App() {
         });
     }, [setSearchParams]);
 
-    const [s3Client, setS3Client] = useState(null);
+    const { activityEntries, droppedActivityCount, recordCall, clearLog, exportLog } = useActivityLog();
+    const { sessions, openSession, closeSession } = useConnectionSessions(recordCall);
+    const { jobs, startJob, retryFailed, cancelJob, recordFinishedJob, clearFinishedJobs } = useJobs();
+    const activeSession = sessions.find(s => s.id === activeSessionId) ?? null;
+    const { sort, foldersFirst, viewMode, columns, widths, searchQuery, toggleSort, setFoldersFirst, setViewMode, toggleColumn, setColumnWidth, setSearchQuery } = useObjectTableView(activeSession?.endpoint ?? null, selectedBucket);
+    const isOwnerShown = columns.some(c => c.id === 'owner');
+    const { getReport, getProgress, calculateUsage, cancelUsage } = useStorageUsage(s3Client, activeSession?.endpoint ?? null);
+    const [usageTarget, setUsageTarget] = useState(null); // { bucket, prefix } shown in the storage usage view
+    const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
+    const searchInputRef = useRef(null);
+    const s3Client = activeSession?.s3Client ?? null;
+    const presignClient = activeSession?.presignClient ?? null;
+    const publicEndpoint = activeSession?.publicEndpoint ?? null;
+    const [isAddingConnection, setIsAddingConnection] = useState(false);
+    // Last location of every tab, restored when switching back to it
+    const sessionLocationsRef = useRef(new Map());
     const [buckets, setBuckets] = useState([]);
     const [objects, setObjects] = useState([]);
     const [isLoadingBuckets, setIsLoadingBuckets] = useState(false);
     const [isLoadingObjects, setIsLoadingObjects] = useState(false);
-    const [uploadingFiles, setUploadingFiles] = useState([]);
+    const [isLoadingMoreObjects, setIsLoadingMoreObjects] = useState(false);
+    const [nextContinuationToken, setNextContinuationToken] = useState(null);
+    const listRequestRef = useRef(0);
+    // Prefix of the listing currently in `objects`, which lags behind `prefix` while a listing loads
+    const listedPrefixRef = useRef(null);
+    const [uploadSettings, setUploadSettings] = useLocalStorage('upload-settings', { fileConcurrency: 3, partConcurrency: 4 });
     const [selectedItems, setSelectedItems] = useState([]);
-    const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+    const [deleteRequest, setDeleteRequest] = useState(null); // keys awaiting confirmation
+    const [recycleBinSettings, setRecycleBinSettings] = useLocalStorage('recycle-bin', { enabled: false, purgeAfterDays: 30 });
+    const [isTrashOpen, setIsTrashOpen] = useState(false);
+    const [isJobsPanelOpen, setIsJobsPanelOpen] = useState(false);
     const [isCreateFolderModalOpen, setIsCreateFolderModalOpen] = useState(false);
     const [newFolderName, setNewFolderName] = useState('');
     const [isRenameModalOpen, setIsRenameModalOpen] = useState(false);
@@ -320,56 +443,101 @@ function App() {
     const [renameValue, setRenameValue] = useState('');
     const [draggedKey, setDraggedKey] = useState(null);
     const [dropTargetKey, setDropTargetKey] = useState(null);
+    const [isFileDragOver, setIsFileDragOver] = useState(false);
+    const [isZipping, setIsZipping] = useState(false);
     const [openMenuKey, setOpenMenuKey] = useState(null);
     const draggedKeyRef = useRef(null);
-    const [searchQuery, setSearchQuery] = useState("");
-    const [savedConnections, setSavedConnections] = useLocalStorage('minio-connections', []);
-    const [connectionEndpoint, setConnectionEndpoint] = useState(null);
-    const [publicEndpoint, setPublicEndpoint] = useState(null);
+    const [isCreateBucketModalOpen, setIsCreateBucketModalOpen] = useState(false);
+    const [newBucketName, setNewBucketName] = useState('');
+    const [newBucketRegion, setNewBucketRegion] = useState('');
+    const [newBucketObjectLock, setNewBucketObjectLock] = useState(false);
+    const [bucketToDelete, setBucketToDelete] = useState(null);
+    const [isSubmittingBucket, setIsSubmittingBucket] = useState(false);
+    const [shareTargetKey, setShareTargetKey] = useState(null);
+    const [uploadLinkPrefix, setUploadLinkPrefix] = useState(null);
+    const [showVersions, setShowVersions] = useState(false);
+    const [versionsPanelKey, setVersionsPanelKey] = useState(null);
+    const [versionsRefreshToken, setVersionsRefreshToken] = useState(0);
+    const [versionToDelete, setVersionToDelete] = useState(null);
+    const [propertiesKey, setPropertiesKey] = useState(null);
+    const [isSearchPanelOpen, setIsSearchPanelOpen] = useState(false);
+    const [revealKey, setRevealKey] = useState(null);
+    const [bucketSettings, setBucketSettings] = useState(null); // { bucket, tab, rulePrefix? }
+    const connectionVault = useConnectionVault();
+    const { savedConnections, saveConnections } = connectionVault;
+    const [transferItems, setTransferItems] = useState(null);
+    const [isStartingTransfer, setIsStartingTransfer] = useState(false);
     
     const { alertData, showAlert, hideAlert } = useAlert();
+    const { listVersionsPage, listKeyVersions, restoreVersion, deleteVersion } = useObjectVersions(s3Client, selectedBucket);
+    const { loadProperties, saveMetadata, saveTags } = useObjectProperties(s3Client, selectedBucket);
+    const { downloadObject, downloadAsZip } = useDownloads(s3Client, selectedBucket);
+    const { bucketPolicies, loadPolicy, savePolicy } = useBucketPolicies(s3Client, buckets);
+    const { loadLifecycleRules, saveLifecycleRules } = useBucketLifecycle(s3Client);
+    const { loadCorsRules, saveCorsRules } = useBucketCors(s3Client);
+    const { searchResults, scannedCount, isSearching, isResultLimitReached, startSearch, cancelSearch } = useRecursiveSearch(s3Client, selectedBucket, showAlert);
 
     const handleConnect = useCallback(async (connectionDetails, saveConfig) => {
+        let session;
         try {
-            const client = new S3Client({
-                endpoint: connectionDetails.endpoint,
-                region: 'us-east-1',
-                credentials: { accessKeyId: connectionDetails.accessKey, secretAccessKey: connectionDetails.secretKey },
-                forcePathStyle: true,
-            });
-            await client.send(new ListBucketsCommand({}));
-            
-            if (saveConfig) {
-                const existingIndex = savedConnections.findIndex(c => c.name === saveConfig.name);
-                if (existingIndex > -1) {
-                    const updatedConnections = [...savedConnections];
-                    updatedConnections[existingIndex] = { ...saveConfig, id: savedConnections[existingIndex].id };
-                    setSavedConnections(updatedConnections);
-                } else {
-                    setSavedConnections([...savedConnections, { ...saveConfig, id: Date.now() }]);
-                }
-                 showAlert(`Connection "${saveConfig.name}" saved!`, 'success');
+            session = await openSession({ ...connectionDetails, name: connectionDetails.name || saveConfig?.name });
+        } catch (error) {
+            const { title } = await diagnoseConnectionError(error, connectionDetails.endpoint);
+            showAlert(`Connection failed: ${title}. Use "Test" for details.`, 'error');
+            return;
+        }
+
+        if (saveConfig) {
+            const existingIndex = savedConnections.findIndex(c => c.name === saveConfig.name);
+            const updatedConnections = [...savedConnections];
+            if (existingIndex > -1) {
+                updatedConnections[existingIndex] = { ...saveConfig, id: savedConnections[existingIndex].id };
+            } else {
+                updatedConnections.push({ ...saveConfig, id: Date.now() });
             }
+            try {
+                await saveConnections(updatedConnections);
+                showAlert(`Connection "${saveConfig.name}" saved!`, 'success');
+            } catch (err) {
+                showAlert(`Connected, but "${saveConfig.name}" could not be saved: the vault is locked.`, 'error');
+            }
+        }
 
-            setS3Client(client);
-            setConnectionEndpoint(connectionDetails.endpoint);
-            setPublicEndpoint(connectionDetails.publicEndpoint || connectionDetails.endpoint);
-        } catch (error) {
-            showAlert(`Connection failed: ${error.name}.`, 'error');
+        setIsAddingConnection(false);
+        // A link that already points at this connection keeps its bucket and prefix
+        setSearchParams(prev => prev.get('conn') === session.id ? prev : buildLocationParams(session.id));
+    }, [openSession, savedConnections, saveConnections, showAlert, setSearchParams]);
+
+    const switchSession = useCallback((id) => {
+        const { bucket, prefix: savedPrefix } = sessionLocationsRef.current.get(id) ?? {};
+        setIsAddingConnection(false);
+        setSearchParams(buildLocationParams(id, bucket, savedPrefix));
+    }, [setSearchParams]);
+
+    const handleDisconnect = useCallback((id) => {
+        const session = sessions.find(s => s.id === id);
+        if (!session) return;
+        closeSession(id);
+        sessionLocationsRef.current.delete(id);
+        if (id === activeSessionId) {
+            setBuckets([]);
+            setObjects([]);
+            setSelectedItems([]);
+            const remaining = sessions.filter(s => s.id !== id);
+            if (remaining.length > 0) switchSession(remaining[0].id);
+            else setSearchParams({});
         }
-    }, [savedConnections, setSavedConnections, showAlert]);
+        showAlert(`Disconnected from "${session.label}".`, 'info');
+    }, [sessions, activeSessionId, closeSession, switchSession, showAlert, setSearchParams]);
 
-    const handleDisconnect = useCallback(() => {
-        setS3Client(null);
-        setConnectionEndpoint(null);
-        setPublicEndpoint(null);
-        setBuckets([]);
-        setObjects([]);
-        setSelectedItems([]);
-        setSearchQuery('');
-        setSearchParams({});
-        showAlert('Disconnected.', 'info');
-    }, [showAlert, setSearchParams]);
+    useEffect(() => {
+        if (activeSession) sessionLocationsRef.current.set(activeSession.id, { bucket: selectedBucket, prefix });
+    }, [activeSession, selectedBucket, prefix]);
+
+    // A URL naming no open connection (an old link, or a closed tab) falls back to the first tab
+    useEffect(() => {
+        if (!activeSession && sessions.length > 0) switchSession(sessions[0].id);
+    }, [activeSession, sessions, switchSession]);
 
     const fetchBuckets = useCallback(async () => {
         if (!s3Client) return;
@@ -384,131 +552,322 @@ function App() {
         }
     }, [s3Client, showAlert]);
 
+    const listObjectsPage = useCallback(async (bucket, currentPrefix, continuationToken) => {
+        if (showVersions) {
+            const page = await listVersionsPage(currentPrefix, continuationToken);
+            return { ...page, items: page.items.filter(i => !isTrashKey(i.Key)) };
+        }
+        const command = new ListObjectsV2Command({ Bucket: bucket, Prefix: currentPrefix, Delimiter: '/', ContinuationToken: continuationToken, FetchOwner: isOwnerShown || undefined });
+        const { Contents, CommonPrefixes, IsTruncated, NextContinuationToken } = await s3Client.send(command);
+        // The recycle bin lives in a hidden folder at the bucket root
+        const folders = (CommonPrefixes || []).filter(p => !isTrashKey(p.Prefix)).map(p => ({ Key: p.Prefix, isFolder: true }));
+        const files = (Contents || []).filter(c => c.Key !== currentPrefix).map(c => ({ ...c, isFolder: false }));
+        return { items: [...folders, ...files], nextToken: IsTruncated ? NextContinuationToken : null };
+    }, [s3Client, showVersions, listVersionsPage, isOwnerShown]);
+
     const fetchObjects = useCallback(async (bucket, currentPrefix) => {
         if (!s3Client || !bucket) return;
+        // Every listing gets an id so pages of a superseded listing are dropped
+        const requestId = ++listRequestRef.current;
         setIsLoadingObjects(true);
+        setIsLoadingMoreObjects(false);
+        setNextContinuationToken(null);
         setSelectedItems([]);
-        setSearchQuery("");
         try {
-            const command = new ListObjectsV2Command({ Bucket: bucket, Prefix: currentPrefix, Delimiter: '/' });
-            const { Contents, CommonPrefixes } = await s3Client.send(command);
-            const folders = (CommonPrefixes || []).map(p => ({ Key: p.Prefix, isFolder: true }));
-            const files = (Contents || []).filter(c => c.Key !== currentPrefix).map(c => ({ ...c, isFolder: false }));
-            setObjects([...folders, ...files]);
+            const { items, nextToken } = await listObjectsPage(bucket, currentPrefix);
+            if (requestId !== listRequestRef.current) return;
+            listedPrefixRef.current = currentPrefix;
+            setObjects(items);
+            setNextContinuationToken(nextToken);
         } catch (error) {
-            showAlert(`Could not list objects in ${bucket}.`, 'error');
+            if (requestId === listRequestRef.current) showAlert(`Could not list objects in ${bucket}.`, 'error');
         } finally {
-            setIsLoadingObjects(false);
+            if (requestId === listRequestRef.current) setIsLoadingObjects(false);
         }
-    }, [s3Client, showAlert]);
+    }, [s3Client, listObjectsPage, showAlert]);
 
-     const handleFileUpload = async (files) => {
-        if (!s3Client || !selectedBucket || !files.length) return;
+    const loadMoreObjects = useCallback(async (loadAll = false) => {
+        if (!nextContinuationToken || isLoadingMoreObjects) return;
+        const requestId = listRequestRef.current;
+        setIsLoadingMoreObjects(true);
+        try {
+            let token = nextContinuationToken;
+            do {
+                const { items, nextToken } = await listObjectsPage(selectedBucket, prefix, token);
+                if (requestId !== listRequestRef.current) return;
+                setObjects(prev => [...prev, ...items]);
+                setNextContinuationToken(nextToken);
+                token = nextToken;
+            } while (loadAll && token);
+        } catch (error) {
+            if (requestId === listRequestRef.current) showAlert(`Could not list more objects in ${selectedBucket}.`, 'error');
+        } finally {
+            if (requestId === listRequestRef.current) setIsLoadingMoreObjects(false);
+        }
+    }, [selectedBucket, prefix, nextContinuationToken, isLoadingMoreObjects, listObjectsPage, showAlert]);
 
-        for (const file of files) {
-            const uploadId = `${file.name}-${Date.now()}`;
-            const key = `${prefix}${file.name}`;
-            
-            setUploadingFiles(prev => [...prev, { id: uploadId, name: file.name, progress: 0 }]);
-            
-            try {
-                const parallelUploads3 = new Upload({
-                    client: s3Client,
-                    params: { Bucket: selectedBucket, Key: key, Body: file },
-                });
-
-                parallelUploads3.on("httpUploadProgress", (progress) => {
-                     const percent = progress.total ? Math.round((progress.loaded / progress.total) * 100) : 0;
-                     setUploadingFiles(prev => prev.map(f => f.id === uploadId ? { ...f, progress: percent } : f));
-                });
-
-                await parallelUploads3.done();
-                showAlert(`File "${file.name}" uploaded successfully.`, 'success');
-                fetchObjects(selectedBucket, prefix);
-            } catch (err) {
-                showAlert(`Failed to upload "${file.name}".`, 'error');
-            } finally {
-                setUploadingFiles(prev => prev.filter(f => f.id !== uploadId));
-            }
+    /**
+     * @param {Array<{file: File, relativePath: string}>} entries - see uploadUtils
+     * @param {string} [targetPrefix] - defaults to the open prefix; a folder row drop passes that folder's key
+     */
+    const handleFileUpload = async (entries, targetPrefix = prefix) => {
+        if (!s3Client || !selectedBucket || !entries.length) return;
+        try {
+            await enqueueUploads(entries, selectedBucket, targetPrefix);
+        } catch (err) {
+            showAlert('Failed to queue the upload.', 'error');
+        }
+    };
+
+    const handleOsFileDrop = async (e, targetPrefix) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setIsFileDragOver(false);
+        setDropTargetKey(null);
+        try {
+            const entries = await collectDroppedFiles(e.dataTransfer);
+            handleFileUpload(entries, targetPrefix);
+        } catch (err) {
+            showAlert('Could not read the dropped files.', 'error');
         }
     };
     
-    const handleDeleteSelected = async () => {
-        if (!s3Client || !selectedBucket || selectedItems.length === 0) return;
+    // The queue refreshes the listing once when it runs empty instead of after every file
+    const handleUploadQueueDrained = ({ buckets: touchedBuckets, done, failed }) => {
+        if (failed > 0) showAlert(`${failed} file(s) failed to upload.`, 'error');
+        else if (done > 0) showAlert(`${done} file(s) uploaded successfully.`, 'success');
+        if (touchedBuckets.includes(selectedBucket)) fetchObjects(selectedBucket, prefix);
+    };
 
-        let allKeysToDelete = [];
-        const getAllKeysInPrefix = async (prefixToDelete) => {
-            let keys = [];
-            let continuationToken;
-            do {
-                const command = new ListObjectsV2Command({ Bucket: selectedBucket, Prefix: prefixToDelete, ContinuationToken: continuationToken });
-                const response = await s3Client.send(command);
-                if (response.Contents) keys.push(...response.Contents.map(item => item.Key));
-                continuationToken = response.NextContinuationToken;
-            } while (continuationToken);
-            return keys;
-        };
+    const {
+        uploadItems, uploadStats, isUploadQueuePaused, isCheckingConflicts, pendingConflicts,
+        enqueueUploads, resolveConflicts, cancelUpload, pauseUpload, resumeUpload, retryUpload,
+        pauseAll, resumeAll, cancelAll, clearFinished,
+    } = useUploadQueue(s3Client, uploadSettings, handleUploadQueueDrained);
+
+    // A failed Keep Both leaves the files in the prompt, so another choice can be made
+    const handleResolveUploadConflicts = (policy) => resolveConflicts(policy).catch(error => {
+        showAlert(`Could not find free names for the files: ${error.name}.`, 'error');
+    });
 
-        for (const key of selectedItems) {
-            if (key.endsWith('/')) { // Folder
-                allKeysToDelete.push(...await getAllKeysInPrefix(key));
-            } else { // File
-                allKeysToDelete.push(key);
+    const { isVersioned, moveToTrash, listTrash, restoreEntry, purgeEntry, purgeExpiredOnce } = useRecycleBin(s3Client);
+
+    // Toast actions outlive the render that created them, so they refresh whatever listing is open by then
+    const refreshListingRef = useRef(null);
+    refreshListingRef.current = () => fetchObjects(selectedBucket, prefix);
+
+    /** @param {(bucket: string, entry: object) => Promise<{ restored: number, skipped: number }>} restore - bound to the connection the entry was deleted on */
+    const restoreDeletion = async (restore, bucket, entry) => {
+        try {
+            const { restored, skipped } = await restore(bucket, entry);
+            if (skipped > 0) showAlert(`${restored} object(s) restored; ${skipped} stayed in the recycle bin because their path is in use again or could not be written.`, 'warning');
+            else showAlert(`${restored} object(s) restored.`, 'success');
+        } catch (error) {
+            showAlert(`Failed to restore: ${error.name}.`, 'error');
+        } finally {
+            refreshListingRef.current();
+        }
+    };
+
+    const handlePurgeTrashEntries = async (entries) => {
+        try {
+            for (const entry of entries) await purgeEntry(selectedBucket, entry);
+            showAlert(`${entries.length} deletion(s) purged permanently.`, 'success');
+        } catch (error) {
+            showAlert(`Failed to purge: ${error.name}.`, 'error');
+        }
+    };
+
+    const handleConfirmDelete = async () => {
+        const keys = deleteRequest;
+        setDeleteRequest(null);
+        if (!s3Client || !selectedBucket || !keys?.length) return;
+        const bucket = selectedBucket;
+        const location = `${bucket}/${prefix}`;
+
+        // Deletes run as jobs: progress, failed keys and retries stay in the jobs panel
+        if (recycleBinSettings.enabled && !showVersions) {
+            const keySet = new Set(keys);
+            const items = objects.filter(o => keySet.has(o.Key));
+            const deletions = [];
+            startJob({
+                kind: 'trash',
+                label: `Move ${items.length} item(s) from ${location} to the recycle bin`,
+                items,
+                itemLabel: (item) => item.Key,
+                // Folders are expanded inside moveToTrash, so the whole selection is one deletion (and one Undo)
+                batchSize: items.length,
+                runBatch: async (batch, signal) => {
+                    const entry = await moveToTrash(bucket, batch, signal);
+                    deletions.push(entry);
+                    return entry.failed.map(f => ({ item: { Key: f.key, Size: f.size, isFolder: false }, error: f.error }));
+                },
+                onFinished: (job) => {
+                    const count = deletions.reduce((sum, entry) => sum + entry.objects.length, 0);
+                    const undo = { label: 'Undo', onClick: () => deletions.forEach(entry => restoreDeletion(restoreEntry, bucket, entry)) };
+                    if (job.status === 'cancelled') showAlert(`Move to the recycle bin cancelled after ${count} object(s).`, 'info', UNDO_ALERT_DURATION, count > 0 ? undo : null);
+                    else if (job.failures.length > 0) showAlert(`${count} object(s) moved to the recycle bin; ${job.failures.length} could not be deleted. See the jobs panel.`, 'error', UNDO_ALERT_DURATION, undo);
+                    else showAlert(`${count} object(s) moved to the recycle bin.`, 'success', UNDO_ALERT_DURATION, undo);
+                    refreshListingRef.current();
+                },
+            });
+            return;
+        }
+
+        let allKeysToDelete = [];
+        try {
+            for (const key of keys) {
+                if (key.endsWith('/')) { // Folder
+                    allKeysToDelete.push(...await collectAllKeysInPrefix(key));
+                } else { // File
+                    allKeysToDelete.push(key);
+                }
             }
+        } catch (error) {
+            showAlert(`Could not list the objects to delete: ${error.name}.`, 'error');
+            return;
         }
         
         allKeysToDelete = [...new Set(allKeysToDelete)];
         if (allKeysToDelete.length === 0) {
-            setIsDeleteModalOpen(false);
+            fetchObjects(selectedBucket, prefix);
             return;
         }
 
+        startJob({
+            kind: 'delete',
+            label: `Delete ${allKeysToDelete.length} object(s) from ${location}`,
+            items: allKeysToDelete,
+            itemLabel: (key) => key,
+            batchSize: 1000,
+            runBatch: async (batch, signal) => {
+                const errors = await deleteKeyBatch(s3Client, bucket, batch, signal);
+                return errors.map(e => ({ item: e.key, error: e.error }));
+            },
+            onFinished: (job) => {
+                if (job.status === 'cancelled') showAlert(`Delete cancelled after ${job.done} object(s).`, 'info');
+                else if (job.failures.length > 0) showAlert(`${job.done} object(s) deleted; ${job.failures.length} failed. See the jobs panel.`, 'error');
+                else showAlert(`${job.done} object(s) deleted successfully.`, 'success');
+                refreshListingRef.current();
+            },
+        });
+    };
+
+    // Old deletions are purged the first time a bucket is opened on a connection
+    useEffect(() => {
+        if (!s3Client || !selectedBucket) return;
+        purgeExpiredOnce(selectedBucket, recycleBinSettings.purgeAfterDays).catch(error => console.error(error));
+    }, [s3Client, selectedBucket, recycleBinSettings.purgeAfterDays, purgeExpiredOnce]);
+
+    const collectAllKeysInPrefix = useCallback((prefixToScan, bucket = selectedBucket) => {
+        return listAllKeys(s3Client, bucket, prefixToScan);
+    }, [s3Client, selectedBucket]);
+
+    const openCreateBucketModal = useCallback(() => {
+        setNewBucketName('');
+        setNewBucketRegion('');
+        setNewBucketObjectLock(false);
+        setIsCreateBucketModalOpen(true);
+    }, []);
+
+    const handleCreateBucket = useCallback(async () => {
+        const name = newBucketName.trim();
+        const validationError = validateBucketName(name);
+        if (validationError) { showAlert(validationError, 'error'); return; }
+        if (buckets.some(b => b.Name === name)) { showAlert(`Bucket "${name}" already exists.`, 'error'); return; }
+
+        setIsSubmittingBucket(true);
         try {
-            await batchDeleteKeys(allKeysToDelete);
-            showAlert(`${allKeysToDelete.length} item(s) deleted successfully.`, 'success');
+            await s3Client.send(new CreateBucketCommand(buildCreateBucketInput(name, newBucketRegion, newBucketObjectLock)));
+            showAlert(`Bucket "${name}" created successfully.`, 'success');
+            setIsCreateBucketModalOpen(false);
+            await fetchBuckets();
+            navigateTo(name);
         } catch (error) {
-            showAlert('Failed to delete items.', 'error');
+            showAlert(`Failed to create bucket "${name}": ${error.name}.`, 'error');
         } finally {
-            setIsDeleteModalOpen(false);
-            fetchObjects(selectedBucket, prefix);
+            setIsSubmittingBucket(false);
         }
-    };
+    }, [s3Client, buckets, newBucketName, newBucketRegion, newBucketObjectLock, showAlert, fetchBuckets, navigateTo]);
 
-    const collectAllKeysInPrefix = useCallback(async (prefixToScan) => {
-        let keys = [];
-        let continuationToken;
-        do {
-            const resp = await s3Client.send(new ListObjectsV2Command({ Bucket: selectedBucket, Prefix: prefixToScan, ContinuationToken: continuationToken }));
-            if (resp.Contents) keys.push(...resp.Contents.map(c => c.Key));
-            continuationToken = resp.NextContinuationToken;
-        } while (continuationToken);
-        return keys;
-    }, [s3Client, selectedBucket]);
+    const openDeleteBucketModal = useCallback((bucketName) => {
+        setBucketToDelete({ name: bucketName, isNotEmpty: false });
+    }, []);
 
-    const batchDeleteKeys = useCallback(async (keys) => {
-        // S3 DeleteObjectsCommand supports max 1000 objects per request
-        const BATCH_SIZE = 1000;
-        for (let i = 0; i < keys.length; i += BATCH_SIZE) {
-            const batch = keys.slice(i, i + BATCH_SIZE);
-            await s3Client.send(new DeleteObjectsCommand({ 
-                Bucket: selectedBucket, 
-                Delete: { Objects: batch.map(Key => ({ Key })) } 
-            }));
-        }
-    }, [s3Client, selectedBucket]);
+    // Emptying a bucket runs as a job, which may finish after the open bucket has changed
+    const bucketDeletedRef = useRef(null);
+    bucketDeletedRef.current = (bucketName) => {
+        if (selectedBucket === bucketName) navigateTo(null);
+        fetchBuckets();
+    };
+
+    // Every version and delete marker is deleted by id, so versioned buckets end up empty too
+    const startEmptyBucketJob = useCallback((bucketName, versions) => {
+        const client = s3Client;
+        startJob({
+            kind: 'delete',
+            label: `Empty and delete bucket "${bucketName}"`,
+            items: versions,
+            itemLabel: (version) => (version.VersionId && version.VersionId !== 'null' ? `${version.Key} (version ${version.VersionId})` : version.Key),
+            batchSize: 1000,
+            runBatch: async (batch, signal) => {
+                const errors = await deleteVersionBatch(client, bucketName, batch, signal);
+                return errors.map(e => ({
+                    item: batch.find(v => v.Key === e.key && (v.VersionId ?? 'null') === (e.versionId ?? 'null')) ?? { Key: e.key, VersionId: e.versionId },
+                    error: e.error,
+                }));
+            },
+            // The bucket is deleted only once every version is gone; retrying the failed versions tries again
+            onFinished: async (job) => {
+                if (job.status === 'cancelled') {
+                    showAlert(`Emptying bucket "${bucketName}" cancelled after ${job.done} object version(s); the bucket was kept.`, 'info');
+                } else if (job.failures.length > 0) {
+                    showAlert(`${job.failures.length} object version(s) in bucket "${bucketName}" could not be deleted, so the bucket was kept. See the jobs panel.`, 'error');
+                } else {
+                    try {
+                        await client.send(new DeleteBucketCommand({ Bucket: bucketName }));
+                        showAlert(`Bucket "${bucketName}" deleted successfully.`, 'success');
+                        bucketDeletedRef.current(bucketName);
+                        return;
+                    } catch (error) {
+                        showAlert(error.name === 'BucketNotEmpty'
+                            ? `Bucket "${bucketName}" was emptied but is not empty any more; objects may have been added in the meantime.`
+                            : `Bucket "${bucketName}" was emptied but could not be deleted: ${error.name}.`, 'error');
+                    }
+                }
+                refreshListingRef.current();
+            },
+        });
+    }, [s3Client, startJob, showAlert]);
 
-    const handleDeleteItem = useCallback(async (key, isFolder) => {
-        const keysToDelete = isFolder ? await collectAllKeysInPrefix(key) : [key];
-        if (keysToDelete.length === 0) { fetchObjects(selectedBucket, prefix); return; }
+    const handleDeleteBucket = useCallback(async (emptyFirst) => {
+        const bucketName = bucketToDelete.name;
+        setIsSubmittingBucket(true);
         try {
-            await batchDeleteKeys(keysToDelete);
-            showAlert('Deleted successfully.', 'success');
+            if (emptyFirst) {
+                const versions = await listAllVersions(s3Client, bucketName, '');
+                if (versions.length > 0) {
+                    setBucketToDelete(null);
+                    startEmptyBucketJob(bucketName, versions);
+                    return;
+                }
+            }
+            await s3Client.send(new DeleteBucketCommand({ Bucket: bucketName }));
+            showAlert(`Bucket "${bucketName}" deleted successfully.`, 'success');
+            setBucketToDelete(null);
+            bucketDeletedRef.current(bucketName);
         } catch (error) {
-            showAlert('Failed to delete.', 'error');
+            if (error.name === 'BucketNotEmpty') {
+                // Ask before emptying
+                setBucketToDelete({ name: bucketName, isNotEmpty: true });
+                if (emptyFirst) showAlert(`Bucket "${bucketName}" is not empty any more; objects may have been added in the meantime.`, 'error');
+            } else {
+                showAlert(`Failed to delete bucket "${bucketName}": ${error.name}.`, 'error');
+            }
         } finally {
-            fetchObjects(selectedBucket, prefix);
+            setIsSubmittingBucket(false);
         }
-    }, [selectedBucket, prefix, collectAllKeysInPrefix, batchDeleteKeys, showAlert, fetchObjects]);
+    }, [s3Client, bucketToDelete, startEmptyBucketJob, showAlert]);
 
     const openRenameModal = useCallback((obj) => {
         const currentName = obj.Key.replace(prefix, '').replace(/\/$/, '');
@@ -517,6 +876,29 @@ function App() {
         setIsRenameModalOpen(true);
     }, [prefix]);
 
+    // Moves and renames run in the background; the listing refreshes when one finishes
+    const handleMoveJobFinished = ({ label, outcome, error, total, copied, sourceBucket, targetBucket }) => {
+        // Failed moves stay in the move list until they are resumed, rolled back or discarded
+        if (outcome !== 'failed') recordFinishedJob({ kind: 'move', label, status: outcome === 'done' ? 'done' : 'cancelled', total, done: outcome === 'done' ? total : copied });
+        if (outcome === 'done') showAlert(`${label}: done.`, 'success');
+        else if (outcome === 'rolled-back') showAlert(`${label}: rolled back.`, 'info');
+        else showAlert(`${label} stopped (${error}). Resume or roll it back from the moves panel.`, 'error');
+        if (sourceBucket === selectedBucket || targetBucket === selectedBucket) fetchObjects(selectedBucket, prefix);
+    };
+
+    const { moveJobs, startMove, resumeJob, interruptJob, rollbackJob, discardJob } = useMoveJobs(s3Client, activeSession?.endpoint ?? null, handleMoveJobFinished);
+
+    const startMoveJob = useCallback(async (spec) => {
+        try {
+            const started = await startMove({ ...spec, sourceBucket: selectedBucket, targetBucket: selectedBucket });
+            if (started) showAlert(`${spec.label} started.`, 'info');
+            return true;
+        } catch (error) {
+            showAlert(error.name === 'TargetExists' ? error.message : `${spec.label} failed: ${error.name}`, 'error');
+            return false;
+        }
+    }, [selectedBucket, startMove, showAlert]);
+
     const handleRenameItem = useCallback(async () => {
         const trimmedName = renameValue.trim();
         if (!trimmedName) { showAlert('Name cannot be empty.', 'error'); return; }
@@ -528,27 +910,11 @@ function App() {
 
         if (oldKey === newKey) { setIsRenameModalOpen(false); return; }
 
-        try {
-            if (!isFolder) {
-                await s3Client.send(new CopyObjectCommand({ Bucket: selectedBucket, CopySource: encodeCopySource(selectedBucket, oldKey), Key: newKey }));
-                await s3Client.send(new DeleteObjectsCommand({ Bucket: selectedBucket, Delete: { Objects: [{ Key: oldKey }] } }));
-            } else {
-                const keys = await collectAllKeysInPrefix(oldKey);
-                for (const k of keys) {
-                    const newObjKey = newKey + k.slice(oldKey.length);
-                    await s3Client.send(new CopyObjectCommand({ Bucket: selectedBucket, CopySource: encodeCopySource(selectedBucket, k), Key: newObjKey }));
-                }
-                if (keys.length > 0) {
-                    await batchDeleteKeys(keys);
-                }
-            }
-            showAlert(`Renamed to "${trimmedName}" successfully.`, 'success');
+        const oldName = oldKey.slice(prefix.length).replace(/\/$/, '');
+        if (await startMoveJob({ sourceKey: oldKey, targetKey: newKey, isFolder, label: `Rename "${oldName}" to "${trimmedName}"` })) {
             setIsRenameModalOpen(false);
-            fetchObjects(selectedBucket, prefix);
-        } catch (error) {
-            showAlert('Failed to rename.', 'error');
         }
-    }, [s3Client, selectedBucket, prefix, renameTarget, renameValue, collectAllKeysInPrefix, batchDeleteKeys, showAlert, fetchObjects]);
+    }, [prefix, renameTarget, renameValue, showAlert, startMoveJob]);
 
     const handleMoveItem = useCallback(async (sourceKey, targetFolderKey) => {
         const isFolder = sourceKey.endsWith('/');
@@ -560,26 +926,8 @@ function App() {
             showAlert('Cannot move a folder into itself.', 'error');
             return;
         }
-        try {
-            if (!isFolder) {
-                await s3Client.send(new CopyObjectCommand({ Bucket: selectedBucket, CopySource: encodeCopySource(selectedBucket, sourceKey), Key: newKey }));
-                await s3Client.send(new DeleteObjectsCommand({ Bucket: selectedBucket, Delete: { Objects: [{ Key: sourceKey }] } }));
-            } else {
-                const keys = await collectAllKeysInPrefix(sourceKey);
-                for (const k of keys) {
-                    const destKey = newKey + k.slice(sourceKey.length);
-                    await s3Client.send(new CopyObjectCommand({ Bucket: selectedBucket, CopySource: encodeCopySource(selectedBucket, k), Key: destKey }));
-                }
-                if (keys.length > 0) {
-                    await batchDeleteKeys(keys);
-                }
-            }
-            showAlert('Moved successfully.', 'success');
-            fetchObjects(selectedBucket, prefix);
-        } catch (error) {
-            showAlert('Failed to move item.', 'error');
-        }
-    }, [s3Client, selectedBucket, prefix, collectAllKeysInPrefix, batchDeleteKeys, showAlert, fetchObjects]);
+        await startMoveJob({ sourceKey, targetKey: newKey, isFolder, label: `Move "${name}" to "/${targetFolderKey}"` });
+    }, [showAlert, startMoveJob]);
 
     const handleCreateFolder = useCallback(async () => {
         const trimmedName = newFolderName.trim();
@@ -603,38 +951,169 @@ function App() {
         }
     }, [s3Client, selectedBucket, prefix, newFolderName, showAlert, fetchObjects]);
 
-    const handleDownload = async (key) => {        if (!s3Client || !selectedBucket) return;
+    const handleDownload = async (key, versionId) => {
+        if (!s3Client || !selectedBucket) return;
         try {
-            const command = new GetObjectCommand({ Bucket: selectedBucket, Key: key });
-            const response = await s3Client.send(command);
-            
-            const data = await response.Body.transformToByteArray();
-            const blob = new Blob([data], { type: response.ContentType });
-            const url = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.setAttribute('download', key.split('/').pop());
-            document.body.appendChild(link);
-            link.click();
-            link.parentNode.removeChild(link);
-            window.URL.revokeObjectURL(url);
-            
+            await downloadObject(key, versionId);
         } catch (error) {
             showAlert(`Failed to download "${key}".`, 'error');
         }
     };
 
-    const { previewItem, previewObjectUrl, isLoadingPreview, openPreview, closePreview } = useFilePreview(s3Client, selectedBucket, showAlert);
+    const handleDownloadSelected = async () => {
+        if (!s3Client || !selectedBucket || selectedItems.length === 0) return;
+        // A single file needs no archive
+        if (selectedItems.length === 1 && !selectedItems[0].endsWith('/')) {
+            handleDownload(selectedItems[0]);
+            return;
+        }
+        setIsZipping(true);
+        try {
+            const count = await downloadAsZip(selectedItems, prefix, collectAllKeysInPrefix);
+            if (count !== null) showAlert(`ZIP with ${count} item(s) downloaded.`, 'success');
+        } catch (error) {
+            showAlert('Failed to build the ZIP archive.', 'error');
+        } finally {
+            setIsZipping(false);
+        }
+    };
+
+    // Cut items are moved by move jobs, which refresh the listing when they finish
+    const handlePasted = (summary) => {
+        if (summary.mode === 'cut') {
+            const { started, skipped, failures } = summary;
+            const skippedNote = skipped > 0 ? `, ${skipped} skipped` : '';
+            if (failures.length > 0) showAlert(`${started} move(s) started${skippedNote}; ${failures.length} item(s) could not be moved and stay on the clipboard (${failures[0].error}).`, 'error');
+            else if (started > 0 || skipped > 0) showAlert(`${started} move(s) started${skippedNote}.`, 'info');
+            return;
+        }
+        const { bucket, copied, failed, skipped, isCancelled } = summary;
+        const skippedNote = skipped > 0 ? `, ${skipped} skipped` : '';
+        if (isCancelled) showAlert(`Paste cancelled after ${copied} item(s).`, 'info');
+        else if (failed > 0) showAlert(`${copied} item(s) copied${skippedNote}; ${failed} could not be copied. See the jobs panel.`, 'error');
+        else showAlert(`${copied} item(s) copied${skippedNote}.`, 'success');
+        if (bucket === selectedBucket) fetchObjects(selectedBucket, prefix);
+    };
+
+    const {
+        clipboard, isPasting, pendingPasteConflicts, canOverwritePaste,
+        putOnClipboard, clearClipboard, paste, resolvePasteConflicts,
+    } = useObjectClipboard(s3Client, activeSessionId, startJob, startMove, handlePasted);
+
+    const handleClipboard = (mode, keys) => {
+        const keySet = new Set(keys);
+        const items = objects.filter(o => keySet.has(o.Key));
+        putOnClipboard(mode, selectedBucket, prefix, items);
+        showAlert(`${items.length} item(s) ${mode === 'cut' ? 'cut' : 'copied'}. Open the destination folder or bucket and paste.`, 'info');
+    };
+
+    const handlePaste = async () => {
+        const error = validatePasteTarget(clipboard, activeSessionId, selectedBucket, prefix);
+        if (error) { showAlert(error, 'error'); return; }
+        try {
+            await paste(selectedBucket, prefix);
+        } catch (err) {
+            showAlert(`Failed to paste: ${err.name}.`, 'error');
+        }
+    };
+
+    // A failed Keep Both leaves the paste in the prompt, so another choice can be made
+    const handleResolvePasteConflicts = (policy) => resolvePasteConflicts(policy).catch(error => {
+        showAlert(`Could not find free names for the pasted items: ${error.name}.`, 'error');
+    });
+
+    // Cut rows are dimmed until they are pasted
+    const cutKeys = useMemo(() => clipboard?.mode === 'cut' && clipboard.sessionId === activeSessionId && clipboard.bucket === selectedBucket
+        ? new Set(clipboard.items.map(i => i.Key))
+        : new Set(), [clipboard, activeSessionId, selectedBucket]);
+
+    const handleTransferFinished = ({ targetLabel, targetBucket, done, failed, isCancelled }) => {
+        if (isCancelled) showAlert(`Transfer to ${targetLabel} cancelled after ${done} object(s).`, 'info');
+        else if (failed > 0) showAlert(`${done} object(s) transferred to ${targetLabel}: ${targetBucket}; ${failed} failed. See the jobs panel.`, 'error');
+        else showAlert(`${done} object(s) transferred to ${targetLabel}: ${targetBucket}.`, 'success');
+    };
+
+    const { startTransfer } = useCrossConnectionTransfer(startJob, handleTransferFinished);
+
+    const openTransferModal = () => {
+        const selected = new Set(selectedItems);
+        setTransferItems(objects.filter(o => selected.has(o.Key)));
+    };
+
+    const loadSessionBuckets = useCallback(async (sessionId) => {
+        const session = sessions.find(s => s.id === sessionId);
+        const { Buckets } = await session.s3Client.send(new ListBucketsCommand({}));
+        return (Buckets || []).map(b => b.Name);
+    }, [sessions]);
+
+    const handleStartTransfer = async (targetId, targetBucket, targetPrefix) => {
+        const target = sessions.find(s => s.id === targetId);
+        setIsStartingTransfer(true);
+        try {
+            const started = await startTransfer(
+                { client: s3Client, label: activeSession.label, bucket: selectedBucket },
+                { client: target.s3Client, label: target.label, bucket: targetBucket, prefix: targetPrefix },
+                transferItems,
+                prefix,
+            );
+            showAlert(started ? `Transfer to ${target.label} started. Follow it in the jobs panel.` : 'There is nothing to transfer.', 'info');
+            setTransferItems(null);
+        } catch (error) {
+            showAlert(`Could not list the objects to transfer: ${error.name}.`, 'error');
+        } finally {
+            setIsStartingTransfer(false);
+        }
+    };
+
+    const {
+        previewItem, previewObjectUrl, isLoadingPreview,
+        previewText, previewLoadedBytes, previewTotalBytes, isLoadingMorePreview,
+        openPreview, loadMorePreview, closePreview,
+    } = useFilePreview(s3Client, selectedBucket, showAlert);
+
+    const { shareLinks, createShareLink } = useShareLinks(presignClient, selectedBucket);
+    const { uploadLinks, createUploadLink } = useUploadLinks(presignClient, selectedBucket);
+
+    const handleRestoreVersion = useCallback(async (key, versionId) => {
+        try {
+            await restoreVersion(key, versionId);
+            showAlert(`Restored version ${shortVersionId(versionId)} of "${key.split('/').pop()}".`, 'success');
+            setVersionsRefreshToken(t => t + 1);
+            fetchObjects(selectedBucket, prefix);
+        } catch (error) {
+            showAlert('Failed to restore version.', 'error');
+        }
+    }, [selectedBucket, prefix, restoreVersion, showAlert, fetchObjects]);
+
+    const handleDeleteVersion = useCallback(async () => {
+        const { Key, VersionId, isDeleteMarker } = versionToDelete;
+        try {
+            await deleteVersion(Key, VersionId);
+            showAlert(isDeleteMarker ? 'Delete marker removed.' : `Version ${shortVersionId(VersionId)} deleted permanently.`, 'success');
+            setVersionsRefreshToken(t => t + 1);
+            fetchObjects(selectedBucket, prefix);
+        } catch (error) {
+            showAlert(isDeleteMarker ? 'Failed to remove delete marker.' : 'Failed to delete version.', 'error');
+        } finally {
+            setVersionToDelete(null);
+        }
+    }, [selectedBucket, prefix, versionToDelete, deleteVersion, showAlert, fetchObjects]);
 
     const handleCopyPublicUrl = useCallback(async (key) => {
         const url = getPublicUrl(publicEndpoint, selectedBucket, key);
+        const policy = bucketPolicies[selectedBucket];
         try {
             await navigator.clipboard.writeText(url);
-            showAlert('Public URL copied to clipboard.', 'success');
+            // An unreadable policy (undefined) proves nothing either way, so only a known policy warns
+            if (policy !== undefined && !isObjectAnonymouslyReadable(policy, selectedBucket, key)) {
+                showAlert('Public URL copied, but the bucket policy does not allow anonymous reads of this object, so the URL will be denied. Use a share link or change the bucket\'s access policy.', 'warning', 8000);
+            } else {
+                showAlert('Public URL copied to clipboard.', 'success');
+            }
         } catch (err) {
             showAlert('Failed to copy URL.', 'error');
         }
-    }, [publicEndpoint, selectedBucket, showAlert]);
+    }, [publicEndpoint, selectedBucket, bucketPolicies, showAlert]);
     
     useEffect(() => {
         if (s3Client) fetchBuckets();
@@ -645,27 +1124,261 @@ function App() {
     }, [selectedBucket, prefix, s3Client, fetchObjects]);
     
     const filteredObjects = useMemo(() => {
-        if (!searchQuery) return objects;
-        return objects.filter(obj => obj.Key.toLowerCase().includes(searchQuery.toLowerCase()));
-    }, [objects, searchQuery]);
+        const matching = searchQuery ? objects.filter(obj => obj.Key.toLowerCase().includes(searchQuery.toLowerCase())) : objects;
+        return sortObjects(matching, sort, foldersFirst);
+    }, [objects, searchQuery, sort, foldersFirst]);
+
+    // Grid rows are tall, so fewer of them are rendered beyond the viewport
+    const isGridView = viewMode === 'grid';
+    const {
+        containerRef: objectListRef, scrollToTop, scrollToIndex, scrollIndexIntoView,
+        columnCount: gridColumnCount, startIndex, endIndex, paddingTop, paddingBottom, isNearEnd,
+    } = useVirtualRows(filteredObjects.length, isGridView ? GRID_ROW_HEIGHT : OBJECT_ROW_HEIGHT, isGridView ? 2 : undefined, isGridView ? getGridColumnCount : undefined);
+
+    const { getThumbnail, requestThumbnails } = useThumbnails(s3Client, activeSession?.endpoint ?? null, selectedBucket);
+
+    // Previous/next in the preview walks the loaded listing in its current order and filter
+    const previewableObjects = useMemo(
+        () => filteredObjects.filter(obj => !obj.isFolder && !obj.isDeleteMarker && getPreviewType(obj.Key)),
+        [filteredObjects],
+    );
+    const {
+        position: previewPosition, showNext: showNextPreview, showPrevious: showPreviousPreview, isSlideshowPlaying, toggleSlideshow,
+    } = usePreviewNavigation(previewableObjects, previewItem, isLoadingPreview, openPreview);
+
+    useEffect(() => {
+        scrollToTop();
+    }, [selectedBucket, prefix, scrollToTop]);
+
+    useEffect(() => {
+        setVersionsPanelKey(null);
+        setPropertiesKey(null);
+        setIsSearchPanelOpen(false);
+        setRevealKey(null);
+        setUsageTarget(null);
+        setUploadLinkPrefix(null);
+    }, [selectedBucket, s3Client]);
+
+    const openPropertiesPanel = useCallback((key) => {
+        setVersionsPanelKey(null);
+        setIsSearchPanelOpen(false);
+        setIsJobsPanelOpen(false);
+        setPropertiesKey(key);
+    }, []);
+
+    const closePropertiesPanel = useCallback(() => setPropertiesKey(null), []);
+
+    // The side panels slide in from the right, so only one is open at a time
+    const openVersionsPanel = useCallback((key) => {
+        setPropertiesKey(null);
+        setIsSearchPanelOpen(false);
+        setIsJobsPanelOpen(false);
+        setVersionsPanelKey(key);
+    }, []);
+
+    const openSearchPanel = useCallback(() => {
+        setPropertiesKey(null);
+        setVersionsPanelKey(null);
+        setIsJobsPanelOpen(false);
+        setIsSearchPanelOpen(true);
+    }, []);
+
+    const toggleJobsPanel = useCallback(() => {
+        setPropertiesKey(null);
+        setVersionsPanelKey(null);
+        setIsSearchPanelOpen(false);
+        setIsJobsPanelOpen(open => !open);
+    }, []);
+
+    // Results stay in the search hook, so reopening the panel shows them again
+    const handleRevealSearchResult = useCallback((key) => {
+        const parentPrefix = getParentPrefix(key);
+        setIsSearchPanelOpen(false);
+        setRevealKey(key);
+        navigateTo(selectedBucket, parentPrefix);
+    }, [selectedBucket, navigateTo]);
+
+    /** @returns {Promise<import('./utils/storageUsageUtils').UsageReport|null>} null when cancelled, already running or failed */
+    const startUsageCalculation = useCallback((bucket, usagePrefix) => {
+        return calculateUsage(bucket, usagePrefix).catch(err => {
+            showAlert(`Could not calculate the size of ${bucket}/${usagePrefix}: ${err.name}.`, 'error');
+            return null;
+        });
+    }, [calculateUsage, showAlert]);
+
+    const handleCalculateFolderSize = useCallback(async (key) => {
+        const report = await startUsageCalculation(selectedBucket, key);
+        if (report) showAlert(`${key.slice(prefix.length)} holds ${formatBytes(report.totalBytes)} in ${report.objectCount.toLocaleString()} object(s).`, 'success');
+    }, [selectedBucket, prefix, startUsageCalculation, showAlert]);
+
+    // Opens the storage usage view of a prefix; a prefix without a cached report is calculated right away
+    const openStorageUsage = useCallback((bucket, usagePrefix) => {
+        setUsageTarget({ bucket, prefix: usagePrefix });
+        if (!getReport(bucket, usagePrefix)) startUsageCalculation(bucket, usagePrefix);
+    }, [getReport, startUsageCalculation]);
+
+    const handleRevealUsageObject = useCallback((key) => {
+        setUsageTarget(null);
+        setRevealKey(key);
+        navigateTo(selectedBucket, getParentPrefix(key));
+    }, [selectedBucket, navigateTo]);
+
+    // Enter on a row: folders open, files are previewed, or shown in the properties panel when they cannot be
+    const handleOpenRow = (obj) => {
+        if (obj.isFolder) navigateTo(selectedBucket, obj.Key);
+        else if (obj.isDeleteMarker) return;
+        else if (getPreviewType(obj.Key)) openPreview(obj.Key, obj.VersionId);
+        else if (!obj.VersionId) openPropertiesPanel(obj.Key);
+    };
+
+    const { focusedIndex, handleKeyDown: handleTableKeyDown, handleRowClick, handleCheckboxChange } = useTableKeyboard({
+        rows: filteredObjects,
+        getKey: obj => obj.Key,
+        selectedKeys: selectedItems,
+        onSelectionChange: setSelectedItems,
+        canSelect: !showVersions,
+        locationKey: `${selectedBucket}/${prefix}`,
+        onFocusRow: index => scrollIndexIntoView(index, isGridView ? 0 : OBJECT_TABLE_HEADER_HEIGHT),
+        onOpen: handleOpenRow,
+        onGoUp: () => prefix ? navigateTo(selectedBucket, getParentPrefix(prefix.slice(0, -1))) : navigateTo(null),
+        onDelete: setDeleteRequest,
+        onRename: openRenameModal,
+        columns: isGridView ? gridColumnCount : 1,
+    });
+
+    useShortcutKeys({
+        '/': () => searchInputRef.current?.focus(),
+        '?': () => setIsShortcutsOpen(true),
+    });
+
+    // Selects and scrolls to a revealed key once its folder is listed, paging further if needed
+    useEffect(() => {
+        if (!revealKey || isLoadingObjects || isLoadingMoreObjects) return;
+        if (listedPrefixRef.current !== getParentPrefix(revealKey) || prefix !== listedPrefixRef.current) return;
+        const index = filteredObjects.findIndex(obj => obj.Key === revealKey);
+        if (index !== -1) {
+            setSelectedItems([revealKey]);
+            scrollToIndex(index);
+            setRevealKey(null);
+        } else if (nextContinuationToken) {
+            loadMoreObjects();
+        } else {
+            showAlert(`"${revealKey.split('/').pop()}" no longer exists.`, 'info');
+            setRevealKey(null);
+        }
+    }, [revealKey, prefix, filteredObjects, isLoadingObjects, isLoadingMoreObjects, nextContinuationToken, loadMoreObjects, scrollToIndex, showAlert]);
+
+    // Infinite scroll: fetch the next page once the viewport nears the last loaded row.
+    // While a search filter is active the user loads more explicitly instead.
+    useEffect(() => {
+        if (isNearEnd && nextContinuationToken && !isLoadingObjects && !isLoadingMoreObjects && !searchQuery) {
+            loadMoreObjects();
+        }
+    }, [isNearEnd, nextContinuationToken, isLoadingObjects, isLoadingMoreObjects, searchQuery, loadMoreObjects]);
     
-    if (!s3Client) {
-        return <ConnectionManager onConnect={handleConnect} isConnecting={false} showAlert={showAlert} />;
+    // The ⋮ button and its menu, shared by table rows and grid tiles
+    const renderRowActions = (obj) => (
+        <div className="relative inline-block">
+            <button
+                onClick={(e) => { e.stopPropagation(); setOpenMenuKey(prev => prev === getRowId(obj) ? null : getRowId(obj)); }}
+                className="p-2 rounded-md hover:bg-slate-700 text-slate-400 hover:text-white transition"
+            >
+                <MoreVertical size={16} />
+            </button>
+            <ContextMenu
+                isOpen={openMenuKey === getRowId(obj)}
+                onClose={() => setOpenMenuKey(null)}
+                items={getRowMenuItems(obj)}
+            />
+        </div>
+    );
+
+    const getRowMenuItems = (obj) => {
+        // Entries of the "Show versions" listing act on one specific version
+        if (obj.VersionId && obj.isDeleteMarker) {
+            return [
+                { icon: <History size={14}/>, label: 'Versions', action: () => openVersionsPanel(obj.Key) },
+                { icon: <RotateCcw size={14}/>, label: obj.IsLatest ? 'Undelete' : 'Remove Marker', action: () => setVersionToDelete(obj), danger: !obj.IsLatest },
+            ];
+        }
+        if (obj.VersionId) {
+            return [
+                { icon: <Download size={14}/>, label: 'Download Version', action: () => handleDownload(obj.Key, obj.VersionId) },
+                ...(getPreviewType(obj.Key) ? [{ icon: <Eye size={14}/>, label: 'Preview Version', action: () => openPreview(obj.Key, obj.VersionId) }] : []),
+                ...(!obj.IsLatest ? [{ icon: <RotateCcw size={14}/>, label: 'Restore Version', action: () => handleRestoreVersion(obj.Key, obj.VersionId) }] : []),
+                { icon: <History size={14}/>, label: 'Versions', action: () => openVersionsPanel(obj.Key) },
+                { icon: <Trash2 size={14}/>, label: 'Delete Version', action: () => setVersionToDelete(obj), danger: true },
+            ];
+        }
+        return [
+            ...(!obj.isFolder ? [{ icon: <Download size={14}/>, label: 'Download', action: () => handleDownload(obj.Key) }] : []),
+            ...(!obj.isFolder && getPreviewType(obj.Key) ? [{ icon: <Eye size={14}/>, label: 'Preview', action: () => openPreview(obj.Key) }] : []),
+            ...(!obj.isFolder ? [{ icon: <Copy size={14}/>, label: 'Copy Public URL', action: () => handleCopyPublicUrl(obj.Key) }] : []),
+            ...(!obj.isFolder ? [{ icon: <Share2 size={14}/>, label: 'Share Link', action: () => setShareTargetKey(obj.Key) }] : []),
+            ...(!obj.isFolder ? [{ icon: <SlidersHorizontal size={14}/>, label: 'Properties', action: () => openPropertiesPanel(obj.Key) }] : []),
+            ...(!obj.isFolder ? [{ icon: <History size={14}/>, label: 'Versions', action: () => openVersionsPanel(obj.Key) }] : []),
+            ...(obj.isFolder ? [{ icon: <Calculator size={14}/>, label: 'Calculate Size', action: () => handleCalculateFolderSize(obj.Key) }] : []),
+            ...(obj.isFolder ? [{ icon: <BarChart3 size={14}/>, label: 'Storage Usage', action: () => openStorageUsage(selectedBucket, obj.Key) }] : []),
+            ...(obj.isFolder ? [{ icon: <Inbox size={14}/>, label: 'Create Upload Link', action: () => setUploadLinkPrefix(obj.Key) }] : []),
+            { icon: <ClipboardCopy size={14}/>, label: 'Copy', action: () => handleClipboard('copy', [obj.Key]) },
+            { icon: <Scissors size={14}/>, label: 'Cut', action: () => handleClipboard('cut', [obj.Key]) },
+            { icon: <Pencil size={14}/>, label: 'Rename', action: () => openRenameModal(obj) },
+            { icon: <Trash2 size={14}/>, label: 'Delete', action: () => setDeleteRequest([obj.Key]), danger: true },
+        ];
+    };
+
+    // Folders have no size of their own; a calculated total is shown until it is refreshed
+    const renderFolderSize = (key) => {
+        const progress = getProgress(selectedBucket, key);
+        if (progress) {
+            return (
+                <span className="flex items-center space-x-1.5" title={`${progress.objects.toLocaleString()} object(s) so far`}>
+                    <Loader2 size={12} className="animate-spin flex-shrink-0" /><span>{formatBytes(progress.bytes)}…</span>
+                </span>
+            );
+        }
+        const report = getReport(selectedBucket, key);
+        if (!report) return null;
+        return (
+            <button onClick={() => openStorageUsage(selectedBucket, key)} title={`${report.objectCount.toLocaleString()} object(s), calculated ${new Date(report.computedAt).toLocaleString()}`} className="hover:text-sky-300">
+                {formatBytes(report.totalBytes)}
+            </button>
+        );
+    };
+
+    if (!s3Client || isAddingConnection) {
+        return (
+            <>
+                <Alert message={alertData?.message} type={alertData?.type} action={alertData?.action} onDismiss={hideAlert} />
+                <ConnectionManager onConnect={handleConnect} onCancel={sessions.length > 0 ? () => setIsAddingConnection(false) : null} isConnecting={false} showAlert={showAlert} vault={connectionVault} />
+            </>
+        );
     }
     
     const breadcrumbs = ['Buckets', selectedBucket, ...prefix.split('/').filter(Boolean)];
+    // Interrupted and failed moves count too: they wait for the user to resume or roll them back
+    const pendingJobCount = jobs.filter(job => job.status === 'running').length + moveJobs.length + uploadItems.filter(i => ACTIVE_UPLOAD_STATUSES.includes(i.status)).length;
 
     return (
         <div className="h-screen w-screen bg-slate-900 text-slate-300 flex flex-col font-sans overflow-hidden">
-            <Alert message={alertData?.message} type={alertData?.type} onDismiss={hideAlert} />
+            <Alert message={alertData?.message} type={alertData?.type} action={alertData?.action} onDismiss={hideAlert} />
             <header className="flex-shrink-0 bg-slate-800/50 border-b border-slate-700 p-2 flex items-center justify-between">
-                <div className="flex items-center space-x-2">
+                <div className="flex items-center space-x-2 flex-shrink-0">
                     <HardDrive className="h-6 w-6 text-sky-400" />
                     <span className="font-semibold text-lg text-slate-100">Minio Explorer</span>
                 </div>
-                <div className="flex items-center space-x-4">
-                    <span className="text-sm text-slate-400">Connected</span>
-                    <button onClick={handleDisconnect} className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 text-white font-bold py-1.5 px-3 rounded-md transition-colors">
+                <div className="flex-1 min-w-0 mx-6">
+                    <ConnectionTabs sessions={sessions} activeId={activeSessionId} onSelect={switchSession} onClose={handleDisconnect} onAdd={() => setIsAddingConnection(true)} />
+                </div>
+                <div className="flex items-center space-x-4 flex-shrink-0">
+                    <button onClick={() => setIsShortcutsOpen(true)} title="Keyboard shortcuts (?)" className="p-2 rounded-full text-slate-400 hover:text-white hover:bg-slate-700 transition-colors">
+                        <Keyboard size={18} />
+                    </button>
+                    <button onClick={toggleJobsPanel} title="Jobs and activity log" className={`relative p-2 rounded-full transition-colors ${isJobsPanelOpen ? 'text-sky-300 bg-sky-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-700'}`}>
+                        <ListChecks size={18} />
+                        {pendingJobCount > 0 && <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-sky-500 text-white text-[10px] font-bold flex items-center justify-center">{pendingJobCount}</span>}
+                    </button>
+                    <button onClick={() => handleDisconnect(activeSessionId)} className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 text-white font-bold py-1.5 px-3 rounded-md transition-colors">
                         <Power size={16} />
                         <span>Disconnect</span>
                     </button>
@@ -675,35 +1388,88 @@ function App() {
                  <aside className="w-1/4 xl:w-1/5 bg-slate-800/30 p-4 border-r border-slate-700 flex flex-col">
                     <div className="flex items-center justify-between mb-4">
                         <h2 className="text-lg font-semibold text-slate-100">Buckets</h2>
+                        <button onClick={openCreateBucketModal} title="Create bucket" className="p-1.5 text-slate-400 hover:text-white rounded-md hover:bg-slate-700 transition-colors">
+                            <Plus size={18} />
+                        </button>
                     </div>
                     {isLoadingBuckets ? (
                         <div className="flex-grow flex items-center justify-center"><Loader2 className="animate-spin text-slate-500" size={32}/></div>
                     ) : (
                         <ul className="space-y-1 overflow-y-auto">
                             {buckets.map(bucket => (
-                                <li key={bucket.Name}>
-                                    <button onClick={() => setSearchParams({ bucket: bucket.Name })} className={`flex items-center space-x-3 p-2 rounded-md transition-colors w-full text-left ${selectedBucket === bucket.Name ? 'bg-sky-500/20 text-sky-300' : 'hover:bg-slate-700/50'}`}>
+                                <li key={bucket.Name} className="group relative">
+                                    <button onClick={() => navigateTo(bucket.Name)} className={`flex items-center space-x-3 p-2 pr-16 rounded-md transition-colors w-full text-left ${selectedBucket === bucket.Name ? 'bg-sky-500/20 text-sky-300' : 'hover:bg-slate-700/50'}`}>
                                         <Folder size={18} className={`${selectedBucket === bucket.Name ? 'text-sky-400' : 'text-slate-500'}`} />
                                         <span className="truncate flex-1">{bucket.Name}</span>
+                                        {hasAnonymousAccess(bucketPolicies[bucket.Name]) && (
+                                            <span title="The bucket policy grants anonymous access" className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase bg-amber-500/20 text-amber-300 flex-shrink-0">public</span>
+                                        )}
                                     </button>
+                                    <div className="absolute right-1 top-1/2 -translate-y-1/2 flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition">
+                                        <button onClick={() => setBucketSettings({ bucket: bucket.Name, tab: 'policy' })} title="Bucket settings" className="p-1.5 text-slate-500 hover:text-white rounded-md hover:bg-slate-700">
+                                            <Settings size={14} />
+                                        </button>
+                                        <button onClick={() => openDeleteBucketModal(bucket.Name)} title="Delete bucket" className="p-1.5 text-slate-500 hover:text-red-400 rounded-md hover:bg-slate-700">
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </div>
                                 </li>
                             ))}
                         </ul>
                     )}
                 </aside>
-                <main className="flex-1 flex flex-col bg-slate-900 min-w-0">
+                <main
+                    className={`flex-1 flex flex-col bg-slate-900 min-w-0 ${isFileDragOver ? 'ring-2 ring-inset ring-sky-500' : ''}`}
+                    onDragOver={selectedBucket ? (e) => {
+                        if (!isOsFileDrag(e) || draggedKeyRef.current) return;
+                        e.preventDefault();
+                        e.dataTransfer.dropEffect = 'copy';
+                        setIsFileDragOver(true);
+                    } : undefined}
+                    onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsFileDragOver(false); }}
+                    onDrop={selectedBucket ? (e) => { if (isOsFileDrag(e) && !draggedKeyRef.current) handleOsFileDrop(e, prefix); } : undefined}
+                >
                     <div className="flex-shrink-0 p-3 bg-slate-800/30 border-b border-slate-700 flex items-center justify-between gap-4">
                         <div className="flex-grow flex items-center text-sm text-slate-400 overflow-x-auto whitespace-nowrap">
-                           {breadcrumbs.map((crumb, i) => (
-                             <div key={i} className="flex items-center">
-                               <button className="hover:text-white" onClick={() => {
-                                 if (i === 0) { setSearchParams({}); }
-                                 else if (i === 1) { setSearchParams({ bucket: selectedBucket }); }
-                                 else { const newPrefix = breadcrumbs.slice(2, i + 1).join('/') + '/'; setSearchParams({ bucket: selectedBucket, prefix: newPrefix }); }
-                               }}>{crumb}</button>
-                               {i < breadcrumbs.length - 1 && <ChevronsRight size={16} className="mx-1 flex-shrink-0" />}
-                             </div>
-                           ))}
+                           {breadcrumbs.map((crumb, i) => {
+                             const crumbPrefix = i < 2 ? '' : breadcrumbs.slice(2, i + 1).join('/') + '/';
+                             // Rows dropped onto a parent folder or the bucket root move up the tree
+                             const isDropTarget = i >= 1 && i < breadcrumbs.length - 1 && !showVersions;
+                             return (
+                               <div key={i} className="flex items-center">
+                                 <button
+                                   className={`hover:text-white rounded px-1 ${dropTargetKey === `crumb:${crumbPrefix}` && isDropTarget ? 'bg-emerald-900/40 ring-1 ring-emerald-500 text-white' : ''}`}
+                                   onClick={() => {
+                                     if (i === 0) { navigateTo(null); }
+                                     else { navigateTo(selectedBucket, crumbPrefix); }
+                                   }}
+                                   onDragOver={isDropTarget ? (e) => {
+                                     if (!draggedKeyRef.current) return;
+                                     e.preventDefault();
+                                     e.dataTransfer.dropEffect = 'move';
+                                     setDropTargetKey(`crumb:${crumbPrefix}`);
+                                   } : undefined}
+                                   onDragLeave={isDropTarget ? () => setDropTargetKey(prev => prev === `crumb:${crumbPrefix}` ? null : prev) : undefined}
+                                   onDrop={isDropTarget ? (e) => {
+                                     const src = draggedKeyRef.current;
+                                     if (!src) return;
+                                     e.preventDefault();
+                                     e.stopPropagation();
+                                     handleMoveItem(src, crumbPrefix);
+                                     draggedKeyRef.current = null;
+                                     setDraggedKey(null);
+                                     setDropTargetKey(null);
+                                   } : undefined}
+                                 >{crumb}</button>
+                                 {i < breadcrumbs.length - 1 && <ChevronsRight size={16} className="mx-1 flex-shrink-0" />}
+                               </div>
+                             );
+                           })}
+                           {selectedBucket && prefix && (
+                             <button onClick={() => setBucketSettings({ bucket: selectedBucket, tab: 'lifecycle', rulePrefix: prefix })} title="Create lifecycle rule for this folder" className="ml-2 p-1 text-slate-500 hover:text-white rounded-md hover:bg-slate-700 flex-shrink-0">
+                               <CalendarClock size={14} />
+                             </button>
+                           )}
                         </div>
                         <div className="flex items-center space-x-2 flex-shrink-0">
                            {selectedBucket && (
@@ -711,14 +1477,70 @@ function App() {
                                 <button onClick={() => fetchObjects(selectedBucket, prefix)} disabled={isLoadingObjects} className="p-2 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 transition-colors">
                                     {isLoadingObjects ? <Loader2 className="animate-spin h-4 w-4"/> : <RefreshCw className="h-4 w-4"/>}
                                 </button>
+                                <button onClick={() => setShowVersions(v => !v)} title={showVersions ? 'Hide versions' : 'Show versions'} className={`p-2 rounded-full transition-colors ${showVersions ? 'text-sky-300 bg-sky-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-700'}`}>
+                                    <History className="h-4 w-4"/>
+                                </button>
+                                <div className="flex items-center rounded-full bg-slate-900/60" role="group" aria-label="View">
+                                    <button onClick={() => setViewMode('table')} title="Table view" aria-pressed={!isGridView} className={`p-2 rounded-full transition-colors ${!isGridView ? 'text-sky-300 bg-sky-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-700'}`}>
+                                        <List className="h-4 w-4"/>
+                                    </button>
+                                    <button onClick={() => setViewMode('grid')} title="Grid view" aria-pressed={isGridView} className={`p-2 rounded-full transition-colors ${isGridView ? 'text-sky-300 bg-sky-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-700'}`}>
+                                        <LayoutGrid className="h-4 w-4"/>
+                                    </button>
+                                </div>
+                                <button onClick={() => setIsTrashOpen(true)} title="Recycle bin" className="p-2 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 transition-colors">
+                                    <Trash className="h-4 w-4"/>
+                                </button>
                                <div className="relative">
                                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-500"/>
-                                   <input type="text" placeholder="Search..." value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} className="bg-slate-900 border border-slate-700 rounded-md pl-9 pr-3 py-1.5 text-sm w-48 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" />
+                                   <input ref={searchInputRef} type="text" placeholder="Search... ( / )" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} className="bg-slate-900 border border-slate-700 rounded-md pl-9 pr-3 py-1.5 text-sm w-48 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition" />
                                </div>
+                               <button onClick={openSearchPanel} title="Search all subfolders" className={`p-2 rounded-full transition-colors ${isSearchPanelOpen ? 'text-sky-300 bg-sky-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-700'}`}>
+                                   <ScanSearch className="h-4 w-4"/>
+                               </button>
+                               <button onClick={() => openStorageUsage(selectedBucket, prefix)} title="Storage usage of this folder" className="p-2 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 transition-colors">
+                                   <BarChart3 className="h-4 w-4"/>
+                               </button>
+                               <button onClick={() => setUploadLinkPrefix(prefix)} title="Create an upload link for this folder" className="p-2 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 transition-colors">
+                                   <Inbox className="h-4 w-4"/>
+                               </button>
                                </>
                            )}
                            {selectedItems.length > 0 && (
-                                <button onClick={() => setIsDeleteModalOpen(true)} className="bg-red-600 hover:bg-red-700 text-white font-bold py-1.5 px-3 rounded-md transition-colors cursor-pointer flex items-center space-x-2">
+                                <button onClick={handleDownloadSelected} disabled={isZipping} title="Download selected (folders and multiple files as ZIP)" className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-1.5 px-3 rounded-md transition-colors flex items-center space-x-2 disabled:cursor-not-allowed">
+                                    {isZipping ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                                    <span>Download ({selectedItems.length})</span>
+                                </button>
+                           )}
+                           {selectedItems.length > 0 && !showVersions && (
+                                <>
+                                <button onClick={() => handleClipboard('copy', selectedItems)} title="Copy selected" className="p-2 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 transition-colors">
+                                    <ClipboardCopy className="h-4 w-4"/>
+                                </button>
+                                <button onClick={() => handleClipboard('cut', selectedItems)} title="Cut selected" className="p-2 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 transition-colors">
+                                    <Scissors className="h-4 w-4"/>
+                                </button>
+                                </>
+                           )}
+                           {clipboard && selectedBucket && !showVersions && (
+                                <div className="flex items-center bg-slate-600 rounded-md text-white font-bold">
+                                    <button onClick={handlePaste} disabled={isPasting} title={`${clipboard.mode === 'cut' ? 'Move' : 'Copy'} ${clipboard.items.length} item(s) from ${clipboard.bucket}/${clipboard.basePrefix} here`} className="py-1.5 pl-3 pr-2 rounded-l-md hover:bg-slate-500 transition-colors flex items-center space-x-2 disabled:cursor-not-allowed">
+                                        {isPasting ? <Loader2 size={16} className="animate-spin" /> : <ClipboardPaste size={16} />}
+                                        <span>Paste ({clipboard.items.length})</span>
+                                    </button>
+                                    <button onClick={clearClipboard} disabled={isPasting} title="Clear clipboard" className="py-1.5 px-1.5 rounded-r-md hover:bg-slate-500 transition-colors border-l border-slate-500">
+                                        <X size={14} />
+                                    </button>
+                                </div>
+                           )}
+                           {selectedItems.length > 0 && sessions.length > 1 && !showVersions && (
+                                <button onClick={openTransferModal} title="Copy selected to another connection" className="bg-slate-600 hover:bg-slate-500 text-white font-bold py-1.5 px-3 rounded-md transition-colors flex items-center space-x-2">
+                                    <ArrowRightLeft size={16} />
+                                    <span>Transfer ({selectedItems.length})</span>
+                                </button>
+                           )}
+                           {selectedItems.length > 0 && (
+                                <button onClick={() => setDeleteRequest(selectedItems)} className="bg-red-600 hover:bg-red-700 text-white font-bold py-1.5 px-3 rounded-md transition-colors cursor-pointer flex items-center space-x-2">
                                     <Trash2 size={16} />
                                     <span>Delete ({selectedItems.length})</span>
                                 </button>
@@ -732,38 +1554,89 @@ function App() {
                                <label className="bg-sky-600 hover:bg-sky-700 text-white font-bold py-1.5 px-3 rounded-md transition-colors cursor-pointer flex items-center space-x-2">
                                  <UploadIcon size={16} />
                                  <span>Upload</span>
-                                 <input type="file" multiple className="hidden" onChange={(e) => handleFileUpload(e.target.files)} />
+                                 <input type="file" multiple className="hidden" onChange={(e) => { handleFileUpload(filesFromInput(e.target.files)); e.target.value = ''; }} />
+                               </label>
+                               <label title="Upload a folder" className="bg-sky-600 hover:bg-sky-700 text-white font-bold py-1.5 px-3 rounded-md transition-colors cursor-pointer flex items-center space-x-2">
+                                 <FolderUp size={16} />
+                                 <span>Folder</span>
+                                 <input type="file" webkitdirectory="" multiple className="hidden" onChange={(e) => { handleFileUpload(filesFromInput(e.target.files)); e.target.value = ''; }} />
                                </label>
                                </>
                            )}
                         </div>
                     </div>
-                     <div className="flex-grow overflow-auto">
+                     <div ref={objectListRef} className="flex-grow overflow-auto">
                         {!selectedBucket ? (
                              <div className="h-full flex flex-col items-center justify-center text-slate-500 p-8 text-center"><Folder size={48} className="mb-4" /> <h3 className="text-xl font-semibold">Select a bucket</h3> <p>Choose a bucket from the left panel to view its contents.</p></div>
                         ) : isLoadingObjects ? (
                             <div className="h-full flex items-center justify-center"><Loader2 className="animate-spin text-slate-500" size={40}/></div>
+                        ) : isGridView ? (
+                         <div
+                            role="region"
+                            aria-label={`Contents of ${selectedBucket}/${prefix}`}
+                            tabIndex={0}
+                            onKeyDown={handleTableKeyDown}
+                            className="outline-none"
+                         >
+                            <ObjectGrid
+                                objects={filteredObjects}
+                                columnCount={gridColumnCount}
+                                startIndex={startIndex}
+                                endIndex={endIndex}
+                                paddingTop={paddingTop}
+                                paddingBottom={paddingBottom}
+                                prefix={prefix}
+                                selectedKeys={selectedItems}
+                                focusedIndex={focusedIndex}
+                                canSelect={!showVersions}
+                                getThumbnail={getThumbnail}
+                                hasThumbnail={hasThumbnail}
+                                onVisibleObjectsChange={requestThumbnails}
+                                onOpen={handleOpenRow}
+                                onSelectClick={handleRowClick}
+                                onCheckboxChange={handleCheckboxChange}
+                                renderActions={renderRowActions}
+                            />
+                         </div>
                         ) : (
-                         <table className="w-full text-sm text-left">
-                            <thead className="sticky top-0 bg-slate-800/80 backdrop-blur-sm z-10">
-                                <tr>
-                                    <th className="p-3 w-12 text-center">
-                                        <input type="checkbox" className="bg-slate-700 border-slate-500 rounded" checked={filteredObjects.length > 0 && selectedItems.length === filteredObjects.length} onChange={() => {
-                                            if (selectedItems.length === filteredObjects.length) setSelectedItems([]);
-                                            else setSelectedItems(filteredObjects.map(o => o.Key));
-                                        }} />
-                                    </th>
-                                    <th className="p-3 font-semibold text-slate-300 w-2/5">Name</th>
-                                    <th className="p-3 font-semibold text-slate-300">Size</th>
-                                    <th className="p-3 font-semibold text-slate-300">Last Modified</th>
-                                    <th className="p-3 font-semibold text-slate-300 text-right">Actions</th>
-                                </tr>
-                            </thead>
+                         <table
+                            role="grid"
+                            aria-label={`Contents of ${selectedBucket}/${prefix}`}
+                            aria-multiselectable={!showVersions}
+                            aria-rowcount={filteredObjects.length + 1}
+                            aria-activedescendant={focusedIndex !== null && focusedIndex >= startIndex && focusedIndex < endIndex ? `object-row-${focusedIndex}` : undefined}
+                            tabIndex={0}
+                            onKeyDown={handleTableKeyDown}
+                            className="w-full table-fixed text-sm text-left outline-none"
+                            style={{ minWidth: getTableWidth(columns, widths) }}
+                         >
+                            <ObjectTableHeader
+                                columns={columns}
+                                widths={widths}
+                                sort={sort}
+                                foldersFirst={foldersFirst}
+                                selectAll={!showVersions && (
+                                    <input type="checkbox" className="bg-slate-700 border-slate-500 rounded" checked={filteredObjects.length > 0 && selectedItems.length === filteredObjects.length} onChange={() => {
+                                        if (selectedItems.length === filteredObjects.length) setSelectedItems([]);
+                                        else setSelectedItems(filteredObjects.map(o => o.Key));
+                                    }} />
+                                )}
+                                onSort={toggleSort}
+                                onResize={setColumnWidth}
+                                onToggleColumn={toggleColumn}
+                                onFoldersFirstChange={setFoldersFirst}
+                            />
                             <tbody className="divide-y divide-slate-800">
-                                {filteredObjects.map(obj => (
+                                {paddingTop > 0 && <tr aria-hidden="true" style={{ height: paddingTop }}><td colSpan={columns.length + 2} /></tr>}
+                                {filteredObjects.slice(startIndex, endIndex).map((obj, i) => (
                                     <tr
-                                        key={obj.Key}
-                                        draggable
+                                        key={getRowId(obj)}
+                                        id={`object-row-${startIndex + i}`}
+                                        aria-rowindex={startIndex + i + 2}
+                                        aria-selected={showVersions ? undefined : selectedItems.includes(obj.Key)}
+                                        onClick={(e) => handleRowClick(e, startIndex + i)}
+                                        style={{ height: OBJECT_ROW_HEIGHT }}
+                                        draggable={!showVersions}
                                         onDragStart={(e) => {
                                             e.dataTransfer.effectAllowed = 'move';
                                             draggedKeyRef.current = obj.Key;
@@ -774,9 +1647,19 @@ function App() {
                                             setDraggedKey(null);
                                             setDropTargetKey(null);
                                         }}
-                                        onDragOver={obj.isFolder ? (e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; setDropTargetKey(obj.Key); } : undefined}
+                                        onDragOver={obj.isFolder ? (e) => {
+                                            e.preventDefault();
+                                            if (draggedKeyRef.current) {
+                                                e.dataTransfer.dropEffect = 'move';
+                                            } else if (isOsFileDrag(e)) {
+                                                e.dataTransfer.dropEffect = 'copy';
+                                                setIsFileDragOver(true);
+                                            }
+                                            setDropTargetKey(obj.Key);
+                                        } : undefined}
                                         onDragLeave={obj.isFolder ? () => setDropTargetKey(prev => prev === obj.Key ? null : prev) : undefined}
                                         onDrop={obj.isFolder ? (e) => {
+                                            if (!draggedKeyRef.current && isOsFileDrag(e)) { handleOsFileDrop(e, obj.Key); return; }
                                             e.preventDefault();
                                             const src = draggedKeyRef.current;
                                             if (src && src !== obj.Key && !src.startsWith(obj.Key)) {
@@ -791,49 +1674,59 @@ function App() {
                                             selectedItems.includes(obj.Key) ? 'bg-sky-900/50' : '',
                                             dropTargetKey === obj.Key ? 'bg-emerald-900/40 ring-1 ring-inset ring-emerald-500' : '',
                                             !selectedItems.includes(obj.Key) && dropTargetKey !== obj.Key ? 'hover:bg-slate-800/50' : '',
-                                            draggedKey === obj.Key ? 'opacity-40' : '',
+                                            draggedKey === obj.Key ? 'opacity-40' : cutKeys.has(obj.Key) ? 'opacity-50' : '',
+                                            focusedIndex === startIndex + i ? 'outline outline-1 -outline-offset-1 outline-sky-400' : '',
                                         ].join(' ')}
                                     >
                                         <td className="p-3 text-center">
-                                            <input type="checkbox" className="bg-slate-700 border-slate-500 rounded" checked={selectedItems.includes(obj.Key)} onChange={() => {
-                                                setSelectedItems(prev => prev.includes(obj.Key) ? prev.filter(k => k !== obj.Key) : [...prev, obj.Key]);
-                                            }} />
+                                            {!showVersions && (
+                                            <input type="checkbox" className="bg-slate-700 border-slate-500 rounded" checked={selectedItems.includes(obj.Key)} onClick={(e) => e.stopPropagation()} onChange={(e) => handleCheckboxChange(e, startIndex + i)} />
+                                            )}
                                         </td>
-                                        <td className="p-3">
-                                            <button className="flex items-center space-x-2 group w-full text-left" onClick={() => { if(obj.isFolder) setSearchParams({ bucket: selectedBucket, prefix: obj.Key }); }}>
+                                        {columns.map(column => column.id === 'size' && obj.isFolder ? (
+                                            <td key="size" className="p-3 text-slate-400 truncate">{renderFolderSize(obj.Key)}</td>
+                                        ) : column.id !== 'name' ? (
+                                            <td key={column.id} className="p-3 text-slate-400 truncate" title={column.optional ? column.format(obj) : undefined}>{column.format(obj)}</td>
+                                        ) : (
+                                        <td key="name" className="p-3">
+                                            <button className="flex items-center space-x-2 group w-full text-left" onClick={() => { if(obj.isFolder) navigateTo(selectedBucket, obj.Key); }}>
                                                 {obj.isFolder ? <Folder className="text-sky-400" size={20} /> : <File className="text-slate-500" size={20} />}
-                                                <span className={`${obj.isFolder ? 'text-slate-100 group-hover:text-sky-300 cursor-pointer' : 'text-slate-300 cursor-default'} truncate`}>{obj.Key.replace(prefix, '')}</span>
+                                                <span className={`${obj.isFolder ? 'text-slate-100 group-hover:text-sky-300 cursor-pointer' : obj.isDeleteMarker ? 'text-slate-500 line-through cursor-default' : 'text-slate-300 cursor-default'} truncate`}>{obj.Key.replace(prefix, '')}</span>
+                                                {obj.VersionId && <span className="font-mono text-xs text-slate-500 flex-shrink-0" title={obj.VersionId}>{shortVersionId(obj.VersionId)}</span>}
+                                                {obj.VersionId && obj.IsLatest && <span className="px-1.5 py-0.5 rounded text-xs bg-sky-500/20 text-sky-300 flex-shrink-0">Latest</span>}
+                                                {obj.isDeleteMarker && <span className="px-1.5 py-0.5 rounded text-xs bg-red-500/20 text-red-300 flex-shrink-0">Delete marker</span>}
                                             </button>
                                         </td>
-                                        <td className="p-3 text-slate-400">{!obj.isFolder && formatBytes(obj.Size)}</td>
-                                        <td className="p-3 text-slate-400">{!obj.isFolder && obj.LastModified ? new Date(obj.LastModified).toLocaleString() : ''}</td>
-                                        <td className="p-3 text-right">
-                                            <div className="relative inline-block">
-                                                <button
-                                                    onClick={(e) => { e.stopPropagation(); setOpenMenuKey(prev => prev === obj.Key ? null : obj.Key); }}
-                                                    className="p-2 rounded-md hover:bg-slate-700 text-slate-400 hover:text-white transition"
-                                                >
-                                                    <MoreVertical size={16} />
-                                                </button>
-                                                <ContextMenu
-                                                    isOpen={openMenuKey === obj.Key}
-                                                    onClose={() => setOpenMenuKey(null)}
-                                                    items={[
-                                                        ...(!obj.isFolder ? [{ icon: <Download size={14}/>, label: 'Download', action: () => handleDownload(obj.Key) }] : []),
-                                                        ...(!obj.isFolder && getPreviewType(obj.Key) ? [{ icon: <Eye size={14}/>, label: 'Preview', action: () => openPreview(obj.Key) }] : []),
-                                                        ...(!obj.isFolder ? [{ icon: <Copy size={14}/>, label: 'Copy Public URL', action: () => handleCopyPublicUrl(obj.Key) }] : []),
-                                                        { icon: <Pencil size={14}/>, label: 'Rename', action: () => openRenameModal(obj) },
-                                                        { icon: <Trash2 size={14}/>, label: 'Delete', action: () => handleDeleteItem(obj.Key, obj.isFolder), danger: true },
-                                                    ]}
-                                                />
-                                            </div>
-                                        </td>
+                                        ))}
+                                        <td className="p-3 text-right">{renderRowActions(obj)}</td>
                                     </tr>
                                 ))}
+                                {paddingBottom > 0 && <tr aria-hidden="true" style={{ height: paddingBottom }}><td colSpan={columns.length + 2} /></tr>}
                             </tbody>
                          </table>
                          )}
                      </div>
+                     {isFileDragOver && (
+                        <div className="flex-shrink-0 px-3 py-2 bg-sky-500/20 border-t border-sky-500 text-sm text-sky-200 flex items-center space-x-2">
+                            <UploadIcon size={16} />
+                            <span>Drop to upload into <span className="font-semibold">{selectedBucket}/{dropTargetKey ?? prefix}</span></span>
+                        </div>
+                     )}
+                     {selectedBucket && !isLoadingObjects && (
+                        <div className="flex-shrink-0 px-3 py-1.5 bg-slate-800/30 border-t border-slate-700 flex items-center justify-between text-xs text-slate-400">
+                            <span>
+                                {objects.length.toLocaleString()} item(s) {nextContinuationToken ? 'loaded, more available' : '— listing complete'}
+                                {searchQuery && ` · ${filteredObjects.length.toLocaleString()} matching`}
+                            </span>
+                            {nextContinuationToken && (
+                                <div className="flex items-center space-x-3">
+                                    {isLoadingMoreObjects && <Loader2 className="animate-spin h-3.5 w-3.5" />}
+                                    <button onClick={() => loadMoreObjects()} disabled={isLoadingMoreObjects} className="hover:text-white disabled:text-slate-600 disabled:cursor-not-allowed">Load more</button>
+                                    <button onClick={() => loadMoreObjects(true)} disabled={isLoadingMoreObjects} className="hover:text-white disabled:text-slate-600 disabled:cursor-not-allowed">Load all</button>
+                                </div>
+                            )}
+                        </div>
+                     )}
                 </main>
             </div>
             <Modal isOpen={isRenameModalOpen} onClose={() => setIsRenameModalOpen(false)} title="Rename">
@@ -875,19 +1768,234 @@ function App() {
                     </div>
                 </div>
             </Modal>
-            <Modal isOpen={isDeleteModalOpen} onClose={() => setIsDeleteModalOpen(false)} title="Confirm Deletion">
+            <Modal isOpen={!!deleteRequest} onClose={() => setDeleteRequest(null)} title="Confirm Deletion">
                 <div className="text-slate-300">
-                    <p className="mb-4">Are you sure you want to permanently delete {selectedItems.length} item(s)? This action cannot be undone.</p>
+                    {recycleBinSettings.enabled && !showVersions
+                        ? <p className="mb-4">Move {deleteRequest?.length} item(s) to the recycle bin? You can restore them from there.</p>
+                        : <p className="mb-4">Are you sure you want to permanently delete {deleteRequest?.length} item(s)? This action cannot be undone.</p>}
                     <ul className="max-h-48 overflow-y-auto bg-slate-900/50 p-2 rounded-md border border-slate-700 space-y-1 mb-6">
-                        {selectedItems.map(key => <li key={key} className="truncate text-sm">{key}</li>)}
+                        {deleteRequest?.map(key => <li key={key} className="truncate text-sm">{key}</li>)}
                     </ul>
                     <div className="mt-6 flex justify-end space-x-3">
-                        <button type="button" onClick={() => setIsDeleteModalOpen(false)} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Cancel</button>
-                        <button type="button" onClick={handleDeleteSelected} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white font-semibold transition">Delete</button>
+                        <button type="button" onClick={() => setDeleteRequest(null)} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Cancel</button>
+                        <button type="button" onClick={handleConfirmDelete} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white font-semibold transition">Delete</button>
+                    </div>
+                </div>
+            </Modal>
+            <Modal isOpen={isCreateBucketModalOpen} onClose={() => setIsCreateBucketModalOpen(false)} title="Create Bucket">
+                <div className="space-y-4">
+                    <div>
+                        <label className="text-sm font-medium text-slate-300 block mb-2">Bucket Name</label>
+                        <input
+                            type="text"
+                            value={newBucketName}
+                            onChange={(e) => setNewBucketName(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && handleCreateBucket()}
+                            placeholder="e.g., my-bucket"
+                            autoFocus
+                            className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition"
+                        />
+                        <p className="text-xs text-slate-500 mt-1">3–63 characters: lowercase letters, numbers, dots and hyphens.</p>
+                    </div>
+                    <div>
+                        <label className="text-sm font-medium text-slate-300 block mb-2">Region (optional)</label>
+                        <input
+                            type="text"
+                            value={newBucketRegion}
+                            onChange={(e) => setNewBucketRegion(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && handleCreateBucket()}
+                            placeholder="e.g., eu-west-1"
+                            className="w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition"
+                        />
+                    </div>
+                    <div className="flex items-center">
+                        <input id="object-lock" type="checkbox" checked={newBucketObjectLock} onChange={(e) => setNewBucketObjectLock(e.target.checked)} className="h-4 w-4 rounded border-slate-500 bg-slate-700 text-sky-600 focus:ring-sky-500"/>
+                        <label htmlFor="object-lock" className="ml-2 block text-sm text-slate-300">Enable object lock (also enables versioning)</label>
+                    </div>
+                    <div className="flex justify-end space-x-3 pt-2">
+                        <button type="button" onClick={() => setIsCreateBucketModalOpen(false)} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Cancel</button>
+                        <button type="button" onClick={handleCreateBucket} disabled={isSubmittingBucket} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                            {isSubmittingBucket && <Loader2 className="animate-spin mr-2 h-4 w-4" />}
+                            Create
+                        </button>
+                    </div>
+                </div>
+            </Modal>
+            <Modal isOpen={!!bucketToDelete} onClose={() => !isSubmittingBucket && setBucketToDelete(null)} title={bucketToDelete?.isNotEmpty ? 'Bucket Is Not Empty' : 'Delete Bucket'}>
+                <div className="text-slate-300">
+                    {bucketToDelete?.isNotEmpty ? (
+                        <p className="mb-4">Bucket <span className="font-semibold text-slate-100">{bucketToDelete?.name}</span> still contains objects. Do you want to permanently delete all of its objects, including every older version and delete marker, and then delete the bucket? This action cannot be undone.</p>
+                    ) : (
+                        <p className="mb-4">Are you sure you want to delete bucket <span className="font-semibold text-slate-100">{bucketToDelete?.name}</span>?</p>
+                    )}
+                    <div className="mt-6 flex justify-end space-x-3">
+                        <button type="button" onClick={() => setBucketToDelete(null)} disabled={isSubmittingBucket} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition disabled:cursor-not-allowed">Cancel</button>
+                        <button type="button" onClick={() => handleDeleteBucket(bucketToDelete?.isNotEmpty)} disabled={isSubmittingBucket} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white font-semibold transition disabled:bg-red-800 disabled:cursor-not-allowed flex items-center">
+                            {isSubmittingBucket && <Loader2 className="animate-spin mr-2 h-4 w-4" />}
+                            {bucketToDelete?.isNotEmpty ? 'Empty & Delete' : 'Delete'}
+                        </button>
+                    </div>
+                </div>
+            </Modal>
+            <Modal isOpen={!!versionToDelete} onClose={() => setVersionToDelete(null)} title={versionToDelete?.isDeleteMarker ? 'Remove Delete Marker' : 'Delete Version'}>
+                <div className="text-slate-300">
+                    {versionToDelete?.isDeleteMarker ? (
+                        <p className="mb-4">Remove the delete marker of <span className="font-semibold text-slate-100">{versionToDelete?.Key}</span>?{versionToDelete?.IsLatest && ' The previous version becomes current again.'}</p>
+                    ) : (
+                        <p className="mb-4">Permanently delete version <span className="font-mono text-slate-100">{shortVersionId(versionToDelete?.VersionId)}</span> of <span className="font-semibold text-slate-100">{versionToDelete?.Key}</span>? This action cannot be undone.</p>
+                    )}
+                    <div className="mt-6 flex justify-end space-x-3">
+                        <button type="button" onClick={() => setVersionToDelete(null)} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Cancel</button>
+                        <button type="button" onClick={handleDeleteVersion} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white font-semibold transition">{versionToDelete?.isDeleteMarker ? 'Remove' : 'Delete'}</button>
                     </div>
                 </div>
             </Modal>
-            <FilePreviewModal item={previewItem} objectUrl={previewObjectUrl} isLoading={isLoadingPreview} onClose={closePreview} />
+            <KeyboardShortcutsModal isOpen={isShortcutsOpen} onClose={() => setIsShortcutsOpen(false)} />
+            {usageTarget && (
+                <StorageUsageModal
+                    bucket={usageTarget.bucket}
+                    prefix={usageTarget.prefix}
+                    report={getReport(usageTarget.bucket, usageTarget.prefix)}
+                    progress={getProgress(usageTarget.bucket, usageTarget.prefix)}
+                    onCalculate={() => startUsageCalculation(usageTarget.bucket, usageTarget.prefix)}
+                    onCancel={() => cancelUsage(usageTarget.bucket, usageTarget.prefix)}
+                    onSelectPrefix={(usagePrefix) => openStorageUsage(usageTarget.bucket, usagePrefix)}
+                    onRevealObject={handleRevealUsageObject}
+                    onClose={() => setUsageTarget(null)}
+                />
+            )}
+            {isTrashOpen && selectedBucket && (
+                <TrashModal
+                    bucket={selectedBucket}
+                    settings={recycleBinSettings}
+                    onSettingsChange={setRecycleBinSettings}
+                    loadEntries={listTrash}
+                    isVersioned={isVersioned}
+                    onRestore={(entry) => restoreDeletion(restoreEntry, selectedBucket, entry)}
+                    onPurge={handlePurgeTrashEntries}
+                    onClose={() => setIsTrashOpen(false)}
+                    showAlert={showAlert}
+                />
+            )}
+            <BucketSettingsModal
+                bucket={bucketSettings?.bucket ?? null}
+                initialTab={bucketSettings?.tab}
+                prefix={bucketSettings?.bucket === selectedBucket ? prefix : ''}
+                newRulePrefix={bucketSettings?.rulePrefix}
+                onClose={() => setBucketSettings(null)}
+                loadPolicy={loadPolicy}
+                savePolicy={savePolicy}
+                loadLifecycleRules={loadLifecycleRules}
+                saveLifecycleRules={saveLifecycleRules}
+                loadCorsRules={loadCorsRules}
+                saveCorsRules={saveCorsRules}
+                showAlert={showAlert}
+            />
+            <SearchPanel
+                isOpen={isSearchPanelOpen}
+                bucket={selectedBucket}
+                prefix={prefix}
+                results={searchResults}
+                scannedCount={scannedCount}
+                isSearching={isSearching}
+                isResultLimitReached={isResultLimitReached}
+                onSearch={startSearch}
+                onCancel={cancelSearch}
+                onReveal={handleRevealSearchResult}
+                onPreview={openPreview}
+                onDownload={handleDownload}
+                onClose={() => setIsSearchPanelOpen(false)}
+            />
+            <VersionsPanel
+                objectKey={versionsPanelKey}
+                refreshToken={versionsRefreshToken}
+                listKeyVersions={listKeyVersions}
+                onPreview={openPreview}
+                onDownload={handleDownload}
+                onRestore={handleRestoreVersion}
+                onDelete={setVersionToDelete}
+                onClose={() => setVersionsPanelKey(null)}
+                showAlert={showAlert}
+            />
+            <PropertiesPanel
+                objectKey={propertiesKey}
+                loadProperties={loadProperties}
+                saveMetadata={saveMetadata}
+                saveTags={saveTags}
+                onSaved={() => fetchObjects(selectedBucket, prefix)}
+                onClose={closePropertiesPanel}
+                showAlert={showAlert}
+            />
+            {transferItems && (
+                <TransferModal
+                    itemCount={transferItems.length}
+                    sourceLabel={activeSession.label}
+                    defaultPrefix={prefix}
+                    targets={sessions.filter(s => s.id !== activeSessionId)}
+                    loadBuckets={loadSessionBuckets}
+                    isStarting={isStartingTransfer}
+                    onStart={handleStartTransfer}
+                    onClose={() => setTransferItems(null)}
+                />
+            )}
+            <ShareLinkModal objectKey={shareTargetKey} shareLinks={shareLinks} onCreate={createShareLink} onClose={() => setShareTargetKey(null)} showAlert={showAlert} />
+            {uploadLinkPrefix !== null && (
+                <UploadLinkModal bucket={selectedBucket} prefix={uploadLinkPrefix} uploadLinks={uploadLinks} onCreate={createUploadLink} onClose={() => setUploadLinkPrefix(null)} showAlert={showAlert} />
+            )}
+            <UploadConflictModal conflicts={pendingConflicts} onResolve={handleResolveUploadConflicts} />
+            <UploadConflictModal conflicts={pendingPasteConflicts} onResolve={handleResolvePasteConflicts} title="Objects Already Exist" cancelLabel="Cancel Paste" canOverwrite={canOverwritePaste} />
+            <UploadQueuePanel
+                items={uploadItems}
+                stats={uploadStats}
+                isPaused={isUploadQueuePaused}
+                isCheckingConflicts={isCheckingConflicts}
+                settings={uploadSettings}
+                onSettingsChange={setUploadSettings}
+                onCancel={cancelUpload}
+                onPause={pauseUpload}
+                onResume={resumeUpload}
+                onRetry={retryUpload}
+                onPauseAll={pauseAll}
+                onResumeAll={resumeAll}
+                onCancelAll={cancelAll}
+                onClearFinished={clearFinished}
+            />
+            <JobsPanel
+                isOpen={isJobsPanelOpen}
+                jobs={jobs}
+                moveJobs={moveJobs}
+                uploadItems={uploadItems}
+                activityEntries={activityEntries}
+                droppedActivityCount={droppedActivityCount}
+                onRetryFailed={retryFailed}
+                onCancelJob={cancelJob}
+                onClearFinished={clearFinishedJobs}
+                onInterruptMove={interruptJob}
+                onResumeMove={resumeJob}
+                onRollbackMove={rollbackJob}
+                onDiscardMove={discardJob}
+                onRetryUpload={retryUpload}
+                onCancelAllUploads={cancelAll}
+                onExportActivity={exportLog}
+                onClearActivity={clearLog}
+                onClose={() => setIsJobsPanelOpen(false)}
+            />
+            <FilePreviewModal
+                item={previewItem}
+                objectUrl={previewObjectUrl}
+                isLoading={isLoadingPreview}
+                text={previewText}
+                loadedBytes={previewLoadedBytes}
+                totalBytes={previewTotalBytes}
+                isLoadingMore={isLoadingMorePreview}
+                onLoadMore={loadMorePreview}
+                position={previewPosition}
+                onPrevious={showPreviousPreview}
+                onNext={showNextPreview}
+                isSlideshowPlaying={isSlideshowPlaying}
+                onToggleSlideshow={toggleSlideshow}
+                onClose={closePreview}
+            />
         </div>
     );
 }
@@ -0,0 +1,177 @@
+// S – single responsibility: the standalone page that uploads files with a presigned POST upload link
+// D – depends only on the link in the URL; it has no connection or credentials of its own
+
+import React, { useState, useMemo, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { Upload as UploadIcon, X, CheckCircle, AlertTriangle, Loader2, HardDrive } from 'lucide-react';
+import { formatBytes } from './utils/formatUtils';
+import { filesFromInput, isOsFileDrag, collectDroppedFiles } from './utils/uploadUtils';
+import { parseUploadPageHash, findUploadPolicy, getUploadContentType, postUpload } from './utils/uploadLinkUtils';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    uploading: 'Uploading',
+    done: 'Uploaded',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+let nextItemId = 0;
+
+/**
+ * Reads the upload link from the URL fragment and uploads the chosen files one after another.
+ * Size and type are checked here first for a clear message; the signed policy enforces them on the server.
+ */
+const UploadPage = () => {
+    const { hash } = useLocation();
+    const link = useMemo(() => parseUploadPageHash(hash), [hash]);
+    const [items, setItems] = useState([]);
+    const [isDragOver, setIsDragOver] = useState(false);
+    const queueRef = useRef([]);
+    const isRunningRef = useRef(false);
+    const controllerRef = useRef(null);
+
+    const updateItem = (id, patch) => setItems(prev => prev.map(item => (item.id === id ? { ...item, ...patch } : item)));
+
+    const runQueue = async () => {
+        if (isRunningRef.current) return;
+        isRunningRef.current = true;
+        while (queueRef.current.length > 0) {
+            const { id, file, name, policy } = queueRef.current.shift();
+            if (link.expiresAt <= Date.now()) {
+                updateItem(id, { status: 'failed', error: 'The upload link has expired.' });
+                continue;
+            }
+            const controller = new AbortController();
+            controllerRef.current = { id, controller };
+            updateItem(id, { status: 'uploading' });
+            try {
+                const key = await postUpload(link, policy, file, {
+                    name,
+                    signal: controller.signal,
+                    onProgress: (loaded) => updateItem(id, { loaded }),
+                });
+                updateItem(id, { status: 'done', loaded: file.size, key });
+            } catch (err) {
+                updateItem(id, err.name === 'AbortError' ? { status: 'cancelled' } : { status: 'failed', error: err.message });
+            }
+        }
+        controllerRef.current = null;
+        isRunningRef.current = false;
+    };
+
+    /** @param {import('./utils/uploadUtils').UploadEntry[]} entries */
+    const addFiles = (entries) => {
+        const added = entries.map(({ file, relativePath }) => {
+            const id = String(++nextItemId);
+            const contentType = getUploadContentType(file);
+            const policy = findUploadPolicy(link, contentType);
+            const error = file.size > link.maxSizeBytes ? `Larger than the ${formatBytes(link.maxSizeBytes)} limit.`
+                : !policy ? `${contentType} files are not accepted.`
+                : null;
+            if (!error) queueRef.current.push({ id, file, name: relativePath, policy });
+            return { id, name: relativePath, size: file.size, loaded: 0, status: error ? 'failed' : 'queued', error };
+        });
+        setItems(prev => [...prev, ...added]);
+        runQueue();
+    };
+
+    const cancelItem = (id) => {
+        if (controllerRef.current?.id === id) {
+            controllerRef.current.controller.abort();
+            return;
+        }
+        queueRef.current = queueRef.current.filter(job => job.id !== id);
+        updateItem(id, { status: 'cancelled' });
+    };
+
+    // Dropped folders keep their structure below the link's prefix
+    const handleDrop = async (e) => {
+        e.preventDefault();
+        setIsDragOver(false);
+        addFiles(await collectDroppedFiles(e.dataTransfer));
+    };
+
+    if (!link) {
+        return (
+            <div className="min-h-screen w-full flex items-center justify-center bg-slate-900 p-4 text-slate-300">
+                <div className="max-w-md text-center">
+                    <AlertTriangle className="mx-auto mb-4 text-amber-400" size={40} />
+                    <h1 className="text-xl font-semibold text-slate-100">This upload link is not valid</h1>
+                    <p className="mt-2 text-sm text-slate-400">Check that the whole link was copied, or ask for a new one.</p>
+                </div>
+            </div>
+        );
+    }
+
+    const isExpired = link.expiresAt <= Date.now();
+    const acceptedTypes = link.policies.map(p => p.contentType).filter(Boolean);
+
+    return (
+        <div className="min-h-screen w-full bg-slate-900 text-slate-300 p-4 flex justify-center">
+            <div className="w-full max-w-2xl py-8 space-y-6">
+                <header className="flex items-center gap-3">
+                    <HardDrive className="h-7 w-7 text-sky-400" />
+                    <div className="min-w-0">
+                        <h1 className="text-xl font-bold text-slate-100">Upload files</h1>
+                        <p className="text-sm text-slate-400 truncate">To {link.bucket}/{link.prefix}</p>
+                    </div>
+                </header>
+                <ul className="text-sm text-slate-400 space-y-1">
+                    <li>Up to {formatBytes(link.maxSizeBytes)} per file</li>
+                    <li>{acceptedTypes.length > 0 ? `Accepted types: ${acceptedTypes.join(', ')}` : 'Any file type'}</li>
+                    <li className={isExpired ? 'text-red-400' : ''}>{isExpired ? 'Expired' : 'Expires'} {new Date(link.expiresAt).toLocaleString()}</li>
+                </ul>
+                {!isExpired && (
+                    <label
+                        onDragOver={(e) => { if (isOsFileDrag(e)) { e.preventDefault(); setIsDragOver(true); } }}
+                        onDragLeave={() => setIsDragOver(false)}
+                        onDrop={handleDrop}
+                        className={`flex flex-col items-center justify-center gap-2 h-44 rounded-xl border-2 border-dashed cursor-pointer transition-colors ${isDragOver ? 'border-sky-400 bg-sky-500/10' : 'border-slate-600 hover:border-slate-500 bg-slate-800/40'}`}
+                    >
+                        <UploadIcon size={32} className="text-sky-400" />
+                        <span className="text-slate-200 font-semibold">Drop files here or click to choose</span>
+                        <input
+                            type="file"
+                            multiple
+                            accept={acceptedTypes.join(',') || undefined}
+                            className="hidden"
+                            onChange={(e) => { addFiles(filesFromInput(e.target.files)); e.target.value = ''; }}
+                        />
+                    </label>
+                )}
+                {items.length > 0 && (
+                    <ul className="space-y-2">
+                        {items.map(item => {
+                            const percent = item.size > 0 ? Math.round((item.loaded / item.size) * 100) : 100;
+                            return (
+                                <li key={item.id} className="bg-slate-800 border border-slate-700 rounded-lg p-3 text-sm">
+                                    <div className="flex items-center gap-2">
+                                        {item.status === 'uploading' && <Loader2 size={16} className="animate-spin text-sky-400 flex-shrink-0" />}
+                                        {item.status === 'done' && <CheckCircle size={16} className="text-emerald-400 flex-shrink-0" />}
+                                        {item.status === 'failed' && <AlertTriangle size={16} className="text-red-400 flex-shrink-0" />}
+                                        <span className="flex-1 truncate text-slate-200" title={item.name}>{item.name}</span>
+                                        <span className="text-xs text-slate-500 flex-shrink-0">{formatBytes(item.size)} · {STATUS_LABELS[item.status]}</span>
+                                        {['queued', 'uploading'].includes(item.status) && (
+                                            <button onClick={() => cancelItem(item.id)} title="Cancel" className="p-1 rounded text-slate-400 hover:text-white hover:bg-slate-700 transition">
+                                                <X size={14} />
+                                            </button>
+                                        )}
+                                    </div>
+                                    {item.status === 'uploading' && (
+                                        <div className="mt-2 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                                            <div className="h-full bg-sky-500 transition-all" style={{ width: `${percent}%` }} />
+                                        </div>
+                                    )}
+                                    {item.error && <p className="mt-1 text-xs text-red-400">{item.error}</p>}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default UploadPage;
@@ -0,0 +1,101 @@
+// S – single responsibility: edits region, addressing style and authentication mode of a connection
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { AUTH_MODES } from '../utils/connectionUtils';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+const labelClasses = "text-sm font-medium text-slate-300 block mb-2";
+
+/**
+ * @param {{
+ *   options: typeof import('../utils/connectionUtils').DEFAULT_CONNECTION_OPTIONS,
+ *   onChange: (field: string, value: string|number|boolean) => void,
+ * }} props
+ */
+const AdvancedConnectionOptions = ({ options, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    // Role and LDAP modes need their fields, so they keep the section open
+    const expanded = isOpen || options.authMode !== 'static';
+
+    return (
+        <div className="border border-slate-700 rounded-md">
+            <button type="button" onClick={() => setIsOpen(!expanded)} className="w-full flex items-center px-3 py-2 text-sm text-slate-300 hover:text-white">
+                {expanded ? <ChevronDown size={16} className="mr-1" /> : <ChevronRight size={16} className="mr-1" />}
+                Advanced
+                <span className="ml-2 text-xs text-slate-500 truncate">
+                    {options.region} · {options.forcePathStyle ? 'path-style' : 'virtual-hosted'} · {AUTH_MODES.find(m => m.id === options.authMode)?.label}
+                </span>
+            </button>
+            {expanded && (
+                <div className="p-3 pt-1 space-y-4">
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className={labelClasses}>Region</label>
+                            <input type="text" value={options.region} onChange={(e) => onChange('region', e.target.value.trim())} placeholder="us-east-1" className={inputClasses} required />
+                        </div>
+                        <div>
+                            <label className={labelClasses}>Addressing style</label>
+                            <select value={options.forcePathStyle ? 'path' : 'virtual'} onChange={(e) => onChange('forcePathStyle', e.target.value === 'path')} className={inputClasses}>
+                                <option value="path">Path-style (endpoint/bucket)</option>
+                                <option value="virtual">Virtual-hosted (bucket.endpoint)</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div>
+                        <label className={labelClasses}>Authentication</label>
+                        <select value={options.authMode} onChange={(e) => onChange('authMode', e.target.value)} className={inputClasses}>
+                            {AUTH_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+                        </select>
+                    </div>
+                    {options.authMode !== 'ldap' && (
+                        <div>
+                            <label className={labelClasses}>Session Token (optional)</label>
+                            <input type="password" value={options.sessionToken} onChange={(e) => onChange('sessionToken', e.target.value)} placeholder="For temporary access keys" className={inputClasses} />
+                        </div>
+                    )}
+                    {options.authMode === 'assume-role' && (
+                        <>
+                            <p className="text-xs text-slate-500">The access key above is used to assume the role; the explorer then works with the role's temporary credentials.</p>
+                            <div>
+                                <label className={labelClasses}>Role ARN</label>
+                                <input type="text" value={options.roleArn} onChange={(e) => onChange('roleArn', e.target.value.trim())} placeholder="arn:aws:iam::123456789012:role/explorer (MinIO: optional)" className={inputClasses} />
+                            </div>
+                            <div>
+                                <label className={labelClasses}>Session Name</label>
+                                <input type="text" value={options.roleSessionName} onChange={(e) => onChange('roleSessionName', e.target.value.trim())} className={inputClasses} />
+                            </div>
+                        </>
+                    )}
+                    {options.authMode === 'ldap' && (
+                        <>
+                            <div>
+                                <label className={labelClasses}>LDAP Username</label>
+                                <input type="text" value={options.ldapUsername} onChange={(e) => onChange('ldapUsername', e.target.value)} className={inputClasses} required />
+                            </div>
+                            <div>
+                                <label className={labelClasses}>LDAP Password</label>
+                                <input type="password" value={options.ldapPassword} onChange={(e) => onChange('ldapPassword', e.target.value)} className={inputClasses} required />
+                            </div>
+                        </>
+                    )}
+                    {options.authMode !== 'static' && (
+                        <div className="grid grid-cols-2 gap-3">
+                            <div>
+                                <label className={labelClasses}>Session Duration (s)</label>
+                                <input type="number" min="900" max="43200" value={options.durationSeconds} onChange={(e) => onChange('durationSeconds', Number(e.target.value))} className={inputClasses} />
+                            </div>
+                            <div>
+                                <label className={labelClasses}>STS Endpoint (optional)</label>
+                                <input type="text" value={options.stsEndpoint} onChange={(e) => onChange('stsEndpoint', e.target.value.trim())} placeholder="Defaults to the endpoint URL" className={inputClasses} />
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AdvancedConnectionOptions;
@@ -0,0 +1,62 @@
+// S – single responsibility: hosts the per-bucket settings tabs
+// O – a new setting is added as another tab component in ./bucketSettings
+
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal';
+import PolicyTab from './bucketSettings/PolicyTab';
+import LifecycleTab from './bucketSettings/LifecycleTab';
+import CorsTab from './bucketSettings/CorsTab';
+
+const TABS = [
+    { id: 'policy', label: 'Access Policy' },
+    { id: 'lifecycle', label: 'Lifecycle' },
+    { id: 'cors', label: 'CORS' },
+];
+
+/**
+ * @param {{
+ *   bucket: string|null,
+ *   initialTab?: string,
+ *   prefix: string,
+ *   newRulePrefix?: string,
+ *   onClose: () => void,
+ *   loadPolicy: (bucket: string) => Promise<object|null>,
+ *   savePolicy: (bucket: string, policy: object|null) => Promise<void>,
+ *   loadLifecycleRules: (bucket: string) => Promise<Array<object>>,
+ *   saveLifecycleRules: (bucket: string, rules: Array<object>) => Promise<void>,
+ *   loadCorsRules: (bucket: string) => Promise<Array<object>>,
+ *   saveCorsRules: (bucket: string, rules: Array<object>) => Promise<void>,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const BucketSettingsModal = ({ bucket, initialTab = 'policy', prefix, newRulePrefix, onClose, loadPolicy, savePolicy, loadLifecycleRules, saveLifecycleRules, loadCorsRules, saveCorsRules, showAlert }) => {
+    const [activeTab, setActiveTab] = useState(initialTab);
+
+    useEffect(() => {
+        setActiveTab(initialTab);
+    }, [bucket, initialTab]);
+
+    return (
+        <Modal isOpen={!!bucket} onClose={onClose} title={`Bucket Settings — ${bucket}`} maxWidth="max-w-3xl">
+            <div className="flex space-x-1 border-b border-slate-700 -mt-2 mb-4">
+                {TABS.map(tab => (
+                    <button
+                        key={tab.id}
+                        type="button"
+                        onClick={() => setActiveTab(tab.id)}
+                        className={`px-3 py-2 text-sm font-semibold border-b-2 -mb-px transition ${activeTab === tab.id ? 'border-sky-500 text-sky-300' : 'border-transparent text-slate-400 hover:text-white'}`}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+            <div className="max-h-[65vh] overflow-y-auto pr-1">
+                {activeTab === 'policy' && <PolicyTab bucket={bucket} prefix={prefix} loadPolicy={loadPolicy} savePolicy={savePolicy} showAlert={showAlert} />}
+                {activeTab === 'lifecycle' && <LifecycleTab bucket={bucket} newRulePrefix={newRulePrefix} loadLifecycleRules={loadLifecycleRules} saveLifecycleRules={saveLifecycleRules} showAlert={showAlert} />}
+                {activeTab === 'cors' && <CorsTab bucket={bucket} loadCorsRules={loadCorsRules} saveCorsRules={saveCorsRules} showAlert={showAlert} />}
+            </div>
+        </Modal>
+    );
+};
+
+export default BucketSettingsModal;
@@ -0,0 +1,72 @@
+// S – single responsibility: collects and applies a new vault passphrase
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { MIN_PASSPHRASE_LENGTH } from '../hooks/useConnectionVault';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+/**
+ * @param {{
+ *   isOpen: boolean,
+ *   onClose: () => void,
+ *   onChangePassphrase: (current: string, next: string) => Promise<boolean>,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const ChangePassphraseModal = ({ isOpen, onClose, onChangePassphrase, showAlert }) => {
+    const [current, setCurrent] = useState('');
+    const [next, setNext] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const close = () => {
+        setCurrent('');
+        setNext('');
+        setConfirmation('');
+        setError('');
+        onClose();
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (next.length < MIN_PASSPHRASE_LENGTH) { setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`); return; }
+        if (next !== confirmation) { setError('The new passphrases do not match.'); return; }
+        setIsSaving(true);
+        try {
+            if (await onChangePassphrase(current, next)) {
+                showAlert('Passphrase changed.', 'success');
+                close();
+            } else {
+                setError('The current passphrase is wrong.');
+            }
+        } catch (err) {
+            setError(`Could not change the passphrase: ${err.name}.`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={close} title="Change Master Passphrase">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <input type="password" autoFocus autoComplete="current-password" value={current} onChange={(e) => setCurrent(e.target.value)} placeholder="Current passphrase" className={inputClasses} required />
+                <input type="password" autoComplete="new-password" value={next} onChange={(e) => setNext(e.target.value)} placeholder="New passphrase" className={inputClasses} required />
+                <input type="password" autoComplete="new-password" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} placeholder="Repeat new passphrase" className={inputClasses} required />
+                {error && <p className="text-xs text-red-400">{error}</p>}
+                <div className="flex justify-end space-x-3">
+                    <button type="button" onClick={close} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-500 text-white font-semibold transition">Cancel</button>
+                    <button type="submit" disabled={isSaving} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                        {isSaving && <Loader2 className="animate-spin mr-2 h-4 w-4" />}
+                        Change
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default ChangePassphraseModal;
@@ -0,0 +1,37 @@
+// S – single responsibility: renders one tab per open connection
+// I – receives only the props it needs
+
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+
+/**
+ * @param {{
+ *   sessions: Array<{ id: string, label: string, endpoint: string }>,
+ *   activeId: string|null,
+ *   onSelect: (id: string) => void,
+ *   onClose: (id: string) => void,
+ *   onAdd: () => void,
+ * }} props
+ */
+const ConnectionTabs = ({ sessions, activeId, onSelect, onClose, onAdd }) => (
+    <div className="flex items-center gap-1 min-w-0 overflow-x-auto" role="tablist">
+        {sessions.map(session => (
+            <div
+                key={session.id}
+                className={`group flex items-center rounded-md text-sm flex-shrink-0 transition-colors ${session.id === activeId ? 'bg-sky-500/20 text-sky-300' : 'text-slate-400 hover:bg-slate-700/50 hover:text-slate-200'}`}
+            >
+                <button role="tab" aria-selected={session.id === activeId} onClick={() => onSelect(session.id)} title={session.endpoint} className="pl-3 pr-1 py-1.5 max-w-[12rem] truncate">
+                    {session.label}
+                </button>
+                <button onClick={() => onClose(session.id)} title={`Disconnect "${session.label}"`} className="p-1 mr-1 rounded opacity-60 group-hover:opacity-100 hover:bg-slate-600 hover:text-white">
+                    <X size={12} />
+                </button>
+            </div>
+        ))}
+        <button onClick={onAdd} title="Open another connection" className="p-1.5 text-slate-400 hover:text-white rounded-md hover:bg-slate-700 flex-shrink-0">
+            <Plus size={16} />
+        </button>
+    </div>
+);
+
+export default ConnectionTabs;
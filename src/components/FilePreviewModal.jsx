@@ -1,16 +1,77 @@
 // S – single responsibility: renders the preview modal only
 // I – receives only the props it needs
 
-import React from 'react';
-import { X, Loader2 } from 'lucide-react';
+import React, { useEffect, useRef } from 'react';
+import { X, Loader2, ChevronLeft, ChevronRight, Play, Pause } from 'lucide-react';
+import CodePreview from './preview/CodePreview';
+import JsonPreview from './preview/JsonPreview';
+import CsvPreview from './preview/CsvPreview';
+import MarkdownPreview from './preview/MarkdownPreview';
+import { getCodeLanguage, isTextPreviewType } from '../utils/fileUtils';
+import { getDelimiter } from '../utils/csvUtils';
+import { formatBytes } from '../utils/formatUtils';
+import { isEditableTarget } from '../utils/keyboardUtils';
+
+const renderTextPreview = (item, text, isComplete) => {
+    switch (item.type) {
+        case 'json': return <JsonPreview text={text} isComplete={isComplete} />;
+        case 'csv': return <CsvPreview text={text} delimiter={getDelimiter(item.key)} isComplete={isComplete} />;
+        case 'markdown': return <MarkdownPreview text={text} />;
+        case 'code': return <CodePreview text={text} language={getCodeLanguage(item.key)} />;
+        default: return <CodePreview text={text} />;
+    }
+};
 
 /**
- * @param {{ item: {key: string, type: 'image'|'pdf'}|null, objectUrl: string|null, isLoading: boolean, onClose: () => void }} props
+ * @param {{
+ *   item: {key: string, type: string, versionId?: string}|null,
+ *   objectUrl: string|null,
+ *   isLoading: boolean,
+ *   text?: string,
+ *   loadedBytes?: number,
+ *   totalBytes?: number,
+ *   isLoadingMore?: boolean,
+ *   onLoadMore?: () => void,
+ *   position?: {index: number, count: number}|null,
+ *   onPrevious?: () => void,
+ *   onNext?: () => void,
+ *   isSlideshowPlaying?: boolean,
+ *   onToggleSlideshow?: () => void,
+ *   onClose: () => void,
+ * }} props
+ *
+ * `position` is where the item sits among the previewable files of the listing; navigation is shown
+ * only when there is more than one. ← and → move between files and Esc closes.
  */
-const FilePreviewModal = ({ item, objectUrl, isLoading, onClose }) => {
+const FilePreviewModal = ({
+    item, objectUrl, isLoading, text = '', loadedBytes = 0, totalBytes = 0, isLoadingMore = false, onLoadMore,
+    position = null, onPrevious, onNext, isSlideshowPlaying = false, onToggleSlideshow, onClose,
+}) => {
+    const canNavigate = (position?.count ?? 0) > 1;
+
+    // Read through a ref so the listener is attached once per opened preview, not on every render
+    const keyHandlersRef = useRef(null);
+    keyHandlersRef.current = { ArrowLeft: canNavigate ? onPrevious : null, ArrowRight: canNavigate ? onNext : null, Escape: onClose };
+
+    // Listens in the capture phase and stops the event, so the object table behind the modal does not move too
+    useEffect(() => {
+        if (!item) return undefined;
+        const handleKeyDown = (e) => {
+            const handler = keyHandlersRef.current[e.key];
+            if (!handler || isEditableTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+            e.preventDefault();
+            e.stopPropagation();
+            handler();
+        };
+        document.addEventListener('keydown', handleKeyDown, true);
+        return () => document.removeEventListener('keydown', handleKeyDown, true);
+    }, [item]);
+
     if (!item) return null;
 
     const fileName = item.key.split('/').pop();
+    const isText = isTextPreviewType(item.type);
+    const isComplete = loadedBytes >= totalBytes;
 
     return (
         <div
@@ -19,12 +80,35 @@ const FilePreviewModal = ({ item, objectUrl, isLoading, onClose }) => {
         >
             <div
                 className="bg-slate-800 rounded-xl shadow-2xl border border-slate-700 flex flex-col overflow-hidden"
-                style={{ maxWidth: '92vw', maxHeight: '92vh', width: item.type === 'pdf' ? '82vw' : 'fit-content' }}
+                style={{ maxWidth: '92vw', maxHeight: '92vh', width: item.type === 'image' ? 'fit-content' : '82vw' }}
                 onClick={(e) => e.stopPropagation()}
             >
                 {/* Header */}
                 <div className="flex items-center justify-between p-3 border-b border-slate-700 flex-shrink-0">
-                    <h3 className="text-sm font-semibold text-slate-100 truncate max-w-lg">{fileName}</h3>
+                    <h3 className="text-sm font-semibold text-slate-100 truncate max-w-lg">
+                        {fileName}
+                        {item.versionId && <span className="ml-2 font-mono text-xs font-normal text-slate-400">version {item.versionId}</span>}
+                    </h3>
+                    {canNavigate && (
+                        <div className="ml-4 flex items-center gap-1 text-slate-400 flex-shrink-0">
+                            <button onClick={onPrevious} className="p-1 rounded-full hover:text-white hover:bg-slate-700" aria-label="Previous file" title="Previous (←)">
+                                <ChevronLeft size={20} />
+                            </button>
+                            <span className="text-xs tabular-nums">{position.index + 1} / {position.count}</span>
+                            <button onClick={onNext} className="p-1 rounded-full hover:text-white hover:bg-slate-700" aria-label="Next file" title="Next (→)">
+                                <ChevronRight size={20} />
+                            </button>
+                            <button
+                                onClick={onToggleSlideshow}
+                                className={`p-1 rounded-full hover:text-white hover:bg-slate-700 ${isSlideshowPlaying ? 'text-sky-400' : ''}`}
+                                aria-label={isSlideshowPlaying ? 'Pause slideshow' : 'Start slideshow'}
+                                aria-pressed={isSlideshowPlaying}
+                                title={isSlideshowPlaying ? 'Pause slideshow' : 'Slideshow'}
+                            >
+                                {isSlideshowPlaying ? <Pause size={18} /> : <Play size={18} />}
+                            </button>
+                        </div>
+                    )}
                     <button
                         onClick={onClose}
                         className="ml-4 text-slate-400 hover:text-white p-1 rounded-full hover:bg-slate-700 flex-shrink-0"
@@ -37,7 +121,7 @@ const FilePreviewModal = ({ item, objectUrl, isLoading, onClose }) => {
                 {/* Body */}
                 <div
                     className="flex items-center justify-center overflow-auto"
-                    style={{ height: 'calc(92vh - 52px)' }}
+                    style={{ height: `calc(92vh - ${isText && !isLoading ? 96 : 52}px)` }}
                 >
                     {isLoading ? (
                         <Loader2 className="animate-spin text-slate-500" size={48} />
@@ -54,8 +138,27 @@ const FilePreviewModal = ({ item, objectUrl, isLoading, onClose }) => {
                             className="w-full h-full border-0"
                             sandbox="allow-same-origin"
                         />
+                    ) : isText ? (
+                        renderTextPreview(item, text, isComplete)
                     ) : null}
                 </div>
+
+                {/* Footer: range-loading status for text previews */}
+                {isText && !isLoading && (
+                    <div className="flex items-center justify-between px-3 py-2.5 border-t border-slate-700 text-xs text-slate-400 flex-shrink-0">
+                        <span>
+                            {isComplete
+                                ? `${formatBytes(totalBytes)} — entire file loaded`
+                                : `Showing first ${formatBytes(loadedBytes)} of ${formatBytes(totalBytes)}`}
+                        </span>
+                        {!isComplete && (
+                            <button onClick={onLoadMore} disabled={isLoadingMore} className="flex items-center hover:text-white disabled:text-slate-600 disabled:cursor-not-allowed">
+                                {isLoadingMore && <Loader2 className="animate-spin mr-1.5 h-3.5 w-3.5" />}
+                                Load more
+                            </button>
+                        )}
+                    </div>
+                )}
             </div>
         </div>
     );
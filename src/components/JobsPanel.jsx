@@ -0,0 +1,189 @@
+// S – single responsibility: side panel with running and finished jobs and the session's activity log
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { X, Loader2, RefreshCcw, CheckCircle, AlertTriangle, Ban, FileJson, FileSpreadsheet, Trash2 } from 'lucide-react';
+import MoveJobsList from './MoveJobsList';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+import { ACTIVE_UPLOAD_STATUSES } from '../hooks/useUploadQueue';
+
+const ACTIVITY_ROW_HEIGHT = 48;
+// A job with thousands of failed keys lists only the first ones
+const MAX_VISIBLE_FAILURES = 50;
+
+const iconButtonClasses = "p-1 rounded text-slate-400 hover:text-white hover:bg-slate-700 transition";
+const textButtonClasses = "px-2 py-1 rounded-md text-xs font-semibold bg-slate-700 hover:bg-slate-600 text-slate-100 transition flex items-center space-x-1";
+
+const STATUS_ICONS = {
+    running: <Loader2 size={14} className="animate-spin text-sky-400" />,
+    done: <CheckCircle size={14} className="text-green-400" />,
+    failed: <AlertTriangle size={14} className="text-red-400" />,
+    cancelled: <Ban size={14} className="text-slate-400" />,
+};
+
+const FailureList = ({ failures }) => (
+    <ul className="mt-2 max-h-32 overflow-y-auto text-xs space-y-1">
+        {failures.slice(0, MAX_VISIBLE_FAILURES).map((f, i) => (
+            <li key={i} className="flex justify-between gap-2">
+                <span className="truncate text-slate-300" title={f.label}>{f.label}</span>
+                <span className="text-red-400 flex-shrink-0">{f.error}</span>
+            </li>
+        ))}
+        {failures.length > MAX_VISIBLE_FAILURES && <li className="text-slate-500">and {failures.length - MAX_VISIBLE_FAILURES} more</li>}
+    </ul>
+);
+
+const JobRow = ({ job, onRetryFailed, onCancel }) => {
+    const percent = job.total > 0 ? Math.round((job.done / job.total) * 100) : 0;
+    return (
+        <li className="px-4 py-3">
+            <div className="flex items-center justify-between gap-2">
+                <span className="flex items-center min-w-0 text-sm text-slate-200">
+                    <span className="mr-2 flex-shrink-0">{STATUS_ICONS[job.status]}</span>
+                    <span className="truncate" title={job.label}>{job.label}</span>
+                </span>
+                <div className="flex items-center space-x-1 flex-shrink-0">
+                    {job.status === 'running' && <button onClick={() => onCancel(job.id)} title="Cancel" className={iconButtonClasses}><X size={14} /></button>}
+                    {job.status !== 'running' && job.canRetry && job.failures.length > 0 && (
+                        <button onClick={() => onRetryFailed(job.id)} title="Retry the failed items" className={iconButtonClasses}><RefreshCcw size={14} /></button>
+                    )}
+                </div>
+            </div>
+            <div className="mt-2 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                <div className={`h-full transition-all ${job.failures.length > 0 ? 'bg-red-500' : 'bg-sky-500'}`} style={{ width: `${percent}%` }} />
+            </div>
+            <div className="mt-1.5 flex justify-between text-xs text-slate-400">
+                <span>{job.done} of {job.total} item(s){job.failures.length > 0 && <span className="text-red-400"> · {job.failures.length} failed</span>}</span>
+                <span>{new Date(job.startedAt).toLocaleTimeString()}</span>
+            </div>
+            {job.failures.length > 0 && <FailureList failures={job.failures} />}
+        </li>
+    );
+};
+
+const UploadsSummary = ({ items, onRetry, onCancelAll }) => {
+    const active = items.filter(i => ACTIVE_UPLOAD_STATUSES.includes(i.status)).length;
+    const done = items.filter(i => i.status === 'done').length;
+    const failed = items.filter(i => i.status === 'failed');
+    return (
+        <section>
+            <h4 className="px-4 pt-3 text-xs font-semibold uppercase tracking-wide text-slate-500">Uploads</h4>
+            <div className="px-4 py-3">
+                <div className="flex items-center justify-between text-sm text-slate-200">
+                    <span className="flex items-center">
+                        {active > 0 && <Loader2 size={14} className="animate-spin text-sky-400 mr-2" />}
+                        {done} of {items.length} file(s) uploaded{failed.length > 0 && <span className="ml-1 text-red-400">· {failed.length} failed</span>}
+                    </span>
+                    <div className="flex items-center space-x-1">
+                        {failed.length > 0 && <button onClick={() => failed.forEach(i => onRetry(i.id))} title="Retry the failed uploads" className={iconButtonClasses}><RefreshCcw size={14} /></button>}
+                        {active > 0 && <button onClick={onCancelAll} title="Cancel all uploads" className={iconButtonClasses}><X size={14} /></button>}
+                    </div>
+                </div>
+                {failed.length > 0 && <FailureList failures={failed.map(i => ({ label: i.key, error: i.error || 'Failed' }))} />}
+            </div>
+        </section>
+    );
+};
+
+const ActivityLog = ({ entries, droppedCount, onExport, onClear }) => {
+    const [errorsOnly, setErrorsOnly] = useState(false);
+    const visible = errorsOnly ? entries.filter(e => e.status === 'error') : entries;
+    const { containerRef, startIndex, endIndex, paddingTop, paddingBottom } = useVirtualRows(visible.length, ACTIVITY_ROW_HEIGHT);
+    // Newest first, without copying a long log on every render
+    const rowAt = (index) => visible[visible.length - 1 - index];
+
+    return (
+        <>
+            <div className="px-4 py-2 border-b border-slate-700 flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                <span>{entries.length.toLocaleString()} call(s){droppedCount > 0 && `, ${droppedCount.toLocaleString()} older ones dropped`}</span>
+                <label className="flex items-center space-x-1.5">
+                    <input type="checkbox" checked={errorsOnly} onChange={(e) => setErrorsOnly(e.target.checked)} className="bg-slate-700 border-slate-500 rounded" />
+                    <span>Errors only</span>
+                </label>
+                <div className="ml-auto flex items-center space-x-1">
+                    <button onClick={() => onExport('json')} disabled={entries.length === 0} className={textButtonClasses}><FileJson size={12} /><span>JSON</span></button>
+                    <button onClick={() => onExport('csv')} disabled={entries.length === 0} className={textButtonClasses}><FileSpreadsheet size={12} /><span>CSV</span></button>
+                    <button onClick={onClear} disabled={entries.length === 0} title="Clear the log" className={iconButtonClasses}><Trash2 size={14} /></button>
+                </div>
+            </div>
+            <div ref={containerRef} className="flex-grow overflow-y-auto">
+                {visible.length === 0 && <p className="p-4 text-center text-sm text-slate-500">No changes have been made this session.</p>}
+                <div style={{ paddingTop, paddingBottom }}>
+                    {Array.from({ length: Math.max(0, endIndex - startIndex) }, (_, i) => rowAt(startIndex + i)).map(entry => (
+                        <div key={entry.id} style={{ height: ACTIVITY_ROW_HEIGHT }} className="px-4 flex items-center gap-3 border-b border-slate-700/50 text-xs">
+                            <span className="text-slate-500 w-16 flex-shrink-0">{new Date(entry.time).toLocaleTimeString()}</span>
+                            <div className="min-w-0 flex-1">
+                                <p className="text-slate-200 truncate">{entry.operation} <span className="text-slate-500">· {entry.connection}</span></p>
+                                <p className="text-slate-400 truncate" title={entry.key}>{entry.bucket}{entry.key ? `/${entry.key.split('\n')[0]}` : ''}{entry.key?.includes('\n') ? ` (+${entry.key.split('\n').length - 1})` : ''}</p>
+                            </div>
+                            <span className={`flex-shrink-0 ${entry.status === 'error' ? 'text-red-400' : 'text-green-400'}`}>{entry.status === 'error' ? entry.error : `${entry.durationMs} ms`}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </>
+    );
+};
+
+/**
+ * @param {{
+ *   isOpen: boolean,
+ *   jobs: Array<import('../hooks/useJobs').Job>,
+ *   moveJobs: Array<import('../hooks/useMoveJobs').MoveJobSummary>,
+ *   uploadItems: Array<import('../hooks/useUploadQueue').UploadItem>,
+ *   activityEntries: Array<import('../utils/activityLogUtils').ActivityEntry>,
+ *   droppedActivityCount: number,
+ *   onRetryFailed: (id: string) => void, onCancelJob: (id: string) => void, onClearFinished: () => void,
+ *   onInterruptMove: (id: string) => void, onResumeMove: (id: string) => void, onRollbackMove: (id: string) => void, onDiscardMove: (id: string) => void,
+ *   onRetryUpload: (id: string) => void, onCancelAllUploads: () => void,
+ *   onExportActivity: (format: 'json'|'csv') => void, onClearActivity: () => void,
+ *   onClose: () => void,
+ * }} props
+ */
+const JobsPanel = ({
+    isOpen, jobs, moveJobs, uploadItems, activityEntries, droppedActivityCount,
+    onRetryFailed, onCancelJob, onClearFinished, onInterruptMove, onResumeMove, onRollbackMove, onDiscardMove,
+    onRetryUpload, onCancelAllUploads, onExportActivity, onClearActivity, onClose,
+}) => {
+    const [tab, setTab] = useState('jobs');
+
+    if (!isOpen) return null;
+
+    const hasFinishedJobs = jobs.some(job => job.status !== 'running');
+    const isEmpty = jobs.length === 0 && moveJobs.length === 0 && uploadItems.length === 0;
+
+    return (
+        <aside className="fixed top-0 right-0 h-full w-full max-w-md bg-slate-800 border-l border-slate-700 shadow-2xl z-30 flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-slate-700">
+                <div className="flex space-x-1">
+                    {[['jobs', 'Jobs'], ['activity', 'Activity log']].map(([id, label]) => (
+                        <button key={id} onClick={() => setTab(id)} className={`px-3 py-1.5 rounded-md text-sm font-semibold transition ${tab === id ? 'bg-sky-500/20 text-sky-300' : 'text-slate-400 hover:text-white hover:bg-slate-700'}`}>{label}</button>
+                    ))}
+                </div>
+                <button onClick={onClose} className="p-1 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 flex-shrink-0"><X size={20} /></button>
+            </div>
+            {tab === 'jobs' ? (
+                <div className="flex-grow overflow-y-auto divide-y divide-slate-700">
+                    {isEmpty && <p className="p-4 text-center text-sm text-slate-500">No jobs yet. Deletes, moves, renames and uploads show up here.</p>}
+                    <MoveJobsList jobs={moveJobs} onInterrupt={onInterruptMove} onResume={onResumeMove} onRollback={onRollbackMove} onDiscard={onDiscardMove} />
+                    {uploadItems.length > 0 && <UploadsSummary items={uploadItems} onRetry={onRetryUpload} onCancelAll={onCancelAllUploads} />}
+                    {jobs.length > 0 && (
+                        <section>
+                            <div className="px-4 pt-3 flex items-center justify-between">
+                                <h4 className="text-xs font-semibold uppercase tracking-wide text-slate-500">Jobs ({jobs.length})</h4>
+                                {hasFinishedJobs && <button onClick={onClearFinished} className="text-xs text-slate-400 hover:text-white">Clear finished</button>}
+                            </div>
+                            <ul className="divide-y divide-slate-700/50">
+                                {jobs.map(job => <JobRow key={job.id} job={job} onRetryFailed={onRetryFailed} onCancel={onCancelJob} />)}
+                            </ul>
+                        </section>
+                    )}
+                </div>
+            ) : (
+                <ActivityLog entries={activityEntries} droppedCount={droppedActivityCount} onExport={onExportActivity} onClear={onClearActivity} />
+            )}
+        </aside>
+    );
+};
+
+export default JobsPanel;
@@ -0,0 +1,33 @@
+// S – single responsibility: edits a list of key/value rows
+// I – receives only the props it needs
+
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-2 py-1.5 text-sm text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+/**
+ * @param {{
+ *   pairs: Array<{key: string, value: string}>,
+ *   onChange: (pairs: Array<{key: string, value: string}>) => void,
+ *   keyPlaceholder: string,
+ *   valuePlaceholder: string,
+ * }} props
+ */
+const KeyValueEditor = ({ pairs, onChange, keyPlaceholder, valuePlaceholder }) => (
+    <div className="space-y-2">
+        {pairs.map((pair, i) => (
+            <div key={i} className="flex items-center space-x-2">
+                <input type="text" value={pair.key} placeholder={keyPlaceholder} onChange={(e) => onChange(pairs.map((p, j) => j === i ? { ...p, key: e.target.value } : p))} className={inputClasses} />
+                <input type="text" value={pair.value} placeholder={valuePlaceholder} onChange={(e) => onChange(pairs.map((p, j) => j === i ? { ...p, value: e.target.value } : p))} className={inputClasses} />
+                <button type="button" onClick={() => onChange(pairs.filter((_, j) => j !== i))} className="p-1.5 text-slate-500 hover:text-red-400 rounded-md hover:bg-slate-700 flex-shrink-0"><Trash2 size={14} /></button>
+            </div>
+        ))}
+        <button type="button" onClick={() => onChange([...pairs, { key: '', value: '' }])} className="text-xs text-sky-400 hover:text-sky-300 flex items-center space-x-1">
+            <Plus size={12} />
+            <span>Add</span>
+        </button>
+    </div>
+);
+
+export default KeyValueEditor;
@@ -0,0 +1,36 @@
+// S – single responsibility: lists the keyboard shortcuts
+// I – receives only the props it needs
+
+import React from 'react';
+import Modal from './Modal';
+import { SHORTCUT_GROUPS } from '../utils/keyboardUtils';
+
+/**
+ * @param {{ isOpen: boolean, onClose: () => void }} props
+ */
+const KeyboardShortcutsModal = ({ isOpen, onClose }) => (
+    <Modal isOpen={isOpen} onClose={onClose} title="Keyboard Shortcuts" maxWidth="max-w-lg">
+        <div className="space-y-5 max-h-[65vh] overflow-y-auto">
+            {SHORTCUT_GROUPS.map(group => (
+                <section key={group.title}>
+                    <h4 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">{group.title}</h4>
+                    <dl className="divide-y divide-slate-700/50">
+                        {group.shortcuts.map(shortcut => (
+                            <div key={shortcut.description} className="flex items-center justify-between py-1.5 text-sm">
+                                <dt className="text-slate-300">{shortcut.description}</dt>
+                                <dd className="flex items-center space-x-1 flex-shrink-0 ml-4">
+                                    {shortcut.keys.map(key => (
+                                        <kbd key={key} className="px-1.5 py-0.5 rounded border border-slate-600 bg-slate-900 text-xs font-mono text-slate-200">{key}</kbd>
+                                    ))}
+                                </dd>
+                            </div>
+                        ))}
+                    </dl>
+                </section>
+            ))}
+            <p className="text-xs text-slate-500">Table shortcuts work while the object table has focus; click a row or tab into the table first.</p>
+        </div>
+    </Modal>
+);
+
+export default KeyboardShortcutsModal;
@@ -0,0 +1,25 @@
+// S – single responsibility: renders a titled modal dialog shell
+// O – the body is supplied by the caller through children
+
+import React from 'react';
+import { X } from 'lucide-react';
+
+/**
+ * @param {{ isOpen: boolean, onClose: () => void, title: string, children: React.ReactNode, maxWidth?: string }} props
+ */
+const Modal = ({ isOpen, onClose, title, children, maxWidth = 'max-w-md' }) => {
+    if (!isOpen) return null;
+    return (
+        <div className="fixed inset-0 bg-black/60 z-40 flex items-center justify-center p-4">
+            <div className={`bg-slate-800 rounded-xl shadow-2xl w-full ${maxWidth} border border-slate-700`}>
+                <div className="flex items-center justify-between p-4 border-b border-slate-700">
+                    <h3 className="text-lg font-semibold text-slate-100">{title}</h3>
+                    <button onClick={onClose} className="text-slate-400 hover:text-white p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                </div>
+                <div className="p-6">{children}</div>
+            </div>
+        </div>
+    );
+};
+
+export default Modal;
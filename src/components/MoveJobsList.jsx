@@ -0,0 +1,84 @@
+// S – single responsibility: lists move and rename jobs with their recovery actions
+// I – receives only the props it needs
+
+import React from 'react';
+import { Loader2, Pause, Play, Undo2, X, AlertTriangle } from 'lucide-react';
+import { formatBytes } from '../utils/formatUtils';
+
+const STATUS_LABELS = {
+    running: 'Copying',
+    'rolling-back': 'Rolling back…',
+    interrupted: 'Interrupted',
+    failed: 'Failed',
+};
+
+const iconButtonClasses = "p-1 rounded text-slate-400 hover:text-white hover:bg-slate-700 transition";
+
+/**
+ * @param {{
+ *   jobs: Array<import('../hooks/useMoveJobs').MoveJobSummary>,
+ *   onInterrupt: (id: string) => void,
+ *   onResume: (id: string) => void,
+ *   onRollback: (id: string) => void,
+ *   onDiscard: (id: string) => void,
+ * }} props
+ */
+const MoveJobsList = ({ jobs, onInterrupt, onResume, onRollback, onDiscard }) => {
+    if (jobs.length === 0) return null;
+
+    return (
+        <section>
+            <h4 className="px-4 pt-3 text-xs font-semibold uppercase tracking-wide text-slate-500">Moves and renames ({jobs.length})</h4>
+            <ul className="divide-y divide-slate-700/50">
+                {jobs.map(job => {
+                    const isActive = job.status === 'running' || job.status === 'rolling-back';
+                    const isDeleting = job.status === 'running' && job.phase === 'delete';
+                    const done = job.phase === 'delete' ? job.deleted : job.copied;
+                    const percent = job.total > 0 ? Math.round((done / job.total) * 100) : 0;
+                    return (
+                        <li key={job.id} className="px-4 py-3">
+                            <div className="flex items-center justify-between gap-2">
+                                <span className="text-sm text-slate-200 truncate" title={job.label}>{job.label}</span>
+                                <div className="flex items-center space-x-1 flex-shrink-0">
+                                    {isActive && !job.isElsewhere && <button onClick={() => onInterrupt(job.id)} title="Pause; the job can be resumed or rolled back later" className={iconButtonClasses}><Pause size={14} /></button>}
+                                    {!isActive && (
+                                        <>
+                                            <button onClick={() => onResume(job.id)} title="Resume" className={iconButtonClasses}><Play size={14} /></button>
+                                            <button onClick={() => onRollback(job.id)} title="Roll back: restore the originals and remove the copies" className={iconButtonClasses}><Undo2 size={14} /></button>
+                                            <button onClick={() => onDiscard(job.id)} title="Forget this job without changing any objects" className={iconButtonClasses}><X size={14} /></button>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+                            <div className="mt-2 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                                <div className={`h-full transition-all ${job.status === 'failed' ? 'bg-red-500' : 'bg-sky-500'}`} style={{ width: `${percent}%` }} />
+                            </div>
+                            <div className="mt-1.5 flex justify-between text-xs text-slate-400">
+                                <span className="flex items-center">
+                                    {isActive && <Loader2 className="animate-spin mr-1 h-3 w-3" />}
+                                    {isDeleting ? 'Removing originals' : STATUS_LABELS[job.status]}
+                                    {' · '}{done} of {job.total} objects
+                                </span>
+                                <span>{formatBytes(job.copiedBytes)} of {formatBytes(job.totalBytes)}</span>
+                            </div>
+                            {job.isElsewhere && <p className="mt-1 text-xs text-slate-500">Running in another tab; it can be paused, resumed or rolled back from there.</p>}
+                            {job.error && <p className="mt-1 text-xs text-red-400 flex items-center"><AlertTriangle size={12} className="mr-1 flex-shrink-0" />{job.error}</p>}
+                            {job.failedItems.length > 0 && (
+                                <ul className="mt-1 max-h-24 overflow-y-auto text-xs space-y-0.5">
+                                    {job.failedItems.map(item => (
+                                        <li key={item.key} className="flex justify-between gap-2">
+                                            <span className="truncate text-slate-300" title={item.key}>{item.key}</span>
+                                            <span className="text-red-400 flex-shrink-0">{item.error}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </section>
+    );
+};
+
+export default MoveJobsList;
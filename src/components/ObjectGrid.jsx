@@ -0,0 +1,108 @@
+// S – single responsibility: renders the visible rows of the grid (gallery) view of a listing
+// I – receives only the props it needs
+
+import React, { useEffect, useRef } from 'react';
+import { Folder, File, Image as ImageIcon } from 'lucide-react';
+import { formatBytes } from '../utils/formatUtils';
+import { GRID_ROW_HEIGHT } from '../utils/objectTableUtils';
+
+/**
+ * The grid shares the table's scroll container and virtualization; `startIndex` starts a row of tiles.
+ * Clicking a tile opens it; with Shift or Ctrl/⌘ it selects, like a table row.
+ * @param {{
+ *   objects: Array<object>,
+ *   columnCount: number,
+ *   startIndex: number,
+ *   endIndex: number,
+ *   paddingTop: number,
+ *   paddingBottom: number,
+ *   prefix: string,
+ *   selectedKeys: string[],
+ *   focusedIndex: number|null,
+ *   canSelect: boolean,
+ *   getThumbnail: (obj: object) => (string|null|undefined),
+ *   hasThumbnail: (obj: object) => boolean,
+ *   onVisibleObjectsChange: (objects: Array<object>) => void,
+ *   onOpen: (obj: object) => void,
+ *   onSelectClick: (e: React.MouseEvent, index: number) => void,
+ *   onCheckboxChange: (e: React.ChangeEvent, index: number) => void,
+ *   renderActions: (obj: object) => React.ReactNode,
+ * }} props
+ */
+const ObjectGrid = ({
+    objects, columnCount, startIndex, endIndex, paddingTop, paddingBottom, prefix, selectedKeys, focusedIndex, canSelect,
+    getThumbnail, hasThumbnail, onVisibleObjectsChange, onOpen, onSelectClick, onCheckboxChange, renderActions,
+}) => {
+    const visible = objects.slice(startIndex, endIndex);
+    const visibleIds = visible.map(obj => `${obj.Key}|${obj.VersionId ?? ''}`).join('\n');
+
+    // The slice is a new array on every render, so the effect runs on its ids and reads it from a ref
+    const visibleRef = useRef(visible);
+    visibleRef.current = visible;
+    const onVisibleRef = useRef(onVisibleObjectsChange);
+    onVisibleRef.current = onVisibleObjectsChange;
+
+    // Only tiles on screen (plus the overscan rows) ask for thumbnails
+    useEffect(() => {
+        onVisibleRef.current(visibleRef.current);
+    }, [visibleIds]);
+
+    const rows = Array.from({ length: Math.ceil(visible.length / columnCount) }, (_, r) => visible.slice(r * columnCount, (r + 1) * columnCount));
+
+    return (
+        <div style={{ paddingTop, paddingBottom }} className="px-3">
+            {rows.map((row, r) => (
+                <ul key={startIndex + r * columnCount} className="grid gap-3 py-1.5" style={{ height: GRID_ROW_HEIGHT, gridTemplateColumns: `repeat(${columnCount}, minmax(0, 1fr))` }}>
+                    {row.map((obj, c) => {
+                        const index = startIndex + r * columnCount + c;
+                        const isSelected = selectedKeys.includes(obj.Key);
+                        const thumbnail = hasThumbnail(obj) ? getThumbnail(obj) : null;
+                        return (
+                            <li
+                                key={`${obj.Key}|${obj.VersionId ?? ''}`}
+                                className={[
+                                    // Not overflow-hidden: the actions menu drops out below the tile
+                                    'group relative flex flex-col rounded-lg border transition-colors',
+                                    isSelected ? 'border-sky-500 bg-sky-900/40' : 'border-slate-700 bg-slate-800/40 hover:border-slate-500',
+                                    focusedIndex === index ? 'outline outline-1 outline-sky-400' : '',
+                                ].join(' ')}
+                            >
+                                <button
+                                    onClick={(e) => {
+                                        if (canSelect && (e.shiftKey || e.metaKey || e.ctrlKey)) onSelectClick(e, index);
+                                        else onOpen(obj);
+                                    }}
+                                    title={obj.Key.slice(prefix.length)}
+                                    className="flex-1 min-h-0 flex items-center justify-center rounded-t-lg overflow-hidden bg-slate-900/60"
+                                >
+                                    {obj.isFolder ? <Folder size={56} className="text-sky-400" />
+                                        : thumbnail ? <img src={thumbnail} alt="" loading="lazy" className="max-w-full max-h-full object-contain" />
+                                        : thumbnail === undefined ? <ImageIcon size={40} className="text-slate-600 animate-pulse" />
+                                        : <File size={48} className="text-slate-500" />}
+                                </button>
+                                <div className="px-2 py-1.5 flex items-center gap-1 text-xs">
+                                    <div className="flex-1 min-w-0">
+                                        <p className={`truncate ${obj.isDeleteMarker ? 'text-slate-500 line-through' : 'text-slate-200'}`}>{obj.Key.slice(prefix.length)}</p>
+                                        <p className="text-slate-500 truncate">{obj.isFolder ? 'Folder' : obj.isDeleteMarker ? 'Delete marker' : formatBytes(obj.Size ?? 0)}</p>
+                                    </div>
+                                    {renderActions(obj)}
+                                </div>
+                                {canSelect && (
+                                    <input
+                                        type="checkbox"
+                                        aria-label={`Select ${obj.Key.slice(prefix.length)}`}
+                                        checked={isSelected}
+                                        onChange={(e) => onCheckboxChange(e, index)}
+                                        className={`absolute top-2 left-2 bg-slate-700 border-slate-500 rounded ${isSelected ? '' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'}`}
+                                    />
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            ))}
+        </div>
+    );
+};
+
+export default ObjectGrid;
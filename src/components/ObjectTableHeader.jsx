@@ -0,0 +1,125 @@
+// S – single responsibility: column widths, sortable headers and the column picker of the object table
+// I – receives only the props it needs
+
+import React, { useState, useEffect, useRef } from 'react';
+import { ArrowUp, ArrowDown, Columns3 } from 'lucide-react';
+import { TABLE_COLUMNS, MIN_COLUMN_WIDTH, SELECT_COLUMN_WIDTH } from '../utils/objectTableUtils';
+
+const ColumnPicker = ({ columns, foldersFirst, onToggleColumn, onFoldersFirstChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const ref = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleClickOutside = (e) => {
+            if (ref.current && !ref.current.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    return (
+        <div ref={ref} className="relative inline-block">
+            <button onClick={() => setIsOpen(v => !v)} title="Columns and folder order" className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700 transition">
+                <Columns3 size={16} />
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-1 bg-slate-700 border border-slate-600 rounded-lg shadow-xl z-30 w-48 py-1 text-left font-normal">
+                    {TABLE_COLUMNS.filter(c => c.optional).map(column => (
+                        <label key={column.id} className="px-3 py-1.5 flex items-center space-x-2 text-sm text-slate-200 hover:bg-slate-600 cursor-pointer">
+                            <input type="checkbox" checked={columns.some(c => c.id === column.id)} onChange={() => onToggleColumn(column.id)} className="bg-slate-700 border-slate-500 rounded" />
+                            <span>{column.label}</span>
+                        </label>
+                    ))}
+                    <div className="my-1 border-t border-slate-600" />
+                    <label className="px-3 py-1.5 flex items-center space-x-2 text-sm text-slate-200 hover:bg-slate-600 cursor-pointer">
+                        <input type="checkbox" checked={foldersFirst} onChange={(e) => onFoldersFirstChange(e.target.checked)} className="bg-slate-700 border-slate-500 rounded" />
+                        <span>Folders first</span>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Renders the table's `<colgroup>` and `<thead>`; the table itself uses a fixed layout so the widths hold.
+ * A column being resized follows the pointer and is saved once the drag ends. `selectAll` fills the selection column's header.
+ * @param {{
+ *   columns: Array<import('../utils/objectTableUtils').TableColumn>,
+ *   widths: Record<string, number>,
+ *   sort: import('../utils/objectTableUtils').TableSort,
+ *   foldersFirst: boolean,
+ *   selectAll: React.ReactNode,
+ *   onSort: (column: string) => void,
+ *   onResize: (column: string, width: number) => void,
+ *   onToggleColumn: (column: string) => void,
+ *   onFoldersFirstChange: (value: boolean) => void,
+ * }} props
+ */
+const ObjectTableHeader = ({ columns, widths, sort, foldersFirst, selectAll, onSort, onResize, onToggleColumn, onFoldersFirstChange }) => {
+    const [resizing, setResizing] = useState(null); // { id, width }
+    const widthOf = (id) => resizing?.id === id ? resizing.width : widths[id];
+
+    const startResize = (e, id) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const startWidth = widths[id];
+        let width = startWidth;
+        const handleMove = (moveEvent) => {
+            width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+            setResizing({ id, width });
+        };
+        const handleUp = () => {
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+            setResizing(null);
+            if (width !== startWidth) onResize(id, width);
+        };
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+    };
+
+    return (
+        <>
+            <colgroup>
+                <col style={{ width: SELECT_COLUMN_WIDTH }} />
+                {columns.map(column => <col key={column.id} style={{ width: widthOf(column.id) }} />)}
+                {/* The actions column takes whatever width is left */}
+                <col />
+            </colgroup>
+            <thead className="sticky top-0 bg-slate-800/80 backdrop-blur-sm z-10">
+                <tr aria-rowindex={1}>
+                    <th className="p-3 text-center">{selectAll}</th>
+                    {columns.map(column => {
+                        const isSorted = sort.column === column.id;
+                        return (
+                            <th key={column.id} className="relative p-0 font-semibold text-slate-300" aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}>
+                                <button onClick={() => onSort(column.id)} className="w-full p-3 flex items-center space-x-1 text-left hover:text-white transition-colors">
+                                    <span className="truncate">{column.label}</span>
+                                    {isSorted && (sort.direction === 'asc' ? <ArrowUp size={14} className="flex-shrink-0 text-sky-400" /> : <ArrowDown size={14} className="flex-shrink-0 text-sky-400" />)}
+                                </button>
+                                <span
+                                    role="separator"
+                                    aria-orientation="vertical"
+                                    title="Drag to resize"
+                                    onMouseDown={(e) => startResize(e, column.id)}
+                                    className={`absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-sky-500/50 ${resizing?.id === column.id ? 'bg-sky-500/50' : ''}`}
+                                />
+                            </th>
+                        );
+                    })}
+                    <th className="p-3 font-semibold text-slate-300 text-right">
+                        <div className="flex items-center justify-end space-x-2">
+                            <span>Actions</span>
+                            <ColumnPicker columns={columns} foldersFirst={foldersFirst} onToggleColumn={onToggleColumn} onFoldersFirstChange={onFoldersFirstChange} />
+                        </div>
+                    </th>
+                </tr>
+            </thead>
+        </>
+    );
+};
+
+export default ObjectTableHeader;
@@ -0,0 +1,147 @@
+// S – single responsibility: shows and edits the metadata and tags of one object
+// I – receives only the props it needs
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Loader2, Save } from 'lucide-react';
+import KeyValueEditor from './KeyValueEditor';
+import { formatBytes } from '../utils/formatUtils';
+import { EDITABLE_SYSTEM_METADATA, toPairs, fromPairs, validateUserMetadata, validateTags } from '../utils/metadataUtils';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-2 py-1.5 text-sm text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+const InfoRow = ({ label, value }) => (
+    <div className="flex justify-between gap-4 text-xs py-1">
+        <span className="text-slate-500 flex-shrink-0">{label}</span>
+        <span className="text-slate-300 truncate font-mono" title={value}>{value}</span>
+    </div>
+);
+
+/**
+ * @param {{
+ *   objectKey: string|null,
+ *   loadProperties: (key: string) => Promise<{head: object, tags: Array<{Key: string, Value: string}>}>,
+ *   saveMetadata: (key: string, system: Record<string, string>, user: Record<string, string>, storageClass?: string) => Promise<void>,
+ *   saveTags: (key: string, tagSet: Array<{Key: string, Value: string}>) => Promise<void>,
+ *   onSaved: () => void,
+ *   onClose: () => void,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const PropertiesPanel = ({ objectKey, loadProperties, saveMetadata, saveTags, onSaved, onClose, showAlert }) => {
+    const [head, setHead] = useState(null);
+    const [systemMetadata, setSystemMetadata] = useState({});
+    const [userMetadata, setUserMetadata] = useState([]);
+    const [tags, setTags] = useState([]);
+    const [isMetadataDirty, setIsMetadataDirty] = useState(false);
+    const [isTagsDirty, setIsTagsDirty] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const load = useCallback(async () => {
+        if (!objectKey) return;
+        setIsLoading(true);
+        try {
+            const result = await loadProperties(objectKey);
+            setHead(result.head);
+            setSystemMetadata(Object.fromEntries(EDITABLE_SYSTEM_METADATA.map(({ field }) => [field, result.head[field] ?? ''])));
+            setUserMetadata(toPairs(result.head.Metadata));
+            setTags(result.tags.map(t => ({ key: t.Key, value: t.Value })));
+            setIsMetadataDirty(false);
+            setIsTagsDirty(false);
+        } catch (err) {
+            showAlert(`Could not load properties of "${objectKey.split('/').pop()}".`, 'error');
+            onClose();
+        } finally {
+            setIsLoading(false);
+        }
+    }, [objectKey, loadProperties, showAlert, onClose]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const handleSave = async () => {
+        const metadataError = validateUserMetadata(userMetadata);
+        if (metadataError) { showAlert(metadataError, 'error'); return; }
+        const tagsError = validateTags(tags);
+        if (tagsError) { showAlert(tagsError, 'error'); return; }
+
+        setIsSaving(true);
+        try {
+            // Metadata first: the in-place copy keeps the existing tags (TaggingDirective defaults to COPY)
+            if (isMetadataDirty) {
+                const trimmedSystem = Object.fromEntries(Object.entries(systemMetadata).map(([k, v]) => [k, v.trim()]));
+                await saveMetadata(objectKey, trimmedSystem, fromPairs(userMetadata), head.StorageClass);
+            }
+            if (isTagsDirty) {
+                await saveTags(objectKey, Object.entries(fromPairs(tags)).map(([Key, Value]) => ({ Key, Value })));
+            }
+            showAlert('Properties saved successfully.', 'success');
+            onSaved();
+            load();
+        } catch (err) {
+            showAlert(err.name === 'InvalidRequest' ? 'Failed to save properties: objects over 5 GB cannot be copied in place.' : `Failed to save properties: ${err.name}.`, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!objectKey) return null;
+
+    return (
+        <aside className="fixed top-0 right-0 h-full w-full max-w-md bg-slate-800 border-l border-slate-700 shadow-2xl z-30 flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-slate-700">
+                <div className="min-w-0">
+                    <h3 className="text-lg font-semibold text-slate-100">Properties</h3>
+                    <p className="text-xs text-slate-400 truncate">{objectKey}</p>
+                </div>
+                <button onClick={onClose} className="p-1 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 flex-shrink-0"><X size={20} /></button>
+            </div>
+            {isLoading || !head ? (
+                <div className="flex-grow flex items-center justify-center"><Loader2 className="animate-spin text-slate-500" size={32} /></div>
+            ) : (
+                <>
+                    <div className="flex-grow overflow-y-auto p-4 space-y-6">
+                        <section>
+                            <h4 className="text-sm font-semibold text-slate-300 mb-2">Object</h4>
+                            <InfoRow label="Size" value={formatBytes(head.ContentLength ?? 0)} />
+                            <InfoRow label="Last Modified" value={head.LastModified ? new Date(head.LastModified).toLocaleString() : ''} />
+                            <InfoRow label="ETag" value={head.ETag ?? ''} />
+                            <InfoRow label="Storage Class" value={head.StorageClass ?? 'STANDARD'} />
+                            {head.VersionId && <InfoRow label="Version" value={head.VersionId} />}
+                            {head.ServerSideEncryption && <InfoRow label="Encryption" value={head.ServerSideEncryption} />}
+                        </section>
+                        <section>
+                            <h4 className="text-sm font-semibold text-slate-300 mb-2">System Metadata</h4>
+                            <div className="space-y-2">
+                                {EDITABLE_SYSTEM_METADATA.map(({ field, label }) => (
+                                    <div key={field}>
+                                        <label className="text-xs text-slate-400 block mb-1">{label}</label>
+                                        <input type="text" value={systemMetadata[field] ?? ''} onChange={(e) => { setSystemMetadata(prev => ({ ...prev, [field]: e.target.value })); setIsMetadataDirty(true); }} className={inputClasses} />
+                                    </div>
+                                ))}
+                            </div>
+                        </section>
+                        <section>
+                            <h4 className="text-sm font-semibold text-slate-300 mb-2">User Metadata <span className="font-normal text-xs text-slate-500">(x-amz-meta-*)</span></h4>
+                            <KeyValueEditor pairs={userMetadata} onChange={(pairs) => { setUserMetadata(pairs); setIsMetadataDirty(true); }} keyPlaceholder="key" valuePlaceholder="value" />
+                        </section>
+                        <section>
+                            <h4 className="text-sm font-semibold text-slate-300 mb-2">Tags</h4>
+                            <KeyValueEditor pairs={tags} onChange={(pairs) => { setTags(pairs); setIsTagsDirty(true); }} keyPlaceholder="Key" valuePlaceholder="Value" />
+                        </section>
+                    </div>
+                    <div className="p-4 border-t border-slate-700 flex justify-end space-x-3">
+                        <button type="button" onClick={load} disabled={isSaving} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Reset</button>
+                        <button type="button" onClick={handleSave} disabled={isSaving || (!isMetadataDirty && !isTagsDirty)} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                            {isSaving ? <Loader2 className="animate-spin mr-2 h-4 w-4" /> : <Save className="mr-2 h-4 w-4" />}
+                            Save
+                        </button>
+                    </div>
+                </>
+            )}
+        </aside>
+    );
+};
+
+export default PropertiesPanel;
@@ -0,0 +1,192 @@
+// S – single responsibility: collects recursive search criteria and lists the streamed results
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { X, Loader2, Search, LocateFixed, Download, Eye, ChevronDown, ChevronUp } from 'lucide-react';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+import { MAX_SEARCH_RESULTS } from '../hooks/useRecursiveSearch';
+import { SIZE_UNIT_OPTIONS, toBytes } from '../utils/searchUtils';
+import { getPreviewType } from '../utils/fileUtils';
+import { formatBytes } from '../utils/formatUtils';
+
+const RESULT_ROW_HEIGHT = 52;
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-2 py-1.5 text-sm text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+const iconButtonClasses = "p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700";
+
+const INITIAL_FORM = {
+    pattern: '',
+    mode: 'contains',
+    caseSensitive: false,
+    scope: 'prefix',
+    extensions: '',
+    minSize: '',
+    minUnit: 'MB',
+    maxSize: '',
+    maxUnit: 'MB',
+    modifiedAfter: '',
+    modifiedBefore: '',
+};
+
+const PATTERN_PLACEHOLDERS = {
+    contains: 'part of the key',
+    glob: 'e.g. *.log or reports/**/2024-*.csv',
+    regex: 'e.g. ^logs/.*\\.gz$',
+};
+
+const SizeInput = ({ label, amount, unit, onAmountChange, onUnitChange }) => (
+    <label className="text-xs text-slate-400">
+        {label}
+        <div className="mt-1 flex space-x-1">
+            <input type="number" min="0" value={amount} onChange={(e) => onAmountChange(e.target.value)} className={inputClasses} />
+            <select value={unit} onChange={(e) => onUnitChange(e.target.value)} className="bg-slate-900 border border-slate-600 rounded-md px-1 text-sm text-slate-200 outline-none">
+                {SIZE_UNIT_OPTIONS.map(u => <option key={u} value={u}>{u}</option>)}
+            </select>
+        </div>
+    </label>
+);
+
+/**
+ * @param {{
+ *   isOpen: boolean,
+ *   bucket: string|null,
+ *   prefix: string,
+ *   results: Array<import('@aws-sdk/client-s3')._Object>,
+ *   scannedCount: number,
+ *   isSearching: boolean,
+ *   isResultLimitReached: boolean,
+ *   onSearch: (criteria: object, rootPrefix: string) => void,
+ *   onCancel: () => void,
+ *   onReveal: (key: string) => void,
+ *   onPreview: (key: string) => void,
+ *   onDownload: (key: string) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+const SearchPanel = ({ isOpen, bucket, prefix, results, scannedCount, isSearching, isResultLimitReached, onSearch, onCancel, onReveal, onPreview, onDownload, onClose }) => {
+    const [form, setForm] = useState(INITIAL_FORM);
+    const [showFilters, setShowFilters] = useState(false);
+    const [searchedPrefix, setSearchedPrefix] = useState(null);
+    const { containerRef, startIndex, endIndex, paddingTop, paddingBottom } = useVirtualRows(results.length, RESULT_ROW_HEIGHT);
+
+    if (!isOpen || !bucket) return null;
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const rootPrefix = form.scope === 'prefix' ? prefix : '';
+        setSearchedPrefix(rootPrefix);
+        onSearch({
+            pattern: form.pattern.trim(),
+            mode: form.mode,
+            caseSensitive: form.caseSensitive,
+            extensions: form.extensions,
+            minSize: toBytes(form.minSize, form.minUnit),
+            maxSize: toBytes(form.maxSize, form.maxUnit),
+            modifiedAfter: form.modifiedAfter,
+            modifiedBefore: form.modifiedBefore,
+        }, rootPrefix);
+    };
+
+    return (
+        <aside className="fixed top-0 right-0 h-full w-full max-w-xl bg-slate-800 border-l border-slate-700 shadow-2xl z-30 flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-slate-700">
+                <div className="min-w-0">
+                    <h3 className="text-lg font-semibold text-slate-100">Search</h3>
+                    <p className="text-xs text-slate-400 truncate">Includes all subfolders of {bucket}/{form.scope === 'prefix' ? prefix : ''}</p>
+                </div>
+                <button onClick={onClose} className="p-1 text-slate-400 hover:text-white rounded-full hover:bg-slate-700 flex-shrink-0"><X size={20} /></button>
+            </div>
+            <form onSubmit={handleSubmit} className="p-4 border-b border-slate-700 space-y-3">
+                <div className="flex space-x-2">
+                    <input type="text" autoFocus value={form.pattern} onChange={(e) => updateForm('pattern', e.target.value)} placeholder={PATTERN_PLACEHOLDERS[form.mode]} className={inputClasses} />
+                    <select value={form.mode} onChange={(e) => updateForm('mode', e.target.value)} className="bg-slate-900 border border-slate-600 rounded-md px-2 text-sm text-slate-200 outline-none">
+                        <option value="contains">Contains</option>
+                        <option value="glob">Glob</option>
+                        <option value="regex">Regex</option>
+                    </select>
+                </div>
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-slate-400">
+                    <label className="flex items-center space-x-1.5">
+                        <input type="radio" checked={form.scope === 'prefix' && !!prefix} onChange={() => updateForm('scope', 'prefix')} disabled={!prefix} />
+                        <span>This folder</span>
+                    </label>
+                    <label className="flex items-center space-x-1.5">
+                        <input type="radio" checked={form.scope === 'bucket' || !prefix} onChange={() => updateForm('scope', 'bucket')} />
+                        <span>Whole bucket</span>
+                    </label>
+                    <label className="flex items-center space-x-1.5">
+                        <input type="checkbox" checked={form.caseSensitive} onChange={(e) => updateForm('caseSensitive', e.target.checked)} className="bg-slate-700 border-slate-500 rounded" />
+                        <span>Case sensitive</span>
+                    </label>
+                    <button type="button" onClick={() => setShowFilters(s => !s)} className="ml-auto flex items-center hover:text-white">
+                        Filters {showFilters ? <ChevronUp size={14} className="ml-1" /> : <ChevronDown size={14} className="ml-1" />}
+                    </button>
+                </div>
+                {showFilters && (
+                    <div className="grid grid-cols-2 gap-3">
+                        <SizeInput label="Min size" amount={form.minSize} unit={form.minUnit} onAmountChange={(v) => updateForm('minSize', v)} onUnitChange={(v) => updateForm('minUnit', v)} />
+                        <SizeInput label="Max size" amount={form.maxSize} unit={form.maxUnit} onAmountChange={(v) => updateForm('maxSize', v)} onUnitChange={(v) => updateForm('maxUnit', v)} />
+                        <label className="text-xs text-slate-400">
+                            Modified after
+                            <input type="date" value={form.modifiedAfter} onChange={(e) => updateForm('modifiedAfter', e.target.value)} className={`mt-1 ${inputClasses}`} />
+                        </label>
+                        <label className="text-xs text-slate-400">
+                            Modified before
+                            <input type="date" value={form.modifiedBefore} onChange={(e) => updateForm('modifiedBefore', e.target.value)} className={`mt-1 ${inputClasses}`} />
+                        </label>
+                        <label className="col-span-2 text-xs text-slate-400">
+                            Extensions
+                            <input type="text" value={form.extensions} onChange={(e) => updateForm('extensions', e.target.value)} placeholder="e.g. jpg, png, gif" className={`mt-1 ${inputClasses}`} />
+                        </label>
+                    </div>
+                )}
+                <div className="flex justify-end space-x-3">
+                    {form !== INITIAL_FORM && (
+                        <button type="button" onClick={() => setForm(INITIAL_FORM)} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Reset</button>
+                    )}
+                    {isSearching ? (
+                        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white font-semibold transition flex items-center">
+                            <X className="mr-2 h-4 w-4" />
+                            Cancel
+                        </button>
+                    ) : (
+                        <button type="submit" className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition flex items-center">
+                            <Search className="mr-2 h-4 w-4" />
+                            Search
+                        </button>
+                    )}
+                </div>
+            </form>
+            <div className="px-4 py-2 text-xs text-slate-400 flex items-center border-b border-slate-700">
+                {isSearching && <Loader2 className="animate-spin mr-2 h-3.5 w-3.5" />}
+                {searchedPrefix === null
+                    ? 'Enter a pattern, a filter or both, then search.'
+                    : `${results.length.toLocaleString()} match(es) in ${scannedCount.toLocaleString()} object(s) scanned${isSearching ? '…' : ''}`}
+                {isResultLimitReached && <span className="ml-2 text-amber-400">Stopped at {MAX_SEARCH_RESULTS.toLocaleString()} matches; narrow the search.</span>}
+            </div>
+            <div ref={containerRef} className="flex-grow overflow-y-auto">
+                <div style={{ paddingTop, paddingBottom }}>
+                    {results.slice(startIndex, endIndex).map(obj => (
+                        <div key={obj.Key} style={{ height: RESULT_ROW_HEIGHT }} className="px-4 flex items-center justify-between gap-2 border-b border-slate-700/50 hover:bg-slate-700/30">
+                            <div className="min-w-0">
+                                <p className="text-sm text-slate-200 truncate" title={obj.Key}>{obj.Key.split('/').pop()}</p>
+                                <p className="text-xs text-slate-500 truncate">
+                                    {obj.Key.slice((searchedPrefix ?? '').length, obj.Key.lastIndexOf('/') + 1) || '/'} · {formatBytes(obj.Size)} · {new Date(obj.LastModified).toLocaleString()}
+                                </p>
+                            </div>
+                            <div className="flex items-center flex-shrink-0 space-x-0.5">
+                                {getPreviewType(obj.Key) && <button onClick={() => onPreview(obj.Key)} title="Preview" className={iconButtonClasses}><Eye size={14} /></button>}
+                                <button onClick={() => onDownload(obj.Key)} title="Download" className={iconButtonClasses}><Download size={14} /></button>
+                                <button onClick={() => onReveal(obj.Key)} title="Reveal in folder" className={iconButtonClasses}><LocateFixed size={14} /></button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </aside>
+    );
+};
+
+export default SearchPanel;
@@ -0,0 +1,136 @@
+// S – single responsibility: collects share link options and lists this session's links
+// I – receives only the props it needs
+
+import React, { useState, useEffect } from 'react';
+import { Loader2, Copy, Link } from 'lucide-react';
+import Modal from './Modal';
+import { MAX_PRESIGN_EXPIRY_SECONDS, EXPIRY_UNITS, toExpirySeconds, buildContentDisposition } from '../utils/shareUtils';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+/**
+ * @param {{
+ *   objectKey: string|null,
+ *   shareLinks: Array<{id: string, bucket: string, key: string, url: string, expiresAt: number}>,
+ *   onCreate: (key: string, options: {expiresIn: number, contentDisposition?: string, contentType?: string}) => Promise<{url: string}>,
+ *   onClose: () => void,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const ShareLinkModal = ({ objectKey, shareLinks, onCreate, onClose, showAlert }) => {
+    const [expiryAmount, setExpiryAmount] = useState(60);
+    const [expiryUnit, setExpiryUnit] = useState('minutes');
+    const [disposition, setDisposition] = useState('default');
+    const [fileName, setFileName] = useState('');
+    const [contentType, setContentType] = useState('');
+    const [isCreating, setIsCreating] = useState(false);
+    const [createdUrl, setCreatedUrl] = useState('');
+
+    useEffect(() => {
+        if (!objectKey) return;
+        setFileName(objectKey.split('/').pop());
+        setCreatedUrl('');
+    }, [objectKey]);
+
+    const copyUrl = async (url) => {
+        try {
+            await navigator.clipboard.writeText(url);
+            showAlert('Share link copied to clipboard.', 'success');
+        } catch (err) {
+            showAlert('Failed to copy URL.', 'error');
+        }
+    };
+
+    const handleCreate = async () => {
+        const expiresIn = toExpirySeconds(Number(expiryAmount), expiryUnit);
+        if (!Number.isFinite(expiresIn) || expiresIn < 1) { showAlert('Expiry must be a positive number.', 'error'); return; }
+        if (expiresIn > MAX_PRESIGN_EXPIRY_SECONDS) { showAlert('Expiry cannot be longer than 7 days.', 'error'); return; }
+
+        setIsCreating(true);
+        try {
+            const link = await onCreate(objectKey, {
+                expiresIn,
+                contentDisposition: disposition === 'default' ? undefined : buildContentDisposition(disposition, fileName.trim()),
+                contentType: contentType.trim(),
+            });
+            setCreatedUrl(link.url);
+            await copyUrl(link.url);
+        } catch (err) {
+            showAlert(`Failed to create share link: ${err.name}.`, 'error');
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={!!objectKey} onClose={onClose} title="Share Link" maxWidth="max-w-2xl">
+            <div className="space-y-4">
+                <p className="text-sm text-slate-400 truncate">Object: <span className="text-slate-200">{objectKey}</span></p>
+                <div>
+                    <label className="text-sm font-medium text-slate-300 block mb-2">Expires after</label>
+                    <div className="flex space-x-2">
+                        <input type="number" min="1" value={expiryAmount} onChange={(e) => setExpiryAmount(e.target.value)} className={`${inputClasses} w-32`} />
+                        <select value={expiryUnit} onChange={(e) => setExpiryUnit(e.target.value)} className={`${inputClasses} w-40`}>
+                            {Object.keys(EXPIRY_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                        </select>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-1">Maximum 7 days.</p>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="text-sm font-medium text-slate-300 block mb-2">Content-Disposition</label>
+                        <select value={disposition} onChange={(e) => setDisposition(e.target.value)} className={inputClasses}>
+                            <option value="default">Stored value</option>
+                            <option value="inline">Inline (open in browser)</option>
+                            <option value="attachment">Attachment (download)</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="text-sm font-medium text-slate-300 block mb-2">File name</label>
+                        <input type="text" value={fileName} onChange={(e) => setFileName(e.target.value)} disabled={disposition === 'default'} className={`${inputClasses} disabled:opacity-50`} />
+                    </div>
+                </div>
+                <div>
+                    <label className="text-sm font-medium text-slate-300 block mb-2">Content-Type override (optional)</label>
+                    <input type="text" value={contentType} onChange={(e) => setContentType(e.target.value)} placeholder="e.g., text/plain" className={inputClasses} />
+                </div>
+                {createdUrl && (
+                    <div className="flex items-center space-x-2">
+                        <input type="text" readOnly value={createdUrl} onFocus={(e) => e.target.select()} className={`${inputClasses} text-xs`} />
+                        <button type="button" onClick={() => copyUrl(createdUrl)} className="p-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100"><Copy size={16} /></button>
+                    </div>
+                )}
+                <div className="flex justify-end space-x-3 pt-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Close</button>
+                    <button type="button" onClick={handleCreate} disabled={isCreating} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                        {isCreating ? <Loader2 className="animate-spin mr-2 h-4 w-4" /> : <Link className="mr-2 h-4 w-4" />}
+                        Create & Copy
+                    </button>
+                </div>
+                {shareLinks.length > 0 && (
+                    <div className="pt-4 border-t border-slate-700">
+                        <h4 className="text-sm font-semibold text-slate-300 mb-2">Links created this session</h4>
+                        <ul className="max-h-48 overflow-y-auto space-y-1">
+                            {shareLinks.map(link => {
+                                const isExpired = link.expiresAt <= Date.now();
+                                return (
+                                    <li key={link.id} className="flex items-center justify-between gap-2 bg-slate-900/50 p-2 rounded-md text-xs">
+                                        <div className="truncate">
+                                            <p className="truncate text-slate-200">{link.bucket}/{link.key}</p>
+                                            <p className={isExpired ? 'text-red-400' : 'text-slate-500'}>
+                                                {isExpired ? 'Expired' : 'Expires'} {new Date(link.expiresAt).toLocaleString()}
+                                            </p>
+                                        </div>
+                                        <button type="button" onClick={() => copyUrl(link.url)} disabled={isExpired} className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed flex-shrink-0"><Copy size={14} /></button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export default ShareLinkModal;
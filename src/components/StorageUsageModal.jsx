@@ -0,0 +1,171 @@
+// S – single responsibility: shows the storage usage report of a bucket or prefix
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { Loader2, RefreshCw, X, ChevronRight } from 'lucide-react';
+import Modal from './Modal';
+import { formatBytes } from '../utils/formatUtils';
+
+const VISIBLE_EXTENSIONS = 12;
+const LARGEST_CHOICES = [10, 25, 50, 100];
+
+const sectionTitleClasses = "text-xs font-semibold uppercase tracking-wide text-slate-500";
+
+const percentOf = (bytes, total) => (total > 0 ? (bytes / total) * 100 : 0);
+
+/** One labelled horizontal bar; `scale` is the largest value of the chart, so the biggest bar fills the row. */
+const UsageBar = ({ label, bytes, count, scale, total, onClick }) => (
+    <li className="grid grid-cols-[minmax(0,2fr)_minmax(0,3fr)_auto] items-center gap-3 text-xs py-1">
+        {onClick ? (
+            <button type="button" onClick={onClick} title={label} className="truncate text-left text-sky-300 hover:text-sky-200 flex items-center min-w-0">
+                <span className="truncate">{label}</span><ChevronRight size={12} className="flex-shrink-0" />
+            </button>
+        ) : (
+            <span className="truncate text-slate-300" title={label}>{label}</span>
+        )}
+        <div className="h-2.5 bg-slate-700/60 rounded-full overflow-hidden">
+            <div className="h-full bg-sky-500 rounded-full" style={{ width: `${percentOf(bytes, scale)}%` }} />
+        </div>
+        <span className="text-slate-400 text-right whitespace-nowrap" title={`${count.toLocaleString()} object(s)`}>
+            {formatBytes(bytes)} · {percentOf(bytes, total).toFixed(1)}%
+        </span>
+    </li>
+);
+
+const UsageChart = ({ groups, total, onSelect }) => {
+    const scale = Math.max(0, ...groups.map(g => g.bytes));
+    return (
+        <ul>
+            {groups.map(group => (
+                <UsageBar
+                    key={group.id ?? group.name}
+                    label={group.label}
+                    bytes={group.bytes}
+                    count={group.count}
+                    scale={scale}
+                    total={total}
+                    onClick={onSelect && group.prefix !== undefined ? () => onSelect(group.prefix) : undefined}
+                />
+            ))}
+        </ul>
+    );
+};
+
+// Mounted only while open; the report itself is cached by useStorageUsage
+/**
+ * @param {{
+ *   bucket: string,
+ *   prefix: string,
+ *   report: import('../utils/storageUsageUtils').UsageReport|null,
+ *   progress: { objects: number, bytes: number }|null,
+ *   onCalculate: () => void,
+ *   onCancel: () => void,
+ *   onSelectPrefix: (prefix: string) => void,
+ *   onRevealObject: (key: string) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+const StorageUsageModal = ({ bucket, prefix, report, progress, onCalculate, onCancel, onSelectPrefix, onRevealObject, onClose }) => {
+    const [largestCount, setLargestCount] = useState(LARGEST_CHOICES[1]);
+    const crumbs = prefix.split('/').filter(Boolean);
+
+    const prefixGroups = report ? [
+        ...report.prefixes.map(g => ({ ...g, label: g.name, prefix: `${prefix}${g.name}` })),
+        ...(report.otherPrefixes ? [{ ...report.otherPrefixes, id: 'other', label: `${report.otherPrefixes.name} folder(s)` }] : []),
+        ...(report.rootFiles.count > 0 ? [{ ...report.rootFiles, id: 'files', label: 'Files at this level' }] : []),
+    ] : [];
+
+    return (
+        <Modal isOpen onClose={onClose} title="Storage Usage" maxWidth="max-w-4xl">
+            <div className="flex flex-wrap items-center justify-between gap-2 pb-4 mb-4 border-b border-slate-700">
+                <div className="flex items-center flex-wrap text-sm text-slate-300 min-w-0">
+                    <button type="button" onClick={() => onSelectPrefix('')} className="hover:text-sky-300 font-semibold">{bucket}</button>
+                    {crumbs.map((crumb, i) => (
+                        <React.Fragment key={i}>
+                            <span className="mx-1 text-slate-600">/</span>
+                            <button type="button" onClick={() => onSelectPrefix(`${crumbs.slice(0, i + 1).join('/')}/`)} className="hover:text-sky-300 truncate">{crumb}</button>
+                        </React.Fragment>
+                    ))}
+                </div>
+                <div className="flex items-center space-x-2 text-xs text-slate-400">
+                    {progress ? (
+                        <>
+                            <Loader2 size={14} className="animate-spin text-sky-400" />
+                            <span>{progress.objects.toLocaleString()} object(s), {formatBytes(progress.bytes)} so far</span>
+                            <button type="button" onClick={onCancel} title="Cancel" className="p-1 rounded text-slate-400 hover:text-white hover:bg-slate-700"><X size={14} /></button>
+                        </>
+                    ) : (
+                        <>
+                            {report && <span>Calculated {new Date(report.computedAt).toLocaleString()}</span>}
+                            <button type="button" onClick={onCalculate} className="px-2 py-1 rounded-md font-semibold bg-slate-700 hover:bg-slate-600 text-slate-100 transition flex items-center space-x-1">
+                                <RefreshCw size={12} /><span>{report ? 'Refresh' : 'Calculate'}</span>
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {!report ? (
+                <p className="py-8 text-center text-sm text-slate-500">
+                    {progress ? 'Listing every object below this prefix…' : 'No report yet. Calculating lists every object below this prefix.'}
+                </p>
+            ) : (
+                <div className="max-h-[65vh] overflow-y-auto pr-1 space-y-6">
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="bg-slate-900/50 border border-slate-700 rounded-md p-3">
+                            <p className="text-xs text-slate-500">Total size</p>
+                            <p className="text-xl font-semibold text-slate-100">{formatBytes(report.totalBytes)}</p>
+                        </div>
+                        <div className="bg-slate-900/50 border border-slate-700 rounded-md p-3">
+                            <p className="text-xs text-slate-500">Objects</p>
+                            <p className="text-xl font-semibold text-slate-100">{report.objectCount.toLocaleString()}</p>
+                        </div>
+                    </div>
+
+                    {prefixGroups.length > 0 && (
+                        <section>
+                            <h4 className={`${sectionTitleClasses} mb-2`}>By folder</h4>
+                            <UsageChart groups={prefixGroups} total={report.totalBytes} onSelect={onSelectPrefix} />
+                        </section>
+                    )}
+
+                    <div className="grid md:grid-cols-2 gap-6">
+                        <section>
+                            <h4 className={`${sectionTitleClasses} mb-2`}>By extension</h4>
+                            <UsageChart
+                                groups={report.extensions.slice(0, VISIBLE_EXTENSIONS).map(g => ({ ...g, label: g.name ? `.${g.name}` : '(none)' }))}
+                                total={report.totalBytes}
+                            />
+                        </section>
+                        <section>
+                            <h4 className={`${sectionTitleClasses} mb-2`}>By age</h4>
+                            <UsageChart groups={report.ages.map(g => ({ ...g, label: g.name }))} total={report.totalBytes} />
+                        </section>
+                    </div>
+
+                    {report.largest.length > 0 && (
+                        <section>
+                            <div className="flex items-center justify-between mb-2">
+                                <h4 className={sectionTitleClasses}>Largest objects</h4>
+                                <select value={largestCount} onChange={(e) => setLargestCount(Number(e.target.value))} className="bg-slate-900 border border-slate-600 rounded-md px-2 py-1 text-xs text-slate-200 outline-none focus:ring-2 focus:ring-sky-500">
+                                    {LARGEST_CHOICES.map(n => <option key={n} value={n}>Top {n}</option>)}
+                                </select>
+                            </div>
+                            <ul className="divide-y divide-slate-700/50 bg-slate-900/50 rounded-md border border-slate-700">
+                                {report.largest.slice(0, largestCount).map(object => (
+                                    <li key={object.key} className="px-3 py-2 flex items-center gap-3 text-xs">
+                                        <button type="button" onClick={() => onRevealObject(object.key)} title={`Show ${object.key}`} className="flex-1 min-w-0 truncate text-left text-slate-200 hover:text-sky-300">{object.key.slice(prefix.length)}</button>
+                                        <span className="text-slate-500 whitespace-nowrap">{object.lastModified ? new Date(object.lastModified).toLocaleDateString() : ''}</span>
+                                        <span className="text-slate-300 w-20 text-right whitespace-nowrap">{formatBytes(object.size)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+                    )}
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default StorageUsageModal;
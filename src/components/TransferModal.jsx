@@ -0,0 +1,95 @@
+// S – single responsibility: picks a transfer target on another connection
+// I – receives only the props it needs
+
+import React, { useState, useEffect } from 'react';
+import { Loader2, ArrowRightLeft } from 'lucide-react';
+import Modal from './Modal';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+const labelClasses = "text-sm font-medium text-slate-300 block mb-2";
+
+// Mounted only while open, so the form starts from the props every time. The transfer itself runs as a job.
+/**
+ * @param {{
+ *   itemCount: number,
+ *   sourceLabel: string,
+ *   defaultPrefix: string,
+ *   targets: Array<{ id: string, label: string }>,
+ *   loadBuckets: (sessionId: string) => Promise<string[]>,
+ *   isStarting: boolean,
+ *   onStart: (sessionId: string, bucket: string, prefix: string) => void,
+ *   onClose: () => void,
+ * }} props
+ */
+const TransferModal = ({ itemCount, sourceLabel, defaultPrefix, targets, loadBuckets, isStarting, onStart, onClose }) => {
+    const [targetId, setTargetId] = useState(targets[0]?.id ?? '');
+    const [buckets, setBuckets] = useState([]);
+    const [bucket, setBucket] = useState('');
+    const [targetPrefix, setTargetPrefix] = useState(defaultPrefix);
+    const [isLoadingBuckets, setIsLoadingBuckets] = useState(false);
+    const [bucketError, setBucketError] = useState('');
+
+    useEffect(() => {
+        if (!targetId) return;
+        let isCurrent = true;
+        setIsLoadingBuckets(true);
+        setBucketError('');
+        loadBuckets(targetId).then(names => {
+            if (!isCurrent) return;
+            setBuckets(names);
+            setBucket(names[0] ?? '');
+        }, err => {
+            if (!isCurrent) return;
+            setBuckets([]);
+            setBucket('');
+            setBucketError(`Could not list buckets (${err.name}).`);
+        }).finally(() => {
+            if (isCurrent) setIsLoadingBuckets(false);
+        });
+        return () => { isCurrent = false; };
+    }, [targetId, loadBuckets]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const normalizedPrefix = targetPrefix.trim().replace(/^\/+/, '');
+        onStart(targetId, bucket, normalizedPrefix && !normalizedPrefix.endsWith('/') ? `${normalizedPrefix}/` : normalizedPrefix);
+    };
+
+    return (
+        <Modal isOpen onClose={() => !isStarting && onClose()} title={`Transfer ${itemCount} item(s) from "${sourceLabel}"`} maxWidth="max-w-lg">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label className={labelClasses}>Target connection</label>
+                    <select value={targetId} onChange={(e) => setTargetId(e.target.value)} className={inputClasses}>
+                        {targets.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className={labelClasses}>Target bucket</label>
+                    {isLoadingBuckets ? (
+                        <div className="flex items-center text-sm text-slate-400 py-2"><Loader2 className="animate-spin mr-2 h-4 w-4" />Loading buckets…</div>
+                    ) : (
+                        <select value={bucket} onChange={(e) => setBucket(e.target.value)} className={inputClasses} required>
+                            {buckets.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                    )}
+                    {bucketError && <p className="text-xs text-red-400 mt-1">{bucketError}</p>}
+                </div>
+                <div>
+                    <label className={labelClasses}>Target folder</label>
+                    <input type="text" value={targetPrefix} onChange={(e) => setTargetPrefix(e.target.value)} placeholder="Bucket root" className={inputClasses} />
+                    <p className="text-xs text-slate-500 mt-1">Objects keep their path below the current folder. Existing objects with the same key are overwritten.</p>
+                </div>
+                <div className="flex justify-end space-x-3 pt-2">
+                    <button type="button" onClick={onClose} disabled={isStarting} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-500 text-white font-semibold transition disabled:cursor-not-allowed">Cancel</button>
+                    <button type="submit" disabled={!bucket || isLoadingBuckets || isStarting} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                        {isStarting ? <Loader2 className="animate-spin mr-2 h-4 w-4" /> : <ArrowRightLeft className="mr-2 h-4 w-4" />}
+                        Transfer
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default TransferModal;
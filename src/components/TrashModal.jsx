@@ -0,0 +1,141 @@
+// S – single responsibility: browses the recycle bin of one bucket and edits the recycle-bin settings
+// I – receives only the props it needs
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, RotateCcw, Trash2, RefreshCw } from 'lucide-react';
+import Modal from './Modal';
+import { formatBytes } from '../utils/formatUtils';
+
+// Rendering every deletion of a long-lived trash at once would stall the modal
+const MAX_VISIBLE_ENTRIES = 200;
+
+const buttonClasses = "px-2 py-1 rounded-md text-xs font-semibold transition flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed";
+
+const describeEntry = (entry) => {
+    const [first] = entry.objects;
+    if (!first) return '(empty)';
+    return entry.objects.length > 1 ? `${first.key} and ${entry.objects.length - 1} more` : first.key;
+};
+
+// Mounted only while open, so every opening lists the trash afresh
+/**
+ * @param {{
+ *   bucket: string,
+ *   settings: { enabled: boolean, purgeAfterDays: number },
+ *   onSettingsChange: (settings: { enabled: boolean, purgeAfterDays: number }) => void,
+ *   loadEntries: (bucket: string) => Promise<Array<import('../hooks/useRecycleBin').TrashEntry>>,
+ *   isVersioned: (bucket: string) => Promise<boolean>,
+ *   onRestore: (entry: import('../hooks/useRecycleBin').TrashEntry) => Promise<void>,
+ *   onPurge: (entries: Array<import('../hooks/useRecycleBin').TrashEntry>) => Promise<void>,
+ *   onClose: () => void,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const TrashModal = ({ bucket, settings, onSettingsChange, loadEntries, isVersioned, onRestore, onPurge, onClose, showAlert }) => {
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isVersionedBucket, setIsVersionedBucket] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [purgeConfirmId, setPurgeConfirmId] = useState(null);
+
+    const reload = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            setEntries(await loadEntries(bucket));
+        } catch (err) {
+            showAlert(`Could not list the recycle bin of ${bucket}: ${err.name}.`, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [bucket, loadEntries, showAlert]);
+
+    useEffect(() => {
+        reload();
+        isVersioned(bucket).then(setIsVersionedBucket);
+    }, [bucket, reload, isVersioned]);
+
+    const runAction = async (id, action) => {
+        setBusyId(id);
+        setPurgeConfirmId(null);
+        try {
+            await action();
+        } finally {
+            setBusyId(null);
+            reload();
+        }
+    };
+
+    const totalObjects = entries.reduce((sum, e) => sum + e.objects.length, 0);
+
+    return (
+        <Modal isOpen onClose={onClose} title={`Recycle Bin — ${bucket}`} maxWidth="max-w-3xl">
+            <div className="space-y-3 pb-4 mb-4 border-b border-slate-700 text-sm">
+                <label className="flex items-center text-slate-300">
+                    <input type="checkbox" checked={settings.enabled} onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })} className="h-4 w-4 rounded border-slate-500 bg-slate-700 text-sky-600 focus:ring-sky-500" />
+                    <span className="ml-2">Keep deleted objects in the recycle bin (applies to every bucket)</span>
+                </label>
+                <label className="flex items-center text-slate-300">
+                    <span className="mr-2">Purge deletions older than</span>
+                    <input type="number" min="0" value={settings.purgeAfterDays} onChange={(e) => onSettingsChange({ ...settings, purgeAfterDays: Math.max(0, Number(e.target.value) || 0) })} className="w-20 bg-slate-900 border border-slate-600 rounded-md px-2 py-1 text-slate-200 focus:ring-2 focus:ring-sky-500 outline-none" />
+                    <span className="ml-2">days (0 keeps them forever)</span>
+                </label>
+                <p className="text-xs text-slate-500">
+                    {isVersionedBucket
+                        ? 'This bucket is versioned: deletes only add a delete marker, and restoring removes the marker. Old versions are not purged automatically; use a lifecycle rule for that.'
+                        : 'Deleted objects are moved to the hidden .trash/ folder of this bucket. Deletions older than the set age are purged when the bucket is opened.'}
+                </p>
+            </div>
+
+            <div className="flex items-center justify-between mb-2">
+                <span className="text-sm text-slate-400">{isLoading ? 'Loading…' : `${entries.length} deletion(s), ${totalObjects} object(s)`}</span>
+                <div className="flex items-center space-x-2">
+                    <button type="button" onClick={reload} disabled={isLoading} title="Refresh" className="p-1.5 text-slate-400 hover:text-white rounded-md hover:bg-slate-700 disabled:opacity-50"><RefreshCw size={14} /></button>
+                    {entries.length > 0 && (purgeConfirmId === 'all' ? (
+                        <>
+                            <span className="text-xs text-red-300">Permanently delete everything?</span>
+                            <button type="button" onClick={() => runAction('all', () => onPurge(entries))} className={`${buttonClasses} bg-red-600 hover:bg-red-700 text-white`}>Empty</button>
+                            <button type="button" onClick={() => setPurgeConfirmId(null)} className={`${buttonClasses} bg-slate-600 hover:bg-slate-500 text-white`}>Cancel</button>
+                        </>
+                    ) : (
+                        <button type="button" onClick={() => setPurgeConfirmId('all')} disabled={!!busyId} className={`${buttonClasses} bg-slate-700 hover:bg-red-700 text-slate-100`}><Trash2 size={12} /><span>Empty recycle bin</span></button>
+                    ))}
+                </div>
+            </div>
+
+            <ul className="max-h-[50vh] overflow-y-auto divide-y divide-slate-700/50 bg-slate-900/50 rounded-md border border-slate-700">
+                {isLoading && entries.length === 0 && (
+                    <li className="p-4 flex items-center justify-center text-slate-400 text-sm"><Loader2 className="animate-spin mr-2 h-4 w-4" />Loading…</li>
+                )}
+                {!isLoading && entries.length === 0 && <li className="p-4 text-center text-slate-500 text-sm">The recycle bin is empty.</li>}
+                {entries.slice(0, MAX_VISIBLE_ENTRIES).map(entry => {
+                    const size = entry.objects.reduce((sum, o) => sum + (o.size ?? 0), 0);
+                    return (
+                        <li key={entry.id} className="p-3 flex items-center gap-3">
+                            <div className="flex-1 min-w-0">
+                                <p className="text-sm text-slate-200 truncate" title={entry.objects.map(o => o.key).join('\n')}>{describeEntry(entry)}</p>
+                                <p className="text-xs text-slate-500">
+                                    Deleted {new Date(entry.deletedAt).toLocaleString()}
+                                    {entry.mode === 'trash' ? ` · ${formatBytes(size)}` : ' · delete marker'}
+                                </p>
+                            </div>
+                            {busyId === entry.id ? <Loader2 className="animate-spin h-4 w-4 text-sky-400 flex-shrink-0" /> : purgeConfirmId === entry.id ? (
+                                <div className="flex items-center space-x-2 flex-shrink-0">
+                                    <button type="button" onClick={() => runAction(entry.id, () => onPurge([entry]))} className={`${buttonClasses} bg-red-600 hover:bg-red-700 text-white`}>Purge</button>
+                                    <button type="button" onClick={() => setPurgeConfirmId(null)} className={`${buttonClasses} bg-slate-600 hover:bg-slate-500 text-white`}>Cancel</button>
+                                </div>
+                            ) : (
+                                <div className="flex items-center space-x-2 flex-shrink-0">
+                                    <button type="button" onClick={() => runAction(entry.id, () => onRestore(entry))} disabled={!!busyId} title="Restore to the original path" className={`${buttonClasses} bg-sky-600 hover:bg-sky-700 text-white`}><RotateCcw size={12} /><span>Restore</span></button>
+                                    <button type="button" onClick={() => setPurgeConfirmId(entry.id)} disabled={!!busyId} title="Delete permanently" className={`${buttonClasses} bg-slate-700 hover:bg-red-700 text-slate-100`}><Trash2 size={12} /><span>Purge</span></button>
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+            {entries.length > MAX_VISIBLE_ENTRIES && <p className="mt-2 text-xs text-slate-500">Showing the {MAX_VISIBLE_ENTRIES} most recent deletions.</p>}
+        </Modal>
+    );
+};
+
+export default TrashModal;
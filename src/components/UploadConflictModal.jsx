@@ -0,0 +1,34 @@
+// S – single responsibility: asks how to handle uploads or pastes whose target keys already exist
+// I – receives only the props it needs
+
+import React from 'react';
+import Modal from './Modal';
+
+/**
+ * @param {{
+ *   conflicts: Array<{id: string, bucket: string, key: string}>|null,
+ *   onResolve: (policy: 'skip'|'overwrite'|'rename'|'cancel') => void,
+ *   title?: string,
+ *   cancelLabel?: string,
+ *   canOverwrite?: boolean,
+ * }} props
+ */
+const UploadConflictModal = ({ conflicts, onResolve, title = 'Files Already Exist', cancelLabel = 'Cancel Upload', canOverwrite = true }) => (
+    <Modal isOpen={!!conflicts} onClose={() => onResolve('cancel')} title={title} maxWidth="max-w-lg">
+        <div className="text-slate-300">
+            <p className="mb-4">{conflicts?.length} file(s) already exist at the destination:</p>
+            <ul className="max-h-48 overflow-y-auto bg-slate-900/50 p-2 rounded-md border border-slate-700 space-y-1 mb-6">
+                {conflicts?.map(c => <li key={c.id} className="truncate text-sm">{c.key}</li>)}
+            </ul>
+            {!canOverwrite && <p className="-mt-4 mb-6 text-xs text-slate-400">Moves never replace existing objects, so they can always be rolled back.</p>}
+            <div className="flex flex-wrap justify-end gap-3">
+                <button type="button" onClick={() => onResolve('cancel')} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">{cancelLabel}</button>
+                <button type="button" onClick={() => onResolve('skip')} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-500 text-white font-semibold transition">Skip Existing</button>
+                <button type="button" onClick={() => onResolve('rename')} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition">Keep Both</button>
+                {canOverwrite && <button type="button" onClick={() => onResolve('overwrite')} className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white font-semibold transition">Overwrite</button>}
+            </div>
+        </div>
+    </Modal>
+);
+
+export default UploadConflictModal;
@@ -0,0 +1,139 @@
+// S – single responsibility: collects upload link options and lists this session's links
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { Loader2, Copy, Link } from 'lucide-react';
+import Modal from './Modal';
+import { MAX_PRESIGN_EXPIRY_SECONDS, EXPIRY_UNITS, toExpirySeconds } from '../utils/shareUtils';
+import { MAX_POST_UPLOAD_BYTES, SIZE_UNITS, parseContentTypes } from '../utils/uploadLinkUtils';
+import { formatBytes } from '../utils/formatUtils';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+/**
+ * Mounted only while a folder is chosen, so the form starts empty for each one.
+ * @param {{
+ *   bucket: string,
+ *   prefix: string,
+ *   uploadLinks: Array<{id: string, bucket: string, prefix: string, url: string, expiresAt: number, maxSizeBytes: number, contentTypes: string[]}>,
+ *   onCreate: (prefix: string, options: {expiresIn: number, maxSizeBytes: number, contentTypes: string[]}) => Promise<{url: string}>,
+ *   onClose: () => void,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const UploadLinkModal = ({ bucket, prefix, uploadLinks, onCreate, onClose, showAlert }) => {
+    const [expiryAmount, setExpiryAmount] = useState(7);
+    const [expiryUnit, setExpiryUnit] = useState('days');
+    const [sizeAmount, setSizeAmount] = useState(100);
+    const [sizeUnit, setSizeUnit] = useState('MB');
+    const [contentTypesText, setContentTypesText] = useState('');
+    const [isCreating, setIsCreating] = useState(false);
+    const [createdUrl, setCreatedUrl] = useState('');
+
+    const copyUrl = async (url) => {
+        try {
+            await navigator.clipboard.writeText(url);
+            showAlert('Upload link copied to clipboard.', 'success');
+        } catch (err) {
+            showAlert('Failed to copy URL.', 'error');
+        }
+    };
+
+    const handleCreate = async () => {
+        const expiresIn = toExpirySeconds(Number(expiryAmount), expiryUnit);
+        if (!Number.isFinite(expiresIn) || expiresIn < 1) { showAlert('Expiry must be a positive number.', 'error'); return; }
+        if (expiresIn > MAX_PRESIGN_EXPIRY_SECONDS) { showAlert('Expiry cannot be longer than 7 days.', 'error'); return; }
+        const maxSizeBytes = Math.round(Number(sizeAmount) * SIZE_UNITS[sizeUnit]);
+        if (!Number.isFinite(maxSizeBytes) || maxSizeBytes < 1) { showAlert('Maximum file size must be a positive number.', 'error'); return; }
+        if (maxSizeBytes > MAX_POST_UPLOAD_BYTES) { showAlert('Maximum file size cannot be more than 5 GB.', 'error'); return; }
+        const { contentTypes, invalid } = parseContentTypes(contentTypesText);
+        if (invalid.length > 0) { showAlert(`Not a content type: ${invalid.join(', ')}.`, 'error'); return; }
+
+        setIsCreating(true);
+        try {
+            const link = await onCreate(prefix, { expiresIn, maxSizeBytes, contentTypes });
+            setCreatedUrl(link.url);
+            await copyUrl(link.url);
+        } catch (err) {
+            showAlert(`Failed to create upload link: ${err.name}.`, 'error');
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    return (
+        <Modal isOpen onClose={onClose} title="Upload Link" maxWidth="max-w-2xl">
+            <div className="space-y-4">
+                <p className="text-sm text-slate-400 truncate">Uploads go to: <span className="text-slate-200">{bucket}/{prefix}</span></p>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label className="text-sm font-medium text-slate-300 block mb-2">Expires after</label>
+                        <div className="flex space-x-2">
+                            <input type="number" min="1" value={expiryAmount} onChange={(e) => setExpiryAmount(e.target.value)} className={inputClasses} />
+                            <select value={expiryUnit} onChange={(e) => setExpiryUnit(e.target.value)} className={`${inputClasses} w-32`}>
+                                {Object.keys(EXPIRY_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                        </div>
+                        <p className="text-xs text-slate-500 mt-1">Maximum 7 days.</p>
+                    </div>
+                    <div>
+                        <label className="text-sm font-medium text-slate-300 block mb-2">Maximum file size</label>
+                        <div className="flex space-x-2">
+                            <input type="number" min="1" value={sizeAmount} onChange={(e) => setSizeAmount(e.target.value)} className={inputClasses} />
+                            <select value={sizeUnit} onChange={(e) => setSizeUnit(e.target.value)} className={`${inputClasses} w-24`}>
+                                {Object.keys(SIZE_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                        </div>
+                        <p className="text-xs text-slate-500 mt-1">Maximum 5 GB.</p>
+                    </div>
+                </div>
+                <div>
+                    <label className="text-sm font-medium text-slate-300 block mb-2">Allowed content types (optional)</label>
+                    <input type="text" value={contentTypesText} onChange={(e) => setContentTypesText(e.target.value)} placeholder="e.g., image/*, application/pdf" className={inputClasses} />
+                    <p className="text-xs text-slate-500 mt-1">Leave empty to allow any type.</p>
+                </div>
+                <p className="text-xs text-amber-300/80">
+                    Anyone with the link can upload until it expires, and can replace files of the same name in this folder. The bucket&apos;s CORS rules must allow POST from {window.location.origin}.
+                </p>
+                {createdUrl && (
+                    <div className="flex items-center space-x-2">
+                        <input type="text" readOnly value={createdUrl} onFocus={(e) => e.target.select()} className={`${inputClasses} text-xs`} />
+                        <button type="button" onClick={() => copyUrl(createdUrl)} className="p-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100"><Copy size={16} /></button>
+                    </div>
+                )}
+                <div className="flex justify-end space-x-3 pt-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Close</button>
+                    <button type="button" onClick={handleCreate} disabled={isCreating} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                        {isCreating ? <Loader2 className="animate-spin mr-2 h-4 w-4" /> : <Link className="mr-2 h-4 w-4" />}
+                        Create & Copy
+                    </button>
+                </div>
+                {uploadLinks.length > 0 && (
+                    <div className="pt-4 border-t border-slate-700">
+                        <h4 className="text-sm font-semibold text-slate-300 mb-2">Links created this session</h4>
+                        <ul className="max-h-48 overflow-y-auto space-y-1">
+                            {uploadLinks.map(link => {
+                                const isExpired = link.expiresAt <= Date.now();
+                                return (
+                                    <li key={link.id} className="flex items-center justify-between gap-2 bg-slate-900/50 p-2 rounded-md text-xs">
+                                        <div className="truncate">
+                                            <p className="truncate text-slate-200">{link.bucket}/{link.prefix}</p>
+                                            <p className={isExpired ? 'text-red-400' : 'text-slate-500'}>
+                                                {isExpired ? 'Expired' : 'Expires'} {new Date(link.expiresAt).toLocaleString()}
+                                                {' · '}up to {formatBytes(link.maxSizeBytes)}
+                                                {link.contentTypes.length > 0 && ` · ${link.contentTypes.join(', ')}`}
+                                            </p>
+                                        </div>
+                                        <button type="button" onClick={() => copyUrl(link.url)} disabled={isExpired} className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed flex-shrink-0"><Copy size={14} /></button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export default UploadLinkModal;
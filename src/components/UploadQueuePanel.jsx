@@ -0,0 +1,142 @@
+// S – single responsibility: renders the upload queue with its controls
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { Loader2, Pause, Play, X, RefreshCcw, Settings, ChevronDown, ChevronUp, CheckCircle, AlertTriangle } from 'lucide-react';
+import { formatBytes, formatDuration } from '../utils/formatUtils';
+import { ACTIVE_UPLOAD_STATUSES } from '../hooks/useUploadQueue';
+
+// Rendering thousands of progress rows on every progress event would stall the page
+const MAX_VISIBLE_ITEMS = 200;
+
+const STATUS_ORDER = ['uploading', 'retrying', 'queued', 'paused', 'failed', 'cancelled', 'done'];
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    uploading: 'Uploading',
+    retrying: 'Retrying…',
+    paused: 'Paused',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+};
+
+const iconButtonClasses = "p-1 rounded text-slate-400 hover:text-white hover:bg-slate-700 transition";
+
+/**
+ * @param {{
+ *   items: Array<import('../hooks/useUploadQueue').UploadItem>,
+ *   stats: { bytesPerSecond: number, etaSeconds: number|null },
+ *   isPaused: boolean,
+ *   isCheckingConflicts: boolean,
+ *   settings: { fileConcurrency: number, partConcurrency: number },
+ *   onSettingsChange: (settings: { fileConcurrency: number, partConcurrency: number }) => void,
+ *   onCancel: (id: string) => void, onPause: (id: string) => void, onResume: (id: string) => void, onRetry: (id: string) => void,
+ *   onPauseAll: () => void, onResumeAll: () => void, onCancelAll: () => void, onClearFinished: () => void,
+ * }} props
+ */
+const UploadQueuePanel = ({ items, stats, isPaused, isCheckingConflicts, settings, onSettingsChange, onCancel, onPause, onResume, onRetry, onPauseAll, onResumeAll, onCancelAll, onClearFinished }) => {
+    const [isCollapsed, setIsCollapsed] = useState(false);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+    if (items.length === 0 && !isCheckingConflicts) return null;
+
+    const activeItems = items.filter(i => ACTIVE_UPLOAD_STATUSES.includes(i.status));
+    const doneCount = items.filter(i => i.status === 'done').length;
+    const failedCount = items.filter(i => i.status === 'failed').length;
+    const totalBytes = items.filter(i => i.status !== 'cancelled').reduce((sum, i) => sum + i.size, 0);
+    const transferredBytes = items.reduce((sum, i) => sum + (i.status === 'done' ? i.size : i.status === 'cancelled' ? 0 : i.loaded), 0);
+    const percent = totalBytes > 0 ? Math.round((transferredBytes / totalBytes) * 100) : 0;
+    const visibleItems = [...items]
+        .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status))
+        .slice(0, MAX_VISIBLE_ITEMS);
+
+    const updateSetting = (field, value) => {
+        const n = Math.min(10, Math.max(1, Number(value) || 1));
+        onSettingsChange({ ...settings, [field]: n });
+    };
+
+    return (
+        <div className="fixed bottom-5 right-5 w-[26rem] max-w-[calc(100vw-2.5rem)] bg-slate-800 border border-slate-700 rounded-xl shadow-2xl z-20 flex flex-col">
+            <div className="p-3 border-b border-slate-700">
+                <div className="flex items-center justify-between">
+                    <h3 className="text-sm font-semibold text-slate-100 flex items-center">
+                        {activeItems.length > 0 && !isPaused && <Loader2 className="animate-spin mr-2 h-4 w-4 text-sky-400" />}
+                        Uploads ({doneCount}/{items.length - items.filter(i => i.status === 'cancelled').length})
+                        {failedCount > 0 && <span className="ml-2 text-xs text-red-400">{failedCount} failed</span>}
+                    </h3>
+                    <div className="flex items-center space-x-1">
+                        {activeItems.length > 0 && (isPaused
+                            ? <button onClick={onResumeAll} title="Resume all" className={iconButtonClasses}><Play size={14} /></button>
+                            : <button onClick={onPauseAll} title="Pause all" className={iconButtonClasses}><Pause size={14} /></button>)}
+                        {activeItems.length > 0 && <button onClick={onCancelAll} title="Cancel all" className={iconButtonClasses}><X size={14} /></button>}
+                        <button onClick={() => setIsSettingsOpen(o => !o)} title="Upload settings" className={iconButtonClasses}><Settings size={14} /></button>
+                        <button onClick={() => setIsCollapsed(c => !c)} title={isCollapsed ? 'Expand' : 'Collapse'} className={iconButtonClasses}>{isCollapsed ? <ChevronUp size={14} /> : <ChevronDown size={14} />}</button>
+                    </div>
+                </div>
+                <div className="mt-2 h-1.5 bg-slate-700 rounded-full overflow-hidden">
+                    <div className="h-full bg-sky-500 transition-all" style={{ width: `${percent}%` }} />
+                </div>
+                <div className="mt-1.5 flex justify-between text-xs text-slate-400">
+                    <span>{formatBytes(transferredBytes)} of {formatBytes(totalBytes)}</span>
+                    <span>
+                        {isCheckingConflicts ? 'Checking for existing files…'
+                            : isPaused && activeItems.length > 0 ? 'Paused'
+                            : activeItems.length > 0 ? `${formatBytes(stats.bytesPerSecond)}/s · ETA ${stats.etaSeconds === null ? '—' : formatDuration(stats.etaSeconds)}`
+                            : 'Finished'}
+                    </span>
+                </div>
+                {isSettingsOpen && (
+                    <div className="mt-3 grid grid-cols-2 gap-3 text-xs">
+                        <label className="text-slate-400">
+                            Parallel files
+                            <input type="number" min="1" max="10" value={settings.fileConcurrency} onChange={(e) => updateSetting('fileConcurrency', e.target.value)} className="mt-1 w-full bg-slate-900 border border-slate-600 rounded-md px-2 py-1 text-slate-200 outline-none focus:ring-2 focus:ring-sky-500" />
+                        </label>
+                        <label className="text-slate-400">
+                            Parallel parts per file
+                            <input type="number" min="1" max="10" value={settings.partConcurrency} onChange={(e) => updateSetting('partConcurrency', e.target.value)} className="mt-1 w-full bg-slate-900 border border-slate-600 rounded-md px-2 py-1 text-slate-200 outline-none focus:ring-2 focus:ring-sky-500" />
+                        </label>
+                    </div>
+                )}
+            </div>
+            {!isCollapsed && (
+                <>
+                    <ul className="max-h-72 overflow-y-auto divide-y divide-slate-700/50">
+                        {visibleItems.map(item => (
+                            <li key={item.id} className="px-3 py-2 text-xs">
+                                <div className="flex items-center justify-between gap-2">
+                                    <span className="truncate text-slate-200" title={`${item.bucket}/${item.key}`}>{item.name}</span>
+                                    <div className="flex items-center flex-shrink-0 space-x-0.5">
+                                        {item.status === 'done' && <CheckCircle size={14} className="text-green-500" />}
+                                        {item.status === 'failed' && <AlertTriangle size={14} className="text-red-500" />}
+                                        {['uploading', 'queued', 'retrying'].includes(item.status) && <button onClick={() => onPause(item.id)} title="Pause" className={iconButtonClasses}><Pause size={12} /></button>}
+                                        {item.status === 'paused' && <button onClick={() => onResume(item.id)} title="Resume" className={iconButtonClasses}><Play size={12} /></button>}
+                                        {['failed', 'cancelled'].includes(item.status) && <button onClick={() => onRetry(item.id)} title="Retry" className={iconButtonClasses}><RefreshCcw size={12} /></button>}
+                                        {ACTIVE_UPLOAD_STATUSES.includes(item.status) && <button onClick={() => onCancel(item.id)} title="Cancel" className={iconButtonClasses}><X size={12} /></button>}
+                                    </div>
+                                </div>
+                                {item.status === 'uploading' ? (
+                                    <div className="mt-1 h-1 bg-slate-700 rounded-full overflow-hidden">
+                                        <div className="h-full bg-sky-500" style={{ width: `${item.size ? Math.round((item.loaded / item.size) * 100) : 0}%` }} />
+                                    </div>
+                                ) : (
+                                    <p className={`mt-0.5 ${item.status === 'failed' ? 'text-red-400' : 'text-slate-500'}`}>
+                                        {STATUS_LABELS[item.status]}{item.error && item.status !== 'done' ? ` (${item.error}${item.status === 'retrying' ? `, attempt ${item.attempt}` : ''})` : ''} · {formatBytes(item.size)}
+                                    </p>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                    {(items.length > MAX_VISIBLE_ITEMS || activeItems.length < items.length) && (
+                        <div className="px-3 py-2 border-t border-slate-700 flex justify-between text-xs text-slate-400">
+                            <span>{items.length > MAX_VISIBLE_ITEMS ? `${items.length - MAX_VISIBLE_ITEMS} more not shown` : ''}</span>
+                            {activeItems.length < items.length && <button onClick={onClearFinished} className="hover:text-white">Clear finished</button>}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default UploadQueuePanel;
@@ -0,0 +1,92 @@
+// S – single responsibility: creates or unlocks the encrypted connection vault
+// I – receives only the props it needs
+
+import React, { useState } from 'react';
+import { Loader2, KeyRound, LockKeyhole } from 'lucide-react';
+import { MIN_PASSPHRASE_LENGTH } from '../hooks/useConnectionVault';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-3 py-2 text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+/**
+ * @param {{
+ *   mode: 'empty'|'locked',
+ *   legacyConnectionCount: number,
+ *   onCreate: (passphrase: string) => Promise<void>,
+ *   onUnlock: (passphrase: string) => Promise<boolean>,
+ *   onReset: () => void,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const VaultUnlockForm = ({ mode, legacyConnectionCount, onCreate, onUnlock, onReset, showAlert }) => {
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState('');
+    const [isConfirmingReset, setIsConfirmingReset] = useState(false);
+    const isCreating = mode === 'empty';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (isCreating && passphrase.length < MIN_PASSPHRASE_LENGTH) { setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`); return; }
+        if (isCreating && passphrase !== confirmation) { setError('The passphrases do not match.'); return; }
+        setIsWorking(true);
+        try {
+            if (isCreating) {
+                await onCreate(passphrase);
+                showAlert(legacyConnectionCount > 0 ? `Vault created; ${legacyConnectionCount} saved connection(s) are now encrypted.` : 'Vault created.', 'success');
+            } else if (!(await onUnlock(passphrase))) {
+                setError('Wrong passphrase.');
+            }
+        } catch (err) {
+            setError(`Could not open the vault: ${err.name}.`);
+        } finally {
+            setIsWorking(false);
+            setPassphrase('');
+            setConfirmation('');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3">
+            <div className="flex items-center gap-2 text-slate-300">
+                {isCreating ? <KeyRound size={18} className="text-sky-400" /> : <LockKeyhole size={18} className="text-sky-400" />}
+                <h3 className="font-semibold">{isCreating ? 'Create a master passphrase' : 'Vault locked'}</h3>
+            </div>
+            <p className="text-xs text-slate-400">
+                {isCreating
+                    ? 'Saved connections are encrypted in this browser with a key derived from your passphrase. The passphrase itself is never stored.'
+                    : 'Enter your master passphrase to use your saved connections.'}
+            </p>
+            {isCreating && legacyConnectionCount > 0 && (
+                <p className="text-xs p-2 rounded-md bg-amber-500/20 text-amber-300">
+                    {legacyConnectionCount} connection(s) are saved unencrypted. They will be encrypted and the plaintext copy removed.
+                </p>
+            )}
+            <input type="password" autoFocus autoComplete={isCreating ? 'new-password' : 'current-password'} value={passphrase} onChange={(e) => setPassphrase(e.target.value)} placeholder="Master passphrase" className={inputClasses} required />
+            {isCreating && (
+                <input type="password" autoComplete="new-password" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} placeholder="Repeat passphrase" className={inputClasses} required />
+            )}
+            {error && <p className="text-xs text-red-400">{error}</p>}
+            <button type="submit" disabled={isWorking} className="w-full bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md flex items-center justify-center disabled:bg-sky-800 disabled:cursor-not-allowed transition">
+                {isWorking && <Loader2 className="animate-spin mr-2 h-4 w-4" />}
+                {isCreating ? 'Create Vault' : 'Unlock'}
+            </button>
+            {!isCreating && (
+                isConfirmingReset ? (
+                    <div className="text-xs text-slate-400 flex items-center justify-between gap-2">
+                        <span>Delete all saved connections?</span>
+                        <span className="flex-shrink-0 space-x-3">
+                            <button type="button" onClick={() => setIsConfirmingReset(false)} className="hover:text-white">Keep</button>
+                            <button type="button" onClick={onReset} className="text-red-400 hover:text-red-300">Delete</button>
+                        </span>
+                    </div>
+                ) : (
+                    <button type="button" onClick={() => setIsConfirmingReset(true)} className="text-xs text-slate-500 hover:text-slate-300">Forgot passphrase?</button>
+                )
+            )}
+        </form>
+    );
+};
+
+export default VaultUnlockForm;
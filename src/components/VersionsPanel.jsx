@@ -0,0 +1,101 @@
+// S – single responsibility: lists the versions of one object and exposes per-version actions
+// I – receives only the props it needs
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Loader2, Download, Eye, RotateCcw, Trash2, RefreshCw } from 'lucide-react';
+import { getPreviewType } from '../utils/fileUtils';
+import { shortVersionId } from '../utils/versionUtils';
+import { formatBytes } from '../utils/formatUtils';
+
+/**
+ * @param {{
+ *   objectKey: string|null,
+ *   refreshToken: number,
+ *   listKeyVersions: (key: string) => Promise<Array<object>>,
+ *   onPreview: (key: string, versionId: string) => void,
+ *   onDownload: (key: string, versionId: string) => void,
+ *   onRestore: (key: string, versionId: string) => void,
+ *   onDelete: (entry: object) => void,
+ *   onClose: () => void,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const VersionsPanel = ({ objectKey, refreshToken, listKeyVersions, onPreview, onDownload, onRestore, onDelete, onClose, showAlert }) => {
+    const [versions, setVersions] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const loadVersions = useCallback(async () => {
+        if (!objectKey) return;
+        setIsLoading(true);
+        try {
+            setVersions(await listKeyVersions(objectKey));
+        } catch (err) {
+            showAlert(`Could not list versions of "${objectKey.split('/').pop()}".`, 'error');
+            setVersions([]);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [objectKey, listKeyVersions, showAlert]);
+
+    useEffect(() => {
+        loadVersions();
+    }, [loadVersions, refreshToken]);
+
+    if (!objectKey) return null;
+
+    const canPreview = !!getPreviewType(objectKey);
+
+    return (
+        <aside className="fixed top-0 right-0 h-full w-full max-w-md bg-slate-800 border-l border-slate-700 shadow-2xl z-30 flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b border-slate-700">
+                <div className="min-w-0">
+                    <h3 className="text-lg font-semibold text-slate-100">Versions</h3>
+                    <p className="text-xs text-slate-400 truncate">{objectKey}</p>
+                </div>
+                <div className="flex items-center flex-shrink-0">
+                    <button onClick={loadVersions} disabled={isLoading} className="p-2 text-slate-400 hover:text-white rounded-full hover:bg-slate-700"><RefreshCw size={16} /></button>
+                    <button onClick={onClose} className="p-1 text-slate-400 hover:text-white rounded-full hover:bg-slate-700"><X size={20} /></button>
+                </div>
+            </div>
+            <div className="flex-grow overflow-y-auto p-3">
+                {isLoading ? (
+                    <div className="h-full flex items-center justify-center"><Loader2 className="animate-spin text-slate-500" size={32} /></div>
+                ) : versions.length === 0 ? (
+                    <p className="text-slate-400 text-sm text-center py-8">No versions found.</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {versions.map(v => (
+                            <li key={v.VersionId} className="bg-slate-900 p-3 rounded-md">
+                                <div className="flex items-center justify-between gap-2">
+                                    <span className="font-mono text-xs text-slate-300" title={v.VersionId}>{shortVersionId(v.VersionId)}</span>
+                                    <div className="flex items-center space-x-1 text-xs">
+                                        {v.IsLatest && <span className="px-1.5 py-0.5 rounded bg-sky-500/20 text-sky-300">Latest</span>}
+                                        {v.isDeleteMarker && <span className="px-1.5 py-0.5 rounded bg-red-500/20 text-red-300">Delete marker</span>}
+                                    </div>
+                                </div>
+                                <p className="text-xs text-slate-500 mt-1">
+                                    {v.LastModified ? new Date(v.LastModified).toLocaleString() : ''}
+                                    {!v.isDeleteMarker && ` · ${formatBytes(v.Size)}`}
+                                </p>
+                                <div className="flex items-center justify-end space-x-1 mt-2">
+                                    {!v.isDeleteMarker && canPreview && (
+                                        <button onClick={() => onPreview(v.Key, v.VersionId)} title="Preview this version" className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700"><Eye size={14} /></button>
+                                    )}
+                                    {!v.isDeleteMarker && (
+                                        <button onClick={() => onDownload(v.Key, v.VersionId)} title="Download this version" className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700"><Download size={14} /></button>
+                                    )}
+                                    {!v.isDeleteMarker && !v.IsLatest && (
+                                        <button onClick={() => onRestore(v.Key, v.VersionId)} title="Restore as current version" className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700"><RotateCcw size={14} /></button>
+                                    )}
+                                    <button onClick={() => onDelete(v)} title={v.isDeleteMarker ? 'Remove delete marker' : 'Delete this version permanently'} className="p-1.5 rounded-md text-red-400 hover:text-red-300 hover:bg-slate-700"><Trash2 size={14} /></button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </aside>
+    );
+};
+
+export default VersionsPanel;
@@ -0,0 +1,156 @@
+// S – single responsibility: edits the CORS rules of one bucket
+// I – receives only the props it needs
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Trash2, Save, Wand2, CheckCircle, AlertTriangle } from 'lucide-react';
+import { CORS_METHODS, buildExplorerCorsDraft, toCorsDraft, fromCorsDraft, validateCorsDrafts, checkOriginAccess } from '../../utils/corsUtils';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-2 py-1.5 text-sm text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+const EMPTY_DRAFT = { id: '', origins: '', methods: ['GET'], allowedHeaders: '', exposeHeaders: '', maxAgeSeconds: '' };
+
+const TextField = ({ label, value, onChange, placeholder }) => (
+    <label className="text-xs text-slate-400">
+        {label}
+        <input type="text" value={value} onChange={(e) => onChange(e.target.value)} placeholder={placeholder} className={`mt-1 ${inputClasses}`} />
+    </label>
+);
+
+/**
+ * @param {{
+ *   bucket: string,
+ *   loadCorsRules: (bucket: string) => Promise<Array<object>>,
+ *   saveCorsRules: (bucket: string, rules: Array<object>) => Promise<void>,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const CorsTab = ({ bucket, loadCorsRules, saveCorsRules, showAlert }) => {
+    const [savedDrafts, setSavedDrafts] = useState([]);
+    const [drafts, setDrafts] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const origin = window.location.origin;
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setLoadError(null);
+        try {
+            const loaded = (await loadCorsRules(bucket)).map(toCorsDraft);
+            setSavedDrafts(loaded);
+            setDrafts(loaded);
+        } catch (err) {
+            if (err.name === 'NotImplemented') {
+                setLoadError(`This server has no per-bucket CORS. On MinIO, CORS is configured server-wide: mc admin config set <alias> api cors_allow_origin=${origin}`);
+            } else {
+                setLoadError(err.name === 'AccessDenied' ? 'You are not allowed to read this bucket\'s CORS configuration.' : `Could not load the CORS configuration: ${err.name}.`);
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    }, [bucket, loadCorsRules, origin]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const updateDraft = (index, field, value) => setDrafts(prev => prev.map((d, i) => i === index ? { ...d, [field]: value } : d));
+
+    const toggleMethod = (index, method) => {
+        const methods = drafts[index].methods;
+        updateDraft(index, 'methods', methods.includes(method) ? methods.filter(m => m !== method) : CORS_METHODS.filter(m => m === method || methods.includes(m)));
+    };
+
+    const handleSave = async () => {
+        const error = validateCorsDrafts(drafts);
+        if (error) { showAlert(error, 'error'); return; }
+        setIsSaving(true);
+        try {
+            await saveCorsRules(bucket, drafts.map(fromCorsDraft));
+            showAlert(drafts.length ? 'CORS configuration saved.' : 'CORS configuration removed.', 'success');
+            await load();
+        } catch (err) {
+            showAlert(`Failed to save the CORS configuration: ${err.message || err.name}`, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading && savedDrafts.length === 0) {
+        return <div className="h-64 flex items-center justify-center"><Loader2 className="animate-spin text-slate-500" size={32} /></div>;
+    }
+    if (loadError) {
+        return <p className="text-sm text-red-400 py-8 text-center">{loadError}</p>;
+    }
+
+    const isDirty = JSON.stringify(drafts) !== JSON.stringify(savedDrafts);
+    const { missingMethods, exposesEtag } = checkOriginAccess(savedDrafts, origin);
+    const isExplorerAllowed = missingMethods.length === 0 && exposesEtag;
+
+    return (
+        <div className="space-y-4">
+            <div className={`p-3 rounded-md text-sm flex items-start ${isExplorerAllowed ? 'bg-green-500/20 text-green-300' : 'bg-amber-500/20 text-amber-300'}`}>
+                {isExplorerAllowed ? <CheckCircle size={16} className="mr-2 mt-0.5 flex-shrink-0" /> : <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />}
+                <span>
+                    {isExplorerAllowed
+                        ? `This explorer (${origin}) can use the bucket.`
+                        : missingMethods.length > 0
+                            ? `${origin} is not allowed to use ${missingMethods.join(', ')}.`
+                            : 'Uploads expose no ETag header, so multipart uploads from this explorer fail.'}
+                </span>
+            </div>
+            {drafts.length === 0 ? (
+                <p className="text-slate-400 text-sm text-center py-4">No CORS rules. Browsers on other origins cannot use this bucket.</p>
+            ) : (
+                <ul className="space-y-3">
+                    {drafts.map((draft, i) => (
+                        <li key={i} className="bg-slate-900/60 border border-slate-700 p-3 rounded-md space-y-3">
+                            <div className="flex items-end gap-3">
+                                <div className="flex-1"><TextField label="Rule ID" value={draft.id} onChange={(v) => updateDraft(i, 'id', v)} placeholder="optional" /></div>
+                                <button type="button" onClick={() => setDrafts(prev => prev.filter((_, j) => j !== i))} title="Remove rule" className="p-2 text-slate-500 hover:text-red-400 rounded-md hover:bg-slate-700"><Trash2 size={14} /></button>
+                            </div>
+                            <TextField label="Allowed origins (comma separated)" value={draft.origins} onChange={(v) => updateDraft(i, 'origins', v)} placeholder="https://app.example.com, http://localhost:*" />
+                            <div className="text-xs text-slate-400">
+                                Allowed methods
+                                <div className="mt-1 flex flex-wrap gap-3">
+                                    {CORS_METHODS.map(method => (
+                                        <label key={method} className="flex items-center space-x-1.5 text-slate-300">
+                                            <input type="checkbox" checked={draft.methods.includes(method)} onChange={() => toggleMethod(i, method)} className="bg-slate-700 border-slate-500 rounded" />
+                                            <span>{method}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-3 gap-3">
+                                <TextField label="Allowed headers" value={draft.allowedHeaders} onChange={(v) => updateDraft(i, 'allowedHeaders', v)} placeholder="*" />
+                                <TextField label="Exposed headers" value={draft.exposeHeaders} onChange={(v) => updateDraft(i, 'exposeHeaders', v)} placeholder="ETag" />
+                                <TextField label="Max age (seconds)" value={draft.maxAgeSeconds} onChange={(v) => updateDraft(i, 'maxAgeSeconds', v)} placeholder="3000" />
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-3 text-xs">
+                    <button type="button" onClick={() => setDrafts(prev => [...prev, EMPTY_DRAFT])} className="text-sky-400 hover:text-sky-300 flex items-center space-x-1">
+                        <Plus size={12} />
+                        <span>Add rule</span>
+                    </button>
+                    <button type="button" onClick={() => setDrafts(prev => [...prev, buildExplorerCorsDraft(origin)])} title={`Allow ${origin} with all methods and expose ETag`} className="text-sky-400 hover:text-sky-300 flex items-center space-x-1">
+                        <Wand2 size={12} />
+                        <span>Add rule for this explorer</span>
+                    </button>
+                </div>
+                <div className="flex space-x-3">
+                    <button type="button" onClick={() => setDrafts(savedDrafts)} disabled={!isDirty || isSaving} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed">Reset</button>
+                    <button type="button" onClick={handleSave} disabled={!isDirty || isSaving} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                        {isSaving ? <Loader2 className="animate-spin mr-2 h-4 w-4" /> : <Save className="mr-2 h-4 w-4" />}
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CorsTab;
@@ -0,0 +1,170 @@
+// S – single responsibility: lists and edits the lifecycle rules of one bucket
+// I – receives only the props it needs
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Pencil, Trash2, Save } from 'lucide-react';
+import KeyValueEditor from '../KeyValueEditor';
+import { newRuleDraft, toRuleDraft, fromRuleDraft, validateRuleDraft, describeRuleDraft } from '../../utils/lifecycleUtils';
+
+const inputClasses = "w-full bg-slate-900 border border-slate-600 rounded-md px-2 py-1.5 text-sm text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition";
+
+const DaysInput = ({ label, hint, value, onChange }) => (
+    <label className="block text-xs text-slate-400">
+        {label}
+        <div className="mt-1 flex items-center space-x-2">
+            <input type="number" min="1" value={value} onChange={(e) => onChange(e.target.value)} placeholder="off" className={`${inputClasses} w-28`} />
+            <span>days</span>
+        </div>
+        <span className="block mt-1 text-slate-500">{hint}</span>
+    </label>
+);
+
+const RuleEditor = ({ draft, onChange, onCancel, onSave, isSaving }) => {
+    const update = (field, value) => onChange({ ...draft, [field]: value });
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+                <label className="text-xs text-slate-400">
+                    Rule ID
+                    <input type="text" value={draft.id} onChange={(e) => update('id', e.target.value)} placeholder="generated when empty" className={`mt-1 ${inputClasses}`} />
+                </label>
+                <label className="text-xs text-slate-400">
+                    Prefix
+                    <input type="text" value={draft.prefix} onChange={(e) => update('prefix', e.target.value)} placeholder="whole bucket" className={`mt-1 ${inputClasses}`} />
+                </label>
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-slate-300">
+                <input type="checkbox" checked={draft.enabled} onChange={(e) => update('enabled', e.target.checked)} className="bg-slate-700 border-slate-500 rounded" />
+                <span>Enabled</span>
+            </label>
+            <div>
+                <h4 className="text-xs text-slate-400 mb-2">Only objects with these tags</h4>
+                <KeyValueEditor pairs={draft.tags} onChange={(tags) => update('tags', tags)} keyPlaceholder="Key" valuePlaceholder="Value" />
+            </div>
+            <div className="space-y-3">
+                <DaysInput label="Expire current objects after" hint="On versioned buckets this adds a delete marker instead of removing data." value={draft.expirationDays} onChange={(v) => update('expirationDays', v)} />
+                <DaysInput label="Delete noncurrent versions after" hint="Counted from the day a version stopped being the latest. Only affects versioned buckets." value={draft.noncurrentDays} onChange={(v) => update('noncurrentDays', v)} />
+                <DaysInput label="Abort incomplete multipart uploads after" hint="Frees the storage held by uploads that were never completed." value={draft.abortDays} onChange={(v) => update('abortDays', v)} />
+            </div>
+            <div className="flex justify-end space-x-3">
+                <button type="button" onClick={onCancel} disabled={isSaving} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition">Cancel</button>
+                <button type="button" onClick={onSave} disabled={isSaving} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                    {isSaving ? <Loader2 className="animate-spin mr-2 h-4 w-4" /> : <Save className="mr-2 h-4 w-4" />}
+                    Save Rule
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * @param {{
+ *   bucket: string,
+ *   newRulePrefix?: string,
+ *   loadLifecycleRules: (bucket: string) => Promise<Array<object>>,
+ *   saveLifecycleRules: (bucket: string, rules: Array<object>) => Promise<void>,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props - with newRulePrefix set, the tab opens on a new rule for that prefix
+ */
+const LifecycleTab = ({ bucket, newRulePrefix, loadLifecycleRules, saveLifecycleRules, showAlert }) => {
+    const [drafts, setDrafts] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    // null: rule list; -1: new rule; otherwise the index of the rule being edited
+    const [editingIndex, setEditingIndex] = useState(newRulePrefix !== undefined ? -1 : null);
+    const [editDraft, setEditDraft] = useState(() => newRuleDraft(newRulePrefix));
+    const [pendingDeleteIndex, setPendingDeleteIndex] = useState(null);
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setLoadError(null);
+        try {
+            setDrafts((await loadLifecycleRules(bucket)).map(toRuleDraft));
+        } catch (err) {
+            setLoadError(err.name === 'AccessDenied' ? 'You are not allowed to read this bucket\'s lifecycle configuration.' : `Could not load lifecycle rules: ${err.name}.`);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [bucket, loadLifecycleRules]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    // Every change writes the whole configuration, then reloads what the server stored
+    const persist = async (nextDrafts, successMessage) => {
+        setIsSaving(true);
+        try {
+            await saveLifecycleRules(bucket, nextDrafts.map(fromRuleDraft));
+            showAlert(successMessage, 'success');
+            setEditingIndex(null);
+            setPendingDeleteIndex(null);
+            await load();
+        } catch (err) {
+            showAlert(`Failed to save lifecycle rules: ${err.message || err.name}`, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSaveRule = () => {
+        const others = drafts.filter((_, i) => i !== editingIndex);
+        const error = validateRuleDraft(editDraft, others);
+        if (error) { showAlert(error, 'error'); return; }
+        const nextDrafts = editingIndex === -1 ? [...drafts, editDraft] : drafts.map((d, i) => i === editingIndex ? editDraft : d);
+        persist(nextDrafts, editingIndex === -1 ? 'Lifecycle rule created.' : 'Lifecycle rule saved.');
+    };
+
+    if (isLoading && drafts.length === 0) {
+        return <div className="h-64 flex items-center justify-center"><Loader2 className="animate-spin text-slate-500" size={32} /></div>;
+    }
+    if (loadError) {
+        return <p className="text-sm text-red-400 py-8 text-center">{loadError}</p>;
+    }
+    if (editingIndex !== null) {
+        return <RuleEditor draft={editDraft} onChange={setEditDraft} onCancel={() => setEditingIndex(null)} onSave={handleSaveRule} isSaving={isSaving} />;
+    }
+
+    return (
+        <div className="space-y-3">
+            {drafts.length === 0 ? (
+                <p className="text-slate-400 text-sm text-center py-8">No lifecycle rules. Objects are kept until deleted.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {drafts.map((draft, i) => {
+                        const { scope, actions } = describeRuleDraft(draft);
+                        return (
+                            <li key={`${draft.id}-${i}`} className="bg-slate-900 p-3 rounded-md flex items-center justify-between gap-3">
+                                <div className="min-w-0">
+                                    <p className="text-sm text-slate-200 flex items-center">
+                                        <span className="truncate">{draft.id || <span className="text-slate-500">(no ID)</span>}</span>
+                                        {!draft.enabled && <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-slate-700 text-slate-400">Disabled</span>}
+                                    </p>
+                                    <p className="text-xs text-slate-400 truncate" title={scope}>{scope}</p>
+                                    <p className="text-xs text-slate-500 truncate" title={actions}>{actions}</p>
+                                </div>
+                                <div className="flex items-center flex-shrink-0 space-x-1">
+                                    <button onClick={() => { setEditDraft(draft); setEditingIndex(i); }} disabled={isSaving} title="Edit rule" className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-slate-700"><Pencil size={14} /></button>
+                                    {pendingDeleteIndex === i ? (
+                                        <button onClick={() => persist(drafts.filter((_, j) => j !== i), 'Lifecycle rule deleted.')} disabled={isSaving} className="px-2 py-1 rounded-md bg-red-600 hover:bg-red-700 text-white text-xs font-semibold">Confirm delete</button>
+                                    ) : (
+                                        <button onClick={() => setPendingDeleteIndex(i)} disabled={isSaving} title="Delete rule" className="p-1.5 rounded-md text-red-400 hover:text-red-300 hover:bg-slate-700"><Trash2 size={14} /></button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+            <div className="flex justify-end">
+                <button type="button" onClick={() => { setEditDraft(newRuleDraft()); setEditingIndex(-1); }} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition flex items-center">
+                    <Plus className="mr-2 h-4 w-4" />
+                    Add Rule
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default LifecycleTab;
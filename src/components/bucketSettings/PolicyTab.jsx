@@ -0,0 +1,121 @@
+// S – single responsibility: edits the access policy of one bucket
+// I – receives only the props it needs
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Save, AlertTriangle, CheckCircle, Globe, Lock } from 'lucide-react';
+import { POLICY_PRESETS, buildPresetPolicy, parsePolicy, formatPolicy, hasAnonymousAccess } from '../../utils/policyUtils';
+
+/**
+ * @param {{
+ *   bucket: string,
+ *   prefix: string,
+ *   loadPolicy: (bucket: string) => Promise<object|null>,
+ *   savePolicy: (bucket: string, policy: object|null) => Promise<void>,
+ *   showAlert: (msg: string, type: string) => void,
+ * }} props
+ */
+const PolicyTab = ({ bucket, prefix, loadPolicy, savePolicy, showAlert }) => {
+    const [savedText, setSavedText] = useState('');
+    const [text, setText] = useState('');
+    const [presetPrefix, setPresetPrefix] = useState(prefix);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setLoadError(null);
+        try {
+            const policyText = formatPolicy(await loadPolicy(bucket));
+            setSavedText(policyText);
+            setText(policyText);
+        } catch (err) {
+            setLoadError(err.name === 'AccessDenied' ? 'You are not allowed to read this bucket\'s policy.' : `Could not load the policy: ${err.name}.`);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [bucket, loadPolicy]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const { policy, error } = parsePolicy(text, bucket);
+    const isDirty = text !== savedText;
+
+    const applyPreset = (presetId) => {
+        setText(formatPolicy(buildPresetPolicy(presetId, bucket, presetPrefix)));
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            await savePolicy(bucket, policy);
+            const policyText = formatPolicy(policy);
+            setSavedText(policyText);
+            setText(policyText);
+            showAlert(policy ? 'Bucket policy saved.' : 'Bucket policy removed; the bucket is private.', 'success');
+        } catch (err) {
+            showAlert(err.name === 'MalformedPolicy' ? `The server rejected the policy: ${err.message}` : `Failed to save the bucket policy: ${err.name}.`, 'error');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div className="h-64 flex items-center justify-center"><Loader2 className="animate-spin text-slate-500" size={32} /></div>;
+    }
+    if (loadError) {
+        return <p className="text-sm text-red-400 py-8 text-center">{loadError}</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            <div>
+                <h4 className="text-sm font-semibold text-slate-300 mb-2">Presets</h4>
+                <div className="grid grid-cols-2 gap-2">
+                    {POLICY_PRESETS.map(preset => (
+                        <button key={preset.id} type="button" onClick={() => applyPreset(preset.id)} className="text-left p-3 rounded-md bg-slate-900 border border-slate-700 hover:border-sky-500 transition">
+                            <span className="block text-sm font-semibold text-slate-200">{preset.label}</span>
+                            <span className="block text-xs text-slate-400 mt-0.5">{preset.description}</span>
+                        </button>
+                    ))}
+                </div>
+                <label className="mt-2 flex items-center space-x-2 text-xs text-slate-400">
+                    <span className="flex-shrink-0">Prefix for "Public read on a prefix":</span>
+                    <input type="text" value={presetPrefix} onChange={(e) => setPresetPrefix(e.target.value)} placeholder="e.g. public/" className="flex-1 bg-slate-900 border border-slate-600 rounded-md px-2 py-1 text-slate-200 outline-none focus:ring-2 focus:ring-sky-500" />
+                </label>
+            </div>
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm font-semibold text-slate-300">Policy JSON</h4>
+                    <span className={`text-xs flex items-center ${hasAnonymousAccess(policy) ? 'text-amber-400' : 'text-slate-400'}`}>
+                        {hasAnonymousAccess(policy) ? <Globe size={12} className="mr-1" /> : <Lock size={12} className="mr-1" />}
+                        {!policy ? 'No policy: private' : hasAnonymousAccess(policy) ? 'Grants anonymous access' : 'No anonymous access'}
+                    </span>
+                </div>
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    spellCheck={false}
+                    rows={14}
+                    placeholder="Empty: no bucket policy"
+                    className="w-full bg-slate-900 border border-slate-600 rounded-md p-3 font-mono text-xs text-slate-200 focus:ring-2 focus:ring-sky-500 focus:border-sky-500 outline-none transition"
+                />
+                <p className={`mt-1 text-xs flex items-center ${error ? 'text-red-400' : 'text-slate-500'}`}>
+                    {error ? <AlertTriangle size={12} className="mr-1 flex-shrink-0" /> : <CheckCircle size={12} className="mr-1 flex-shrink-0" />}
+                    {error ?? (policy ? 'Valid policy.' : 'Saving removes the bucket policy.')}
+                </p>
+            </div>
+            <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setText(savedText)} disabled={!isDirty || isSaving} className="px-4 py-2 rounded-md bg-slate-700 hover:bg-slate-600 text-slate-100 font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed">Reset</button>
+                <button type="button" onClick={handleSave} disabled={!isDirty || !!error || isSaving} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-semibold transition disabled:bg-sky-800 disabled:cursor-not-allowed flex items-center">
+                    {isSaving ? <Loader2 className="animate-spin mr-2 h-4 w-4" /> : <Save className="mr-2 h-4 w-4" />}
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PolicyTab;
@@ -0,0 +1,54 @@
+// S – single responsibility: renders syntax-highlighted source text
+
+import React, { useMemo } from 'react';
+import hljs from 'highlight.js/lib/core';
+import javascript from 'highlight.js/lib/languages/javascript';
+import typescript from 'highlight.js/lib/languages/typescript';
+import python from 'highlight.js/lib/languages/python';
+import ruby from 'highlight.js/lib/languages/ruby';
+import go from 'highlight.js/lib/languages/go';
+import rust from 'highlight.js/lib/languages/rust';
+import java from 'highlight.js/lib/languages/java';
+import kotlin from 'highlight.js/lib/languages/kotlin';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import php from 'highlight.js/lib/languages/php';
+import bash from 'highlight.js/lib/languages/bash';
+import sql from 'highlight.js/lib/languages/sql';
+import xml from 'highlight.js/lib/languages/xml';
+import css from 'highlight.js/lib/languages/css';
+import scss from 'highlight.js/lib/languages/scss';
+import yaml from 'highlight.js/lib/languages/yaml';
+import ini from 'highlight.js/lib/languages/ini';
+import dockerfile from 'highlight.js/lib/languages/dockerfile';
+import json from 'highlight.js/lib/languages/json';
+import 'highlight.js/styles/github-dark-dimmed.css';
+
+// Only the languages getCodeLanguage can return are bundled
+Object.entries({ javascript, typescript, python, ruby, go, rust, java, kotlin, c, cpp, csharp, php, bash, sql, xml, css, scss, yaml, ini, dockerfile, json })
+    .forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+// Highlighting is synchronous; beyond this size plain text keeps the tab responsive
+const MAX_HIGHLIGHT_CHARS = 1024 * 1024;
+
+/**
+ * @param {{ text: string, language?: string }} props
+ */
+const CodePreview = ({ text, language }) => {
+    const highlighted = useMemo(() => {
+        if (!language || text.length > MAX_HIGHLIGHT_CHARS || !hljs.getLanguage(language)) return null;
+        // highlight.js escapes the source, so the result is safe to inject
+        return hljs.highlight(text, { language, ignoreIllegals: true }).value;
+    }, [text, language]);
+
+    return (
+        <pre className="w-full h-full overflow-auto p-4 text-xs leading-relaxed text-slate-200 font-mono">
+            {highlighted !== null
+                ? <code className="hljs !bg-transparent !p-0" dangerouslySetInnerHTML={{ __html: highlighted }} />
+                : <code>{text}</code>}
+        </pre>
+    );
+};
+
+export default CodePreview;
@@ -0,0 +1,62 @@
+// S – single responsibility: renders CSV/TSV text as a paginated table
+
+import React, { useMemo, useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { parseDelimited } from '../../utils/csvUtils';
+
+const ROWS_PER_PAGE = 100;
+
+/**
+ * @param {{ text: string, delimiter: string, isComplete: boolean }} props
+ */
+const CsvPreview = ({ text, delimiter, isComplete }) => {
+    const [page, setPage] = useState(0);
+
+    const [header, rows] = useMemo(() => {
+        const parsed = parseDelimited(text, delimiter);
+        // The last line of a partially loaded file is usually cut off mid-row
+        if (!isComplete && parsed.length > 1) parsed.pop();
+        return [parsed[0] || [], parsed.slice(1)];
+    }, [text, delimiter, isComplete]);
+
+    const pageCount = Math.max(1, Math.ceil(rows.length / ROWS_PER_PAGE));
+
+    useEffect(() => {
+        if (page >= pageCount) setPage(pageCount - 1);
+    }, [page, pageCount]);
+
+    const pageRows = rows.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE);
+
+    return (
+        <div className="w-full h-full flex flex-col">
+            <div className="flex-grow overflow-auto">
+                <table className="text-xs text-left text-slate-300 whitespace-nowrap">
+                    <thead className="sticky top-0 bg-slate-700">
+                        <tr>
+                            <th className="px-2 py-1.5 text-slate-500 font-normal text-right">#</th>
+                            {header.map((cell, i) => <th key={i} className="px-2 py-1.5 font-semibold text-slate-100">{cell}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-700/50">
+                        {pageRows.map((row, i) => (
+                            <tr key={i} className="hover:bg-slate-700/30">
+                                <td className="px-2 py-1 text-slate-500 text-right">{page * ROWS_PER_PAGE + i + 1}</td>
+                                {row.map((cell, j) => <td key={j} className="px-2 py-1 max-w-xs truncate" title={cell}>{cell}</td>)}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="flex-shrink-0 flex items-center justify-between px-3 py-2 border-t border-slate-700 text-xs text-slate-400">
+                <span>{rows.length.toLocaleString()} row(s){isComplete ? '' : ' loaded'}</span>
+                <div className="flex items-center space-x-2">
+                    <button type="button" onClick={() => setPage(p => p - 1)} disabled={page === 0} className="p-1 rounded hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed"><ChevronLeft size={14} /></button>
+                    <span>Page {page + 1} of {pageCount}</span>
+                    <button type="button" onClick={() => setPage(p => p + 1)} disabled={page >= pageCount - 1} className="p-1 rounded hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed"><ChevronRight size={14} /></button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CsvPreview;
@@ -0,0 +1,84 @@
+// S – single responsibility: renders JSON as a collapsible tree
+
+import React, { useMemo, useState } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+import CodePreview from './CodePreview';
+
+// Nodes deeper than this start collapsed
+const AUTO_EXPAND_DEPTH = 2;
+
+const JsonValue = ({ value }) => {
+    if (value === null) return <span className="text-slate-500">null</span>;
+    if (typeof value === 'string') return <span className="text-emerald-300 break-all">&quot;{value}&quot;</span>;
+    if (typeof value === 'number') return <span className="text-amber-300">{value}</span>;
+    if (typeof value === 'boolean') return <span className="text-sky-300">{String(value)}</span>;
+    return null;
+};
+
+const JsonNode = ({ name, value, depth, isLast }) => {
+    const [isExpanded, setIsExpanded] = useState(depth < AUTO_EXPAND_DEPTH);
+    const isContainer = value !== null && typeof value === 'object';
+    const label = name !== undefined && <span className="text-violet-300">{JSON.stringify(name)}: </span>;
+    const comma = isLast ? '' : ',';
+
+    if (!isContainer) {
+        return <div className="pl-4">{label}<JsonValue value={value} />{comma}</div>;
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+
+    return (
+        <div className="pl-4">
+            <button type="button" onClick={() => setIsExpanded(e => !e)} className="-ml-4 inline-flex items-center text-slate-500 hover:text-white align-middle">
+                {isExpanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+            </button>
+            {label}{open}
+            {isExpanded ? (
+                <>
+                    {entries.map(([k, v], i) => <JsonNode key={k} name={isArray ? undefined : k} value={v} depth={depth + 1} isLast={i === entries.length - 1} />)}
+                    <div>{close}{comma}</div>
+                </>
+            ) : (
+                <button type="button" onClick={() => setIsExpanded(true)} className="text-slate-500 hover:text-white">
+                    {` … ${entries.length} ${isArray ? 'items' : 'keys'} `}{close}{comma}
+                </button>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Partially loaded JSON cannot be parsed, so it is shown as highlighted source until fully loaded.
+ * @param {{ text: string, isComplete: boolean }} props
+ */
+const JsonPreview = ({ text, isComplete }) => {
+    const parsed = useMemo(() => {
+        if (!isComplete) return { ok: false };
+        try {
+            return { ok: true, value: JSON.parse(text) };
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+    }, [text, isComplete]);
+
+    if (!parsed.ok) {
+        return (
+            <div className="w-full h-full flex flex-col">
+                <p className="flex-shrink-0 px-4 py-2 text-xs text-amber-300 bg-amber-500/10">
+                    {parsed.error ? `Invalid JSON: ${parsed.error}` : 'Load the entire file to view it as a formatted tree.'}
+                </p>
+                <div className="flex-grow min-h-0"><CodePreview text={text} language="json" /></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="w-full h-full overflow-auto p-4 text-xs font-mono text-slate-200 leading-relaxed">
+            <JsonNode value={parsed.value} depth={0} isLast />
+        </div>
+    );
+};
+
+export default JsonPreview;
@@ -0,0 +1,21 @@
+// S – single responsibility: renders Markdown as sanitized HTML
+
+import React, { useMemo } from 'react';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+/**
+ * @param {{ text: string }} props
+ */
+const MarkdownPreview = ({ text }) => {
+    // Markdown may embed raw HTML, so the output is sanitized before it is injected
+    const html = useMemo(() => DOMPurify.sanitize(marked.parse(text, { gfm: true })), [text]);
+
+    return (
+        <div className="w-full h-full overflow-auto p-6">
+            <div className="markdown-body max-w-3xl mx-auto" dangerouslySetInnerHTML={{ __html: html }} />
+        </div>
+    );
+};
+
+export default MarkdownPreview;
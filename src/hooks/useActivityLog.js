@@ -0,0 +1,52 @@
+// S – single responsibility: keeps this session's record of mutating S3 calls and exports it
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { toActivityCsv } from '../utils/activityLogUtils';
+import { triggerUrlDownload } from '../utils/downloadUtils';
+
+// Uploads send one call per part, so the log is capped to keep a long session's memory bounded
+const MAX_ACTIVITY_ENTRIES = 20000;
+// Calls are batched into one render at most this often
+const FLUSH_INTERVAL_MS = 500;
+
+export function useActivityLog() {
+    // `recorded` counts every call, including those dropped from `entries` by the cap
+    const [log, setLog] = useState({ entries: /** @type {import('../utils/activityLogUtils').ActivityEntry[]} */ ([]), recorded: 0 });
+    const pendingRef = useRef([]);
+    const flushTimerRef = useRef(null);
+
+    const flush = useCallback(() => {
+        flushTimerRef.current = null;
+        const pending = pendingRef.current;
+        pendingRef.current = [];
+        setLog(prev => ({
+            entries: [...prev.entries, ...pending].slice(-MAX_ACTIVITY_ENTRIES),
+            recorded: prev.recorded + pending.length,
+        }));
+    }, []);
+
+    useEffect(() => () => clearTimeout(flushTimerRef.current), []);
+
+    /** @param {import('../utils/activityLogUtils').ActivityEntry} entry */
+    const recordCall = useCallback((entry) => {
+        pendingRef.current.push(entry);
+        if (!flushTimerRef.current) flushTimerRef.current = setTimeout(flush, FLUSH_INTERVAL_MS);
+    }, [flush]);
+
+    const clearLog = useCallback(() => {
+        pendingRef.current = [];
+        setLog({ entries: [], recorded: 0 });
+    }, []);
+
+    /** @param {'json'|'csv'} format */
+    const exportLog = useCallback((format) => {
+        const content = format === 'csv' ? toActivityCsv(log.entries) : JSON.stringify(log.entries, null, 2);
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        triggerUrlDownload(url, `s3-activity-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`);
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    }, [log.entries]);
+
+    return { activityEntries: log.entries, droppedActivityCount: log.recorded - log.entries.length, recordCall, clearLog, exportLog };
+}
@@ -0,0 +1,39 @@
+// S – single responsibility: reads and writes a bucket's CORS configuration
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useCallback } from 'react';
+import { GetBucketCorsCommand, PutBucketCorsCommand, DeleteBucketCorsCommand } from '@aws-sdk/client-s3';
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ */
+export function useBucketCors(s3Client) {
+    /**
+     * @param {string} bucket
+     * @returns {Promise<import('@aws-sdk/client-s3').CORSRule[]>}
+     */
+    const loadCorsRules = useCallback(async (bucket) => {
+        try {
+            const { CORSRules } = await s3Client.send(new GetBucketCorsCommand({ Bucket: bucket }));
+            return CORSRules || [];
+        } catch (err) {
+            if (err.name === 'NoSuchCORSConfiguration') return [];
+            throw err;
+        }
+    }, [s3Client]);
+
+    /**
+     * Replaces the whole configuration. An empty list deletes it, since S3 rejects a configuration without rules.
+     * @param {string} bucket
+     * @param {import('@aws-sdk/client-s3').CORSRule[]} rules
+     */
+    const saveCorsRules = useCallback(async (bucket, rules) => {
+        if (rules.length === 0) {
+            await s3Client.send(new DeleteBucketCorsCommand({ Bucket: bucket }));
+            return;
+        }
+        await s3Client.send(new PutBucketCorsCommand({ Bucket: bucket, CORSConfiguration: { CORSRules: rules } }));
+    }, [s3Client]);
+
+    return { loadCorsRules, saveCorsRules };
+}
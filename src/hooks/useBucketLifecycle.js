@@ -0,0 +1,39 @@
+// S – single responsibility: reads and writes a bucket's lifecycle configuration
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useCallback } from 'react';
+import { GetBucketLifecycleConfigurationCommand, PutBucketLifecycleConfigurationCommand, DeleteBucketLifecycleCommand } from '@aws-sdk/client-s3';
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ */
+export function useBucketLifecycle(s3Client) {
+    /**
+     * @param {string} bucket
+     * @returns {Promise<import('@aws-sdk/client-s3').LifecycleRule[]>}
+     */
+    const loadLifecycleRules = useCallback(async (bucket) => {
+        try {
+            const { Rules } = await s3Client.send(new GetBucketLifecycleConfigurationCommand({ Bucket: bucket }));
+            return Rules || [];
+        } catch (err) {
+            if (err.name === 'NoSuchLifecycleConfiguration') return [];
+            throw err;
+        }
+    }, [s3Client]);
+
+    /**
+     * Replaces the whole configuration. An empty list deletes it, since S3 rejects a configuration without rules.
+     * @param {string} bucket
+     * @param {import('@aws-sdk/client-s3').LifecycleRule[]} rules
+     */
+    const saveLifecycleRules = useCallback(async (bucket, rules) => {
+        if (rules.length === 0) {
+            await s3Client.send(new DeleteBucketLifecycleCommand({ Bucket: bucket }));
+            return;
+        }
+        await s3Client.send(new PutBucketLifecycleConfigurationCommand({ Bucket: bucket, LifecycleConfiguration: { Rules: rules } }));
+    }, [s3Client]);
+
+    return { loadLifecycleRules, saveLifecycleRules };
+}
@@ -0,0 +1,60 @@
+// S – single responsibility: loads and changes bucket policies and remembers them per bucket
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useEffect, useCallback } from 'react';
+import { GetBucketPolicyCommand, PutBucketPolicyCommand, DeleteBucketPolicyCommand } from '@aws-sdk/client-s3';
+import { mapWithConcurrency } from '../utils/asyncUtils';
+
+const POLICY_LOAD_CONCURRENCY = 4;
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {Array<{Name: string}>} buckets - policies of these buckets are loaded for the sidebar badges
+ * @returns {{
+ *   bucketPolicies: Record<string, object|null>,
+ *   loadPolicy: (bucket: string) => Promise<object|null>,
+ *   savePolicy: (bucket: string, policy: object|null) => Promise<void>,
+ * }} bucketPolicies maps a bucket to its policy, null when it has none; buckets whose policy
+ * could not be read (e.g. no s3:GetBucketPolicy permission) are absent.
+ */
+export function useBucketPolicies(s3Client, buckets) {
+    const [bucketPolicies, setBucketPolicies] = useState({});
+
+    const loadPolicy = useCallback(async (bucket) => {
+        let policy;
+        try {
+            const { Policy } = await s3Client.send(new GetBucketPolicyCommand({ Bucket: bucket }));
+            policy = Policy ? JSON.parse(Policy) : null;
+        } catch (err) {
+            if (err.name !== 'NoSuchBucketPolicy') throw err;
+            policy = null;
+        }
+        setBucketPolicies(prev => ({ ...prev, [bucket]: policy }));
+        return policy;
+    }, [s3Client]);
+
+    /**
+     * Replaces the bucket policy; null removes it.
+     */
+    const savePolicy = useCallback(async (bucket, policy) => {
+        if (policy) {
+            await s3Client.send(new PutBucketPolicyCommand({ Bucket: bucket, Policy: JSON.stringify(policy) }));
+        } else {
+            await s3Client.send(new DeleteBucketPolicyCommand({ Bucket: bucket }));
+        }
+        setBucketPolicies(prev => ({ ...prev, [bucket]: policy }));
+    }, [s3Client]);
+
+    // Policies belong to one connection
+    useEffect(() => {
+        setBucketPolicies({});
+    }, [s3Client]);
+
+    useEffect(() => {
+        if (!s3Client || buckets.length === 0) return;
+        // Unreadable policies are simply left out; the badge is best effort
+        mapWithConcurrency(buckets, POLICY_LOAD_CONCURRENCY, b => loadPolicy(b.Name).catch(() => {}));
+    }, [s3Client, buckets, loadPolicy]);
+
+    return { bucketPolicies, loadPolicy, savePolicy };
+}
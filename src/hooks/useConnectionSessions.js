@@ -0,0 +1,79 @@
+// S – single responsibility: keeps the open connections and their S3 clients
+// D – clients come from the shared connection factory
+
+import { useState, useCallback, useRef } from 'react';
+import { ListBucketsCommand } from '@aws-sdk/client-s3';
+import { createCredentialProvider, createS3Client } from '../utils/connectionUtils';
+import { attachActivityLog } from '../utils/activityLogUtils';
+
+/**
+ * @typedef {{
+ *   id: string, label: string, endpoint: string, publicEndpoint: string,
+ *   s3Client: import('@aws-sdk/client-s3').S3Client,
+ *   presignClient: import('@aws-sdk/client-s3').S3Client,
+ * }} ConnectionSession
+ */
+
+// Session ids appear in the URL, so they are derived from the connection name instead of being random
+const toSessionId = (label, takenIds) => {
+    const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'connection';
+    let id = base;
+    for (let n = 2; takenIds.has(id); n++) id = `${base}-${n}`;
+    return id;
+};
+
+const getEndpointHost = (endpoint) => {
+    try {
+        return new URL(endpoint).host;
+    } catch (err) {
+        return endpoint;
+    }
+};
+
+/**
+ * @param {(entry: import('../utils/activityLogUtils').ActivityEntry) => void} [onS3Call] - receives every mutating call of every session
+ */
+export function useConnectionSessions(onS3Call) {
+    const [sessions, setSessions] = useState(/** @type {ConnectionSession[]} */ ([]));
+    const sessionsRef = useRef(sessions);
+    sessionsRef.current = sessions;
+    const onS3CallRef = useRef(onS3Call);
+    onS3CallRef.current = onS3Call;
+
+    /**
+     * Connects, verifies the connection by listing buckets and adds it as a new session.
+     * @param {object} connectionDetails - endpoint, publicEndpoint, credentials and options; `name` labels the session
+     * @returns {Promise<ConnectionSession>}
+     * @throws the S3 or STS error when the connection does not work
+     */
+    const openSession = useCallback(async (connectionDetails) => {
+        // One credential provider for both clients, so temporary credentials are fetched and refreshed once
+        const credentials = createCredentialProvider(connectionDetails);
+        const s3Client = createS3Client(connectionDetails, credentials);
+        await s3Client.send(new ListBucketsCommand({}));
+
+        // Presigned URLs embed the host in their signature, so they must be signed for the public endpoint
+        const signingEndpoint = connectionDetails.publicEndpoint || connectionDetails.endpoint;
+        const label = connectionDetails.name || getEndpointHost(connectionDetails.endpoint);
+        // The presign client only signs URLs; calls made through them are outside the app's reach
+        attachActivityLog(s3Client, label, (entry) => onS3CallRef.current?.(entry));
+        const session = {
+            id: toSessionId(label, new Set(sessionsRef.current.map(s => s.id))),
+            label,
+            endpoint: connectionDetails.endpoint,
+            publicEndpoint: signingEndpoint,
+            s3Client,
+            presignClient: signingEndpoint === connectionDetails.endpoint ? s3Client : createS3Client(connectionDetails, credentials, signingEndpoint),
+        };
+        sessionsRef.current = [...sessionsRef.current, session];
+        setSessions(sessionsRef.current);
+        return session;
+    }, []);
+
+    const closeSession = useCallback((id) => {
+        sessionsRef.current = sessionsRef.current.filter(s => s.id !== id);
+        setSessions(sessionsRef.current);
+    }, []);
+
+    return { sessions, openSession, closeSession };
+}
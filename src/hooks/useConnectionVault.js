@@ -0,0 +1,141 @@
+// S – single responsibility: keeps saved connections encrypted at rest behind a master passphrase
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { PBKDF2_ITERATIONS, createSalt, deriveKey, encryptJson, decryptJson } from '../utils/cryptoUtils';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const VAULT_STORAGE_KEY = 'minio-connections-vault';
+// Connections used to be stored here in plaintext; they are moved into the vault once
+const LEGACY_STORAGE_KEY = 'minio-connections';
+const AUTO_LOCK_MS = 15 * 60 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+const readLegacyConnections = () => {
+    try {
+        const connections = JSON.parse(window.localStorage.getItem(LEGACY_STORAGE_KEY));
+        return Array.isArray(connections) ? connections : [];
+    } catch (err) {
+        return [];
+    }
+};
+
+/**
+ * @typedef {{ salt: string, iterations: number, payload: { iv: string, data: string } }} VaultRecord
+ */
+
+/**
+ * @returns {{
+ *   vaultStatus: 'empty'|'locked'|'unlocked',
+ *   savedConnections: Array<object>,
+ *   legacyConnectionCount: number,
+ *   createVault: (passphrase: string) => Promise<void>,
+ *   unlockVault: (passphrase: string) => Promise<boolean>,
+ *   lockVault: () => void,
+ *   resetVault: () => void,
+ *   changePassphrase: (current: string, next: string) => Promise<boolean>,
+ *   saveConnections: (connections: Array<object>) => Promise<void>,
+ * }} unlockVault and changePassphrase resolve to false for a wrong passphrase
+ */
+export function useConnectionVault() {
+    const [vault, setVault] = useLocalStorage(VAULT_STORAGE_KEY, null);
+    const [savedConnections, setSavedConnections] = useState([]);
+    const [isUnlocked, setIsUnlocked] = useState(false);
+    const [legacyConnectionCount, setLegacyConnectionCount] = useState(() => readLegacyConnections().length);
+    // The derived key only lives in memory, and only while unlocked
+    const keyRef = useRef(null);
+
+    const writeVault = useCallback(async (key, salt, iterations, connections) => {
+        const payload = await encryptJson(key, connections);
+        setVault({ salt, iterations, payload });
+    }, [setVault]);
+
+    const createVault = useCallback(async (passphrase) => {
+        const salt = createSalt();
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const migrated = readLegacyConnections();
+        await writeVault(key, salt, PBKDF2_ITERATIONS, migrated);
+        window.localStorage.removeItem(LEGACY_STORAGE_KEY);
+        setLegacyConnectionCount(0);
+        keyRef.current = key;
+        setSavedConnections(migrated);
+        setIsUnlocked(true);
+    }, [writeVault]);
+
+    const unlockVault = useCallback(async (passphrase) => {
+        const key = await deriveKey(passphrase, vault.salt, vault.iterations);
+        let connections;
+        try {
+            connections = await decryptJson(key, vault.payload);
+        } catch (err) {
+            return false;
+        }
+        keyRef.current = key;
+        setSavedConnections(connections);
+        setIsUnlocked(true);
+        return true;
+    }, [vault]);
+
+    const lockVault = useCallback(() => {
+        keyRef.current = null;
+        setSavedConnections([]);
+        setIsUnlocked(false);
+    }, []);
+
+    /** Forgets the vault and everything in it, for a lost passphrase. */
+    const resetVault = useCallback(() => {
+        lockVault();
+        setVault(null);
+    }, [lockVault, setVault]);
+
+    const changePassphrase = useCallback(async (current, next) => {
+        const currentKey = await deriveKey(current, vault.salt, vault.iterations);
+        let connections;
+        try {
+            connections = await decryptJson(currentKey, vault.payload);
+        } catch (err) {
+            return false;
+        }
+        const salt = createSalt();
+        const key = await deriveKey(next, salt, PBKDF2_ITERATIONS);
+        await writeVault(key, salt, PBKDF2_ITERATIONS, connections);
+        keyRef.current = key;
+        setSavedConnections(connections);
+        setIsUnlocked(true);
+        return true;
+    }, [vault, writeVault]);
+
+    const saveConnections = useCallback(async (connections) => {
+        if (!keyRef.current) throw new Error('The connection vault is locked.');
+        await writeVault(keyRef.current, vault.salt, vault.iterations, connections);
+        setSavedConnections(connections);
+    }, [vault, writeVault]);
+
+    // Auto-lock: activity only stamps a time, a slow timer compares it
+    useEffect(() => {
+        if (!isUnlocked) return;
+        let lastActivity = Date.now();
+        const markActivity = () => { lastActivity = Date.now(); };
+        ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, markActivity, { passive: true }));
+        const timer = setInterval(() => {
+            if (Date.now() - lastActivity > AUTO_LOCK_MS) lockVault();
+        }, 30 * 1000);
+        return () => {
+            ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, markActivity));
+            clearInterval(timer);
+        };
+    }, [isUnlocked, lockVault]);
+
+    return {
+        vaultStatus: !vault ? 'empty' : isUnlocked ? 'unlocked' : 'locked',
+        savedConnections,
+        legacyConnectionCount,
+        createVault,
+        unlockVault,
+        lockVault,
+        resetVault,
+        changePassphrase,
+        saveConnections,
+    };
+}
@@ -0,0 +1,94 @@
+// S – single responsibility: copies objects from one connection to another by streaming them through the browser
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useCallback, useRef } from 'react';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { listAllObjects } from '../utils/s3Utils';
+
+const TRANSFER_CONCURRENCY = 3;
+const PART_CONCURRENCY = 4;
+
+/**
+ * @typedef {{ client: import('@aws-sdk/client-s3').S3Client, label: string, bucket: string }} TransferEndpoint
+ * @typedef {{ targetLabel: string, targetBucket: string, done: number, failed: number, isCancelled: boolean }} TransferSummary
+ */
+
+// Content-Type, user metadata and the other content headers are copied along with the data
+const transferObject = async (source, target, key, targetKey, signal) => {
+    const response = await source.client.send(new GetObjectCommand({ Bucket: source.bucket, Key: key }), { abortSignal: signal });
+    const upload = new Upload({
+        client: target.client,
+        params: {
+            Bucket: target.bucket,
+            Key: targetKey,
+            Body: response.Body,
+            ContentType: response.ContentType,
+            ContentEncoding: response.ContentEncoding,
+            ContentDisposition: response.ContentDisposition,
+            ContentLanguage: response.ContentLanguage,
+            CacheControl: response.CacheControl,
+            Metadata: response.Metadata,
+        },
+        queueSize: PART_CONCURRENCY,
+    });
+    const abort = () => upload.abort();
+    signal.addEventListener('abort', abort, { once: true });
+    try {
+        await upload.done();
+    } finally {
+        signal.removeEventListener('abort', abort);
+    }
+};
+
+/**
+ * Runs transfers as jobs, one item per object, so they can be followed, cancelled and retried in the jobs panel.
+ * @param {(spec: import('./useJobs').JobSpec) => string} startJob
+ * @param {(summary: TransferSummary) => void} onFinished
+ */
+export function useCrossConnectionTransfer(startJob, onFinished) {
+    const startJobRef = useRef(startJob);
+    startJobRef.current = startJob;
+    const onFinishedRef = useRef(onFinished);
+    onFinishedRef.current = onFinished;
+
+    /**
+     * Lists the given objects and folders, then starts the transfer job. Keys keep their path below `basePrefix`,
+     * placed under the target prefix; existing objects at the target are overwritten.
+     * @param {TransferEndpoint} source
+     * @param {TransferEndpoint & { prefix: string }} target
+     * @param {Array<{ Key: string, Size?: number, isFolder: boolean }>} items
+     * @param {string} basePrefix - the source folder the items were selected in
+     * @returns {Promise<boolean>} false when there was nothing to transfer
+     * @throws the S3 error when the source cannot be listed
+     */
+    const startTransfer = useCallback(async (source, target, items, basePrefix) => {
+        const lists = await Promise.all(items.map(item => item.isFolder
+            ? listAllObjects(source.client, source.bucket, item.Key)
+            : [{ key: item.Key, size: item.Size ?? 0 }]));
+        const objects = [...new Map(lists.flat().map(o => [o.key, o])).values()];
+        if (objects.length === 0) return false;
+
+        startJobRef.current({
+            kind: 'transfer',
+            label: `Transfer ${objects.length} object(s) to ${target.label}: ${target.bucket}/${target.prefix}`,
+            items: objects,
+            itemLabel: (object) => object.key,
+            concurrency: TRANSFER_CONCURRENCY,
+            runBatch: async ([object], signal) => {
+                await transferObject(source, target, object.key, target.prefix + object.key.slice(basePrefix.length), signal);
+                return [];
+            },
+            onFinished: (job) => onFinishedRef.current?.({
+                targetLabel: target.label,
+                targetBucket: target.bucket,
+                done: job.done,
+                failed: job.failures.length,
+                isCancelled: job.status === 'cancelled',
+            }),
+        });
+        return true;
+    }, []);
+
+    return { startTransfer };
+}
@@ -0,0 +1,87 @@
+// S – single responsibility: streams single objects and ZIP archives of a selection to disk
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useCallback } from 'react';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { makeZip } from 'client-zip';
+import { supportsFileSystemAccess, pickSaveFile, writeStreamToFile, triggerUrlDownload, toZipEntryName } from '../utils/downloadUtils';
+import { buildContentDisposition } from '../utils/shareUtils';
+
+// The fallback link is used immediately, so it only needs to outlive the browser starting the request
+const FALLBACK_URL_EXPIRY_SECONDS = 300;
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string|null} bucket
+ */
+export function useDownloads(s3Client, bucket) {
+    /**
+     * Saves one object. With the File System Access API the body is piped into the chosen file;
+     * otherwise the browser downloads a short-lived presigned URL itself. Neither buffers the object in memory.
+     * @returns {Promise<boolean>} false when the user dismissed the save dialog
+     */
+    const downloadObject = useCallback(async (key, versionId) => {
+        const fileName = key.split('/').pop();
+        if (supportsFileSystemAccess()) {
+            const handle = await pickSaveFile(fileName);
+            if (!handle) return false;
+            const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key, VersionId: versionId }));
+            await writeStreamToFile(handle, response.Body.transformToWebStream());
+            return true;
+        }
+        const command = new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            VersionId: versionId,
+            ResponseContentDisposition: buildContentDisposition('attachment', fileName),
+        });
+        triggerUrlDownload(await getSignedUrl(s3Client, command, { expiresIn: FALLBACK_URL_EXPIRY_SECONDS }), fileName);
+        return true;
+    }, [s3Client, bucket]);
+
+    /**
+     * Builds a ZIP of files and folders on the fly, with entry names relative to basePrefix.
+     * Objects are fetched one at a time as the archive is written.
+     * Without the File System Access API the archive has to be collected into a Blob first.
+     * @param {string[]} keys - selected keys; keys ending in "/" are folders and are expanded with listKeys
+     * @param {string} basePrefix
+     * @param {(prefix: string) => Promise<string[]>} listKeys
+     * @returns {Promise<number|null>} the number of entries written, or null when the user dismissed the save dialog
+     */
+    const downloadAsZip = useCallback(async (keys, basePrefix, listKeys) => {
+        const zipName = `${basePrefix.split('/').filter(Boolean).pop() || bucket}.zip`;
+        const handle = supportsFileSystemAccess() ? await pickSaveFile(zipName) : undefined;
+        if (handle === null) return null;
+
+        const allKeys = [];
+        for (const key of keys) {
+            if (key.endsWith('/')) allKeys.push(...await listKeys(key));
+            else allKeys.push(key);
+        }
+        const uniqueKeys = [...new Set(allKeys)];
+
+        async function* entries() {
+            for (const key of uniqueKeys) {
+                const name = toZipEntryName(key, basePrefix);
+                // Folder placeholder objects become folder entries, so empty folders survive
+                if (key.endsWith('/')) { yield { name }; continue; }
+                const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                yield { name, lastModified: response.LastModified, size: response.ContentLength, input: response.Body.transformToWebStream() };
+            }
+        }
+
+        const zipStream = makeZip(entries());
+        if (handle) {
+            await writeStreamToFile(handle, zipStream);
+        } else {
+            const url = URL.createObjectURL(await new Response(zipStream).blob());
+            triggerUrlDownload(url, zipName);
+            // Revoking right away can cancel the download in some browsers
+            setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+        }
+        return uniqueKeys.length;
+    }, [s3Client, bucket]);
+
+    return { downloadObject, downloadAsZip };
+}
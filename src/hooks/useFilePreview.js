@@ -1,9 +1,18 @@
 // S – single responsibility: manages preview state and data fetching
 // D – depends on the S3 client abstraction, not on a concrete implementation
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
-import { getPreviewType, getMimeType } from '../utils/fileUtils';
+import { getPreviewType, getMimeType, isTextPreviewType } from '../utils/fileUtils';
+
+/** Text previews are fetched in ranges of this size instead of downloading the whole object. */
+export const PREVIEW_CHUNK_BYTES = 256 * 1024;
+
+// "bytes 0-262143/1048576" -> 1048576
+const parseContentRangeTotal = (contentRange) => {
+    const total = contentRange?.split('/')[1];
+    return total && total !== '*' ? Number(total) : null;
+};
 
 /**
  * @param {import('@aws-sdk/client-s3').S3Client} s3Client
@@ -14,38 +23,115 @@ export function useFilePreview(s3Client, bucket, showAlert) {
     const [previewItem, setPreviewItem] = useState(null);
     const [previewObjectUrl, setPreviewObjectUrl] = useState(null);
     const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+    const [previewText, setPreviewText] = useState('');
+    const [previewLoadedBytes, setPreviewLoadedBytes] = useState(0);
+    const [previewTotalBytes, setPreviewTotalBytes] = useState(0);
+    const [isLoadingMorePreview, setIsLoadingMorePreview] = useState(false);
+    // A streaming decoder keeps multi-byte characters intact across range boundaries
+    const decoderRef = useRef(null);
+    const previewRequestRef = useRef(0);
 
-    const openPreview = useCallback(async (key) => {
+    const fetchTextRange = useCallback(async (key, versionId, start) => {
+        try {
+            const response = await s3Client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                VersionId: versionId,
+                Range: `bytes=${start}-${start + PREVIEW_CHUNK_BYTES - 1}`,
+            }));
+            const data = await response.Body.transformToByteArray();
+            // Servers that ignore Range answer with the whole object and no Content-Range
+            const total = parseContentRangeTotal(response.ContentRange) ?? start + data.length;
+            return { data, total };
+        } catch (err) {
+            // A range request on an empty object is unsatisfiable
+            if (err.name === 'InvalidRange' && start === 0) return { data: new Uint8Array(0), total: 0 };
+            throw err;
+        }
+    }, [s3Client, bucket]);
+
+    const openPreview = useCallback(async (key, versionId) => {
         const type = getPreviewType(key);
         if (!type || !s3Client || !bucket) return;
+        const requestId = ++previewRequestRef.current;
 
-        // Show modal with spinner immediately
-        setPreviewItem({ key, type });
-        setPreviewObjectUrl(null);
+        // Show modal with spinner immediately; moving to another file frees the previous one's blob URL
+        setPreviewItem({ key, type, versionId });
+        setPreviewObjectUrl((prev) => {
+            if (prev) URL.revokeObjectURL(prev);
+            return null;
+        });
+        setPreviewText('');
+        setPreviewLoadedBytes(0);
+        setPreviewTotalBytes(0);
         setIsLoadingPreview(true);
 
         try {
-            const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
-            const data = await response.Body.transformToByteArray();
-            const blob = new Blob([data], { type: getMimeType(key) });
-            setPreviewObjectUrl(URL.createObjectURL(blob));
+            if (isTextPreviewType(type)) {
+                const { data, total } = await fetchTextRange(key, versionId, 0);
+                if (requestId !== previewRequestRef.current) return;
+                decoderRef.current = new TextDecoder('utf-8');
+                setPreviewText(decoderRef.current.decode(data, { stream: data.length < total }));
+                setPreviewLoadedBytes(data.length);
+                setPreviewTotalBytes(total);
+            } else {
+                const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key, VersionId: versionId }));
+                const data = await response.Body.transformToByteArray();
+                if (requestId !== previewRequestRef.current) return;
+                const blob = new Blob([data], { type: getMimeType(key) });
+                setPreviewObjectUrl(URL.createObjectURL(blob));
+            }
         } catch (err) {
+            if (requestId !== previewRequestRef.current) return;
             showAlert(`Failed to preview "${key.split('/').pop()}".`, 'error');
             setPreviewItem(null);
         } finally {
-            setIsLoadingPreview(false);
+            if (requestId === previewRequestRef.current) setIsLoadingPreview(false);
+        }
+    }, [s3Client, bucket, showAlert, fetchTextRange]);
+
+    const loadMorePreview = useCallback(async () => {
+        if (!previewItem || isLoadingMorePreview || previewLoadedBytes >= previewTotalBytes) return;
+        const requestId = previewRequestRef.current;
+        setIsLoadingMorePreview(true);
+        try {
+            const { data, total } = await fetchTextRange(previewItem.key, previewItem.versionId, previewLoadedBytes);
+            if (requestId !== previewRequestRef.current) return;
+            const loaded = previewLoadedBytes + data.length;
+            const chunk = decoderRef.current.decode(data, { stream: loaded < total });
+            setPreviewText(prev => prev + chunk);
+            setPreviewLoadedBytes(loaded);
+            setPreviewTotalBytes(total);
+        } catch (err) {
+            if (requestId === previewRequestRef.current) showAlert('Failed to load more of the preview.', 'error');
+        } finally {
+            if (requestId === previewRequestRef.current) setIsLoadingMorePreview(false);
         }
-    }, [s3Client, bucket, showAlert]);
+    }, [previewItem, isLoadingMorePreview, previewLoadedBytes, previewTotalBytes, fetchTextRange, showAlert]);
 
     const closePreview = useCallback(() => {
+        previewRequestRef.current++;
         // Revoke the blob URL to free memory
         setPreviewObjectUrl((prev) => {
             if (prev) URL.revokeObjectURL(prev);
             return null;
         });
         setPreviewItem(null);
+        setPreviewText('');
         setIsLoadingPreview(false);
+        setIsLoadingMorePreview(false);
     }, []);
 
-    return { previewItem, previewObjectUrl, isLoadingPreview, openPreview, closePreview };
+    return {
+        previewItem,
+        previewObjectUrl,
+        isLoadingPreview,
+        previewText,
+        previewLoadedBytes,
+        previewTotalBytes,
+        isLoadingMorePreview,
+        openPreview,
+        loadMorePreview,
+        closePreview,
+    };
 }
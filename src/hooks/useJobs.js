@@ -0,0 +1,120 @@
+// S – single responsibility: runs long operations as cancellable batch jobs and keeps their history for this session
+
+import { useState, useCallback, useRef } from 'react';
+import { mapWithConcurrency } from '../utils/asyncUtils';
+
+let nextJobId = 0;
+
+/**
+ * @typedef {{ item: *, label: string, error: string }} JobFailure
+ * @typedef {{
+ *   id: string, kind: string, label: string,
+ *   status: 'running'|'done'|'failed'|'cancelled',
+ *   total: number, done: number, failures: JobFailure[],
+ *   startedAt: number, finishedAt?: number, canRetry: boolean,
+ * }} Job
+ * @typedef {{
+ *   kind: string, label: string, items: Array<*>,
+ *   itemLabel: (item: *) => string,
+ *   runBatch: (batch: Array<*>, signal: AbortSignal) => Promise<Array<{ item: *, error: string }>>,
+ *   batchSize?: number, concurrency?: number,
+ *   onFinished?: (job: Job) => void,
+ * }} JobSpec
+ * `runBatch` resolves to the items of the batch that failed; a rejection fails the whole batch.
+ */
+
+export function useJobs() {
+    const [jobs, setJobs] = useState(/** @type {Job[]} */ ([]));
+    // Non-render state: the job records (newest first), each job's spec so failed items can be retried,
+    // and the abort controllers of running jobs
+    const recordsRef = useRef(/** @type {Job[]} */ ([]));
+    const specsRef = useRef(new Map());
+    const controllersRef = useRef(new Map());
+
+    const publish = useCallback(() => setJobs([...recordsRef.current]), []);
+
+    const updateJob = useCallback((id, patch) => {
+        recordsRef.current = recordsRef.current.map(job => job.id === id ? { ...job, ...(typeof patch === 'function' ? patch(job) : patch) } : job);
+        publish();
+        return recordsRef.current.find(job => job.id === id);
+    }, [publish]);
+
+    const runItems = useCallback(async (id, items) => {
+        const spec = specsRef.current.get(id);
+        const controller = new AbortController();
+        controllersRef.current.set(id, controller);
+        const { signal } = controller;
+        const batchSize = spec.batchSize ?? 1;
+        const batches = Array.from({ length: Math.ceil(items.length / batchSize) }, (_, i) => items.slice(i * batchSize, (i + 1) * batchSize));
+
+        await mapWithConcurrency(batches, spec.concurrency ?? 1, async (batch) => {
+            if (signal.aborted) return;
+            let failed;
+            try {
+                failed = await spec.runBatch(batch, signal);
+            } catch (err) {
+                if (signal.aborted) return;
+                failed = batch.map(item => ({ item, error: err.name }));
+            }
+            const failures = failed.map(f => ({ ...f, label: spec.itemLabel(f.item) }));
+            updateJob(id, job => ({ done: job.done + batch.length - failed.length, failures: [...job.failures, ...failures] }));
+        });
+
+        controllersRef.current.delete(id);
+        const finished = updateJob(id, job => ({
+            status: signal.aborted ? 'cancelled' : job.failures.length > 0 ? 'failed' : 'done',
+            finishedAt: Date.now(),
+        }));
+        spec.onFinished?.(finished);
+    }, [updateJob]);
+
+    /**
+     * @param {JobSpec} spec
+     * @returns {string} the job id
+     */
+    const startJob = useCallback((spec) => {
+        const id = `job-${nextJobId++}`;
+        specsRef.current.set(id, spec);
+        recordsRef.current = [{
+            id, kind: spec.kind, label: spec.label, status: 'running',
+            total: spec.items.length, done: 0, failures: [], startedAt: Date.now(), canRetry: true,
+        }, ...recordsRef.current];
+        publish();
+        runItems(id, spec.items);
+        return id;
+    }, [publish, runItems]);
+
+    /** Runs the failed items of a finished job again. */
+    const retryFailed = useCallback((id) => {
+        const job = recordsRef.current.find(j => j.id === id);
+        if (!job || job.status === 'running' || job.failures.length === 0 || !specsRef.current.has(id)) return;
+        updateJob(id, { status: 'running', failures: [], finishedAt: undefined });
+        runItems(id, job.failures.map(f => f.item));
+    }, [updateJob, runItems]);
+
+    const cancelJob = useCallback((id) => {
+        controllersRef.current.get(id)?.abort();
+    }, []);
+
+    /**
+     * Adds an operation that ran elsewhere (e.g. a journaled move) to the history.
+     * @param {{ kind: string, label: string, status: Job['status'], total: number, done: number, error?: string }} summary
+     */
+    const recordFinishedJob = useCallback(({ kind, label, status, total, done, error }) => {
+        const now = Date.now();
+        recordsRef.current = [{
+            id: `job-${nextJobId++}`, kind, label, status, total, done,
+            failures: error ? [{ item: null, label, error }] : [],
+            startedAt: now, finishedAt: now, canRetry: false,
+        }, ...recordsRef.current];
+        publish();
+    }, [publish]);
+
+    const clearFinishedJobs = useCallback(() => {
+        recordsRef.current.filter(job => job.status !== 'running').forEach(job => specsRef.current.delete(job.id));
+        recordsRef.current = recordsRef.current.filter(job => job.status === 'running');
+        publish();
+    }, [publish]);
+
+    return { jobs, startJob, retryFailed, cancelJob, recordFinishedJob, clearFinishedJobs };
+}
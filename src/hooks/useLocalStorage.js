@@ -0,0 +1,34 @@
+// S – single responsibility: keeps a piece of state in sync with localStorage
+
+import { useState, useRef } from 'react';
+
+/**
+ * @param {string} key
+ * @param {*} initialValue - used when nothing (or invalid JSON) is stored under the key
+ */
+export function useLocalStorage(key, initialValue) {
+    const [storedValue, setStoredValue] = useState(() => {
+        try {
+            const item = window.localStorage.getItem(key);
+            return item ? JSON.parse(item) : initialValue;
+        } catch (error) {
+            console.error(error);
+            return initialValue;
+        }
+    });
+    // Functional updates build on the latest value, even when several run before the next render
+    const valueRef = useRef(storedValue);
+
+    const setValue = (value) => {
+        try {
+            const valueToStore = value instanceof Function ? value(valueRef.current) : value;
+            valueRef.current = valueToStore;
+            setStoredValue(valueToStore);
+            window.localStorage.setItem(key, JSON.stringify(valueToStore));
+        } catch (error) {
+            console.error(error);
+        }
+    };
+
+    return [storedValue, setValue];
+}
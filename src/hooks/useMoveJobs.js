@@ -0,0 +1,413 @@
+// S – single responsibility: runs moves and renames as journaled jobs that can be resumed or rolled back
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { HeadObjectCommand } from '@aws-sdk/client-s3';
+import { copyObjectAnySize, isCopyVerified } from '../utils/multipartCopy';
+import { objectExists, prefixHasObjects, listAllObjects, deleteKeys } from '../utils/s3Utils';
+import { mapWithConcurrency } from '../utils/asyncUtils';
+
+// Each job is journaled under its own key, so tabs never overwrite each other's jobs
+const JOURNAL_KEY_PREFIX = 'minio-move-job:';
+const COPY_CONCURRENCY = 4;
+const DELETE_BATCH_SIZE = 1000;
+// Progress is journaled at most this often; phase changes are written immediately
+const JOURNAL_WRITE_INTERVAL_MS = 1000;
+// A tab renews the lease of the jobs it runs. Hidden tabs may run timers only once a minute, so the lease
+// outlasts that; a tab that is closed or reloaded gives its leases up straight away.
+const HEARTBEAT_INTERVAL_MS = 10000;
+const LEASE_MS = 90000;
+
+/**
+ * Each entry moves through pending → copied (verified at the target) → deleted (source removed).
+ * `error` is set on a copied entry whose source S3 refused to delete; resuming tries the delete again.
+ * @typedef {{ sourceKey: string, targetKey: string, size: number, etag?: string, state: 'pending'|'copied'|'deleted', error?: string }} JournalEntry
+ * @typedef {{
+ *   id: string, endpoint: string, label: string, sourceBucket: string, targetBucket: string, createdAt: number,
+ *   status: 'running'|'rolling-back'|'interrupted'|'failed', phase: 'copy'|'delete', error?: string,
+ *   heartbeatAt?: number, entries: JournalEntry[],
+ * }} MoveJob
+ * `heartbeatAt` is the lease of the tab running the job; it is renewed while the job is running or rolling back.
+ * @typedef {{
+ *   id: string, label: string, status: MoveJob['status'], phase: MoveJob['phase'], error?: string,
+ *   total: number, copied: number, deleted: number, totalBytes: number, copiedBytes: number,
+ *   failedItems: Array<{ key: string, error: string }>, isElsewhere: boolean,
+ * }} MoveJobSummary
+ * `isElsewhere` marks a job that another tab is running; it can only be followed from here.
+ */
+
+// Ids must stay unique across reloads and tabs, which share the journal
+let nextMoveId = 0;
+const createMoveId = () => `move-${Date.now()}-${++nextMoveId}-${Math.random().toString(36).slice(2, 8)}`;
+
+const journalKey = (id) => `${JOURNAL_KEY_PREFIX}${id}`;
+
+const isActive = (job) => job.status === 'running' || job.status === 'rolling-back';
+
+// An active job whose lease ran out was cut off by a closed or reloaded page, or a crashed tab
+const isAbandoned = (job, now = Date.now()) => isActive(job) && now - (job.heartbeatAt ?? 0) > LEASE_MS;
+
+const parseJob = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.error(error);
+        return null;
+    }
+};
+
+const readJob = (id) => parseJob(window.localStorage.getItem(journalKey(id)));
+
+const readJournal = () => {
+    const jobs = [];
+    for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        if (!key?.startsWith(JOURNAL_KEY_PREFIX)) continue;
+        const job = parseJob(window.localStorage.getItem(key));
+        if (job) jobs.push(isAbandoned(job) ? { ...job, status: 'interrupted' } : job);
+    }
+    return jobs;
+};
+
+const writeJob = (id, job) => {
+    try {
+        if (job) window.localStorage.setItem(journalKey(id), JSON.stringify(job));
+        else window.localStorage.removeItem(journalKey(id));
+    } catch (error) {
+        console.error(error);
+    }
+};
+
+/** @returns {MoveJobSummary} */
+const summarize = (job) => ({
+    id: job.id,
+    label: job.label,
+    status: job.status,
+    phase: job.phase,
+    error: job.error,
+    total: job.entries.length,
+    copied: job.entries.filter(e => e.state !== 'pending').length,
+    deleted: job.entries.filter(e => e.state === 'deleted').length,
+    totalBytes: job.entries.reduce((sum, e) => sum + e.size, 0),
+    copiedBytes: job.entries.reduce((sum, e) => sum + (e.state !== 'pending' ? e.size : 0), 0),
+    failedItems: job.entries.filter(e => e.error).map(e => ({ key: e.sourceKey, error: e.error })),
+});
+
+const verificationError = (key) => {
+    const error = new Error(`The copy of "${key}" does not match its source.`);
+    error.name = 'VerificationFailed';
+    return error;
+};
+
+const deleteIncompleteError = (entries) => {
+    const error = new Error(`The original of "${entries[0].sourceKey}" could not be deleted (${entries[0].error})${entries.length > 1 ? ` nor ${entries.length - 1} other(s)` : ''}.`);
+    error.name = 'DeleteIncomplete';
+    return error;
+};
+
+// Errors whose message is written for the user; for the others the S3 error name is shown
+const describeError = (error) => (['VerificationFailed', 'DeleteIncomplete'].includes(error.name) ? error.message : error.name);
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string|null} endpoint - jobs are journaled per endpoint and only offered on the same one
+ * @param {(job: MoveJobSummary & { outcome: 'done'|'failed'|'rolled-back', sourceBucket: string, targetBucket: string }) => void} onJobFinished
+ */
+export function useMoveJobs(s3Client, endpoint, onJobFinished) {
+    const jobsRef = useRef(null);
+    if (jobsRef.current === null) jobsRef.current = new Map(readJournal().map(job => [job.id, job]));
+    // Only jobs running in this tab have a controller; the other active ones belong to another tab
+    const controllersRef = useRef(new Map());
+    const [summaries, setSummaries] = useState(() => [...jobsRef.current.values()].map(job => ({ ...summarize(job), endpoint: job.endpoint, isElsewhere: isActive(job) })));
+    const dirtyIdsRef = useRef(new Set());
+    const writeTimerRef = useRef(null);
+    const onJobFinishedRef = useRef(onJobFinished);
+    onJobFinishedRef.current = onJobFinished;
+
+    const refreshSummaries = useCallback(() => {
+        setSummaries([...jobsRef.current.values()].map(job => ({
+            ...summarize(job),
+            endpoint: job.endpoint,
+            isElsewhere: isActive(job) && !controllersRef.current.has(job.id),
+        })));
+    }, []);
+
+    // Writes only the jobs this tab changed, and removes the ones it finished or discarded
+    const flushJournal = useCallback(() => {
+        clearTimeout(writeTimerRef.current);
+        writeTimerRef.current = null;
+        dirtyIdsRef.current.forEach(id => writeJob(id, jobsRef.current.get(id)));
+        dirtyIdsRef.current.clear();
+    }, []);
+
+    const persist = useCallback((id, immediate = false) => {
+        dirtyIdsRef.current.add(id);
+        refreshSummaries();
+        if (immediate) flushJournal();
+        else if (!writeTimerRef.current) writeTimerRef.current = setTimeout(flushJournal, JOURNAL_WRITE_INTERVAL_MS);
+    }, [refreshSummaries, flushJournal]);
+
+    // Renews, or with 0 gives up, the lease of every job running in this tab
+    const stampLeases = useCallback((heartbeatAt) => {
+        controllersRef.current.forEach((_, id) => {
+            const job = jobsRef.current.get(id);
+            if (!job) return;
+            job.heartbeatAt = heartbeatAt;
+            dirtyIdsRef.current.add(id);
+        });
+        flushJournal();
+    }, [flushJournal]);
+
+    useEffect(() => {
+        // The jobs of a page that goes away stop with it, so other tabs may take them over at once
+        const releaseLeases = () => stampLeases(0);
+        window.addEventListener('pagehide', releaseLeases);
+        return () => window.removeEventListener('pagehide', releaseLeases);
+    }, [stampLeases]);
+
+    useEffect(() => {
+        const timer = setInterval(() => {
+            const now = Date.now();
+            stampLeases(now);
+            let changed = false;
+            jobsRef.current.forEach((job, id) => {
+                if (controllersRef.current.has(id) || !isAbandoned(job, now)) return;
+                jobsRef.current.set(id, { ...job, status: 'interrupted' });
+                changed = true;
+            });
+            if (changed) refreshSummaries();
+        }, HEARTBEAT_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [stampLeases, refreshSummaries]);
+
+    // Follows the jobs other tabs start, advance, finish or discard
+    useEffect(() => {
+        const handleStorage = (event) => {
+            if (!event.key?.startsWith(JOURNAL_KEY_PREFIX)) return;
+            const id = event.key.slice(JOURNAL_KEY_PREFIX.length);
+            if (controllersRef.current.has(id)) return;
+            const job = event.newValue ? parseJob(event.newValue) : null;
+            if (job) jobsRef.current.set(id, isAbandoned(job) ? { ...job, status: 'interrupted' } : job);
+            else jobsRef.current.delete(id);
+            refreshSummaries();
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [refreshSummaries]);
+
+    /**
+     * Re-reads a stopped job before this tab acts on it, since another tab may have resumed, finished or
+     * discarded it meanwhile.
+     * @returns {MoveJob|null} null when the job is gone or running in this or another tab
+     */
+    const claimJob = useCallback((id) => {
+        if (controllersRef.current.has(id)) return null;
+        const job = readJob(id);
+        if (job) jobsRef.current.set(id, job);
+        else jobsRef.current.delete(id);
+        if (!job || (isActive(job) && !isAbandoned(job))) {
+            refreshSummaries();
+            return null;
+        }
+        return job;
+    }, [refreshSummaries]);
+
+    const finishJob = useCallback((job, outcome) => {
+        if (outcome !== 'failed') jobsRef.current.delete(job.id);
+        persist(job.id, true);
+        onJobFinishedRef.current?.({ ...summarize(job), outcome, sourceBucket: job.sourceBucket, targetBucket: job.targetBucket });
+    }, [persist]);
+
+    // Copies and verifies every pending entry, then deletes the sources. Stops at the first failure.
+    const runJob = useCallback(async (job, client) => {
+        const controller = new AbortController();
+        controllersRef.current.set(job.id, controller);
+        const { signal } = controller;
+        let failure = null;
+        const fail = (err) => {
+            failure ??= err;
+            controller.abort();
+        };
+        job.status = 'running';
+        job.heartbeatAt = Date.now();
+        job.error = undefined;
+        job.entries.forEach(e => { e.error = undefined; });
+        persist(job.id, true);
+
+        try {
+            if (job.phase === 'copy') {
+                await mapWithConcurrency(job.entries.filter(e => e.state === 'pending'), COPY_CONCURRENCY, async (entry) => {
+                    if (signal.aborted) return;
+                    try {
+                        const copy = await copyObjectAnySize(client, { sourceBucket: job.sourceBucket, sourceKey: entry.sourceKey, targetBucket: job.targetBucket, targetKey: entry.targetKey, size: entry.size }, signal);
+                        const head = await client.send(new HeadObjectCommand({ Bucket: job.targetBucket, Key: entry.targetKey }), { abortSignal: signal });
+                        // Equal ETags settle it; otherwise the source's encryption decides whether they were comparable
+                        const sourceHead = head.ETag === entry.etag
+                            ? { ContentLength: entry.size, ETag: entry.etag }
+                            : await client.send(new HeadObjectCommand({ Bucket: job.sourceBucket, Key: entry.sourceKey }), { abortSignal: signal });
+                        if (!isCopyVerified(sourceHead, head, copy)) throw verificationError(entry.sourceKey);
+                        entry.state = 'copied';
+                        persist(job.id);
+                    } catch (err) {
+                        fail(err);
+                    }
+                });
+                if (failure) throw failure;
+                signal.throwIfAborted();
+                // Sources are only deleted once every copy is verified
+                job.phase = 'delete';
+                persist(job.id, true);
+            }
+            const toDelete = job.entries.filter(e => e.state === 'copied');
+            for (let i = 0; i < toDelete.length; i += DELETE_BATCH_SIZE) {
+                signal.throwIfAborted();
+                const batch = toDelete.slice(i, i + DELETE_BATCH_SIZE);
+                let failures = [];
+                try {
+                    await deleteKeys(client, job.sourceBucket, batch.map(e => e.sourceKey));
+                } catch (err) {
+                    if (err.name !== 'DeleteIncomplete') throw err;
+                    failures = err.failures;
+                }
+                // Sources S3 refused to delete stay 'copied', so resuming retries them
+                const failedKeys = new Map(failures.map(f => [f.key, f.error]));
+                batch.forEach(e => {
+                    if (failedKeys.has(e.sourceKey)) e.error = failedKeys.get(e.sourceKey);
+                    else e.state = 'deleted';
+                });
+                persist(job.id, true);
+            }
+            const undeleted = job.entries.filter(e => e.error);
+            if (undeleted.length > 0) throw deleteIncompleteError(undeleted);
+            finishJob(job, 'done');
+        } catch (err) {
+            const error = failure ?? err;
+            if (signal.aborted && !failure) {
+                job.status = 'interrupted';
+                persist(job.id, true);
+            } else {
+                job.status = 'failed';
+                job.error = describeError(error);
+                finishJob(job, 'failed');
+            }
+        } finally {
+            controllersRef.current.delete(job.id);
+        }
+    }, [persist, finishJob]);
+
+    /**
+     * Moves an object or a folder with everything below it. Refuses to start when anything already
+     * exists at the target, so a rollback never deletes data that was there before.
+     * @param {{ sourceBucket: string, sourceKey: string, targetBucket: string, targetKey: string, isFolder: boolean, label: string }} spec
+     * @returns {Promise<boolean>} false when there was nothing to move
+     * @throws an error named 'TargetExists' with a message for the user, or the S3 error
+     */
+    const startMove = useCallback(async ({ sourceBucket, sourceKey, targetBucket, targetKey, isFolder, label }) => {
+        const client = s3Client;
+        let sources;
+        let targetTaken;
+        if (isFolder) {
+            sources = await listAllObjects(client, sourceBucket, sourceKey);
+            targetTaken = await prefixHasObjects(client, targetBucket, targetKey);
+        } else {
+            const head = await client.send(new HeadObjectCommand({ Bucket: sourceBucket, Key: sourceKey }));
+            sources = [{ key: sourceKey, size: head.ContentLength ?? 0, etag: head.ETag }];
+            targetTaken = await objectExists(client, targetBucket, targetKey);
+        }
+        if (targetTaken) {
+            const error = new Error(`"${targetKey}" already exists.`);
+            error.name = 'TargetExists';
+            throw error;
+        }
+        if (sources.length === 0) return false;
+
+        const job = {
+            id: createMoveId(),
+            endpoint,
+            label,
+            sourceBucket,
+            targetBucket,
+            createdAt: Date.now(),
+            status: 'running',
+            heartbeatAt: Date.now(),
+            phase: 'copy',
+            entries: sources.map(s => ({ sourceKey: s.key, targetKey: targetKey + s.key.slice(sourceKey.length), size: s.size, etag: s.etag, state: 'pending' })),
+        };
+        jobsRef.current.set(job.id, job);
+        runJob(job, client);
+        return true;
+    }, [s3Client, endpoint, runJob]);
+
+    const resumeJob = useCallback((id) => {
+        const job = claimJob(id);
+        if (job) runJob(job, s3Client);
+    }, [s3Client, claimJob, runJob]);
+
+    const interruptJob = useCallback((id) => {
+        controllersRef.current.get(id)?.abort();
+    }, []);
+
+    /**
+     * Restores deleted sources from their copies, then removes every copy. Interrupting it leaves the job
+     * 'interrupted', to be resumed or rolled back again.
+     * @param {string} id
+     */
+    const rollbackJob = useCallback(async (id) => {
+        const job = claimJob(id);
+        if (!job) return;
+        const client = s3Client;
+        const controller = new AbortController();
+        controllersRef.current.set(id, controller);
+        const { signal } = controller;
+        job.status = 'rolling-back';
+        job.heartbeatAt = Date.now();
+        job.error = undefined;
+        persist(id, true);
+        try {
+            await mapWithConcurrency(job.entries.filter(e => e.state === 'deleted'), COPY_CONCURRENCY, async (entry) => {
+                if (signal.aborted) return;
+                await copyObjectAnySize(client, { sourceBucket: job.targetBucket, sourceKey: entry.targetKey, targetBucket: job.sourceBucket, targetKey: entry.sourceKey, size: entry.size }, signal);
+                const head = await client.send(new HeadObjectCommand({ Bucket: job.sourceBucket, Key: entry.sourceKey }), { abortSignal: signal });
+                if (head.ContentLength !== entry.size) throw verificationError(entry.targetKey);
+                entry.state = 'copied';
+                persist(id);
+            });
+            signal.throwIfAborted();
+            // Every source is in place again. The entries are reset before the copies go, so a resume
+            // after a cut-off rollback copies again instead of deleting sources whose copy is gone.
+            job.phase = 'copy';
+            job.entries.forEach(e => { e.state = 'pending'; });
+            persist(id, true);
+            // Pending entries may have a copy that was made just before an interruption
+            await deleteKeys(client, job.targetBucket, job.entries.map(e => e.targetKey), signal);
+            finishJob(job, 'rolled-back');
+        } catch (err) {
+            if (signal.aborted) {
+                job.status = 'interrupted';
+                persist(id, true);
+            } else {
+                job.status = 'failed';
+                job.error = `Rollback failed: ${describeError(err)}`;
+                finishJob(job, 'failed');
+            }
+        } finally {
+            controllersRef.current.delete(id);
+        }
+    }, [s3Client, claimJob, persist, finishJob]);
+
+    /** Forgets a stopped job without touching any objects. */
+    const discardJob = useCallback((id) => {
+        if (!claimJob(id)) return;
+        jobsRef.current.delete(id);
+        persist(id, true);
+    }, [claimJob, persist]);
+
+    return {
+        moveJobs: summaries.filter(job => job.endpoint === endpoint),
+        startMove,
+        resumeJob,
+        interruptJob,
+        rollbackJob,
+        discardJob,
+    };
+}
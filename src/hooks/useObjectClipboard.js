@@ -0,0 +1,199 @@
+// S – single responsibility: holds copied or cut objects; copies are pasted as a copy job, cuts as move jobs
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useCallback, useRef } from 'react';
+import { copyObjectAnySize } from '../utils/multipartCopy';
+import { objectExists, prefixHasObjects, findAvailableKey, listAllObjects } from '../utils/s3Utils';
+import { mapWithConcurrency } from '../utils/asyncUtils';
+import { getPasteTargetKey } from '../utils/clipboardUtils';
+
+const COPY_CONCURRENCY = 4;
+const CONFLICT_CHECK_CONCURRENCY = 8;
+
+/**
+ * @typedef {{ sourceKey: string, targetKey: string, size?: number, isFolder?: boolean }} PasteOperation
+ * A copy has one operation per object; a cut has one per clipboard item, folders included.
+ * @typedef {{ mode: 'copy', bucket: string, copied: number, failed: number, skipped: number, isCancelled: boolean }
+ *   | { mode: 'cut', bucket: string, started: number, skipped: number, failures: Array<{ key: string, error: string }> }} PasteSummary
+ * A copy is reported when its job finishes; a cut reports the move jobs it started, which finish in the background.
+ */
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string|null} sessionId - the open connection, recorded with copied items
+ * @param {(spec: import('./useJobs').JobSpec) => string} startJob - runs copies in the jobs panel, see useJobs
+ * @param {(spec: { sourceBucket: string, sourceKey: string, targetBucket: string, targetKey: string, isFolder: boolean, label: string }) => Promise<boolean>} startMove -
+ *   starts a move job, see useMoveJobs
+ * @param {(summary: PasteSummary) => void} onPasted
+ */
+export function useObjectClipboard(s3Client, sessionId, startJob, startMove, onPasted) {
+    const [clipboard, setClipboard] = useState(/** @type {import('../utils/clipboardUtils').ClipboardContents|null} */ (null));
+    const [pendingPaste, setPendingPaste] = useState(null);
+    const [isPasting, setIsPasting] = useState(false);
+    const startJobRef = useRef(startJob);
+    startJobRef.current = startJob;
+    const startMoveRef = useRef(startMove);
+    startMoveRef.current = startMove;
+    const onPastedRef = useRef(onPasted);
+    onPastedRef.current = onPasted;
+    const isResolvingRef = useRef(false);
+
+    /**
+     * @param {'copy'|'cut'} mode
+     * @param {string} bucket
+     * @param {string} basePrefix - the folder the items are listed in
+     * @param {Array<{ Key: string, isFolder: boolean, Size?: number }>} items
+     */
+    const putOnClipboard = useCallback((mode, bucket, basePrefix, items) => {
+        setClipboard({ mode, sessionId, bucket, basePrefix, items: items.map(({ Key, isFolder, Size }) => ({ Key, isFolder, Size })) });
+    }, [sessionId]);
+
+    const clearClipboard = useCallback(() => setClipboard(null), []);
+
+    // Copies only; cut items are moved by move jobs
+    const runPaste = useCallback((contents, bucket, targetPrefix, operations, skipped) => {
+        if (operations.length === 0) {
+            onPastedRef.current?.({ mode: 'copy', bucket, copied: 0, failed: 0, skipped, isCancelled: false });
+            return;
+        }
+        const client = s3Client;
+        startJobRef.current({
+            kind: 'copy',
+            label: `Copy ${operations.length} object(s) to ${bucket}/${targetPrefix}`,
+            items: operations,
+            itemLabel: (o) => o.sourceKey,
+            concurrency: COPY_CONCURRENCY,
+            runBatch: async ([{ sourceKey, targetKey, size }], signal) => {
+                await copyObjectAnySize(client, { sourceBucket: contents.bucket, sourceKey, targetBucket: bucket, targetKey, size }, signal);
+                return [];
+            },
+            onFinished: (job) => onPastedRef.current?.({
+                mode: 'copy', bucket, copied: job.done, failed: job.failures.length, skipped, isCancelled: job.status === 'cancelled',
+            }),
+        });
+    }, [s3Client]);
+
+    // One move job per item, as for a drag and drop. Moves never replace existing objects, so a rollback
+    // cannot delete data that was there before; a target taken since the conflict check fails to start.
+    const moveToFolder = useCallback(async (contents, bucket, targetPrefix, operations, skipped) => {
+        setIsPasting(true);
+        let started = 0;
+        const failures = [];
+        try {
+            for (const { sourceKey, targetKey, isFolder } of operations) {
+                const name = sourceKey.slice(contents.basePrefix.length).replace(/\/$/, '');
+                try {
+                    const isStarted = await startMoveRef.current({
+                        sourceBucket: contents.bucket,
+                        sourceKey,
+                        targetBucket: bucket,
+                        targetKey,
+                        isFolder,
+                        label: `Move "${name}" to "${bucket}/${targetKey.slice(targetPrefix.length).replace(/\/$/, '')}"`,
+                    });
+                    if (isStarted) started++;
+                } catch (err) {
+                    failures.push({ key: sourceKey, error: err.name === 'TargetExists' ? err.message : err.name });
+                }
+            }
+        } finally {
+            setIsPasting(false);
+        }
+        // Items that could not be moved stay on the clipboard; skipped ones are left where they are
+        const failedKeys = new Set(failures.map(f => f.key));
+        const remaining = contents.items.filter(item => failedKeys.has(item.Key));
+        setClipboard(remaining.length > 0 ? { ...contents, items: remaining } : null);
+        onPastedRef.current?.({ mode: 'cut', bucket, started, skipped, failures });
+    }, []);
+
+    const runOperations = useCallback((contents, bucket, targetPrefix, operations, skipped) => (contents.mode === 'cut'
+        ? moveToFolder(contents, bucket, targetPrefix, operations, skipped)
+        : runPaste(contents, bucket, targetPrefix, operations, skipped)), [moveToFolder, runPaste]);
+
+    /**
+     * Pastes the clipboard into a folder: copies as a copy job, cut items as one move job each. When target
+     * keys already exist, nothing starts until resolvePasteConflicts is called. Rejects when the source cannot be listed.
+     * @param {string} bucket
+     * @param {string} targetPrefix
+     */
+    const paste = useCallback(async (bucket, targetPrefix) => {
+        const contents = clipboard;
+        if (!contents) return;
+        setIsPasting(true);
+        let operations;
+        let exists;
+        try {
+            if (contents.mode === 'cut') {
+                operations = contents.items.map(({ Key, isFolder }) => ({ sourceKey: Key, targetKey: getPasteTargetKey(Key, contents.basePrefix, targetPrefix), isFolder }));
+            } else {
+                const lists = await Promise.all(contents.items.map(item => item.isFolder
+                    ? listAllObjects(s3Client, contents.bucket, item.Key)
+                    : [{ key: item.Key, size: item.Size ?? 0 }]));
+                const objects = [...new Map(lists.flat().map(o => [o.key, o])).values()];
+                operations = objects.map(({ key, size }) => ({ sourceKey: key, targetKey: getPasteTargetKey(key, contents.basePrefix, targetPrefix), size }));
+            }
+            // A failed check (e.g. no s3:GetObject permission) is treated as "no conflict"
+            exists = await mapWithConcurrency(operations, CONFLICT_CHECK_CONCURRENCY, o => (o.isFolder
+                ? prefixHasObjects(s3Client, bucket, o.targetKey)
+                : objectExists(s3Client, bucket, o.targetKey)).catch(() => false));
+        } finally {
+            setIsPasting(false);
+        }
+        const conflicts = operations.filter((_, i) => exists[i]);
+        if (conflicts.length === 0) {
+            await runOperations(contents, bucket, targetPrefix, operations, 0);
+        } else {
+            setPendingPaste({ contents, bucket, targetPrefix, operations, conflicts });
+        }
+    }, [clipboard, s3Client, runOperations]);
+
+    /**
+     * Overwrite is not offered for cuts, as moves never replace existing objects. When Keep Both cannot
+     * check the new names, the paste stays in the prompt so it can be answered again, and the S3 error is rethrown.
+     * @param {'skip'|'overwrite'|'rename'|'cancel'} policy
+     */
+    const resolvePasteConflicts = useCallback(async (policy) => {
+        if (!pendingPaste || isResolvingRef.current) return;
+        const { contents, bucket, targetPrefix, operations, conflicts } = pendingPaste;
+        if (policy === 'overwrite' && contents.mode === 'cut') return;
+        const conflictKeys = new Set(conflicts.map(o => o.targetKey));
+        let renamed;
+        if (policy === 'rename') {
+            isResolvingRef.current = true;
+            try {
+                const takenKeys = new Set(operations.map(o => o.targetKey));
+                renamed = [];
+                for (const o of operations) {
+                    renamed.push(conflictKeys.has(o.targetKey) ? { ...o, targetKey: await findAvailableKey(s3Client, bucket, o.targetKey, takenKeys) } : o);
+                }
+            } finally {
+                isResolvingRef.current = false;
+            }
+        }
+        setPendingPaste(null);
+        if (policy === 'cancel') return;
+
+        if (policy === 'skip') {
+            await runOperations(contents, bucket, targetPrefix, operations.filter(o => !conflictKeys.has(o.targetKey)), conflicts.length);
+            return;
+        }
+        if (policy === 'rename') {
+            await runOperations(contents, bucket, targetPrefix, renamed, 0);
+            return;
+        }
+        // Copying an object onto itself changes nothing, so a copy pasted into its own folder skips it
+        const isSelfCopy = (o) => contents.bucket === bucket && o.sourceKey === o.targetKey;
+        runPaste(contents, bucket, targetPrefix, operations.filter(o => !isSelfCopy(o)), operations.filter(isSelfCopy).length);
+    }, [s3Client, pendingPaste, runOperations, runPaste]);
+
+    return {
+        clipboard,
+        isPasting,
+        pendingPasteConflicts: pendingPaste?.conflicts.map(o => ({ id: o.targetKey, bucket: pendingPaste.bucket, key: o.targetKey })) ?? null,
+        canOverwritePaste: pendingPaste?.contents.mode !== 'cut',
+        putOnClipboard,
+        clearClipboard,
+        paste,
+        resolvePasteConflicts,
+    };
+}
@@ -0,0 +1,58 @@
+// S – single responsibility: reads and writes object metadata and tags
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useCallback } from 'react';
+import { HeadObjectCommand, GetObjectTaggingCommand, PutObjectTaggingCommand, DeleteObjectTaggingCommand, CopyObjectCommand } from '@aws-sdk/client-s3';
+import { encodeCopySource } from '../utils/fileUtils';
+import { EDITABLE_SYSTEM_METADATA } from '../utils/metadataUtils';
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string|null} bucket
+ */
+export function useObjectProperties(s3Client, bucket) {
+    const loadProperties = useCallback(async (key) => {
+        const [head, tagging] = await Promise.all([
+            s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key })),
+            s3Client.send(new GetObjectTaggingCommand({ Bucket: bucket, Key: key })),
+        ]);
+        return { head, tags: tagging.TagSet || [] };
+    }, [s3Client, bucket]);
+
+    /**
+     * Rewrites the object's metadata by copying it onto itself.
+     * REPLACE drops every header that is not sent, so all editable fields are always sent.
+     * @param {string} key
+     * @param {Record<string, string>} systemMetadata - values keyed by CopyObject parameter name
+     * @param {Record<string, string>} userMetadata
+     * @param {string|undefined} storageClass - kept as is; CopyObject would otherwise reset it to STANDARD
+     */
+    const saveMetadata = useCallback(async (key, systemMetadata, userMetadata, storageClass) => {
+        const input = {
+            Bucket: bucket,
+            Key: key,
+            CopySource: encodeCopySource(bucket, key),
+            MetadataDirective: 'REPLACE',
+            Metadata: userMetadata,
+            StorageClass: storageClass,
+        };
+        for (const { field } of EDITABLE_SYSTEM_METADATA) {
+            if (systemMetadata[field]) input[field] = systemMetadata[field];
+        }
+        await s3Client.send(new CopyObjectCommand(input));
+    }, [s3Client, bucket]);
+
+    /**
+     * @param {string} key
+     * @param {Array<{Key: string, Value: string}>} tagSet - an empty set removes all tags
+     */
+    const saveTags = useCallback(async (key, tagSet) => {
+        if (tagSet.length === 0) {
+            await s3Client.send(new DeleteObjectTaggingCommand({ Bucket: bucket, Key: key }));
+        } else {
+            await s3Client.send(new PutObjectTaggingCommand({ Bucket: bucket, Key: key, Tagging: { TagSet: tagSet } }));
+        }
+    }, [s3Client, bucket]);
+
+    return { loadProperties, saveMetadata, saveTags };
+}
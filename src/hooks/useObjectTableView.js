@@ -0,0 +1,109 @@
+// S – single responsibility: sort, search and column settings of the object table, kept in the URL and per bucket
+
+import { useCallback, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useLocalStorage } from './useLocalStorage';
+import { TABLE_COLUMNS, DEFAULT_SORT, MIN_COLUMN_WIDTH, parseSort, formatSort } from '../utils/objectTableUtils';
+
+/**
+ * @typedef {{ sort?: string, foldersFirst?: boolean, view?: 'table'|'grid', columns?: string[], widths?: Record<string, number> }} StoredTableView
+ * `columns` holds the optional columns that are shown.
+ */
+
+/**
+ * The URL carries the sort (`sort`, `folders=mixed`), the layout (`view=grid`) and the search (`q`) so a shared link shows the same view;
+ * without them the bucket's saved settings apply. Column choice and widths are only saved per bucket.
+ * @param {string|null} endpoint - saved settings are per endpoint and bucket
+ * @param {string|null} bucket
+ */
+export function useObjectTableView(endpoint, bucket) {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [storedViews, setStoredViews] = useLocalStorage('table-views', /** @type {Record<string, StoredTableView>} */ ({}));
+    const storageKey = `${endpoint} ${bucket}`;
+    const stored = storedViews[storageKey] ?? {};
+
+    const sortParam = searchParams.get('sort');
+    const foldersParam = searchParams.get('folders');
+    const sort = parseSort(sortParam) ?? parseSort(stored.sort) ?? DEFAULT_SORT;
+    const foldersFirst = foldersParam ? foldersParam !== 'mixed' : stored.foldersFirst ?? true;
+    const viewParam = searchParams.get('view');
+    const viewMode = viewParam === 'grid' || (!viewParam && stored.view === 'grid') ? 'grid' : 'table';
+    const searchQuery = searchParams.get('q') ?? '';
+
+    const storedColumns = stored.columns;
+    const columns = useMemo(
+        () => TABLE_COLUMNS.filter(c => !c.optional || storedColumns?.includes(c.id)),
+        [storedColumns],
+    );
+    const widths = useMemo(
+        () => Object.fromEntries(TABLE_COLUMNS.map(c => [c.id, stored.widths?.[c.id] ?? c.defaultWidth])),
+        [stored.widths],
+    );
+
+    /**
+     * Builds on the latest stored views, so several updates before the next render all persist.
+     * @param {Partial<StoredTableView>|((view: StoredTableView) => Partial<StoredTableView>)} patch
+     */
+    const updateStored = (patch) => {
+        if (!endpoint || !bucket) return;
+        setStoredViews(prev => {
+            const view = prev[storageKey] ?? {};
+            return { ...prev, [storageKey]: { ...view, ...(typeof patch === 'function' ? patch(view) : patch) } };
+        });
+    };
+
+    // View changes replace the history entry instead of adding one per click or keystroke
+    const updateParams = useCallback((changes) => {
+        setSearchParams(prev => {
+            const next = new URLSearchParams(prev);
+            Object.entries(changes).forEach(([name, value]) => value ? next.set(name, value) : next.delete(name));
+            return next;
+        }, { replace: true });
+    }, [setSearchParams]);
+
+    // Opening a bucket with saved settings writes them into the URL, so copying the address shares the view
+    const hasStoredView = (stored.sort && stored.sort !== formatSort(DEFAULT_SORT)) || stored.foldersFirst === false || stored.view === 'grid';
+    const sortValue = formatSort(sort);
+    useEffect(() => {
+        if (!bucket || sortParam || foldersParam || viewParam || !hasStoredView) return;
+        updateParams({ sort: sortValue, folders: foldersFirst ? null : 'mixed', view: viewMode === 'grid' ? 'grid' : null });
+    }, [bucket, sortParam, foldersParam, viewParam, hasStoredView, sortValue, foldersFirst, viewMode, updateParams]);
+
+    /** @param {string} column - sorts ascending, or flips the direction when already sorted by it */
+    const toggleSort = (column) => {
+        const next = { column, direction: sort.column === column && sort.direction === 'asc' ? 'desc' : 'asc' };
+        updateParams({ sort: formatSort(next), folders: foldersFirst ? null : 'mixed' });
+        updateStored({ sort: formatSort(next) });
+    };
+
+    /** @param {boolean} value */
+    const setFoldersFirst = (value) => {
+        updateParams({ sort: sortValue, folders: value ? null : 'mixed' });
+        updateStored({ foldersFirst: value });
+    };
+
+    /** @param {'table'|'grid'} mode */
+    const setViewMode = (mode) => {
+        updateParams({ view: mode === 'grid' ? 'grid' : null });
+        updateStored({ view: mode });
+    };
+
+    /** @param {string} id - an optional column */
+    const toggleColumn = (id) => {
+        const shown = columns.filter(c => c.optional).map(c => c.id);
+        updateStored({ columns: shown.includes(id) ? shown.filter(c => c !== id) : [...shown, id] });
+    };
+
+    /**
+     * @param {string} id
+     * @param {number} width - in pixels
+     */
+    const setColumnWidth = (id, width) => {
+        updateStored(view => ({ widths: { ...view.widths, [id]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) } }));
+    };
+
+    /** @param {string} query */
+    const setSearchQuery = (query) => updateParams({ q: query });
+
+    return { sort, foldersFirst, viewMode, columns, widths, searchQuery, toggleSort, setFoldersFirst, setViewMode, toggleColumn, setColumnWidth, setSearchQuery };
+}
@@ -0,0 +1,64 @@
+// S – single responsibility: version listing, restore and permanent deletion for one bucket
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useCallback } from 'react';
+import { ListObjectVersionsCommand, CopyObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { encodeCopySource } from '../utils/fileUtils';
+import { toVersionEntries } from '../utils/versionUtils';
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string|null} bucket
+ */
+export function useObjectVersions(s3Client, bucket) {
+    /**
+     * Lists one page of versions and delete markers directly under a prefix.
+     * @param {string} prefix
+     * @param {{ keyMarker: string, versionIdMarker: string }|null} [marker]
+     */
+    const listVersionsPage = useCallback(async (prefix, marker) => {
+        const resp = await s3Client.send(new ListObjectVersionsCommand({
+            Bucket: bucket,
+            Prefix: prefix,
+            Delimiter: '/',
+            KeyMarker: marker?.keyMarker,
+            VersionIdMarker: marker?.versionIdMarker,
+        }));
+        const folders = (resp.CommonPrefixes || []).map(p => ({ Key: p.Prefix, isFolder: true }));
+        const entries = toVersionEntries(resp).filter(e => e.Key !== prefix);
+        const nextMarker = resp.IsTruncated ? { keyMarker: resp.NextKeyMarker, versionIdMarker: resp.NextVersionIdMarker } : null;
+        return { items: [...folders, ...entries], nextToken: nextMarker };
+    }, [s3Client, bucket]);
+
+    /**
+     * Lists every version and delete marker of a single key, newest first.
+     * @param {string} key
+     */
+    const listKeyVersions = useCallback(async (key) => {
+        const entries = [];
+        let keyMarker;
+        let versionIdMarker;
+        do {
+            const resp = await s3Client.send(new ListObjectVersionsCommand({ Bucket: bucket, Prefix: key, KeyMarker: keyMarker, VersionIdMarker: versionIdMarker }));
+            const pageEntries = toVersionEntries(resp);
+            entries.push(...pageEntries.filter(e => e.Key === key));
+            // Keys sharing the prefix sort after ours, so once one shows up there is nothing left to find
+            if (pageEntries.some(e => e.Key > key)) break;
+            keyMarker = resp.IsTruncated ? resp.NextKeyMarker : undefined;
+            versionIdMarker = resp.IsTruncated ? resp.NextVersionIdMarker : undefined;
+        } while (keyMarker);
+        return entries;
+    }, [s3Client, bucket]);
+
+    /** Makes an older version current again by copying it over its own key. */
+    const restoreVersion = useCallback(async (key, versionId) => {
+        await s3Client.send(new CopyObjectCommand({ Bucket: bucket, Key: key, CopySource: encodeCopySource(bucket, key, versionId) }));
+    }, [s3Client, bucket]);
+
+    /** Permanently deletes a version; deleting a delete marker undeletes the object. */
+    const deleteVersion = useCallback(async (key, versionId) => {
+        await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key, VersionId: versionId }));
+    }, [s3Client, bucket]);
+
+    return { listVersionsPage, listKeyVersions, restoreVersion, deleteVersion };
+}
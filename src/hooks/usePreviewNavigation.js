@@ -0,0 +1,47 @@
+// S – single responsibility: previous/next and slideshow through the previewable objects of a listing
+
+import { useState, useEffect, useCallback } from 'react';
+
+// How long a slideshow shows each file once it has loaded
+const SLIDESHOW_INTERVAL_MS = 4000;
+
+/**
+ * @param {Array<{ Key: string, VersionId?: string }>} items - previewable objects in display order
+ * @param {{ key: string, versionId?: string }|null} previewItem - what the preview shows
+ * @param {boolean} isLoading - whether the shown file is still loading; the slideshow waits for it
+ * @param {(key: string, versionId?: string) => void} openPreview
+ */
+export function usePreviewNavigation(items, previewItem, isLoading, openPreview) {
+    const [isSlideshowPlaying, setIsSlideshowPlaying] = useState(false);
+    const index = previewItem ? items.findIndex(o => o.Key === previewItem.key && o.VersionId === previewItem.versionId) : -1;
+
+    // Both directions wrap around, so a slideshow loops
+    const showOffset = useCallback((offset) => {
+        if (index === -1 || items.length < 2) return;
+        const next = items[(index + offset + items.length) % items.length];
+        openPreview(next.Key, next.VersionId);
+    }, [index, items, openPreview]);
+
+    const showNext = useCallback(() => showOffset(1), [showOffset]);
+    const showPrevious = useCallback(() => showOffset(-1), [showOffset]);
+
+    useEffect(() => {
+        if (!previewItem) setIsSlideshowPlaying(false);
+    }, [previewItem]);
+
+    useEffect(() => {
+        if (!isSlideshowPlaying || isLoading || !previewItem) return;
+        const timer = setTimeout(showNext, SLIDESHOW_INTERVAL_MS);
+        return () => clearTimeout(timer);
+    }, [isSlideshowPlaying, isLoading, previewItem, showNext]);
+
+    const toggleSlideshow = useCallback(() => setIsSlideshowPlaying(playing => !playing), []);
+
+    return {
+        position: index === -1 ? null : { index, count: items.length },
+        showNext,
+        showPrevious,
+        isSlideshowPlaying,
+        toggleSlideshow,
+    };
+}
@@ -0,0 +1,101 @@
+// S – single responsibility: walks a bucket or prefix and streams the objects that match a search
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { buildObjectFilter } from '../utils/searchUtils';
+import { isTrashKey } from '../utils/trashUtils';
+
+// Matches are kept in memory, so a runaway pattern like "*" stops here instead of filling the tab
+export const MAX_SEARCH_RESULTS = 5000;
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string|null} bucket
+ * @param {(msg: string, type: string) => void} showAlert
+ */
+export function useRecursiveSearch(s3Client, bucket, showAlert) {
+    const [searchResults, setSearchResults] = useState([]);
+    const [scannedCount, setScannedCount] = useState(0);
+    const [isSearching, setIsSearching] = useState(false);
+    const [isResultLimitReached, setIsResultLimitReached] = useState(false);
+    const abortControllerRef = useRef(null);
+
+    const cancelSearch = useCallback(() => {
+        abortControllerRef.current?.abort();
+        abortControllerRef.current = null;
+        setIsSearching(false);
+    }, []);
+
+    /**
+     * Lists every object under rootPrefix (no delimiter, page by page) and appends
+     * matches to searchResults as each page arrives. A new search cancels the previous one.
+     * @param {Parameters<typeof buildObjectFilter>[0]} criteria
+     * @param {string} rootPrefix
+     */
+    const startSearch = useCallback(async (criteria, rootPrefix) => {
+        if (!s3Client || !bucket) return;
+        let matches;
+        try {
+            matches = buildObjectFilter(criteria, rootPrefix);
+        } catch (err) {
+            showAlert(`Invalid regular expression: ${err.message}`, 'error');
+            return;
+        }
+
+        abortControllerRef.current?.abort();
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        setSearchResults([]);
+        setScannedCount(0);
+        setIsResultLimitReached(false);
+        setIsSearching(true);
+
+        let found = 0;
+        try {
+            let token;
+            do {
+                const command = new ListObjectsV2Command({ Bucket: bucket, Prefix: rootPrefix || undefined, ContinuationToken: token });
+                const { Contents, IsTruncated, NextContinuationToken } = await s3Client.send(command, { abortSignal: controller.signal });
+                if (controller.signal.aborted) return;
+                const page = Contents || [];
+                const pageMatches = page.filter(o => !isTrashKey(o.Key) && matches(o)).slice(0, MAX_SEARCH_RESULTS - found);
+                found += pageMatches.length;
+                setScannedCount(prev => prev + page.length);
+                if (pageMatches.length > 0) setSearchResults(prev => [...prev, ...pageMatches]);
+                token = IsTruncated ? NextContinuationToken : undefined;
+                if (found >= MAX_SEARCH_RESULTS && token) {
+                    setIsResultLimitReached(true);
+                    break;
+                }
+            } while (token);
+        } catch (err) {
+            if (!controller.signal.aborted) showAlert(`Search in ${bucket} failed: ${err.name}.`, 'error');
+        } finally {
+            if (abortControllerRef.current === controller) {
+                abortControllerRef.current = null;
+                setIsSearching(false);
+            }
+        }
+    }, [s3Client, bucket, showAlert]);
+
+    const clearSearch = useCallback(() => {
+        cancelSearch();
+        setSearchResults([]);
+        setScannedCount(0);
+        setIsResultLimitReached(false);
+    }, [cancelSearch]);
+
+    // Results belong to one bucket; switching buckets or connections drops them
+    useEffect(() => clearSearch, [s3Client, bucket, clearSearch]);
+
+    return {
+        searchResults,
+        scannedCount,
+        isSearching,
+        isResultLimitReached,
+        startSearch,
+        cancelSearch,
+        clearSearch,
+    };
+}
@@ -0,0 +1,214 @@
+// S – single responsibility: recoverable deletes, either into a hidden trash prefix or through bucket versioning
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useCallback, useEffect, useRef } from 'react';
+import { GetBucketVersioningCommand, ListObjectVersionsCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { copyObjectAnySize } from '../utils/multipartCopy';
+import { objectExists, listAllObjects, deleteKeys, deleteKeyBatch } from '../utils/s3Utils';
+import { mapWithConcurrency } from '../utils/asyncUtils';
+import { TRASH_PREFIX, createDeletionId, buildTrashKey, isTrashKey, parseTrashKey, isTrashExpired } from '../utils/trashUtils';
+
+const COPY_CONCURRENCY = 4;
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * @typedef {{ key: string, size?: number, trashKey?: string, markerVersionId?: string }} TrashedObject
+ * @typedef {{ id: string, mode: 'trash'|'versioning', deletedAt: number, objects: TrashedObject[] }} TrashEntry
+ * A 'trash' entry is one deletion whose copies live under .trash/; a 'versioning' entry holds delete markers.
+ */
+
+// Versions are deleted by id; the response lists the ones that could not be deleted
+const deleteVersions = async (s3Client, bucket, versions, abortSignal) => {
+    const deleted = [];
+    const errors = [];
+    for (let i = 0; i < versions.length; i += DELETE_BATCH_SIZE) {
+        const resp = await s3Client.send(new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: versions.slice(i, i + DELETE_BATCH_SIZE) },
+        }), { abortSignal });
+        deleted.push(...(resp.Deleted || []));
+        errors.push(...(resp.Errors || []));
+    }
+    return { deleted, errors };
+};
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ */
+export function useRecycleBin(s3Client) {
+    const versioningRef = useRef(new Map());
+    const purgedBucketsRef = useRef(new Set());
+
+    useEffect(() => {
+        versioningRef.current = new Map();
+        purgedBucketsRef.current = new Set();
+    }, [s3Client]);
+
+    /**
+     * Whether deletes in the bucket leave recoverable versions behind. Buckets whose
+     * versioning cannot be read are treated as unversioned.
+     * @param {string} bucket
+     * @returns {Promise<boolean>}
+     */
+    const isVersioned = useCallback((bucket) => {
+        if (!versioningRef.current.has(bucket)) {
+            versioningRef.current.set(bucket, s3Client.send(new GetBucketVersioningCommand({ Bucket: bucket }))
+                .then(resp => resp.Status === 'Enabled', () => false));
+        }
+        return versioningRef.current.get(bucket);
+    }, [s3Client]);
+
+    /**
+     * Deletes the items so they can be restored: versioned buckets keep the data behind a delete marker,
+     * other buckets get a copy under .trash/ before the original is deleted.
+     * @param {string} bucket
+     * @param {Array<{ Key: string, Size?: number, isFolder: boolean }>} items - folders are deleted with everything below them
+     * @param {AbortSignal} [signal] - stops the copies; objects whose original is still in place are left out of the entry
+     * @returns {Promise<TrashEntry & { failed: Array<{ key: string, size?: number, error: string }> }>} `failed` lists the objects that were not deleted
+     */
+    const moveToTrash = useCallback(async (bucket, items, signal) => {
+        const lists = await Promise.all(items.map(item => item.isFolder
+            ? listAllObjects(s3Client, bucket, item.Key, signal)
+            : [{ key: item.Key, size: item.Size ?? 0 }]));
+        const objects = [...new Map(lists.flat().map(o => [o.key, { key: o.key, size: o.size }])).values()];
+        const deletedAt = Date.now();
+
+        if (await isVersioned(bucket)) {
+            const { deleted, errors } = await deleteVersions(s3Client, bucket, objects.map(o => ({ Key: o.key })), signal);
+            const markers = deleted.filter(d => d.DeleteMarker).map(d => ({ key: d.Key, markerVersionId: d.DeleteMarkerVersionId }));
+            const sizes = new Map(objects.map(o => [o.key, o.size]));
+            const failed = errors.map(e => ({ key: e.Key, size: sizes.get(e.Key), error: e.Code || 'DeleteFailed' }));
+            return { id: `versions-${deletedAt}`, mode: 'versioning', deletedAt, objects: markers, failed };
+        }
+
+        const deletionId = createDeletionId(deletedAt);
+        const trashed = [];
+        const failed = [];
+        await mapWithConcurrency(objects, COPY_CONCURRENCY, async (object) => {
+            if (signal?.aborted) return;
+            const trashKey = buildTrashKey(deletionId, object.key);
+            try {
+                await copyObjectAnySize(s3Client, { sourceBucket: bucket, sourceKey: object.key, targetBucket: bucket, targetKey: trashKey, size: object.size }, signal);
+                trashed.push({ ...object, trashKey });
+            } catch (err) {
+                if (!signal?.aborted) failed.push({ ...object, error: err.name });
+            }
+        });
+
+        // Only originals that have a copy in the trash are deleted. A cancel takes effect between batches:
+        // a DeleteObjects request that is cut off may still have run, and then its trash copies are the only ones left.
+        const undeleted = new Map();
+        for (let i = 0; i < trashed.length; i += DELETE_BATCH_SIZE) {
+            const batch = trashed.slice(i, i + DELETE_BATCH_SIZE);
+            if (signal?.aborted) {
+                batch.forEach(o => undeleted.set(o.key, null));
+                continue;
+            }
+            (await deleteKeyBatch(s3Client, bucket, batch.map(o => o.key))).forEach(f => undeleted.set(f.key, f.error));
+        }
+        // An original that is still in place keeps no trash copy; one S3 refused to delete is reported as failed
+        const kept = trashed.filter(o => undeleted.has(o.key));
+        failed.push(...kept.filter(o => undeleted.get(o.key)).map(o => ({ key: o.key, size: o.size, error: undeleted.get(o.key) })));
+        if (kept.length > 0) await deleteKeys(s3Client, bucket, kept.map(o => o.trashKey)).catch(() => {});
+        return { id: deletionId, mode: 'trash', deletedAt, objects: trashed.filter(o => !undeleted.has(o.key)), failed };
+    }, [s3Client, isVersioned]);
+
+    /**
+     * Lists deletions in the trash and, in versioned buckets, objects whose latest version is a delete marker.
+     * @param {string} bucket
+     * @returns {Promise<TrashEntry[]>} newest first
+     */
+    const listTrash = useCallback(async (bucket) => {
+        const deletions = new Map();
+        for (const object of await listAllObjects(s3Client, bucket, TRASH_PREFIX)) {
+            const parsed = parseTrashKey(object.key);
+            if (!parsed) continue;
+            if (!deletions.has(parsed.deletionId)) deletions.set(parsed.deletionId, { id: parsed.deletionId, mode: 'trash', deletedAt: parsed.deletedAt, objects: [] });
+            deletions.get(parsed.deletionId).objects.push({ key: parsed.originalKey, size: object.size, trashKey: object.key });
+        }
+        const entries = [...deletions.values()];
+
+        if (await isVersioned(bucket)) {
+            let keyMarker;
+            let versionIdMarker;
+            do {
+                const resp = await s3Client.send(new ListObjectVersionsCommand({ Bucket: bucket, KeyMarker: keyMarker, VersionIdMarker: versionIdMarker }));
+                for (const marker of resp.DeleteMarkers || []) {
+                    if (!marker.IsLatest || isTrashKey(marker.Key)) continue;
+                    entries.push({ id: `marker:${marker.Key}`, mode: 'versioning', deletedAt: new Date(marker.LastModified).getTime(), objects: [{ key: marker.Key, markerVersionId: marker.VersionId }] });
+                }
+                keyMarker = resp.IsTruncated ? resp.NextKeyMarker : undefined;
+                versionIdMarker = resp.IsTruncated ? resp.NextVersionIdMarker : undefined;
+            } while (keyMarker);
+        }
+        return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+    }, [s3Client, isVersioned]);
+
+    /**
+     * Puts deleted objects back at their original keys. Objects whose key has been reused since are left in the trash.
+     * @param {string} bucket
+     * @param {TrashEntry} entry
+     * @returns {Promise<{ restored: number, skipped: number }>}
+     */
+    const restoreEntry = useCallback(async (bucket, entry) => {
+        if (entry.mode === 'versioning') {
+            // Removing the delete marker makes the previous version current again
+            const { deleted, errors } = await deleteVersions(s3Client, bucket, entry.objects.map(o => ({ Key: o.key, VersionId: o.markerVersionId })));
+            return { restored: deleted.length, skipped: errors.length };
+        }
+        const restored = [];
+        await mapWithConcurrency(entry.objects, COPY_CONCURRENCY, async (object) => {
+            if (await objectExists(s3Client, bucket, object.key)) return;
+            await copyObjectAnySize(s3Client, { sourceBucket: bucket, sourceKey: object.trashKey, targetBucket: bucket, targetKey: object.key, size: object.size });
+            restored.push(object.trashKey);
+        });
+        await deleteKeys(s3Client, bucket, restored);
+        return { restored: restored.length, skipped: entry.objects.length - restored.length };
+    }, [s3Client]);
+
+    /**
+     * Permanently deletes the entry; in versioned buckets every version of its keys is removed.
+     * @param {string} bucket
+     * @param {TrashEntry} entry
+     */
+    const purgeEntry = useCallback(async (bucket, entry) => {
+        if (entry.mode === 'trash') {
+            await deleteKeys(s3Client, bucket, entry.objects.map(o => o.trashKey));
+            return;
+        }
+        for (const { key } of entry.objects) {
+            const versions = [];
+            let keyMarker;
+            let versionIdMarker;
+            do {
+                const resp = await s3Client.send(new ListObjectVersionsCommand({ Bucket: bucket, Prefix: key, KeyMarker: keyMarker, VersionIdMarker: versionIdMarker }));
+                versions.push(...[...(resp.Versions || []), ...(resp.DeleteMarkers || [])].filter(v => v.Key === key).map(v => ({ Key: key, VersionId: v.VersionId })));
+                keyMarker = resp.IsTruncated ? resp.NextKeyMarker : undefined;
+                versionIdMarker = resp.IsTruncated ? resp.NextVersionIdMarker : undefined;
+            } while (keyMarker);
+            await deleteVersions(s3Client, bucket, versions);
+        }
+    }, [s3Client]);
+
+    /**
+     * Purges trash deletions older than the given age, once per bucket and connection.
+     * Old versions in versioned buckets are left to the bucket's lifecycle rules.
+     * @param {string} bucket
+     * @param {number} purgeAfterDays - 0 keeps deleted objects forever
+     * @returns {Promise<number>} the number of objects purged
+     */
+    const purgeExpiredOnce = useCallback(async (bucket, purgeAfterDays) => {
+        if (purgeAfterDays <= 0 || purgedBucketsRef.current.has(bucket)) return 0;
+        purgedBucketsRef.current.add(bucket);
+        const expired = (await listAllObjects(s3Client, bucket, TRASH_PREFIX))
+            .filter(o => {
+                const parsed = parseTrashKey(o.key);
+                return parsed && isTrashExpired(parsed.deletedAt, purgeAfterDays);
+            })
+            .map(o => o.key);
+        await deleteKeys(s3Client, bucket, expired);
+        return expired.length;
+    }, [s3Client]);
+
+    return { isVersioned, moveToTrash, listTrash, restoreEntry, purgeEntry, purgeExpiredOnce };
+}
@@ -0,0 +1,34 @@
+// S – single responsibility: creates presigned GET links and keeps this session's history
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useCallback } from 'react';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} presignClient - client configured with the public endpoint
+ * @param {string|null} bucket
+ */
+export function useShareLinks(presignClient, bucket) {
+    const [shareLinks, setShareLinks] = useState([]);
+
+    /**
+     * @param {string} key
+     * @param {{ expiresIn: number, contentDisposition?: string, contentType?: string }} options
+     */
+    const createShareLink = useCallback(async (key, { expiresIn, contentDisposition, contentType }) => {
+        const command = new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ResponseContentDisposition: contentDisposition || undefined,
+            ResponseContentType: contentType || undefined,
+        });
+        const url = await getSignedUrl(presignClient, command, { expiresIn });
+        const createdAt = Date.now();
+        const link = { id: `${createdAt}-${bucket}/${key}`, bucket, key, url, createdAt, expiresAt: createdAt + expiresIn * 1000 };
+        setShareLinks(prev => [link, ...prev]);
+        return link;
+    }, [presignClient, bucket]);
+
+    return { shareLinks, createShareLink };
+}
@@ -0,0 +1,25 @@
+// S – single responsibility: page-wide single-key shortcuts that stay out of the way of text fields
+
+import { useEffect, useRef } from 'react';
+import { isEditableTarget } from '../utils/keyboardUtils';
+
+/**
+ * @param {Record<string, (e: KeyboardEvent) => void>} handlers - by `KeyboardEvent.key`; keys typed into
+ *   text fields or pressed with Ctrl, ⌘ or Alt are ignored
+ */
+export function useShortcutKeys(handlers) {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+            const handler = handlersRef.current[e.key];
+            if (!handler) return;
+            e.preventDefault();
+            handler(e);
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, []);
+}
@@ -0,0 +1,130 @@
+// S – single responsibility: walks buckets and prefixes for their storage usage and caches the reports
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { createUsageAccumulator } from '../utils/storageUsageUtils';
+import { isTrashKey } from '../utils/trashUtils';
+
+const STORAGE_KEY = 'storage-usage';
+// The oldest reports are dropped beyond this many, across all connections
+const MAX_CACHED_REPORTS = 100;
+
+const readReports = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {};
+    } catch (error) {
+        console.error(error);
+        return {};
+    }
+};
+
+const writeReports = (reports) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(reports));
+    } catch (error) {
+        console.error(error);
+    }
+};
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client|null} s3Client
+ * @param {string|null} endpoint - cached reports are per endpoint, bucket and prefix
+ */
+export function useStorageUsage(s3Client, endpoint) {
+    const [reports, setReports] = useState(readReports);
+    // Walks in progress by cache key, with the number of objects and bytes seen so far
+    const [progress, setProgress] = useState(/** @type {Record<string, { objects: number, bytes: number }>} */ ({}));
+    const reportsRef = useRef(reports);
+    const controllersRef = useRef(new Map());
+
+    const cacheKey = useCallback((bucket, prefix) => `${endpoint} ${bucket}/${prefix}`, [endpoint]);
+
+    // Walks belong to the connection that started them
+    useEffect(() => {
+        const controllers = controllersRef.current;
+        return () => {
+            controllers.forEach(controller => controller.abort());
+            controllers.clear();
+        };
+    }, [s3Client]);
+
+    /**
+     * @param {string} bucket
+     * @param {string} prefix
+     * @returns {import('../utils/storageUsageUtils').UsageReport|null} the cached report, if any
+     */
+    const getReport = useCallback((bucket, prefix) => reports[cacheKey(bucket, prefix)] ?? null, [reports, cacheKey]);
+
+    /**
+     * @param {string} bucket
+     * @param {string} prefix
+     * @returns {{ objects: number, bytes: number }|null} progress of a running walk
+     */
+    const getProgress = useCallback((bucket, prefix) => progress[cacheKey(bucket, prefix)] ?? null, [progress, cacheKey]);
+
+    const setProgressFor = useCallback((key, value) => setProgress(prev => {
+        const next = { ...prev };
+        if (value) next[key] = value;
+        else delete next[key];
+        return next;
+    }), []);
+
+    /**
+     * Lists every object below the prefix, page by page, and caches the resulting report.
+     * The recycle bin's hidden folder is left out, as it is in listings.
+     * @param {string} bucket
+     * @param {string} prefix - '' for the whole bucket
+     * @returns {Promise<import('../utils/storageUsageUtils').UsageReport|null>} null when cancelled or already running
+     */
+    const calculateUsage = useCallback(async (bucket, prefix) => {
+        const key = cacheKey(bucket, prefix);
+        if (!s3Client || controllersRef.current.has(key)) return null;
+        const controller = new AbortController();
+        controllersRef.current.set(key, controller);
+        setProgressFor(key, { objects: 0, bytes: 0 });
+
+        const accumulator = createUsageAccumulator(bucket, prefix);
+        let objects = 0;
+        let bytes = 0;
+        try {
+            let token;
+            do {
+                const command = new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix || undefined, ContinuationToken: token });
+                const { Contents, IsTruncated, NextContinuationToken } = await s3Client.send(command, { abortSignal: controller.signal });
+                if (controller.signal.aborted) return null;
+                const page = (Contents || []).filter(c => !isTrashKey(c.Key));
+                accumulator.addObjects(page);
+                objects += page.length;
+                bytes += page.reduce((sum, c) => sum + (c.Size ?? 0), 0);
+                setProgressFor(key, { objects, bytes });
+                token = IsTruncated ? NextContinuationToken : undefined;
+            } while (token);
+
+            const report = accumulator.finish();
+            const kept = Object.entries({ ...reportsRef.current, [key]: report })
+                .sort(([, a], [, b]) => b.computedAt - a.computedAt)
+                .slice(0, MAX_CACHED_REPORTS);
+            reportsRef.current = Object.fromEntries(kept);
+            writeReports(reportsRef.current);
+            setReports(reportsRef.current);
+            return report;
+        } catch (err) {
+            if (controller.signal.aborted) return null;
+            throw err;
+        } finally {
+            if (controllersRef.current.get(key) === controller) controllersRef.current.delete(key);
+            setProgressFor(key, null);
+        }
+    }, [s3Client, cacheKey, setProgressFor]);
+
+    /**
+     * @param {string} bucket
+     * @param {string} prefix
+     */
+    const cancelUsage = useCallback((bucket, prefix) => {
+        controllersRef.current.get(cacheKey(bucket, prefix))?.abort();
+    }, [cacheKey]);
+
+    return { getReport, getProgress, calculateUsage, cancelUsage };
+}
@@ -0,0 +1,157 @@
+// S – single responsibility: keyboard focus and range selection for the rows of the object table
+
+import { useState, useEffect, useRef } from 'react';
+import { isCommandKey } from '../utils/keyboardUtils';
+
+// Rows skipped by PageUp and PageDown
+const PAGE_ROWS = 10;
+
+const keysBetween = (rows, getKey, from, to) =>
+    rows.slice(Math.min(from, to), Math.max(from, to) + 1).map(getKey);
+
+/**
+ * The table keeps DOM focus and points at the focused row with aria-activedescendant, so moving
+ * focus works even when the row is scrolled out of the virtualized range. Focus and the range anchor
+ * reset whenever `locationKey` changes. In a grid, `columns` makes ↑/↓ move by a whole row and enables ←/→.
+ * @param {{
+ *   rows: Array<*>,
+ *   getKey: (row: *) => string,
+ *   selectedKeys: string[],
+ *   onSelectionChange: (keys: string[]) => void,
+ *   canSelect: boolean,
+ *   locationKey: string,
+ *   onFocusRow: (index: number) => void,
+ *   onOpen: (row: *) => void,
+ *   onGoUp: () => void,
+ *   onDelete: (keys: string[]) => void,
+ *   onRename: (row: *) => void,
+ *   columns?: number,
+ * }} options
+ */
+export function useTableKeyboard({ rows, getKey, selectedKeys, onSelectionChange, canSelect, locationKey, onFocusRow, onOpen, onGoUp, onDelete, onRename, columns = 1 }) {
+    const [focusedIndex, setFocusedIndex] = useState(null);
+    // Where a Shift range starts: the last row clicked, toggled or moved to without Shift
+    const anchorRef = useRef(null);
+
+    useEffect(() => {
+        setFocusedIndex(null);
+        anchorRef.current = null;
+    }, [locationKey]);
+
+    // A shorter listing (e.g. a new search) can leave the index past the end
+    const activeIndex = focusedIndex !== null && focusedIndex < rows.length ? focusedIndex : null;
+
+    const focusRow = (index) => {
+        setFocusedIndex(index);
+        onFocusRow(index);
+    };
+
+    const toggleKey = (key) => {
+        onSelectionChange(selectedKeys.includes(key) ? selectedKeys.filter(k => k !== key) : [...selectedKeys, key]);
+    };
+
+    /**
+     * @param {React.MouseEvent} e
+     * @param {number} index
+     */
+    const handleRowClick = (e, index) => {
+        setFocusedIndex(index);
+        if (!canSelect) return;
+        if (e.shiftKey && anchorRef.current !== null) {
+            const range = keysBetween(rows, getKey, anchorRef.current, index);
+            onSelectionChange(isCommandKey(e) ? [...new Set([...selectedKeys, ...range])] : range);
+            return;
+        }
+        anchorRef.current = index;
+        if (isCommandKey(e)) toggleKey(getKey(rows[index]));
+    };
+
+    /**
+     * A row checkbox toggles its row; with Shift it adds the rows from the anchor as well.
+     * @param {React.ChangeEvent} e
+     * @param {number} index
+     */
+    const handleCheckboxChange = (e, index) => {
+        setFocusedIndex(index);
+        if (e.nativeEvent.shiftKey && anchorRef.current !== null) {
+            onSelectionChange([...new Set([...selectedKeys, ...keysBetween(rows, getKey, anchorRef.current, index)])]);
+        } else {
+            toggleKey(getKey(rows[index]));
+        }
+        anchorRef.current = index;
+    };
+
+    /** @param {React.KeyboardEvent} e */
+    const handleKeyDown = (e) => {
+        if (e.key === 'Backspace') {
+            e.preventDefault();
+            onGoUp();
+            return;
+        }
+        if (rows.length === 0) return;
+        // Buttons and checkboxes inside the rows keep their own Enter and Space
+        const isControl = e.target !== e.currentTarget && ['BUTTON', 'INPUT'].includes(e.target.tagName);
+        const current = activeIndex ?? -1;
+        const row = activeIndex !== null ? rows[activeIndex] : null;
+
+        const moveTo = (index) => {
+            const next = Math.max(0, Math.min(rows.length - 1, index));
+            if (e.shiftKey && canSelect) {
+                if (anchorRef.current === null) anchorRef.current = Math.max(0, current);
+                onSelectionChange(keysBetween(rows, getKey, anchorRef.current, next));
+            } else {
+                anchorRef.current = next;
+            }
+            focusRow(next);
+        };
+
+        switch (e.key) {
+            case 'ArrowDown': moveTo(current === -1 ? 0 : current + columns); break;
+            case 'ArrowUp': moveTo(current === -1 ? 0 : current - columns); break;
+            case 'ArrowRight':
+                if (columns === 1) return;
+                moveTo(current + 1);
+                break;
+            case 'ArrowLeft':
+                if (columns === 1) return;
+                moveTo(current === -1 ? 0 : current - 1);
+                break;
+            case 'PageDown': moveTo(current + PAGE_ROWS * columns); break;
+            case 'PageUp': moveTo(current - PAGE_ROWS * columns); break;
+            case 'Home': moveTo(0); break;
+            case 'End': moveTo(rows.length - 1); break;
+            case 'Enter':
+                if (isControl || !row) return;
+                onOpen(row);
+                break;
+            case ' ':
+                if (isControl || !row || !canSelect) return;
+                toggleKey(getKey(row));
+                anchorRef.current = activeIndex;
+                break;
+            case 'Escape':
+                if (!canSelect || selectedKeys.length === 0) return;
+                onSelectionChange([]);
+                break;
+            case 'Delete':
+                if (!canSelect) return;
+                if (selectedKeys.length > 0) onDelete(selectedKeys);
+                else if (row) onDelete([getKey(row)]);
+                break;
+            case 'F2':
+                if (!canSelect || !row) return;
+                onRename(row);
+                break;
+            case 'a':
+            case 'A':
+                if (!isCommandKey(e) || !canSelect) return;
+                onSelectionChange(rows.map(getKey));
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    };
+
+    return { focusedIndex: activeIndex, handleKeyDown, handleRowClick, handleCheckboxChange };
+}
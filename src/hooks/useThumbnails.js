@@ -0,0 +1,107 @@
+// S – single responsibility: loads image thumbnails on demand, with limited concurrency and two cache levels
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { getPreviewType, getMimeType } from '../utils/fileUtils';
+import { readStoredThumbnail, storeThumbnail, createThumbnailBlob } from '../utils/thumbnailUtils';
+
+const THUMBNAIL_CONCURRENCY = 4;
+// Larger images are not downloaded just for a thumbnail
+const MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+// Object URLs held in memory; the least recently loaded are revoked beyond this many
+const MAX_MEMORY_THUMBNAILS = 500;
+
+/**
+ * Whether an object gets a thumbnail in the grid view.
+ * @param {{ Key: string, Size?: number, isFolder?: boolean, isDeleteMarker?: boolean }} obj
+ * @returns {boolean}
+ */
+export const hasThumbnail = (obj) =>
+    !obj.isFolder && !obj.isDeleteMarker && getPreviewType(obj.Key) === 'image' && (obj.Size ?? 0) <= MAX_SOURCE_BYTES;
+
+/**
+ * Thumbnails are cached by object identity (key plus ETag or version), so a replaced image gets a new one.
+ * @param {import('@aws-sdk/client-s3').S3Client|null} s3Client
+ * @param {string|null} endpoint
+ * @param {string|null} bucket
+ */
+export function useThumbnails(s3Client, endpoint, bucket) {
+    // Thumbnail URL by id; null marks an image whose thumbnail could not be made
+    const [thumbnails, setThumbnails] = useState(/** @type {Record<string, string|null>} */ ({}));
+    const memoryRef = useRef(new Map());
+    const queueRef = useRef([]);
+    const inFlightRef = useRef(new Set());
+
+    const thumbnailId = useCallback(
+        (obj) => `${endpoint}|${bucket}|${obj.Key}|${obj.VersionId ?? obj.ETag ?? ''}`,
+        [endpoint, bucket],
+    );
+
+    useEffect(() => {
+        const memory = memoryRef.current;
+        return () => memory.forEach(url => url && URL.revokeObjectURL(url));
+    }, []);
+
+    // The queue only ever holds what is on screen, so it starts over with each connection or bucket
+    useEffect(() => {
+        queueRef.current = [];
+    }, [s3Client, bucket]);
+
+    const remember = useCallback((id, url) => {
+        const memory = memoryRef.current;
+        memory.set(id, url);
+        while (memory.size > MAX_MEMORY_THUMBNAILS) {
+            const [oldestId, oldestUrl] = memory.entries().next().value;
+            if (oldestUrl) URL.revokeObjectURL(oldestUrl);
+            memory.delete(oldestId);
+        }
+        setThumbnails(Object.fromEntries(memory));
+    }, []);
+
+    const loadThumbnail = useCallback(async ({ id, obj }) => {
+        let blob = await readStoredThumbnail(id);
+        if (!blob) {
+            const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: obj.Key, VersionId: obj.VersionId }));
+            const data = await response.Body.transformToByteArray();
+            blob = await createThumbnailBlob(new Blob([data], { type: getMimeType(obj.Key) }));
+            storeThumbnail(id, blob);
+        }
+        return URL.createObjectURL(blob);
+    }, [s3Client, bucket]);
+
+    const pump = useCallback(() => {
+        while (inFlightRef.current.size < THUMBNAIL_CONCURRENCY && queueRef.current.length > 0) {
+            const job = queueRef.current.shift();
+            inFlightRef.current.add(job.id);
+            loadThumbnail(job)
+                .then(url => remember(job.id, url), () => remember(job.id, null))
+                .finally(() => {
+                    inFlightRef.current.delete(job.id);
+                    pump();
+                });
+        }
+    }, [loadThumbnail, remember]);
+
+    /**
+     * Queues thumbnails for the objects on screen. Each call replaces the queue, so objects
+     * scrolled out of view before their turn are never fetched.
+     * @param {Array<object>} objects
+     */
+    const requestThumbnails = useCallback((objects) => {
+        if (!s3Client || !bucket) return;
+        queueRef.current = objects
+            .filter(hasThumbnail)
+            .map(obj => ({ id: thumbnailId(obj), obj }))
+            .filter(({ id }) => !memoryRef.current.has(id) && !inFlightRef.current.has(id));
+        pump();
+    }, [s3Client, bucket, thumbnailId, pump]);
+
+    /**
+     * @param {object} obj
+     * @returns {string|null|undefined} the thumbnail URL, null when it failed, undefined while not loaded
+     */
+    const getThumbnail = useCallback((obj) => thumbnails[thumbnailId(obj)], [thumbnails, thumbnailId]);
+
+    return { getThumbnail, requestThumbnails };
+}
@@ -0,0 +1,45 @@
+// S – single responsibility: creates presigned POST upload links and keeps this session's history
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useCallback } from 'react';
+import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
+import { buildContentTypeCondition, buildUploadPageUrl } from '../utils/uploadLinkUtils';
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} presignClient - client configured with the public endpoint
+ * @param {string|null} bucket
+ */
+export function useUploadLinks(presignClient, bucket) {
+    const [uploadLinks, setUploadLinks] = useState([]);
+
+    /**
+     * Signs one policy per allowed content type, each limited to keys under `prefix` and to `maxSizeBytes`.
+     * @param {string} prefix - folder the uploads go to, with its trailing slash ('' for the bucket root)
+     * @param {{ expiresIn: number, maxSizeBytes: number, contentTypes: string[] }} options
+     */
+    const createUploadLink = useCallback(async (prefix, { expiresIn, maxSizeBytes, contentTypes }) => {
+        const createdAt = Date.now();
+        const policies = await Promise.all((contentTypes.length > 0 ? contentTypes : [null]).map(async (contentType) => {
+            const { url, fields } = await createPresignedPost(presignClient, {
+                Bucket: bucket,
+                Key: `${prefix}\${filename}`,
+                Conditions: [['content-length-range', 0, maxSizeBytes], buildContentTypeCondition(contentType)],
+                Expires: expiresIn,
+            });
+            return { url, contentType, fields };
+        }));
+        const page = {
+            url: policies[0].url,
+            bucket,
+            prefix,
+            maxSizeBytes,
+            expiresAt: createdAt + expiresIn * 1000,
+            policies: policies.map(({ contentType, fields }) => ({ contentType, fields })),
+        };
+        const link = { id: `${createdAt}-${bucket}/${prefix}`, bucket, prefix, url: buildUploadPageUrl(page), createdAt, expiresAt: page.expiresAt, maxSizeBytes, contentTypes };
+        setUploadLinks(prev => [link, ...prev]);
+        return link;
+    }, [presignClient, bucket]);
+
+    return { uploadLinks, createUploadLink };
+}
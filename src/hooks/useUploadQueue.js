@@ -0,0 +1,274 @@
+// S – single responsibility: schedules, tracks and controls queued multipart uploads
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Upload } from '@aws-sdk/lib-storage';
+import { objectExists, findAvailableKey } from '../utils/s3Utils';
+import { mapWithConcurrency } from '../utils/asyncUtils';
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const CONFLICT_CHECK_CONCURRENCY = 8;
+// Throughput is averaged over this many one-second samples
+const SPEED_WINDOW = 5;
+
+export const ACTIVE_UPLOAD_STATUSES = ['queued', 'uploading', 'retrying', 'paused'];
+
+let nextUploadId = 0;
+
+/**
+ * @typedef {{
+ *   id: string, bucket: string, key: string, name: string, size: number, loaded: number,
+ *   status: 'queued'|'uploading'|'retrying'|'paused'|'done'|'failed'|'cancelled',
+ *   attempt: number, error?: string,
+ * }} UploadItem
+ */
+
+/**
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {{ fileConcurrency: number, partConcurrency: number }} settings
+ * @param {(summary: { buckets: string[], done: number, failed: number }) => void} onDrained - called when the queue runs empty
+ */
+export function useUploadQueue(s3Client, settings, onDrained) {
+    const [items, setItems] = useState(/** @type {UploadItem[]} */ ([]));
+    const [isPaused, setIsPaused] = useState(false);
+    // Batches waiting for a conflict decision, oldest first; the prompt shows one at a time
+    const [conflictBatches, setConflictBatches] = useState([]);
+    const [stats, setStats] = useState({ bytesPerSecond: 0, etaSeconds: null });
+    // Batches dropped in quick succession are checked side by side
+    const [conflictCheckCount, setConflictCheckCount] = useState(0);
+
+    // Non-render state: File bodies (kept until cleared so failed and cancelled files can be retried),
+    // the client each file was queued with (switching connections must not redirect it), running Upload
+    // instances and why an upload was aborted
+    const filesRef = useRef(new Map());
+    const clientsRef = useRef(new Map());
+    const uploadsRef = useRef(new Map());
+    const abortReasonRef = useRef(new Map());
+    const isResolvingRef = useRef(false);
+    const drainSummaryRef = useRef({ buckets: new Set(), done: 0, failed: 0 });
+    const onDrainedRef = useRef(onDrained);
+    onDrainedRef.current = onDrained;
+
+    const forgetFile = useCallback((id) => {
+        filesRef.current.delete(id);
+        clientsRef.current.delete(id);
+    }, []);
+
+    const updateItem = useCallback((id, patch) => {
+        setItems(prev => prev.map(item => item.id === id ? { ...item, ...(typeof patch === 'function' ? patch(item) : patch) } : item));
+    }, []);
+
+    const startItem = useCallback((item) => {
+        const upload = new Upload({
+            client: clientsRef.current.get(item.id),
+            params: { Bucket: item.bucket, Key: item.key, Body: filesRef.current.get(item.id) },
+            queueSize: settings.partConcurrency,
+        });
+        uploadsRef.current.set(item.id, upload);
+        upload.on('httpUploadProgress', (progress) => updateItem(item.id, { loaded: progress.loaded ?? 0 }));
+
+        upload.done().then(() => {
+            forgetFile(item.id);
+            drainSummaryRef.current.buckets.add(item.bucket);
+            drainSummaryRef.current.done++;
+            updateItem(item.id, { status: 'done', loaded: item.size, error: undefined });
+        }, (err) => {
+            const reason = abortReasonRef.current.get(item.id);
+            abortReasonRef.current.delete(item.id);
+            if (reason === 'cancel') {
+                updateItem(item.id, { status: 'cancelled', loaded: 0 });
+            } else if (reason === 'pause') {
+                // lib-storage cannot resume an aborted multipart upload, so resuming starts the file over
+                updateItem(item.id, { status: 'paused', loaded: 0 });
+            } else if (item.attempt < MAX_RETRIES) {
+                updateItem(item.id, { status: 'retrying', loaded: 0, attempt: item.attempt + 1, error: err.name });
+                setTimeout(() => updateItem(item.id, current => current.status === 'retrying' ? { status: 'queued' } : {}), RETRY_BASE_DELAY_MS * 2 ** item.attempt);
+            } else {
+                drainSummaryRef.current.failed++;
+                updateItem(item.id, { status: 'failed', loaded: 0, error: err.name });
+            }
+        }).finally(() => {
+            uploadsRef.current.delete(item.id);
+        });
+    }, [settings.partConcurrency, updateItem, forgetFile]);
+
+    // Scheduler: fill free slots with queued items whenever the queue changes
+    useEffect(() => {
+        if (isPaused || !s3Client) return;
+        const running = items.filter(i => i.status === 'uploading').length;
+        const toStart = items.filter(i => i.status === 'queued').slice(0, Math.max(0, settings.fileConcurrency - running));
+        if (toStart.length === 0) return;
+        const startIds = new Set(toStart.map(i => i.id));
+        setItems(prev => prev.map(i => startIds.has(i.id) ? { ...i, status: 'uploading', loaded: 0 } : i));
+        toStart.forEach(startItem);
+    }, [items, isPaused, s3Client, settings.fileConcurrency, startItem]);
+
+    const activeCount = items.filter(i => ACTIVE_UPLOAD_STATUSES.includes(i.status)).length;
+    const wasActiveRef = useRef(false);
+
+    useEffect(() => {
+        if (activeCount > 0) { wasActiveRef.current = true; return; }
+        if (!wasActiveRef.current) return;
+        wasActiveRef.current = false;
+        const { buckets, done, failed } = drainSummaryRef.current;
+        drainSummaryRef.current = { buckets: new Set(), done: 0, failed: 0 };
+        onDrainedRef.current?.({ buckets: [...buckets], done, failed });
+    }, [activeCount]);
+
+    // Throughput and ETA, sampled once a second while anything is uploading
+    const itemsRef = useRef(items);
+    itemsRef.current = items;
+    const isUploading = items.some(i => i.status === 'uploading');
+    useEffect(() => {
+        if (!isUploading) { setStats({ bytesPerSecond: 0, etaSeconds: null }); return; }
+        const samples = [];
+        const timer = setInterval(() => {
+            const current = itemsRef.current;
+            const transferred = current.reduce((sum, i) => sum + (i.status === 'done' ? i.size : i.loaded), 0);
+            const remaining = current.filter(i => ACTIVE_UPLOAD_STATUSES.includes(i.status)).reduce((sum, i) => sum + i.size - i.loaded, 0);
+            samples.push(transferred);
+            if (samples.length > SPEED_WINDOW + 1) samples.shift();
+            const bytesPerSecond = samples.length > 1 ? Math.max(0, (samples[samples.length - 1] - samples[0]) / (samples.length - 1)) : 0;
+            setStats({ bytesPerSecond, etaSeconds: bytesPerSecond > 0 ? remaining / bytesPerSecond : null });
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [isUploading]);
+
+    const addToQueue = useCallback((candidates) => {
+        setItems(prev => [...prev, ...candidates.map(c => ({ ...c, loaded: 0, status: 'queued', attempt: 0 }))]);
+    }, []);
+
+    /**
+     * Queues files for upload after checking which target keys already exist.
+     * When some do, nothing is queued until resolveConflicts is called. A batch that conflicts while
+     * an earlier one is still waiting is asked about after it.
+     * @param {Array<{file: File, relativePath: string}>} entries
+     * @param {string} bucket
+     * @param {string} targetPrefix
+     */
+    const enqueueUploads = useCallback(async (entries, bucket, targetPrefix) => {
+        const candidates = entries.map(({ file, relativePath }) => {
+            const id = `upload-${++nextUploadId}`;
+            filesRef.current.set(id, file);
+            clientsRef.current.set(id, s3Client);
+            return { id, bucket, key: `${targetPrefix}${relativePath}`, name: relativePath, size: file.size };
+        });
+        setConflictCheckCount(count => count + 1);
+        let exists;
+        try {
+            // A failed check (e.g. no s3:GetObject permission) is treated as "no conflict"
+            exists = await mapWithConcurrency(candidates, CONFLICT_CHECK_CONCURRENCY, c => objectExists(s3Client, bucket, c.key).catch(() => false));
+        } finally {
+            setConflictCheckCount(count => count - 1);
+        }
+        const conflicts = candidates.filter((_, i) => exists[i]);
+        if (conflicts.length === 0) {
+            addToQueue(candidates);
+        } else {
+            const batch = { candidates, conflictIds: new Set(conflicts.map(c => c.id)), conflicts };
+            setConflictBatches(prev => [...prev, batch]);
+        }
+    }, [s3Client, addToQueue]);
+
+    /**
+     * Applies the decision to the oldest waiting batch. When Keep Both cannot check the new names,
+     * the batch stays in the prompt so it can be answered again, and the S3 error is rethrown.
+     * @param {'skip'|'overwrite'|'rename'|'cancel'} policy
+     */
+    const resolveConflicts = useCallback(async (policy) => {
+        const batch = conflictBatches[0];
+        if (!batch || isResolvingRef.current) return;
+        const { candidates, conflictIds } = batch;
+        let renamed;
+        if (policy === 'rename') {
+            isResolvingRef.current = true;
+            try {
+                const takenKeys = new Set(candidates.map(c => c.key));
+                renamed = [];
+                for (const c of candidates) {
+                    if (!conflictIds.has(c.id)) { renamed.push(c); continue; }
+                    const key = await findAvailableKey(clientsRef.current.get(c.id), c.bucket, c.key, takenKeys);
+                    renamed.push({ ...c, key, name: key.slice(c.key.length - c.name.length) });
+                }
+            } finally {
+                isResolvingRef.current = false;
+            }
+        }
+        setConflictBatches(prev => prev.filter(b => b !== batch));
+
+        if (policy === 'cancel') {
+            candidates.forEach(c => forgetFile(c.id));
+            return;
+        }
+        if (policy === 'skip') {
+            candidates.filter(c => conflictIds.has(c.id)).forEach(c => forgetFile(c.id));
+            addToQueue(candidates.filter(c => !conflictIds.has(c.id)));
+            return;
+        }
+        addToQueue(renamed ?? candidates);
+    }, [conflictBatches, addToQueue, forgetFile]);
+
+    const abortItem = useCallback((id, reason) => {
+        const upload = uploadsRef.current.get(id);
+        if (upload) {
+            abortReasonRef.current.set(id, reason);
+            upload.abort();
+        }
+        return !!upload;
+    }, []);
+
+    const cancelUpload = useCallback((id) => {
+        if (!abortItem(id, 'cancel')) updateItem(id, { status: 'cancelled', loaded: 0 });
+    }, [abortItem, updateItem]);
+
+    const pauseUpload = useCallback((id) => {
+        if (!abortItem(id, 'pause')) updateItem(id, current => current.status === 'queued' || current.status === 'retrying' ? { status: 'paused' } : {});
+    }, [abortItem, updateItem]);
+
+    const resumeUpload = useCallback((id) => {
+        updateItem(id, current => current.status === 'paused' ? { status: 'queued' } : {});
+    }, [updateItem]);
+
+    const retryUpload = useCallback((id) => {
+        if (!filesRef.current.has(id)) return;
+        updateItem(id, { status: 'queued', attempt: 0, error: undefined, loaded: 0 });
+    }, [updateItem]);
+
+    const pauseAll = useCallback(() => {
+        setIsPaused(true);
+        itemsRef.current.filter(i => ['uploading', 'queued', 'retrying'].includes(i.status)).forEach(i => pauseUpload(i.id));
+    }, [pauseUpload]);
+
+    const resumeAll = useCallback(() => {
+        setIsPaused(false);
+        setItems(prev => prev.map(i => i.status === 'paused' ? { ...i, status: 'queued' } : i));
+    }, []);
+
+    const clearFinished = useCallback(() => {
+        itemsRef.current.filter(i => !ACTIVE_UPLOAD_STATUSES.includes(i.status)).forEach(i => forgetFile(i.id));
+        setItems(prev => prev.filter(i => ACTIVE_UPLOAD_STATUSES.includes(i.status)));
+    }, [forgetFile]);
+
+    const cancelAll = useCallback(() => {
+        itemsRef.current.filter(i => ACTIVE_UPLOAD_STATUSES.includes(i.status)).forEach(i => cancelUpload(i.id));
+    }, [cancelUpload]);
+
+    return {
+        uploadItems: items,
+        uploadStats: stats,
+        isUploadQueuePaused: isPaused,
+        isCheckingConflicts: conflictCheckCount > 0,
+        pendingConflicts: conflictBatches[0]?.conflicts ?? null,
+        enqueueUploads,
+        resolveConflicts,
+        cancelUpload,
+        pauseUpload,
+        resumeUpload,
+        retryUpload,
+        pauseAll,
+        resumeAll,
+        cancelAll,
+        clearFinished,
+    };
+}
@@ -0,0 +1,77 @@
+// S – single responsibility: computes which fixed-height rows of a scroll container are visible
+
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Indexes (`startIndex`, `endIndex` and those passed to the scroll functions) count items. A grid passes
+ * `getColumnCount` to lay several items out per row; its width comes from the container.
+ * @param {number} itemCount
+ * @param {number} rowHeight - height of every row in pixels
+ * @param {number} [overscan] - rows rendered above and below the viewport
+ * @param {(width: number) => number} [getColumnCount] - items per row for a container width; one by default
+ * @returns {{ containerRef: (el: HTMLElement|null) => void, scrollToTop: () => void, scrollToIndex: (index: number) => void, scrollIndexIntoView: (index: number, headerHeight?: number) => void, columnCount: number, startIndex: number, endIndex: number, paddingTop: number, paddingBottom: number, isNearEnd: boolean }}
+ */
+export function useVirtualRows(itemCount, rowHeight, overscan = 10, getColumnCount = null) {
+    // The container is tracked as state (via a callback ref) so the listeners
+    // are attached whenever the element mounts, not only on the first render.
+    const [container, setContainer] = useState(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewportHeight, setViewportHeight] = useState(0);
+    const [viewportWidth, setViewportWidth] = useState(0);
+
+    useEffect(() => {
+        if (!container) return;
+        const handleScroll = () => setScrollTop(container.scrollTop);
+        const resizeObserver = new ResizeObserver(() => {
+            setViewportHeight(container.clientHeight);
+            setViewportWidth(container.clientWidth);
+        });
+        container.addEventListener('scroll', handleScroll, { passive: true });
+        resizeObserver.observe(container);
+        setScrollTop(container.scrollTop);
+        setViewportHeight(container.clientHeight);
+        setViewportWidth(container.clientWidth);
+        return () => {
+            container.removeEventListener('scroll', handleScroll);
+            resizeObserver.disconnect();
+        };
+    }, [container]);
+
+    const columnCount = getColumnCount ? getColumnCount(viewportWidth) : 1;
+    const rowCount = Math.ceil(itemCount / columnCount);
+
+    const scrollToTop = useCallback(() => {
+        if (container) container.scrollTop = 0;
+    }, [container]);
+
+    // Centers the row in the viewport
+    const scrollToIndex = useCallback((index) => {
+        const top = Math.floor(index / columnCount) * rowHeight;
+        if (container) container.scrollTop = Math.max(0, top - (container.clientHeight - rowHeight) / 2);
+    }, [container, rowHeight, columnCount]);
+
+    // Scrolls only as far as needed to show the row, e.g. while moving through rows with the keyboard.
+    // `headerHeight` is the sticky content above the first row, which would otherwise cover it.
+    const scrollIndexIntoView = useCallback((index, headerHeight = 0) => {
+        if (!container) return;
+        const top = Math.floor(index / columnCount) * rowHeight;
+        if (top < container.scrollTop) container.scrollTop = top;
+        else if (top + rowHeight + headerHeight > container.scrollTop + container.clientHeight) container.scrollTop = top + rowHeight + headerHeight - container.clientHeight;
+    }, [container, rowHeight, columnCount]);
+
+    const startRow = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const endRow = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+    return {
+        containerRef: setContainer,
+        scrollToTop,
+        scrollToIndex,
+        scrollIndexIntoView,
+        columnCount,
+        startIndex: startRow * columnCount,
+        endIndex: Math.min(itemCount, endRow * columnCount),
+        paddingTop: startRow * rowHeight,
+        paddingBottom: Math.max(0, (rowCount - endRow) * rowHeight),
+        isNearEnd: rowCount > 0 && endRow >= rowCount - overscan,
+    };
+}
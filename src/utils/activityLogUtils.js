@@ -0,0 +1,73 @@
+// S – single responsibility: recording mutating S3 calls and serializing the record for export
+
+// Commands that change data or configuration; reads (Get, Head, List) are not recorded
+const MUTATING_COMMAND = /^(Put|Delete|Copy|Create|Complete|Abort|UploadPart|Restore)/;
+
+const CSV_COLUMNS = ['time', 'connection', 'operation', 'bucket', 'key', 'source', 'versionId', 'status', 'error', 'durationMs', 'requestId'];
+
+let nextEntryId = 0;
+
+/**
+ * @typedef {{
+ *   id: number, time: string, connection: string, operation: string,
+ *   bucket?: string, key?: string, source?: string, versionId?: string,
+ *   status: 'ok'|'error', error?: string, durationMs: number, requestId?: string,
+ * }} ActivityEntry
+ */
+
+// DeleteObjects names its keys in the body rather than in `Key`
+const describeKeys = (input) => {
+    if (input.Key) return input.Key;
+    const objects = input.Delete?.Objects;
+    return objects ? objects.map(o => o.Key).join('\n') : undefined;
+};
+
+/**
+ * Adds a middleware that reports every mutating call the client sends, whether it succeeds or fails.
+ * @param {import('@aws-sdk/client-s3').S3Client} client
+ * @param {string} connection - label of the connection the client belongs to
+ * @param {(entry: ActivityEntry) => void} onRecord
+ */
+export function attachActivityLog(client, connection, onRecord) {
+    client.middlewareStack.add((next, context) => async (args) => {
+        const operation = (context.commandName || '').replace(/Command$/, '');
+        if (!MUTATING_COMMAND.test(operation)) return next(args);
+        const startedAt = Date.now();
+        const entry = {
+            id: nextEntryId++,
+            time: new Date(startedAt).toISOString(),
+            connection,
+            operation,
+            bucket: args.input.Bucket,
+            key: describeKeys(args.input),
+            source: args.input.CopySource,
+            versionId: args.input.VersionId,
+        };
+        try {
+            const result = await next(args);
+            onRecord({ ...entry, status: 'ok', durationMs: Date.now() - startedAt, requestId: result.output?.$metadata?.requestId });
+            return result;
+        } catch (err) {
+            onRecord({ ...entry, status: 'error', error: err.name, durationMs: Date.now() - startedAt, requestId: err.$metadata?.requestId });
+            throw err;
+        }
+    }, { step: 'initialize', name: 'activityLogMiddleware' });
+}
+
+const toCsvField = (value) => {
+    const raw = value === undefined || value === null ? '' : String(value);
+    // Keys are user-controlled; a leading quote stops spreadsheets from running a cell as a formula
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes entries as CSV with a header row (RFC 4180 quoting, the format parseDelimited reads).
+ * Cells starting with =, +, -, @, a tab or a carriage return are prefixed with ' so spreadsheets show them as text.
+ * @param {ActivityEntry[]} entries
+ * @returns {string}
+ */
+export function toActivityCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => toCsvField(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
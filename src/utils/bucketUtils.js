@@ -0,0 +1,43 @@
+// S – single responsibility: bucket name validation and bucket request building
+
+const BUCKET_NAME_PATTERN = /^[a-z0-9][a-z0-9.-]*[a-z0-9]$/;
+const IP_ADDRESS_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+const RESERVED_PREFIXES = ['xn--', 'sthree-'];
+const RESERVED_SUFFIXES = ['-s3alias', '--ol-s3'];
+
+/**
+ * Validates a bucket name against the S3 bucket naming rules.
+ * @param {string} name
+ * @returns {string|null} An error message, or null when the name is valid.
+ */
+export function validateBucketName(name) {
+    if (!name) return 'Bucket name cannot be empty.';
+    if (name.length < 3 || name.length > 63) return 'Bucket name must be between 3 and 63 characters long.';
+    if (!BUCKET_NAME_PATTERN.test(name)) {
+        return 'Bucket name may only contain lowercase letters, numbers, dots and hyphens, and must begin and end with a letter or number.';
+    }
+    if (name.includes('..')) return 'Bucket name cannot contain two adjacent dots.';
+    if (name.includes('.-') || name.includes('-.')) return 'Bucket name cannot contain a dot next to a hyphen.';
+    if (IP_ADDRESS_PATTERN.test(name)) return 'Bucket name cannot be formatted as an IP address.';
+    if (RESERVED_PREFIXES.some(p => name.startsWith(p))) return `Bucket name cannot start with "${RESERVED_PREFIXES.find(p => name.startsWith(p))}".`;
+    if (RESERVED_SUFFIXES.some(s => name.endsWith(s))) return `Bucket name cannot end with "${RESERVED_SUFFIXES.find(s => name.endsWith(s))}".`;
+    return null;
+}
+
+/**
+ * Builds the input for CreateBucketCommand.
+ * us-east-1 is the default location and must not be sent as a LocationConstraint.
+ * @param {string} name
+ * @param {string} region
+ * @param {boolean} objectLock
+ * @returns {import('@aws-sdk/client-s3').CreateBucketCommandInput}
+ */
+export function buildCreateBucketInput(name, region, objectLock) {
+    const input = { Bucket: name };
+    const trimmedRegion = region.trim();
+    if (trimmedRegion && trimmedRegion !== 'us-east-1') {
+        input.CreateBucketConfiguration = { LocationConstraint: trimmedRegion };
+    }
+    if (objectLock) input.ObjectLockEnabledForBucket = true;
+    return input;
+}
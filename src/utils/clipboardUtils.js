@@ -0,0 +1,39 @@
+// S – single responsibility: rules for pasting clipboard entries into a folder
+
+/**
+ * @typedef {{
+ *   mode: 'copy'|'cut', sessionId: string, bucket: string, basePrefix: string,
+ *   items: Array<{ Key: string, isFolder: boolean, Size?: number }>,
+ * }} ClipboardContents
+ * `Size` is known for objects only; folders are listed when they are pasted.
+ */
+
+/**
+ * Where a copied key lands: its path below the folder it was copied from, placed under the target folder.
+ * @param {string} key
+ * @param {string} basePrefix
+ * @param {string} targetPrefix
+ * @returns {string}
+ */
+export function getPasteTargetKey(key, basePrefix, targetPrefix) {
+    return targetPrefix + key.slice(basePrefix.length);
+}
+
+/**
+ * @param {ClipboardContents|null} clipboard
+ * @param {string|null} sessionId - the open connection
+ * @param {string|null} bucket
+ * @param {string} prefix
+ * @returns {string|null} why the clipboard cannot be pasted here, or null
+ */
+export function validatePasteTarget(clipboard, sessionId, bucket, prefix) {
+    if (!clipboard) return 'The clipboard is empty.';
+    // Server-side copies only work within one connection
+    if (clipboard.sessionId !== sessionId) return 'Items can only be pasted into the connection they were copied from. Use Transfer to copy between connections.';
+    if (!bucket) return 'Open a bucket to paste into.';
+    if (clipboard.bucket !== bucket) return null;
+    const enclosingFolder = clipboard.items.find(item => item.isFolder && prefix.startsWith(item.Key));
+    if (enclosingFolder) return `Cannot paste "${enclosingFolder.Key}" into itself.`;
+    if (clipboard.mode === 'cut' && clipboard.basePrefix === prefix) return 'The items are already in this folder.';
+    return null;
+}
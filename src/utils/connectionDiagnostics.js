@@ -0,0 +1,180 @@
+// S – single responsibility: explaining why a connection attempt failed
+
+/**
+ * @typedef {{
+ *   kind: 'invalid-url'|'mixed-content'|'network'|'tls'|'cors'|'clock-skew'|'credentials'|'signature'|'region'|'permission'|'assume-role'|'unknown',
+ *   title: string,
+ *   explanation: string,
+ *   fixes: string[],
+ * }} Diagnosis
+ */
+
+const PROBE_TIMEOUT_MS = 5000;
+
+// Browsers report every failure below HTTP (DNS, refused connection, TLS, CORS) as the same opaque TypeError
+const isTransportError = (error) => !error.$metadata?.httpStatusCode
+    && (error.name === 'TypeError' || error.name === 'NetworkError' || /failed to fetch|networkerror|load failed/i.test(error.message ?? ''));
+
+/**
+ * Sends a request that does not need CORS, so it succeeds whenever the server answers at all.
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+async function isReachable(url) {
+    try {
+        await fetch(url, { mode: 'no-cors', cache: 'no-store', signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+const corsFixes = (origin) => [
+    `Allow the origin ${origin} on the server, with the methods GET, PUT, POST, DELETE and HEAD, all request headers, and the ETag response header exposed.`,
+    `MinIO: run "mc admin config set <alias> api cors_allow_origin=${origin}" (or set MINIO_API_CORS_ALLOW_ORIGIN) and restart the server.`,
+    'Other S3 servers: add a bucket CORS rule (Bucket settings → CORS once connected), or configure CORS on the reverse proxy in front of the server.',
+    'A reverse proxy that answers OPTIONS requests itself must also return the Access-Control-Allow-* headers.',
+];
+
+/**
+ * Classifies a failed S3 request and explains how to fix it.
+ * Transport failures are told apart with extra probe requests to the endpoint.
+ * @param {Error & { $metadata?: { httpStatusCode?: number } }} error - the error thrown by S3Client.send
+ * @param {string} endpoint
+ * @returns {Promise<Diagnosis>}
+ */
+export async function diagnoseConnectionError(error, endpoint) {
+    // Temporary credentials are requested from STS before the first S3 request, so the STS endpoint is diagnosed instead
+    if (error.name === 'AssumeRoleFailed') {
+        const diagnosis = await diagnoseConnectionError(error.cause, error.stsEndpoint);
+        if (diagnosis.kind !== 'permission' && diagnosis.kind !== 'unknown') return { ...diagnosis, title: `STS: ${diagnosis.title}` };
+        return {
+            kind: 'assume-role',
+            title: 'Could not obtain temporary credentials',
+            explanation: `${error.stsEndpoint} refused to issue credentials (${error.cause.name}: ${error.cause.message}).`,
+            fixes: [
+                'AssumeRole: the access key needs the sts:AssumeRole permission, and the role must trust this user.',
+                'MinIO LDAP: check the username and password, and that LDAP identity is configured on the server.',
+                'AWS: set the STS endpoint to https://sts.amazonaws.com or a regional STS endpoint.',
+                'The session duration must lie within the limits of the server and the role (at least 900 seconds).',
+            ],
+        };
+    }
+
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (err) {
+        return {
+            kind: 'invalid-url',
+            title: 'Invalid endpoint URL',
+            explanation: `"${endpoint}" is not a valid URL.`,
+            fixes: ['Enter the full URL including the scheme, e.g. http://localhost:9000 or https://s3.example.com.'],
+        };
+    }
+
+    const origin = window.location.origin;
+
+    if (isTransportError(error)) {
+        const isLoopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+        if (window.location.protocol === 'https:' && url.protocol === 'http:' && !isLoopback) {
+            return {
+                kind: 'mixed-content',
+                title: 'Blocked insecure request',
+                explanation: 'This explorer is served over HTTPS, so the browser blocks requests to an http:// endpoint.',
+                fixes: ['Use an https:// endpoint, or serve the explorer over plain HTTP.'],
+            };
+        }
+        if (await isReachable(url.origin)) {
+            return {
+                kind: 'cors',
+                title: 'CORS is not configured for this explorer',
+                explanation: `The server answers, but its response does not allow requests from ${origin}, so the browser discards it.`,
+                fixes: corsFixes(origin),
+            };
+        }
+        if (url.protocol === 'https:') {
+            const plainUrl = new URL(url.origin);
+            plainUrl.protocol = 'http:';
+            // Only a plain-HTTP answer on the same port proves the TLS handshake is what fails
+            if (window.location.protocol === 'http:' && await isReachable(plainUrl.origin)) {
+                return {
+                    kind: 'tls',
+                    title: 'The server does not speak HTTPS on this port',
+                    explanation: `${url.host} answers plain HTTP, but the endpoint URL uses https://.`,
+                    fixes: [`Use ${plainUrl.origin} as the endpoint, or enable TLS on the server.`],
+                };
+            }
+            return {
+                kind: 'tls',
+                title: 'Server unreachable or certificate not trusted',
+                explanation: `No response from ${url.origin}. Either nothing is listening there, or the TLS certificate is not trusted by this browser.`,
+                fixes: [
+                    `Open ${url.origin} in a new tab. A certificate warning means a TLS problem: install the CA certificate, or accept the self-signed certificate there and test again.`,
+                    'If the page does not load at all, check the host name, the port and any firewall or VPN in between.',
+                ],
+            };
+        }
+        return {
+            kind: 'network',
+            title: 'Server unreachable',
+            explanation: `No response from ${url.origin}.`,
+            fixes: [
+                'Check that the server is running and that the host name and port are correct.',
+                'Check firewalls, VPNs and proxies between this browser and the server.',
+            ],
+        };
+    }
+
+    switch (error.name) {
+        case 'RequestTimeTooSkewed':
+            return {
+                kind: 'clock-skew',
+                title: 'Clock skew',
+                explanation: `The server rejected the request because this computer's clock (${new Date().toLocaleString()}) differs from the server's by more than 15 minutes.`,
+                fixes: ['Enable automatic time synchronisation (NTP) on this computer and on the server.'],
+            };
+        case 'InvalidAccessKeyId':
+        case 'InvalidClientTokenId':
+        case 'ExpiredToken':
+        case 'InvalidToken':
+            return {
+                kind: 'credentials',
+                title: 'Unknown or expired credentials',
+                explanation: `The server does not accept this access key (${error.name}).`,
+                fixes: ['Check the access key ID for typos.', 'Temporary credentials must not have expired.'],
+            };
+        case 'SignatureDoesNotMatch':
+            return {
+                kind: 'signature',
+                title: 'Signature mismatch',
+                explanation: 'The access key exists, but the request signature is wrong.',
+                fixes: [
+                    'Check the secret access key for typos or surrounding spaces.',
+                    'A reverse proxy must forward the original Host header and must not rewrite the path.',
+                ],
+            };
+        case 'AuthorizationHeaderMalformed':
+        case 'PermanentRedirect':
+            return {
+                kind: 'region',
+                title: 'Wrong region or endpoint',
+                explanation: `The server expects a different region or endpoint (${error.name}).`,
+                fixes: ['Use the endpoint of the region the buckets live in.'],
+            };
+        case 'AccessDenied':
+            return {
+                kind: 'permission',
+                title: 'Not allowed to list buckets',
+                explanation: 'The credentials are valid, but they lack the s3:ListAllMyBuckets permission.',
+                fixes: ['Grant s3:ListAllMyBuckets to this user, or ask an administrator for credentials that have it.'],
+            };
+        default:
+            return {
+                kind: 'unknown',
+                title: `Request failed: ${error.name}`,
+                explanation: error.message || 'The server returned an unexpected error.',
+                fixes: ['Check the endpoint URL and the credentials.'],
+            };
+    }
+}
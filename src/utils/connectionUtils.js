@@ -0,0 +1,147 @@
+// S – single responsibility: turns connection settings into a configured S3 client
+// D – callers get an S3Client and never build credentials themselves
+
+import { S3Client } from '@aws-sdk/client-s3';
+import { STSClient, AssumeRoleCommand } from '@aws-sdk/client-sts';
+
+export const AUTH_MODES = [
+    { id: 'static', label: 'Access key' },
+    { id: 'assume-role', label: 'STS AssumeRole' },
+    { id: 'ldap', label: 'MinIO LDAP (AssumeRoleWithLDAPIdentity)' },
+];
+
+/** Options added after the first saved-connection schema; older entries get these values. */
+export const DEFAULT_CONNECTION_OPTIONS = {
+    region: 'us-east-1',
+    forcePathStyle: true,
+    sessionToken: '',
+    authMode: 'static',
+    roleArn: '',
+    roleSessionName: 's3-explorer',
+    durationSeconds: 3600,
+    stsEndpoint: '',
+    ldapUsername: '',
+    ldapPassword: '',
+};
+
+/** Fields that are only stored when the user chooses to save secrets. */
+export const SECRET_FIELDS = ['secretKey', 'sessionToken', 'ldapPassword'];
+
+// Temporary credentials are renewed this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const STS_API_VERSION = '2011-06-15';
+
+/**
+ * @param {object} connection
+ * @returns {object} the connection with every option present
+ */
+export function withConnectionDefaults(connection) {
+    return { ...DEFAULT_CONNECTION_OPTIONS, ...connection };
+}
+
+/**
+ * The secret a saved connection needs before it can connect, or null when it has it.
+ * @param {object} connection
+ * @returns {'secretKey'|'ldapPassword'|null}
+ */
+export function getMissingSecret(connection) {
+    const field = connection.authMode === 'ldap' ? 'ldapPassword' : 'secretKey';
+    return connection[field] ? null : field;
+}
+
+// STS failures are wrapped so diagnostics can tell them apart from S3 failures
+const toAssumeRoleError = (cause, stsEndpoint) => {
+    const error = new Error(cause.message);
+    error.name = 'AssumeRoleFailed';
+    error.cause = cause;
+    error.stsEndpoint = stsEndpoint;
+    return error;
+};
+
+const assumeRole = async (connection) => {
+    const sts = new STSClient({
+        region: connection.region,
+        // MinIO serves STS on the S3 endpoint; AWS users enter https://sts.amazonaws.com
+        endpoint: connection.stsEndpoint || connection.endpoint,
+        credentials: { accessKeyId: connection.accessKey, secretAccessKey: connection.secretKey, sessionToken: connection.sessionToken || undefined },
+    });
+    const { Credentials } = await sts.send(new AssumeRoleCommand({
+        // MinIO ignores the role ARN but the API requires one, so a placeholder is sent
+        RoleArn: connection.roleArn || 'arn:xxx:xxx:xxx:xxxx',
+        RoleSessionName: connection.roleSessionName || DEFAULT_CONNECTION_OPTIONS.roleSessionName,
+        DurationSeconds: Number(connection.durationSeconds) || undefined,
+    }));
+    return {
+        accessKeyId: Credentials.AccessKeyId,
+        secretAccessKey: Credentials.SecretAccessKey,
+        sessionToken: Credentials.SessionToken,
+        expiration: Credentials.Expiration,
+    };
+};
+
+// MinIO's LDAP STS API is unsigned and not part of the AWS SDK, so it is called directly
+const assumeRoleWithLdap = async (connection) => {
+    const response = await fetch(connection.stsEndpoint || connection.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            Action: 'AssumeRoleWithLDAPIdentity',
+            Version: STS_API_VERSION,
+            LDAPUsername: connection.ldapUsername,
+            LDAPPassword: connection.ldapPassword,
+            DurationSeconds: String(Number(connection.durationSeconds) || DEFAULT_CONNECTION_OPTIONS.durationSeconds),
+        }),
+    });
+    const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    const text = (tag) => xml.getElementsByTagName(tag)[0]?.textContent;
+    if (!response.ok) {
+        const error = new Error(text('Message') || `HTTP ${response.status}`);
+        error.name = text('Code') || 'AssumeRoleWithLDAPIdentityFailed';
+        throw error;
+    }
+    return {
+        accessKeyId: text('AccessKeyId'),
+        secretAccessKey: text('SecretAccessKey'),
+        sessionToken: text('SessionToken'),
+        expiration: text('Expiration') ? new Date(text('Expiration')) : undefined,
+    };
+};
+
+/**
+ * Builds the credentials for a connection. Temporary credentials are fetched on first use,
+ * cached, and fetched again shortly before they expire; concurrent callers share one request.
+ * @param {object} connection
+ * @returns {import('@aws-sdk/types').AwsCredentialIdentity | import('@aws-sdk/types').AwsCredentialIdentityProvider}
+ */
+export function createCredentialProvider(connection) {
+    if (connection.authMode !== 'assume-role' && connection.authMode !== 'ldap') {
+        return { accessKeyId: connection.accessKey, secretAccessKey: connection.secretKey, sessionToken: connection.sessionToken || undefined };
+    }
+    const fetchCredentials = connection.authMode === 'ldap' ? assumeRoleWithLdap : assumeRole;
+    let cached = null;
+    let pending = null;
+    return async () => {
+        if (cached && (!cached.expiration || cached.expiration.getTime() - Date.now() > REFRESH_MARGIN_MS)) return cached;
+        pending ??= fetchCredentials(connection)
+            .then(credentials => { cached = credentials; return credentials; })
+            .catch(err => { throw toAssumeRoleError(err, connection.stsEndpoint || connection.endpoint); })
+            .finally(() => { pending = null; });
+        return pending;
+    };
+}
+
+/**
+ * @param {object} connection - endpoint, region, forcePathStyle and the auth settings
+ * @param {ReturnType<typeof createCredentialProvider>} [credentials] - pass one provider to share a session between clients
+ * @param {string} [endpoint] - overrides connection.endpoint, e.g. for signing against the public endpoint
+ * @returns {S3Client}
+ */
+export function createS3Client(connection, credentials = createCredentialProvider(connection), endpoint = connection.endpoint) {
+    const options = withConnectionDefaults(connection);
+    return new S3Client({
+        endpoint,
+        region: options.region || DEFAULT_CONNECTION_OPTIONS.region,
+        credentials,
+        forcePathStyle: options.forcePathStyle,
+    });
+}
@@ -0,0 +1,107 @@
+// S – single responsibility: converting, validating and checking bucket CORS rules
+
+export const CORS_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'HEAD'];
+
+const MAX_CORS_RULES = 100;
+
+/**
+ * @typedef {{
+ *   id: string, origins: string, methods: string[], allowedHeaders: string, exposeHeaders: string, maxAgeSeconds: string,
+ * }} CorsDraft
+ * List fields are comma-separated text as typed by the user.
+ */
+
+const splitList = (text) => text.split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * A rule that lets this explorer use the bucket, including reading ETag for multipart uploads.
+ * @param {string} origin - e.g. window.location.origin
+ * @returns {CorsDraft}
+ */
+export function buildExplorerCorsDraft(origin) {
+    return {
+        id: 's3-explorer',
+        origins: origin,
+        methods: [...CORS_METHODS],
+        allowedHeaders: '*',
+        exposeHeaders: 'ETag',
+        maxAgeSeconds: '3000',
+    };
+}
+
+/**
+ * @param {import('@aws-sdk/client-s3').CORSRule} rule
+ * @returns {CorsDraft}
+ */
+export function toCorsDraft(rule) {
+    return {
+        id: rule.ID ?? '',
+        origins: (rule.AllowedOrigins || []).join(', '),
+        methods: rule.AllowedMethods || [],
+        allowedHeaders: (rule.AllowedHeaders || []).join(', '),
+        exposeHeaders: (rule.ExposeHeaders || []).join(', '),
+        maxAgeSeconds: rule.MaxAgeSeconds === undefined ? '' : String(rule.MaxAgeSeconds),
+    };
+}
+
+/**
+ * @param {CorsDraft} draft
+ * @returns {import('@aws-sdk/client-s3').CORSRule}
+ */
+export function fromCorsDraft(draft) {
+    const allowedHeaders = splitList(draft.allowedHeaders);
+    const exposeHeaders = splitList(draft.exposeHeaders);
+    return {
+        ID: draft.id.trim() || undefined,
+        AllowedOrigins: splitList(draft.origins),
+        AllowedMethods: draft.methods,
+        AllowedHeaders: allowedHeaders.length ? allowedHeaders : undefined,
+        ExposeHeaders: exposeHeaders.length ? exposeHeaders : undefined,
+        MaxAgeSeconds: draft.maxAgeSeconds ? Number(draft.maxAgeSeconds) : undefined,
+    };
+}
+
+/**
+ * @param {CorsDraft[]} drafts
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateCorsDrafts(drafts) {
+    if (drafts.length > MAX_CORS_RULES) return `A bucket can have at most ${MAX_CORS_RULES} CORS rules.`;
+    for (const [i, draft] of drafts.entries()) {
+        const name = draft.id.trim() ? `Rule "${draft.id.trim()}"` : `Rule ${i + 1}`;
+        const origins = splitList(draft.origins);
+        if (origins.length === 0) return `${name} needs at least one allowed origin.`;
+        // S3 allows at most one "*" per origin
+        const invalidOrigin = origins.find(o => (o.match(/\*/g) || []).length > 1);
+        if (invalidOrigin) return `${name}: origin "${invalidOrigin}" may contain at most one "*".`;
+        if (draft.methods.length === 0) return `${name} needs at least one allowed method.`;
+        if (draft.maxAgeSeconds !== '' && !(Number.isInteger(Number(draft.maxAgeSeconds)) && Number(draft.maxAgeSeconds) >= 0)) {
+            return `${name}: max age must be a whole number of seconds.`;
+        }
+    }
+    return null;
+}
+
+const matchesOrigin = (pattern, origin) => {
+    if (pattern === '*') return true;
+    const [head, tail] = pattern.split('*');
+    return tail === undefined ? pattern === origin : origin.startsWith(head) && origin.endsWith(tail) && origin.length >= head.length + tail.length;
+};
+
+/**
+ * Checks what the saved rules allow for one origin, the way a browser would:
+ * the first rule matching origin and method decides.
+ * @param {CorsDraft[]} drafts
+ * @param {string} origin
+ * @returns {{ missingMethods: string[], exposesEtag: boolean }}
+ */
+export function checkOriginAccess(drafts, origin) {
+    const missingMethods = [];
+    let exposesEtag = true;
+    for (const method of CORS_METHODS) {
+        const rule = drafts.find(d => d.methods.includes(method) && splitList(d.origins).some(o => matchesOrigin(o, origin)));
+        if (!rule) { missingMethods.push(method); continue; }
+        if (method === 'PUT' && !splitList(rule.exposeHeaders).some(h => h.toLowerCase() === 'etag')) exposesEtag = false;
+    }
+    return { missingMethods, exposesEtag };
+}
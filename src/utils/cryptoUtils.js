@@ -0,0 +1,62 @@
+// S – single responsibility: passphrase-based encryption of JSON values with WebCrypto
+
+/** PBKDF2-SHA256 work factor for new vaults; stored with the vault so it can be raised later. */
+export const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const toBase64 = (bytes) => {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+/**
+ * @returns {string} a new random salt, base64 encoded
+ */
+export function createSalt() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derives a non-extractable AES-GCM key from a passphrase.
+ * @param {string} passphrase
+ * @param {string} salt - base64
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt'],
+    );
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {*} value - anything JSON serialisable
+ * @returns {Promise<{ iv: string, data: string }>}
+ */
+export async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {{ iv: string, data: string }} payload
+ * @returns {Promise<*>}
+ * @throws {DOMException} OperationError when the key is wrong or the data was tampered with
+ */
+export async function decryptJson(key, payload) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+    return JSON.parse(new TextDecoder().decode(data));
+}
@@ -0,0 +1,50 @@
+// S – single responsibility: parsing delimiter-separated text
+
+/**
+ * Parses CSV/TSV text into rows of fields (RFC 4180 quoting: "a ""quoted"" field").
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Returns the delimiter for a key: tab for .tsv, comma otherwise.
+ * @param {string} key
+ * @returns {string}
+ */
+export function getDelimiter(key) {
+    return key.toLowerCase().endsWith('.tsv') ? '\t' : ',';
+}
@@ -0,0 +1,60 @@
+// S – single responsibility: getting bytes from the browser onto the user's disk
+
+/**
+ * Whether the File System Access API can stream a download straight into a file.
+ * @returns {boolean}
+ */
+export function supportsFileSystemAccess() {
+    return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Asks the user where to save a file. Must be called while the click's user activation is still valid,
+ * i.e. before any unrelated await.
+ * @param {string} suggestedName
+ * @returns {Promise<FileSystemFileHandle|null>} null when the user dismissed the picker
+ */
+export async function pickSaveFile(suggestedName) {
+    try {
+        return await window.showSaveFilePicker({ suggestedName });
+    } catch (err) {
+        if (err.name === 'AbortError') return null;
+        throw err;
+    }
+}
+
+/**
+ * Streams a ReadableStream into a file handle without buffering it in memory.
+ * @param {FileSystemFileHandle} handle
+ * @param {ReadableStream<Uint8Array>} stream
+ */
+export async function writeStreamToFile(handle, stream) {
+    const writable = await handle.createWritable();
+    // pipeTo closes the writable on success and aborts it on error
+    await stream.pipeTo(writable);
+}
+
+/**
+ * Starts a browser-managed download of a URL; the browser streams it to disk itself.
+ * @param {string} url
+ * @param {string} fileName - only honoured for same-origin and blob: URLs
+ */
+export function triggerUrlDownload(url, fileName) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', fileName);
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    link.parentNode.removeChild(link);
+}
+
+/**
+ * Builds a ZIP entry name relative to the prefix the selection was made in.
+ * @param {string} key
+ * @param {string} basePrefix
+ * @returns {string}
+ */
+export function toZipEntryName(key, basePrefix) {
+    return key.startsWith(basePrefix) ? key.slice(basePrefix.length) : key;
+}
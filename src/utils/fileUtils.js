@@ -4,6 +4,30 @@ const IMAGE_EXTENSIONS = new Set([
     'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'ico', 'tiff', 'tif', 'avif',
 ]);
 
+// Extension -> highlight.js language for the 'code' preview
+const CODE_LANGUAGES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    py: 'python', rb: 'ruby', go: 'go', rs: 'rust', java: 'java', kt: 'kotlin',
+    c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', php: 'php',
+    sh: 'bash', bash: 'bash', zsh: 'bash',
+    sql: 'sql', xml: 'xml', html: 'xml', htm: 'xml', svg: 'xml',
+    css: 'css', scss: 'scss',
+    yaml: 'yaml', yml: 'yaml', toml: 'ini', ini: 'ini', conf: 'ini', env: 'ini',
+    dockerfile: 'dockerfile',
+};
+
+// Files recognised by their whole name, as they have no extension
+const CODE_FILE_NAMES = {
+    dockerfile: 'dockerfile',
+};
+
+const getFileName = (key) => key.split('/').pop().toLowerCase();
+
+const TEXT_EXTENSIONS = new Set(['txt', 'log', 'text', 'out', 'err']);
+const CSV_EXTENSIONS = new Set(['csv', 'tsv']);
+const MARKDOWN_EXTENSIONS = new Set(['md', 'markdown']);
+
 const MIME_MAP = {
     jpg: 'image/jpeg',
     jpeg: 'image/jpeg',
@@ -17,28 +41,78 @@ const MIME_MAP = {
     tif: 'image/tiff',
     avif: 'image/avif',
     pdf: 'application/pdf',
+    json: 'application/json',
+    csv: 'text/csv',
+    tsv: 'text/tab-separated-values',
+    md: 'text/markdown',
+    markdown: 'text/markdown',
+    txt: 'text/plain',
+    log: 'text/plain',
+    html: 'text/html',
+    htm: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript',
+    mjs: 'text/javascript',
+    xml: 'application/xml',
+    yaml: 'application/yaml',
+    yml: 'application/yaml',
 };
 
 /**
- * Returns 'image', 'pdf', or null based on the file extension.
+ * Returns the preview type for a key based on its file extension, or null when it cannot be previewed.
+ * SVG is previewed as an image rather than as XML source.
  * @param {string} key
- * @returns {'image' | 'pdf' | null}
+ * @returns {'image' | 'pdf' | 'json' | 'csv' | 'markdown' | 'code' | 'text' | null}
  */
 export function getPreviewType(key) {
-    const ext = key.split('.').pop()?.toLowerCase();
-    if (!ext) return null;
+    const ext = getExtension(key);
+    if (!ext) return CODE_FILE_NAMES[getFileName(key)] ? 'code' : null;
     if (IMAGE_EXTENSIONS.has(ext)) return 'image';
     if (ext === 'pdf') return 'pdf';
+    if (ext === 'json') return 'json';
+    if (CSV_EXTENSIONS.has(ext)) return 'csv';
+    if (MARKDOWN_EXTENSIONS.has(ext)) return 'markdown';
+    if (CODE_LANGUAGES[ext]) return 'code';
+    if (TEXT_EXTENSIONS.has(ext)) return 'text';
     return null;
 }
 
+/**
+ * Whether a preview type is rendered from decoded text (and can therefore be loaded in ranges).
+ * @param {string|null} type
+ * @returns {boolean}
+ */
+export function isTextPreviewType(type) {
+    return type !== null && type !== 'image' && type !== 'pdf';
+}
+
+/**
+ * Returns the highlight.js language for a key, or undefined for plain text.
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+export function getCodeLanguage(key) {
+    const ext = getExtension(key);
+    return ext ? CODE_LANGUAGES[ext] : CODE_FILE_NAMES[getFileName(key)];
+}
+
+/**
+ * Returns the lowercase extension of a key, or '' when its file name has no dot (e.g. "Dockerfile" or "go").
+ * @param {string} key
+ * @returns {string}
+ */
+export function getExtension(key) {
+    const name = getFileName(key);
+    return name.includes('.') ? name.split('.').pop() : '';
+}
+
 /**
  * Returns the MIME type for a given S3 key.
  * @param {string} key
  * @returns {string}
  */
 export function getMimeType(key) {
-    const ext = key.split('.').pop()?.toLowerCase();
+    const ext = getExtension(key);
     return MIME_MAP[ext] ?? 'application/octet-stream';
 }
 
@@ -67,8 +141,10 @@ export function encodeS3Key(key) {
  * Creates a properly encoded CopySource string for S3 CopyObjectCommand.
  * @param {string} bucket
  * @param {string} key
+ * @param {string} [versionId] - copy a specific version instead of the latest one
  * @returns {string}
  */
-export function encodeCopySource(bucket, key) {
-    return `${encodeURIComponent(bucket)}/${encodeS3Key(key)}`;
+export function encodeCopySource(bucket, key, versionId) {
+    const source = `${encodeURIComponent(bucket)}/${encodeS3Key(key)}`;
+    return versionId ? `${source}?versionId=${encodeURIComponent(versionId)}` : source;
 }
@@ -0,0 +1,29 @@
+// S – single responsibility: human-readable formatting of values
+
+/**
+ * Formats a byte count with binary units, e.g. 1536 -> "1.5 KB".
+ * @param {number} bytes
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export const formatBytes = (bytes, decimals = 2) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+};
+
+/**
+ * Formats a duration in seconds, e.g. 3725 -> "1h 2m", 95 -> "1m 35s".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatDuration = (seconds) => {
+    if (!Number.isFinite(seconds) || seconds < 0) return '—';
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+    return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+};
@@ -0,0 +1,68 @@
+// S – single responsibility: keyboard shortcut definitions and key event helpers
+
+/**
+ * Shortcuts listed in the help overlay, grouped by where they apply.
+ * @type {Array<{ title: string, shortcuts: Array<{ keys: string[], description: string }> }>}
+ */
+export const SHORTCUT_GROUPS = [
+    {
+        title: 'Object table',
+        shortcuts: [
+            { keys: ['↑', '↓'], description: 'Move between rows' },
+            { keys: ['Home', 'End'], description: 'First or last row' },
+            { keys: ['PgUp', 'PgDn'], description: 'Move a page up or down' },
+            { keys: ['Enter'], description: 'Open the folder or preview the file' },
+            { keys: ['Backspace'], description: 'Go up a level' },
+            { keys: ['Space'], description: 'Select or deselect the row' },
+            { keys: ['Shift', '↑ / ↓'], description: 'Extend the selection' },
+            { keys: ['Shift', 'Click'], description: 'Select a range of rows' },
+            { keys: ['Ctrl / ⌘', 'Click'], description: 'Add or remove one row' },
+            { keys: ['Ctrl / ⌘', 'A'], description: 'Select all rows' },
+            { keys: ['Esc'], description: 'Clear the selection' },
+            { keys: ['Delete'], description: 'Delete the selection, or the focused row' },
+            { keys: ['F2'], description: 'Rename the focused row' },
+        ],
+    },
+    {
+        title: 'Grid view',
+        shortcuts: [
+            { keys: ['←', '→'], description: 'Move between tiles' },
+            { keys: ['↑', '↓'], description: 'Move a row up or down' },
+        ],
+    },
+    {
+        title: 'File preview',
+        shortcuts: [
+            { keys: ['←', '→'], description: 'Previous or next file' },
+            { keys: ['Esc'], description: 'Close the preview' },
+        ],
+    },
+    {
+        title: 'Anywhere',
+        shortcuts: [
+            { keys: ['/'], description: 'Focus the search box' },
+            { keys: ['?'], description: 'Show this help' },
+        ],
+    },
+];
+
+/**
+ * Whether a key event comes from a field that takes text, where shortcuts must not fire.
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+export function isEditableTarget(target) {
+    if (!(target instanceof HTMLElement)) return false;
+    if (target.isContentEditable) return true;
+    if (target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement) return true;
+    return target instanceof HTMLInputElement && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(target.type);
+}
+
+/**
+ * Whether Ctrl or ⌘ is held; either one works on every platform.
+ * @param {KeyboardEvent|MouseEvent|React.KeyboardEvent|React.MouseEvent} e
+ * @returns {boolean}
+ */
+export function isCommandKey(e) {
+    return e.metaKey || e.ctrlKey;
+}
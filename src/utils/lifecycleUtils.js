@@ -0,0 +1,138 @@
+// S – single responsibility: converting lifecycle rules to and from the editor's draft shape
+
+import { validateTags } from './metadataUtils';
+
+const MAX_RULE_ID_LENGTH = 255;
+
+/**
+ * @typedef {{
+ *   id: string, enabled: boolean, prefix: string, tags: Array<{key: string, value: string}>,
+ *   expirationDays: string, noncurrentDays: string, abortDays: string,
+ *   source: import('@aws-sdk/client-s3').LifecycleRule|null,
+ * }} RuleDraft
+ * Day counts are strings because they come straight from number inputs; "" means "not set".
+ * `source` keeps the original rule so settings the editor does not show (transitions,
+ * expiration dates, size filters) survive an edit.
+ */
+
+// Size conditions can sit at the top of the filter or inside And
+const getSizeConditions = (filter) => {
+    const scope = filter?.And ?? filter ?? {};
+    return { ObjectSizeGreaterThan: scope.ObjectSizeGreaterThan, ObjectSizeLessThan: scope.ObjectSizeLessThan };
+};
+
+/**
+ * @param {string} [prefix]
+ * @returns {RuleDraft}
+ */
+export function newRuleDraft(prefix = '') {
+    return {
+        id: prefix ? `expire-${prefix.replace(/\/$/, '').replace(/[^A-Za-z0-9._-]+/g, '-')}` : '',
+        enabled: true,
+        prefix,
+        tags: [],
+        expirationDays: '',
+        noncurrentDays: '',
+        abortDays: '',
+        source: null,
+    };
+}
+
+/**
+ * @param {import('@aws-sdk/client-s3').LifecycleRule} rule
+ * @returns {RuleDraft}
+ */
+export function toRuleDraft(rule) {
+    const filter = rule.Filter ?? {};
+    const tags = filter.And?.Tags ?? (filter.Tag ? [filter.Tag] : []);
+    const days = (value) => value === undefined || value === null ? '' : String(value);
+    return {
+        id: rule.ID ?? '',
+        enabled: rule.Status === 'Enabled',
+        // Rules written by old clients carry the prefix outside the filter
+        prefix: filter.And?.Prefix ?? filter.Prefix ?? rule.Prefix ?? '',
+        tags: tags.map(t => ({ key: t.Key, value: t.Value })),
+        expirationDays: days(rule.Expiration?.Days),
+        noncurrentDays: days(rule.NoncurrentVersionExpiration?.NoncurrentDays),
+        abortDays: days(rule.AbortIncompleteMultipartUpload?.DaysAfterInitiation),
+        source: rule,
+    };
+}
+
+/**
+ * @param {RuleDraft} draft
+ * @returns {import('@aws-sdk/client-s3').LifecycleRule}
+ */
+export function fromRuleDraft(draft) {
+    const source = { ...draft.source };
+    // The filter replaces the legacy top-level prefix
+    delete source.Prefix;
+    const tags = draft.tags.filter(t => t.key.trim()).map(t => ({ Key: t.key.trim(), Value: t.value }));
+    const sizes = getSizeConditions(source.Filter);
+    const sizeCount = Object.values(sizes).filter(v => v !== undefined).length;
+    const conditionCount = (draft.prefix ? 1 : 0) + tags.length + sizeCount;
+
+    let filter;
+    if (conditionCount > 1) {
+        filter = { And: { Prefix: draft.prefix || undefined, Tags: tags.length ? tags : undefined, ...sizes } };
+    } else if (tags.length === 1) {
+        filter = { Tag: tags[0] };
+    } else if (sizeCount === 1) {
+        filter = { ...sizes };
+    } else {
+        filter = { Prefix: draft.prefix };
+    }
+
+    // Keep an expiration the editor cannot show (a date or delete-marker cleanup) unless days replace it
+    const keepSourceExpiration = source.Expiration && source.Expiration.Days === undefined;
+    return {
+        ...source,
+        ID: draft.id.trim() || undefined,
+        Status: draft.enabled ? 'Enabled' : 'Disabled',
+        Filter: filter,
+        Expiration: draft.expirationDays ? { Days: Number(draft.expirationDays) } : keepSourceExpiration ? source.Expiration : undefined,
+        NoncurrentVersionExpiration: draft.noncurrentDays ? { NoncurrentDays: Number(draft.noncurrentDays) } : undefined,
+        AbortIncompleteMultipartUpload: draft.abortDays ? { DaysAfterInitiation: Number(draft.abortDays) } : undefined,
+    };
+}
+
+/**
+ * @param {RuleDraft} draft
+ * @param {RuleDraft[]} otherDrafts - the bucket's other rules, for the unique ID check
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateRuleDraft(draft, otherDrafts) {
+    const id = draft.id.trim();
+    if (id.length > MAX_RULE_ID_LENGTH) return `Rule IDs cannot be longer than ${MAX_RULE_ID_LENGTH} characters.`;
+    if (id && otherDrafts.some(d => d.id.trim() === id)) return `A rule with the ID "${id}" already exists.`;
+    const dayFields = [['expirationDays', 'Expiration'], ['noncurrentDays', 'Noncurrent version expiration'], ['abortDays', 'Abort incomplete uploads']];
+    for (const [field, label] of dayFields) {
+        const value = draft[field];
+        if (value !== '' && !(Number.isInteger(Number(value)) && Number(value) > 0)) return `${label} must be a whole number of days greater than 0.`;
+    }
+    const hasSourceOnlyAction = draft.source && (draft.source.Transitions?.length || draft.source.NoncurrentVersionTransitions?.length || (draft.source.Expiration && draft.source.Expiration.Days === undefined));
+    if (!draft.expirationDays && !draft.noncurrentDays && !draft.abortDays && !hasSourceOnlyAction) return 'Choose at least one action for the rule.';
+    const tagsError = validateTags(draft.tags);
+    if (tagsError) return tagsError;
+    // S3 rejects this combination because multipart uploads have no tags yet
+    if (draft.abortDays && draft.tags.some(t => t.key.trim())) return 'Aborting incomplete uploads cannot be combined with a tag filter.';
+    return null;
+}
+
+/**
+ * One-line summary of a rule's filter and actions for the rule list.
+ * @param {RuleDraft} draft
+ * @returns {{ scope: string, actions: string }}
+ */
+export function describeRuleDraft(draft) {
+    const tags = draft.tags.filter(t => t.key.trim()).map(t => `${t.key}=${t.value}`);
+    const scope = [draft.prefix ? `prefix "${draft.prefix}"` : 'whole bucket', ...tags.map(t => `tag ${t}`)].join(' · ');
+    const actions = [
+        draft.expirationDays && `expire after ${draft.expirationDays} days`,
+        !draft.expirationDays && draft.source?.Expiration?.Date && `expire on ${new Date(draft.source.Expiration.Date).toLocaleDateString()}`,
+        draft.noncurrentDays && `delete old versions after ${draft.noncurrentDays} days`,
+        draft.abortDays && `abort incomplete uploads after ${draft.abortDays} days`,
+        draft.source?.Transitions?.length && `${draft.source.Transitions.length} transition(s)`,
+    ].filter(Boolean);
+    return { scope, actions: actions.join(' · ') || 'no actions' };
+}
@@ -0,0 +1,62 @@
+// S – single responsibility: object metadata and tag shaping and validation
+
+/** System metadata fields that can be edited, keyed by their HeadObject/CopyObject parameter name. */
+export const EDITABLE_SYSTEM_METADATA = [
+    { field: 'ContentType', label: 'Content-Type' },
+    { field: 'CacheControl', label: 'Cache-Control' },
+    { field: 'ContentDisposition', label: 'Content-Disposition' },
+    { field: 'ContentEncoding', label: 'Content-Encoding' },
+    { field: 'ContentLanguage', label: 'Content-Language' },
+];
+
+const MAX_TAGS = 10;
+const MAX_TAG_KEY_LENGTH = 128;
+const MAX_TAG_VALUE_LENGTH = 256;
+const METADATA_KEY_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/;
+
+/**
+ * Converts a key/value object to editable rows.
+ * @param {Record<string, string>|undefined} record
+ * @returns {Array<{key: string, value: string}>}
+ */
+export function toPairs(record) {
+    return Object.entries(record || {}).map(([key, value]) => ({ key, value }));
+}
+
+/**
+ * Converts editable rows back to a key/value object, skipping rows without a key.
+ * @param {Array<{key: string, value: string}>} pairs
+ * @returns {Record<string, string>}
+ */
+export function fromPairs(pairs) {
+    return Object.fromEntries(pairs.filter(p => p.key.trim()).map(p => [p.key.trim(), p.value]));
+}
+
+/**
+ * Validates user metadata rows (sent as x-amz-meta-* headers).
+ * @param {Array<{key: string, value: string}>} pairs
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateUserMetadata(pairs) {
+    const keys = pairs.map(p => p.key.trim()).filter(Boolean);
+    if (new Set(keys).size !== keys.length) return 'Metadata keys must be unique.';
+    const invalid = keys.find(k => !METADATA_KEY_PATTERN.test(k));
+    if (invalid) return `Metadata key "${invalid}" may only contain lowercase letters, numbers, dots, hyphens and underscores.`;
+    const nonAscii = pairs.find(p => p.key.trim() && /[^\x20-\x7e]/.test(p.value));
+    if (nonAscii) return `Metadata value of "${nonAscii.key.trim()}" must be printable ASCII.`;
+    return null;
+}
+
+/**
+ * Validates tag rows against the S3 object tagging limits.
+ * @param {Array<{key: string, value: string}>} pairs
+ * @returns {string|null} An error message, or null when valid.
+ */
+export function validateTags(pairs) {
+    const keys = pairs.map(p => p.key.trim()).filter(Boolean);
+    if (keys.length > MAX_TAGS) return `An object can have at most ${MAX_TAGS} tags.`;
+    if (new Set(keys).size !== keys.length) return 'Tag keys must be unique.';
+    if (keys.some(k => k.length > MAX_TAG_KEY_LENGTH)) return `Tag keys cannot be longer than ${MAX_TAG_KEY_LENGTH} characters.`;
+    if (pairs.some(p => p.value.length > MAX_TAG_VALUE_LENGTH)) return `Tag values cannot be longer than ${MAX_TAG_VALUE_LENGTH} characters.`;
+    return null;
+}
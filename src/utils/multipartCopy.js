@@ -0,0 +1,104 @@
+// S – single responsibility: server-side copies of objects of any size
+// D – depends on the S3 client abstraction, not on a concrete implementation
+
+import {
+    CopyObjectCommand, HeadObjectCommand, CreateMultipartUploadCommand, UploadPartCopyCommand,
+    CompleteMultipartUploadCommand, AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import { encodeCopySource } from './fileUtils';
+import { mapWithConcurrency } from './asyncUtils';
+
+/** CopyObject rejects sources larger than 5 GiB; those are copied part by part. */
+export const MULTIPART_COPY_THRESHOLD = 5 * 1024 ** 3;
+
+const MIN_PART_SIZE = 512 * 1024 ** 2;
+const MAX_PARTS = 10000;
+const PART_CONCURRENCY = 4;
+
+/**
+ * @typedef {{ sourceBucket: string, sourceKey: string, targetBucket: string, targetKey: string, size: number }} CopySpec
+ */
+
+const copyMultipart = async (s3Client, { sourceBucket, sourceKey, targetBucket, targetKey, size }, abortSignal) => {
+    // Unlike CopyObject, a multipart upload does not inherit the source's headers
+    const head = await s3Client.send(new HeadObjectCommand({ Bucket: sourceBucket, Key: sourceKey }), { abortSignal });
+    const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: targetBucket,
+        Key: targetKey,
+        ContentType: head.ContentType,
+        ContentEncoding: head.ContentEncoding,
+        ContentDisposition: head.ContentDisposition,
+        ContentLanguage: head.ContentLanguage,
+        CacheControl: head.CacheControl,
+        Metadata: head.Metadata,
+        StorageClass: head.StorageClass,
+    }), { abortSignal });
+
+    try {
+        const partSize = Math.max(MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+        const ranges = Array.from({ length: Math.ceil(size / partSize) }, (_, i) => [i * partSize, Math.min(size, (i + 1) * partSize) - 1]);
+        const parts = await mapWithConcurrency(ranges, PART_CONCURRENCY, async ([start, end], i) => {
+            const { CopyPartResult } = await s3Client.send(new UploadPartCopyCommand({
+                Bucket: targetBucket,
+                Key: targetKey,
+                UploadId,
+                PartNumber: i + 1,
+                CopySource: encodeCopySource(sourceBucket, sourceKey),
+                // Guards against the source changing between the parts
+                CopySourceIfMatch: head.ETag,
+                CopySourceRange: `bytes=${start}-${end}`,
+            }), { abortSignal });
+            return { PartNumber: i + 1, ETag: CopyPartResult.ETag };
+        });
+        await s3Client.send(new CompleteMultipartUploadCommand({ Bucket: targetBucket, Key: targetKey, UploadId, MultipartUpload: { Parts: parts } }));
+    } catch (err) {
+        // Best effort: an upload that is never aborted keeps its parts stored until a lifecycle rule removes them
+        await s3Client.send(new AbortMultipartUploadCommand({ Bucket: targetBucket, Key: targetKey, UploadId })).catch(() => {});
+        throw err;
+    }
+};
+
+/**
+ * Copies one object on the server, part by part when it is too large for CopyObject.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {CopySpec} spec
+ * @param {AbortSignal} [abortSignal]
+ * @returns {Promise<{ isMultipart: boolean }>} how the copy was made, for isCopyVerified
+ */
+export async function copyObjectAnySize(s3Client, spec, abortSignal) {
+    if (spec.size > MULTIPART_COPY_THRESHOLD) {
+        await copyMultipart(s3Client, spec, abortSignal);
+        return { isMultipart: true };
+    }
+    await s3Client.send(new CopyObjectCommand({
+        Bucket: spec.targetBucket,
+        Key: spec.targetKey,
+        CopySource: encodeCopySource(spec.sourceBucket, spec.sourceKey),
+    }), { abortSignal });
+    return { isMultipart: false };
+}
+
+const KMS_ENCRYPTION = ['aws:kms', 'aws:kms:dsse'];
+
+// Only objects stored unencrypted or with SSE-S3 in a single request have the MD5 of their content as ETag
+const hasMd5Etag = (head) => Boolean(head.ETag) && !head.ETag.includes('-')
+    && !head.SSECustomerAlgorithm && !KMS_ENCRYPTION.includes(head.ServerSideEncryption);
+
+/**
+ * @typedef {{ ContentLength?: number, ETag?: string, ServerSideEncryption?: string, SSECustomerAlgorithm?: string }} ObjectHead
+ */
+
+/**
+ * Whether a copy matches its source. ETags are compared only after a single CopyObject between objects with
+ * the same non-KMS encryption; in every other case the ETags differ for identical content, so the sizes decide.
+ * @param {ObjectHead} sourceHead
+ * @param {ObjectHead} targetHead
+ * @param {{ isMultipart: boolean }} copy - what copyObjectAnySize returned
+ * @returns {boolean}
+ */
+export function isCopyVerified(sourceHead, targetHead, { isMultipart }) {
+    if (targetHead.ContentLength !== sourceHead.ContentLength) return false;
+    if (isMultipart || !hasMd5Etag(sourceHead) || !hasMd5Etag(targetHead)) return true;
+    if ((sourceHead.ServerSideEncryption ?? null) !== (targetHead.ServerSideEncryption ?? null)) return true;
+    return sourceHead.ETag === targetHead.ETag;
+}
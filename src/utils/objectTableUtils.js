@@ -0,0 +1,131 @@
+// S – single responsibility: columns, sorting and layout of the object table and grid views
+
+import { formatBytes } from './formatUtils';
+import { getExtension } from './fileUtils';
+
+export const MIN_COLUMN_WIDTH = 60;
+export const SELECT_COLUMN_WIDTH = 48;
+const ACTIONS_COLUMN_WIDTH = 120;
+/** Height of one row of tiles in the grid view; like table rows, it is fixed so the grid can be virtualized. */
+export const GRID_ROW_HEIGHT = 212;
+const GRID_TILE_MIN_WIDTH = 176;
+
+// Numeric collation makes "file10" sort after "file9"
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const baseName = (key) => key.replace(/\/$/, '').split('/').pop();
+
+/**
+ * @typedef {{
+ *   id: string, label: string, defaultWidth: number, optional: boolean,
+ *   value: (obj: object) => (string|number|undefined),
+ *   format: (obj: object) => string,
+ * }} TableColumn
+ * `value` is what the column sorts by; undefined values sort last in either direction.
+ */
+
+/** @type {TableColumn[]} */
+export const TABLE_COLUMNS = [
+    { id: 'name', label: 'Name', defaultWidth: 360, optional: false, value: obj => obj.Key, format: obj => obj.Key },
+    {
+        id: 'size', label: 'Size', defaultWidth: 120, optional: false,
+        value: obj => obj.isFolder || obj.isDeleteMarker ? undefined : obj.Size,
+        format: obj => obj.isFolder || obj.isDeleteMarker ? '' : formatBytes(obj.Size),
+    },
+    {
+        id: 'lastModified', label: 'Last Modified', defaultWidth: 200, optional: false,
+        value: obj => obj.isFolder || !obj.LastModified ? undefined : new Date(obj.LastModified).getTime(),
+        format: obj => obj.isFolder || !obj.LastModified ? '' : new Date(obj.LastModified).toLocaleString(),
+    },
+    {
+        id: 'etag', label: 'ETag', defaultWidth: 260, optional: true,
+        value: obj => obj.ETag?.replace(/"/g, ''),
+        format: obj => obj.ETag?.replace(/"/g, '') ?? '',
+    },
+    {
+        id: 'storageClass', label: 'Storage Class', defaultWidth: 140, optional: true,
+        value: obj => obj.StorageClass,
+        format: obj => obj.StorageClass ?? '',
+    },
+    {
+        // ListObjectsV2 only returns owners when the request sets FetchOwner
+        id: 'owner', label: 'Owner', defaultWidth: 160, optional: true,
+        value: obj => obj.Owner?.DisplayName || obj.Owner?.ID,
+        format: obj => obj.Owner?.DisplayName || obj.Owner?.ID || '',
+    },
+    {
+        id: 'extension', label: 'Extension', defaultWidth: 110, optional: true,
+        value: obj => obj.isFolder || !baseName(obj.Key).includes('.') ? undefined : getExtension(obj.Key),
+        format: obj => obj.isFolder || !baseName(obj.Key).includes('.') ? '' : getExtension(obj.Key),
+    },
+];
+
+/** @typedef {{ column: string, direction: 'asc'|'desc' }} TableSort */
+
+/** @type {TableSort} */
+export const DEFAULT_SORT = { column: 'name', direction: 'asc' };
+
+/**
+ * Reads the `sort` search param: a column id, prefixed with "-" for descending order.
+ * @param {string|null} param
+ * @returns {TableSort|null} null for a missing or unknown column
+ */
+export function parseSort(param) {
+    if (!param) return null;
+    const descending = param.startsWith('-');
+    const column = descending ? param.slice(1) : param;
+    if (!TABLE_COLUMNS.some(c => c.id === column)) return null;
+    return { column, direction: descending ? 'desc' : 'asc' };
+}
+
+/**
+ * @param {TableSort} sort
+ * @returns {string}
+ */
+export function formatSort(sort) {
+    return sort.direction === 'desc' ? `-${sort.column}` : sort.column;
+}
+
+const compareValues = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return naturalCollator.compare(String(a), String(b));
+};
+
+/**
+ * Sorts a listing without reordering it in place. The sort is stable, so the versions of one key keep
+ * their newest-first order and ties keep the order S3 returned them in.
+ * @param {Array<object>} objects
+ * @param {TableSort} sort
+ * @param {boolean} foldersFirst - keeps folders above files; otherwise they sort in among them
+ * @returns {Array<object>}
+ */
+export function sortObjects(objects, sort, foldersFirst) {
+    const column = TABLE_COLUMNS.find(c => c.id === sort.column) ?? TABLE_COLUMNS[0];
+    const sign = sort.direction === 'desc' ? -1 : 1;
+    return [...objects].sort((a, b) => {
+        if (foldersFirst && a.isFolder !== b.isFolder) return a.isFolder ? -1 : 1;
+        const va = column.value(a);
+        const vb = column.value(b);
+        if (va === undefined || vb === undefined) return va === vb ? 0 : va === undefined ? 1 : -1;
+        return sign * compareValues(va, vb);
+    });
+}
+
+/**
+ * Width the table needs for the given columns; a narrower viewport scrolls horizontally.
+ * @param {TableColumn[]} columns
+ * @param {Record<string, number>} widths
+ * @returns {number}
+ */
+export function getTableWidth(columns, widths) {
+    return SELECT_COLUMN_WIDTH + ACTIONS_COLUMN_WIDTH + columns.reduce((sum, c) => sum + widths[c.id], 0);
+}
+
+/**
+ * How many tiles fit next to each other in the grid view.
+ * @param {number} width - of the scroll container, in pixels
+ * @returns {number}
+ */
+export function getGridColumnCount(width) {
+    return Math.max(1, Math.floor(width / GRID_TILE_MIN_WIDTH));
+}
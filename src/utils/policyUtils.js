@@ -0,0 +1,126 @@
+// S – single responsibility: building, validating and evaluating S3 bucket policies
+
+const POLICY_VERSIONS = ['2012-10-17', '2008-10-17'];
+
+/** Presets offered by the policy editor. "private" removes the bucket policy. */
+export const POLICY_PRESETS = [
+    { id: 'private', label: 'Private', description: 'No anonymous access. Removes the bucket policy.' },
+    { id: 'public-read', label: 'Public read', description: 'Anyone can download every object, but not list the bucket.' },
+    { id: 'public-read-prefix', label: 'Public read on a prefix', description: 'Anyone can download objects under one prefix.' },
+    { id: 'upload-only', label: 'Upload only', description: 'Anyone can upload objects, but not list or download them.' },
+];
+
+const bucketArn = (bucket) => `arn:aws:s3:::${bucket}`;
+
+const allowAnonymous = (actions, resources) => ({
+    Effect: 'Allow',
+    Principal: { AWS: ['*'] },
+    Action: actions,
+    Resource: resources,
+});
+
+/**
+ * Builds the policy document for a preset.
+ * @param {string} presetId - one of POLICY_PRESETS
+ * @param {string} bucket
+ * @param {string} [prefix] - only used by "public-read-prefix"
+ * @returns {object|null} null for "private"
+ */
+export function buildPresetPolicy(presetId, bucket, prefix = '') {
+    const arn = bucketArn(bucket);
+    switch (presetId) {
+        case 'public-read':
+            return { Version: '2012-10-17', Statement: [allowAnonymous(['s3:GetObject'], [`${arn}/*`])] };
+        case 'public-read-prefix':
+            return { Version: '2012-10-17', Statement: [allowAnonymous(['s3:GetObject'], [`${arn}/${prefix}*`])] };
+        case 'upload-only':
+            return {
+                Version: '2012-10-17',
+                Statement: [
+                    allowAnonymous(['s3:ListBucketMultipartUploads'], [arn]),
+                    allowAnonymous(['s3:PutObject', 's3:AbortMultipartUpload', 's3:ListMultipartUploadParts'], [`${arn}/*`]),
+                ],
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parses and validates the text of the raw policy editor. Empty text means "no policy".
+ * @param {string} text
+ * @param {string} bucket - every Resource must belong to this bucket
+ * @returns {{ policy: object|null, error: string|null }}
+ */
+export function parsePolicy(text, bucket) {
+    if (!text.trim()) return { policy: null, error: null };
+    let policy;
+    try {
+        policy = JSON.parse(text);
+    } catch (err) {
+        return { policy: null, error: `Invalid JSON: ${err.message}` };
+    }
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return { policy: null, error: 'The policy must be a JSON object.' };
+    if (!POLICY_VERSIONS.includes(policy.Version)) return { policy: null, error: `"Version" must be "${POLICY_VERSIONS[0]}".` };
+    const statements = [].concat(policy.Statement ?? []);
+    if (statements.length === 0) return { policy: null, error: 'The policy needs at least one entry in "Statement".' };
+
+    for (const [i, statement] of statements.entries()) {
+        const name = statement?.Sid ? `Statement "${statement.Sid}"` : `Statement ${i + 1}`;
+        if (!statement || typeof statement !== 'object') return { policy: null, error: `${name} must be an object.` };
+        if (!['Allow', 'Deny'].includes(statement.Effect)) return { policy: null, error: `${name}: "Effect" must be "Allow" or "Deny".` };
+        if (!statement.Principal && !statement.NotPrincipal) return { policy: null, error: `${name}: bucket policies need a "Principal".` };
+        if (!statement.Action && !statement.NotAction) return { policy: null, error: `${name} needs an "Action".` };
+        const resources = [].concat(statement.Resource ?? statement.NotResource ?? []);
+        if (resources.length === 0) return { policy: null, error: `${name} needs a "Resource".` };
+        const foreign = resources.find(r => r !== bucketArn(bucket) && !String(r).startsWith(`${bucketArn(bucket)}/`));
+        if (foreign) return { policy: null, error: `${name}: resource "${foreign}" is not in bucket "${bucket}".` };
+    }
+    return { policy, error: null };
+}
+
+// IAM wildcards: "*" matches any run of characters, "?" exactly one
+const matchesWildcard = (pattern, value, ignoreCase) => {
+    const source = String(pattern).split('').map(c => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('');
+    return new RegExp(`^${source}$`, ignoreCase ? 'i' : '').test(value);
+};
+
+const isAnonymousPrincipal = (principal) => principal === '*' || [].concat(principal?.AWS ?? []).includes('*');
+
+const getStatements = (policy) => [].concat(policy?.Statement ?? []);
+
+/**
+ * True when the policy grants anything at all to anonymous users.
+ * @param {object|null|undefined} policy
+ * @returns {boolean}
+ */
+export function hasAnonymousAccess(policy) {
+    return getStatements(policy).some(s => s.Effect === 'Allow' && isAnonymousPrincipal(s.Principal));
+}
+
+/**
+ * Evaluates whether an anonymous GET of the object is allowed by the bucket policy.
+ * Statements with conditions or Not* elements are not evaluated, so such grants count as "not reachable".
+ * @param {object|null} policy
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isObjectAnonymouslyReadable(policy, bucket, key) {
+    const resource = `${bucketArn(bucket)}/${key}`;
+    const applies = (s) => isAnonymousPrincipal(s.Principal)
+        && [].concat(s.Action ?? []).some(a => matchesWildcard(a, 's3:GetObject', true))
+        && [].concat(s.Resource ?? []).some(r => matchesWildcard(r, resource, false));
+    const statements = getStatements(policy);
+    if (statements.some(s => s.Effect === 'Deny' && applies(s))) return false;
+    return statements.some(s => s.Effect === 'Allow' && !s.Condition && applies(s));
+}
+
+/**
+ * Pretty-prints a policy for the editor.
+ * @param {object|null} policy
+ * @returns {string}
+ */
+export function formatPolicy(policy) {
+    return policy ? JSON.stringify(policy, null, 2) : '';
+}
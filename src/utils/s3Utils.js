@@ -0,0 +1,169 @@
+// S – single responsibility: small S3 request helpers shared by hooks
+
+import { HeadObjectCommand, ListObjectsV2Command, ListObjectVersionsCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { getRenamedKey } from './uploadUtils';
+
+// S3 DeleteObjectsCommand supports max 1000 objects per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Whether an object exists. Only a 404 counts as "missing"; other errors are rethrown.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<boolean>}
+ */
+export async function objectExists(s3Client, bucket, key) {
+    try {
+        await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+    } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+    }
+}
+
+/**
+ * Whether anything is stored below a prefix. Asks for a single key rather than listing the whole prefix.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string} prefix
+ * @returns {Promise<boolean>}
+ */
+export async function prefixHasObjects(s3Client, bucket, prefix) {
+    const resp = await s3Client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, MaxKeys: 1 }));
+    return (resp.Contents?.length ?? 0) > 0;
+}
+
+/**
+ * Finds the first "name (n).ext" variant of a key that neither exists in the bucket nor is already taken.
+ * A folder key ("photos/") becomes "photos (n)/" and counts as free when nothing is stored below it.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string} key
+ * @param {Set<string>} takenKeys - keys already claimed by the same batch; the result is added to it
+ * @returns {Promise<string>}
+ */
+export async function findAvailableKey(s3Client, bucket, key, takenKeys) {
+    const isFolder = key.endsWith('/');
+    for (let n = 1; ; n++) {
+        const candidate = isFolder ? `${key.slice(0, -1)} (${n})/` : getRenamedKey(key, n);
+        if (takenKeys.has(candidate)) continue;
+        const isTaken = isFolder ? await prefixHasObjects(s3Client, bucket, candidate) : await objectExists(s3Client, bucket, candidate);
+        if (!isTaken) {
+            takenKeys.add(candidate);
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Lists every key below a prefix, following continuation tokens.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string} prefix
+ * @returns {Promise<string[]>}
+ */
+export async function listAllKeys(s3Client, bucket, prefix) {
+    const keys = [];
+    let continuationToken;
+    do {
+        const resp = await s3Client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken }));
+        if (resp.Contents) keys.push(...resp.Contents.map(c => c.Key));
+        continuationToken = resp.NextContinuationToken;
+    } while (continuationToken);
+    return keys;
+}
+
+/**
+ * Lists every object below a prefix with its size and ETag, following continuation tokens.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string} prefix
+ * @param {AbortSignal} [abortSignal]
+ * @returns {Promise<Array<{ key: string, size: number, etag?: string }>>}
+ */
+export async function listAllObjects(s3Client, bucket, prefix, abortSignal) {
+    const objects = [];
+    let continuationToken;
+    do {
+        const resp = await s3Client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken }), { abortSignal });
+        objects.push(...(resp.Contents || []).map(c => ({ key: c.Key, size: c.Size ?? 0, etag: c.ETag })));
+        continuationToken = resp.NextContinuationToken;
+    } while (continuationToken);
+    return objects;
+}
+
+/**
+ * Lists every version and delete marker below a prefix, following the key and version id markers.
+ * Buckets that were never versioned answer with one "null" version per object.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string} prefix
+ * @returns {Promise<Array<{ Key: string, VersionId?: string }>>}
+ */
+export async function listAllVersions(s3Client, bucket, prefix) {
+    const versions = [];
+    let keyMarker;
+    let versionIdMarker;
+    do {
+        const resp = await s3Client.send(new ListObjectVersionsCommand({ Bucket: bucket, Prefix: prefix, KeyMarker: keyMarker, VersionIdMarker: versionIdMarker }));
+        versions.push(...[...(resp.Versions || []), ...(resp.DeleteMarkers || [])].map(v => ({ Key: v.Key, VersionId: v.VersionId })));
+        keyMarker = resp.IsTruncated ? resp.NextKeyMarker : undefined;
+        versionIdMarker = resp.IsTruncated ? resp.NextVersionIdMarker : undefined;
+    } while (keyMarker);
+    return versions;
+}
+
+/**
+ * Deletes keys in batches of the largest size S3 accepts. DeleteObjects answers 200 even when some
+ * keys were not deleted, so every batch runs and the keys left behind are reported together at the end.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string[]} keys
+ * @param {AbortSignal} [abortSignal]
+ * @throws an error named 'DeleteIncomplete' whose `failures` lists the keys that were not deleted, or the S3 error
+ */
+export async function deleteKeys(s3Client, bucket, keys, abortSignal) {
+    const failures = [];
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        failures.push(...await deleteKeyBatch(s3Client, bucket, keys.slice(i, i + DELETE_BATCH_SIZE), abortSignal));
+    }
+    if (failures.length === 0) return;
+    const error = new Error(`${failures.length} object(s) could not be deleted.`);
+    error.name = 'DeleteIncomplete';
+    error.failures = failures;
+    throw error;
+}
+
+/**
+ * Deletes up to 1000 keys in one request and reports the keys S3 could not delete.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {string[]} keys
+ * @param {AbortSignal} [abortSignal]
+ * @returns {Promise<Array<{ key: string, error: string }>>}
+ */
+export async function deleteKeyBatch(s3Client, bucket, keys, abortSignal) {
+    const resp = await s3Client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.map(Key => ({ Key })) },
+    }), { abortSignal });
+    return (resp.Errors || []).map(e => ({ key: e.Key, error: e.Code || 'DeleteFailed' }));
+}
+
+/**
+ * Deletes up to 1000 versions or delete markers by id in one request and reports the ones S3 could not delete.
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client
+ * @param {string} bucket
+ * @param {Array<{ Key: string, VersionId?: string }>} versions
+ * @param {AbortSignal} [abortSignal]
+ * @returns {Promise<Array<{ key: string, versionId?: string, error: string }>>}
+ */
+export async function deleteVersionBatch(s3Client, bucket, versions, abortSignal) {
+    const resp = await s3Client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: versions.map(({ Key, VersionId }) => ({ Key, VersionId })) },
+    }), { abortSignal });
+    return (resp.Errors || []).map(e => ({ key: e.Key, versionId: e.VersionId, error: e.Code || 'DeleteFailed' }));
+}
@@ -0,0 +1,106 @@
+// S – single responsibility: turning recursive search criteria into object predicates
+
+import { getExtension } from './fileUtils';
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Converts a glob to a RegExp: "*" and "?" stay within one path segment, "**" crosses "/".
+ * @param {string} glob
+ * @param {boolean} caseSensitive
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob, caseSensitive) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" also matches zero folders
+            if (glob[i + 2] === '/') { source += '(?:.*/)?'; i += 2; }
+            else { source += '.*'; i++; }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, caseSensitive ? '' : 'i');
+}
+
+/**
+ * Builds the key predicate for a search.
+ * A glob without "/" is matched against the file name, so "*.log" finds logs at any depth;
+ * otherwise it is matched against the key relative to the search root.
+ * @param {{ pattern: string, mode: 'contains'|'glob'|'regex', caseSensitive: boolean }} criteria
+ * @param {string} rootPrefix
+ * @returns {(key: string) => boolean}
+ * @throws {SyntaxError} for an invalid regular expression
+ */
+export function buildKeyMatcher({ pattern, mode, caseSensitive }, rootPrefix) {
+    if (!pattern) return () => true;
+    if (mode === 'regex') {
+        const regex = new RegExp(pattern, caseSensitive ? '' : 'i');
+        return key => regex.test(key);
+    }
+    if (mode === 'glob') {
+        const regex = globToRegExp(pattern, caseSensitive);
+        const matchName = !pattern.includes('/');
+        return key => regex.test(matchName ? key.split('/').pop() : key.slice(rootPrefix.length));
+    }
+    const needle = caseSensitive ? pattern : pattern.toLowerCase();
+    return key => (caseSensitive ? key : key.toLowerCase()).includes(needle);
+}
+
+/**
+ * Converts an amount in the given unit to bytes; empty input means "no limit".
+ * @param {string} amount
+ * @param {keyof SIZE_UNITS} unit
+ * @returns {number|null}
+ */
+export function toBytes(amount, unit) {
+    if (amount === '' || amount === null || amount === undefined) return null;
+    const n = Number(amount);
+    return Number.isFinite(n) ? n * (SIZE_UNITS[unit] ?? 1) : null;
+}
+
+export const SIZE_UNIT_OPTIONS = Object.keys(SIZE_UNITS);
+
+/**
+ * Builds the full predicate for listed objects: key pattern plus size, date and extension filters.
+ * @param {{
+ *   pattern: string, mode: 'contains'|'glob'|'regex', caseSensitive: boolean,
+ *   minSize: number|null, maxSize: number|null,
+ *   modifiedAfter: string, modifiedBefore: string,
+ *   extensions: string,
+ * }} criteria - dates as yyyy-mm-dd, extensions comma separated
+ * @param {string} rootPrefix
+ * @returns {(object: import('@aws-sdk/client-s3')._Object) => boolean}
+ */
+export function buildObjectFilter(criteria, rootPrefix) {
+    const matchesKey = buildKeyMatcher(criteria, rootPrefix);
+    const after = criteria.modifiedAfter ? new Date(`${criteria.modifiedAfter}T00:00:00`) : null;
+    // The "before" day is inclusive
+    const before = criteria.modifiedBefore ? new Date(`${criteria.modifiedBefore}T23:59:59.999`) : null;
+    const extensions = new Set(criteria.extensions.split(',').map(e => e.trim().replace(/^\./, '').toLowerCase()).filter(Boolean));
+
+    return (obj) => {
+        if (obj.Key.endsWith('/')) return false;
+        if (criteria.minSize !== null && obj.Size < criteria.minSize) return false;
+        if (criteria.maxSize !== null && obj.Size > criteria.maxSize) return false;
+        if (after && new Date(obj.LastModified) < after) return false;
+        if (before && new Date(obj.LastModified) > before) return false;
+        if (extensions.size > 0 && !extensions.has(getExtension(obj.Key))) return false;
+        return matchesKey(obj.Key);
+    };
+}
+
+/**
+ * Returns the folder prefix that contains a key ("a/b/c.txt" -> "a/b/").
+ * @param {string} key
+ * @returns {string}
+ */
+export function getParentPrefix(key) {
+    return key.slice(0, key.lastIndexOf('/') + 1);
+}
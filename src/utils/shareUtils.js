@@ -0,0 +1,33 @@
+// S – single responsibility: presigned share link parameters
+
+/** SigV4 presigned URLs cannot outlive 7 days. */
+export const MAX_PRESIGN_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+export const EXPIRY_UNITS = {
+    minutes: 60,
+    hours: 60 * 60,
+    days: 24 * 60 * 60,
+};
+
+/**
+ * Converts an expiry amount and unit to seconds.
+ * @param {number} amount
+ * @param {keyof EXPIRY_UNITS} unit
+ * @returns {number}
+ */
+export function toExpirySeconds(amount, unit) {
+    return Math.round(amount * (EXPIRY_UNITS[unit] ?? 60));
+}
+
+/**
+ * Builds a Content-Disposition header value.
+ * The plain filename is ASCII-only; filename* carries the exact UTF-8 name (RFC 6266).
+ * @param {'inline'|'attachment'} type
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function buildContentDisposition(type, fileName) {
+    if (!fileName) return type;
+    const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
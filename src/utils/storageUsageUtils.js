@@ -0,0 +1,109 @@
+// S – single responsibility: aggregating listed objects into a storage usage report
+
+import { getExtension } from './fileUtils';
+
+/** How many of the largest objects a report keeps. */
+export const LARGEST_OBJECTS_LIMIT = 100;
+// Reports are cached, so a prefix with thousands of sub-prefixes keeps the largest ones and sums up the rest
+const MAX_REPORTED_PREFIXES = 200;
+const MAX_REPORTED_EXTENSIONS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Age ranges by last modification, youngest first. */
+export const AGE_BUCKETS = [
+    { label: 'Last 7 days', maxDays: 7 },
+    { label: '7–30 days', maxDays: 30 },
+    { label: '30–90 days', maxDays: 90 },
+    { label: '90 days – 1 year', maxDays: 365 },
+    { label: 'Over a year', maxDays: Infinity },
+];
+
+/**
+ * @typedef {{ name: string, bytes: number, count: number }} UsageGroup
+ * @typedef {{
+ *   bucket: string, prefix: string, computedAt: number,
+ *   totalBytes: number, objectCount: number,
+ *   prefixes: UsageGroup[], otherPrefixes: UsageGroup|null, rootFiles: UsageGroup,
+ *   extensions: UsageGroup[], ages: UsageGroup[],
+ *   largest: Array<{ key: string, size: number, lastModified?: string }>,
+ * }} UsageReport
+ * `prefixes` are the direct sub-prefixes of `prefix` (largest first, names without the parent prefix);
+ * `rootFiles` counts the objects directly under `prefix`. `extensions` are the largest ones; '' groups names without one.
+ */
+
+const addTo = (groups, name, size) => {
+    const group = groups.get(name) ?? { name, bytes: 0, count: 0 };
+    group.bytes += size;
+    group.count += 1;
+    groups.set(name, group);
+};
+
+const bySizeDesc = (a, b) => b.bytes - a.bytes;
+
+/**
+ * Starts an empty report for objects listed below `prefix`; feed it pages with `addObjects`.
+ * @param {string} bucket
+ * @param {string} prefix
+ */
+export function createUsageAccumulator(bucket, prefix) {
+    let totalBytes = 0;
+    let objectCount = 0;
+    const prefixes = new Map();
+    const extensions = new Map();
+    const ages = new Map(AGE_BUCKETS.map(b => [b.label, { name: b.label, bytes: 0, count: 0 }]));
+    const rootFiles = { name: '', bytes: 0, count: 0 };
+    let largest = [];
+    const now = Date.now();
+
+    return {
+        /** @param {Array<{ Key: string, Size?: number, LastModified?: Date|string }>} objects - one listing page */
+        addObjects(objects) {
+            for (const object of objects) {
+                const size = object.Size ?? 0;
+                totalBytes += size;
+                objectCount += 1;
+
+                const rest = object.Key.slice(prefix.length);
+                const slash = rest.indexOf('/');
+                if (slash === -1) {
+                    rootFiles.bytes += size;
+                    rootFiles.count += 1;
+                } else {
+                    addTo(prefixes, rest.slice(0, slash + 1), size);
+                }
+
+                const name = rest.split('/').pop();
+                // Folder markers and extension-less names share one group
+                addTo(extensions, name.includes('.') ? getExtension(name) : '', size);
+
+                const ageDays = object.LastModified ? (now - new Date(object.LastModified).getTime()) / DAY_MS : 0;
+                addTo(ages, AGE_BUCKETS.find(b => ageDays < b.maxDays).label, size);
+
+                largest.push({ key: object.Key, size, lastModified: object.LastModified ? new Date(object.LastModified).toISOString() : undefined });
+            }
+            // Trimming per page keeps the candidates bounded without sorting on every object
+            if (largest.length > LARGEST_OBJECTS_LIMIT * 2) largest = largest.sort((a, b) => b.size - a.size).slice(0, LARGEST_OBJECTS_LIMIT);
+        },
+
+        /** @returns {UsageReport} */
+        finish() {
+            const sortedPrefixes = [...prefixes.values()].sort(bySizeDesc);
+            const rest = sortedPrefixes.slice(MAX_REPORTED_PREFIXES);
+            return {
+                bucket,
+                prefix,
+                computedAt: Date.now(),
+                totalBytes,
+                objectCount,
+                prefixes: sortedPrefixes.slice(0, MAX_REPORTED_PREFIXES),
+                otherPrefixes: rest.length > 0
+                    ? { name: `${rest.length} more`, bytes: rest.reduce((sum, g) => sum + g.bytes, 0), count: rest.reduce((sum, g) => sum + g.count, 0) }
+                    : null,
+                rootFiles,
+                extensions: [...extensions.values()].sort(bySizeDesc).slice(0, MAX_REPORTED_EXTENSIONS),
+                ages: [...ages.values()],
+                largest: largest.sort((a, b) => b.size - a.size).slice(0, LARGEST_OBJECTS_LIMIT),
+            };
+        },
+    };
+}
@@ -0,0 +1,96 @@
+// S – single responsibility: creating thumbnails and keeping them in IndexedDB between sessions
+
+const DB_NAME = 'minio-explorer-thumbnails';
+const STORE_NAME = 'thumbnails';
+/** Longest edge of a thumbnail in pixels. */
+export const THUMBNAIL_SIZE = 256;
+// The oldest stored thumbnails are deleted beyond this many
+const MAX_STORED_THUMBNAILS = 5000;
+
+let dbPromise = null;
+
+// Resolves to null where IndexedDB is unavailable (e.g. some private windows); thumbnails then live in memory only
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            try {
+                const request = window.indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('storedAt', 'storedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    }
+    return dbPromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {string} id
+ * @returns {Promise<Blob|null>}
+ */
+export async function readStoredThumbnail(id) {
+    const db = await openDb();
+    if (!db) return null;
+    try {
+        const record = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(id));
+        return record?.blob ?? null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Stores a thumbnail and trims the store to its size limit. Failures (e.g. a full quota) are ignored.
+ * @param {string} id
+ * @param {Blob} blob
+ */
+export async function storeThumbnail(id, blob) {
+    const db = await openDb();
+    if (!db) return;
+    try {
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await requestToPromise(store.put({ id, blob, storedAt: Date.now() }));
+        const count = await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).count());
+        if (count <= MAX_STORED_THUMBNAILS) return;
+        const cursorRequest = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).index('storedAt').openCursor();
+        let excess = count - MAX_STORED_THUMBNAILS;
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || excess-- <= 0) return;
+            cursor.delete();
+            cursor.continue();
+        };
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+/**
+ * Scales an image down to THUMBNAIL_SIZE on its longest edge. SVGs are vector images and are used as they are.
+ * @param {Blob} blob - the full image
+ * @returns {Promise<Blob>}
+ */
+export async function createThumbnailBlob(blob) {
+    if (blob.type === 'image/svg+xml') return blob;
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return new Promise((resolve, reject) => {
+        // Browsers without WebP encoding fall back to PNG, which is still far smaller than most originals
+        canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not encode the thumbnail.'))), 'image/webp', 0.8);
+    });
+}
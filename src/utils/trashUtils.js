@@ -0,0 +1,52 @@
+// S – single responsibility: naming and parsing of recycle-bin keys
+
+/** Hidden prefix that holds deleted objects in buckets without versioning. */
+export const TRASH_PREFIX = '.trash/';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A deletion id starts with its timestamp, so trash listings sort oldest first and the age is readable from the key.
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function createDeletionId(now = Date.now()) {
+    return `${now}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {string} deletionId
+ * @param {string} key - the original key
+ * @returns {string}
+ */
+export function buildTrashKey(deletionId, key) {
+    return `${TRASH_PREFIX}${deletionId}/${key}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isTrashKey(key) {
+    return key.startsWith(TRASH_PREFIX);
+}
+
+/**
+ * @param {string} trashKey
+ * @returns {{ deletionId: string, deletedAt: number, originalKey: string }|null} null for keys not written by the recycle bin
+ */
+export function parseTrashKey(trashKey) {
+    const match = /^\.trash\/((\d+)-[a-z0-9]+)\/(.+)$/.exec(trashKey);
+    if (!match) return null;
+    return { deletionId: match[1], deletedAt: Number(match[2]), originalKey: match[3] };
+}
+
+/**
+ * @param {number} deletedAt
+ * @param {number} purgeAfterDays - 0 keeps deleted objects forever
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isTrashExpired(deletedAt, purgeAfterDays, now = Date.now()) {
+    return purgeAfterDays > 0 && now - deletedAt > purgeAfterDays * DAY_MS;
+}
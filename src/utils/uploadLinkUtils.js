@@ -0,0 +1,151 @@
+// S – single responsibility: upload link parameters, their encoding in the page URL, and the browser POST upload
+
+import { getMimeType } from './fileUtils';
+
+/** Route of the standalone upload page. */
+export const UPLOAD_PAGE_PATH = '/upload';
+
+/** S3 rejects POST uploads larger than 5 GB. */
+export const MAX_POST_UPLOAD_BYTES = 5 * 1024 ** 3;
+
+export const SIZE_UNITS = {
+    MB: 1024 ** 2,
+    GB: 1024 ** 3,
+};
+
+const CONTENT_TYPE_PATTERN = /^[\w.+-]+\/(\*|[\w.+-]+)$/;
+
+/**
+ * @typedef {{ contentType: string|null, fields: Record<string, string> }} UploadPolicy
+ * One signed policy per allowed content type; `contentType` is null when any type is allowed.
+ *
+ * @typedef {{
+ *   url: string,
+ *   bucket: string,
+ *   prefix: string,
+ *   maxSizeBytes: number,
+ *   expiresAt: number,
+ *   policies: UploadPolicy[],
+ * }} UploadLink
+ */
+
+/**
+ * Splits a comma- or space-separated list such as "image/*, application/pdf".
+ * @param {string} text
+ * @returns {{ contentTypes: string[], invalid: string[] }}
+ */
+export function parseContentTypes(text) {
+    const entries = [...new Set(text.split(/[\s,]+/).map(t => t.trim().toLowerCase()).filter(Boolean))];
+    return {
+        contentTypes: entries.filter(t => CONTENT_TYPE_PATTERN.test(t)),
+        invalid: entries.filter(t => !CONTENT_TYPE_PATTERN.test(t)),
+    };
+}
+
+/**
+ * A policy condition matches a single value, so every allowed type gets its own policy. "image/*" becomes a
+ * prefix match; no type at all still needs a condition, as S3 rejects form fields the policy does not mention.
+ * @param {string|null} contentType
+ * @returns {Array<string>}
+ */
+export function buildContentTypeCondition(contentType) {
+    if (!contentType) return ['starts-with', '$Content-Type', ''];
+    if (contentType.endsWith('/*')) return ['starts-with', '$Content-Type', contentType.slice(0, -1)];
+    return ['eq', '$Content-Type', contentType];
+}
+
+/**
+ * The Content-Type a file is sent with: what the browser reports, else a guess from its extension.
+ * @param {File} file
+ * @returns {string}
+ */
+export function getUploadContentType(file) {
+    return file.type || getMimeType(file.name);
+}
+
+/**
+ * @param {UploadLink} link
+ * @param {string} contentType
+ * @returns {UploadPolicy|null} the policy that allows the type, or null
+ */
+export function findUploadPolicy(link, contentType) {
+    return link.policies.find(({ contentType: allowed }) =>
+        !allowed || (allowed.endsWith('/*') ? contentType.startsWith(allowed.slice(0, -1)) : contentType === allowed),
+    ) ?? null;
+}
+
+const toBase64Url = (text) => {
+    const binary = Array.from(new TextEncoder().encode(text), b => String.fromCharCode(b)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+/**
+ * The link travels in the URL fragment, which browsers never send to a server, so the signature
+ * does not end up in access logs.
+ * @param {UploadLink} link
+ * @returns {string}
+ */
+export function buildUploadPageUrl(link) {
+    return `${window.location.origin}${UPLOAD_PAGE_PATH}#${toBase64Url(JSON.stringify(link))}`;
+}
+
+/**
+ * @param {string} hash - `location.hash` of the upload page
+ * @returns {UploadLink|null} null when the fragment is missing or not a link
+ */
+export function parseUploadPageHash(hash) {
+    try {
+        const link = JSON.parse(fromBase64Url(hash.replace(/^#/, '')));
+        const isValid = typeof link.url === 'string' && typeof link.prefix === 'string'
+            && Number.isFinite(link.maxSizeBytes) && Number.isFinite(link.expiresAt)
+            && Array.isArray(link.policies) && link.policies.length > 0;
+        return isValid ? link : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// S3 reports POST failures as an XML <Error> document
+const readPostError = (xhr) => {
+    const doc = xhr.responseXML ?? new DOMParser().parseFromString(xhr.responseText || '<Error/>', 'application/xml');
+    const code = doc.querySelector('Code')?.textContent;
+    const message = doc.querySelector('Message')?.textContent;
+    const error = new Error(message || `Upload failed with status ${xhr.status}.`);
+    error.name = code || 'UploadError';
+    return error;
+};
+
+/**
+ * Uploads a file with a presigned POST policy. XMLHttpRequest is used because fetch cannot report upload progress.
+ * @param {UploadLink} link
+ * @param {UploadPolicy} policy
+ * @param {File} file
+ * @param {{ name?: string, onProgress?: (loaded: number, total: number) => void, signal?: AbortSignal }} [options] -
+ *   `name` is the path below the link's prefix, e.g. "photos/a.jpg" for a file of a dropped folder
+ * @returns {Promise<string>} the key the file was stored under
+ */
+export function postUpload(link, policy, file, { name = file.name, onProgress, signal } = {}) {
+    // Filled in here rather than by the server; the policy only requires the key to start with the prefix
+    const key = policy.fields.key.replace('${filename}', name);
+    const form = new FormData();
+    Object.entries(policy.fields).forEach(([field, value]) => form.append(field, field === 'key' ? key : value));
+    form.append('Content-Type', getUploadContentType(file));
+    // S3 ignores every field after the file
+    form.append('file', file);
+
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', link.url);
+        xhr.upload.onprogress = (e) => onProgress?.(e.loaded, e.total);
+        xhr.onload = () => (xhr.status >= 200 && xhr.status < 300 ? resolve(key) : reject(readPostError(xhr)));
+        xhr.onerror = () => reject(new Error('The storage server could not be reached. Its CORS settings may not allow uploads from this page.'));
+        xhr.onabort = () => reject(new DOMException('Upload cancelled.', 'AbortError'));
+        signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+        xhr.send(form);
+    });
+}
@@ -0,0 +1,81 @@
+// S – single responsibility: turning file inputs and OS drops into upload entries
+
+/**
+ * @typedef {{ file: File, relativePath: string }} UploadEntry
+ * relativePath keeps the folder structure below the chosen or dropped directory, e.g. "photos/2024/a.jpg".
+ */
+
+/**
+ * Converts the FileList of an <input type="file"> (with or without webkitdirectory) to upload entries.
+ * @param {FileList} fileList
+ * @returns {UploadEntry[]}
+ */
+export function filesFromInput(fileList) {
+    return Array.from(fileList).map(file => ({ file, relativePath: file.webkitRelativePath || file.name }));
+}
+
+/**
+ * Whether a drag event carries files from the operating system.
+ * @param {DragEvent} e
+ * @returns {boolean}
+ */
+export function isOsFileDrag(e) {
+    return Array.from(e.dataTransfer?.types || []).includes('Files');
+}
+
+const readFile = (fileEntry) => new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+
+// readEntries returns at most ~100 entries per call, so it is called until it returns none
+const readAllEntries = async (directoryReader) => {
+    const entries = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => directoryReader.readEntries(resolve, reject));
+        entries.push(...batch);
+    } while (batch.length > 0);
+    return entries;
+};
+
+const walkEntry = async (entry, parentPath, results) => {
+    if (entry.isFile) {
+        results.push({ file: await readFile(entry), relativePath: `${parentPath}${entry.name}` });
+    } else if (entry.isDirectory) {
+        for (const child of await readAllEntries(entry.createReader())) {
+            await walkEntry(child, `${parentPath}${entry.name}/`, results);
+        }
+    }
+};
+
+/**
+ * Collects every file of an OS drop, descending into dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<UploadEntry[]>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    // Entries must be taken synchronously: the DataTransfer is emptied once the drop handler yields
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    if (entries.length === 0) return filesFromInput(dataTransfer.files);
+
+    const results = [];
+    for (const entry of entries) await walkEntry(entry, '', results);
+    return results;
+}
+
+/**
+ * Builds the n-th "keep both" name for a key: "dir/report.pdf" -> "dir/report (1).pdf".
+ * @param {string} key
+ * @param {number} n
+ * @returns {string}
+ */
+export function getRenamedKey(key, n) {
+    const slash = key.lastIndexOf('/');
+    const dir = key.slice(0, slash + 1);
+    const name = key.slice(slash + 1);
+    const dot = name.lastIndexOf('.');
+    // Dotfiles like ".env" have no extension to preserve
+    if (dot <= 0) return `${dir}${name} (${n})`;
+    return `${dir}${name.slice(0, dot)} (${n})${name.slice(dot)}`;
+}
@@ -0,0 +1,35 @@
+// S – single responsibility: shaping ListObjectVersions responses into table rows
+
+/**
+ * Merges the Versions and DeleteMarkers of a ListObjectVersions page into one list,
+ * ordered by key and then newest first (the order S3 uses within each array).
+ * @param {import('@aws-sdk/client-s3').ListObjectVersionsCommandOutput} response
+ * @returns {Array<object>}
+ */
+export function toVersionEntries(response) {
+    const versions = (response.Versions || []).map(v => ({ ...v, isFolder: false, isDeleteMarker: false }));
+    const markers = (response.DeleteMarkers || []).map(m => ({ ...m, isFolder: false, isDeleteMarker: true }));
+    return [...versions, ...markers].sort((a, b) => {
+        if (a.Key !== b.Key) return a.Key < b.Key ? -1 : 1;
+        return new Date(b.LastModified) - new Date(a.LastModified);
+    });
+}
+
+/**
+ * Returns a stable row id for a listing entry; versions of the same key get distinct ids.
+ * @param {{ Key: string, VersionId?: string }} entry
+ * @returns {string}
+ */
+export function getRowId(entry) {
+    return entry.VersionId ? `${entry.Key}?versionId=${entry.VersionId}` : entry.Key;
+}
+
+/**
+ * Shortens a version id for display.
+ * @param {string} versionId
+ * @returns {string}
+ */
+export function shortVersionId(versionId) {
+    if (!versionId || versionId === 'null') return 'null';
+    return versionId.length > 12 ? `${versionId.slice(0, 12)}…` : versionId;
+}